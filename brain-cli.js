@@ -74,7 +74,8 @@ async function showStatus() {
     console.log(`  ${GREEN}Decision Maker (Phi-2):${RESET}`);
     console.log(`    Model: ${dm.model}`);
     console.log(`    Enabled: ${dm.enabled ? '✅' : '❌'}`);
-    console.log(`    Cache: ${dm.cacheSize}/${dm.maxCacheSize} entries`);
+    const cache = await decisionMakerService.getCacheStats();
+    console.log(`    Cache (${cache.backend}): ${cache.size ?? '?'} entries, ${cache.hits} hits / ${cache.misses} misses`);
 
     // Multilingual
     const ml = status.services.multilingual;
@@ -89,6 +90,23 @@ async function showStatus() {
     console.log(`    Enabled: ${hf.enabled ? '✅' : '❌'}`);
     console.log(`    Models: BART, RoBERTa, MiniLM`);
 
+    // Provider health
+    console.log(`\n${BOLD}AI Providers:${RESET}`);
+    for (const [name, provider] of Object.entries(status.llm.providers)) {
+        if (!provider.configured) continue;
+        const { state, trips, retryAt } = provider.breaker;
+        const rate = provider.rateLimit ? `, ${provider.rateLimit.available}/${provider.rateLimit.perMinute} tokens` : '';
+        const reopen = retryAt ? `, retry at ${retryAt.toLocaleTimeString()}` : '';
+        console.log(`  ${name}: circuit ${state} (${trips} trips${reopen})${rate}`);
+    }
+
+    // Provider routes
+    console.log(`\n${BOLD}AI Routes:${RESET}`);
+    for (const [task, { route, available }] of Object.entries(status.llm.routes)) {
+        const chain = route.map(name => (available.includes(name) ? name : `${name} ✗`)).join(' → ');
+        console.log(`  ${task}: ${chain || '(builtin only)'}`);
+    }
+
     console.log('');
 }
 
@@ -8,6 +8,8 @@ const gemmaApiService = require('../services/gemmaApiService');
 const clusteringService = require('../services/clusteringService');
 const keywordService = require('../services/keywordService');
 const timelineService = require('../services/timelineService');
+const dailyBriefService = require('../services/dailyBriefService');
+const articleProcessingService = require('../services/articleProcessingService');
 
 /**
  * News Controller
@@ -25,7 +27,8 @@ const newsController = {
       category,
       mood,
       sortBy = 'publishedAt',
-      order = 'desc'
+      order = 'desc',
+      includeDuplicates
     } = req.query;
 
     logger.debug('Fetching news articles', { page, limit, category, mood });
@@ -38,6 +41,12 @@ const newsController = {
     if (mood) {
       query.mood = mood;
     }
+    // Hide syndicated copies unless asked for (they link to canonicalArticleId)
+    if (includeDuplicates !== 'true') {
+      query.canonicalArticleId = null;
+    }
+    // Articles the brain decided to skip stay out of the feed
+    query.brainDecision = { $ne: 'SKIP' };
 
     // Get device ID for user-specific data
     const deviceId = req.headers['x-device-id'];
@@ -140,25 +149,32 @@ const newsController = {
 
   /**
    * GET /api/news/daily-brief
-   * Get top 5 news for daily brief mode
+   * The caller's personalised daily brief (built on first request each day)
+   * ?refresh=true rebuilds it, e.g. after preferences change (signed-in users only)
    */
   getDailyBrief: asyncHandler(async (req, res) => {
-    const { limit = 5 } = req.query;
+    const limit = Math.max(1, parseInt(req.query.limit) || dailyBriefService.BRIEF_SIZE);
+    const refresh = req.query.refresh === 'true' && Boolean(req.user);
 
-    logger.debug('Fetching daily brief');
+    logger.debug('Fetching daily brief', { userId: req.user?._id, refresh });
 
-    const articles = await News.getDailyBrief(parseInt(limit));
+    const brief = await dailyBriefService.getBrief(req.user || null, { refresh });
+    const stories = brief.items.slice(0, limit);
 
-    // Calculate total read time
-    const totalReadTimeSeconds = articles.reduce((sum, article) => {
-      return sum + (article.readTimeSeconds || 30);
+    // Calculate total read time (~150 words per minute)
+    const totalReadTimeSeconds = stories.reduce((sum, story) => {
+      const words = (story.summary || '').split(/\s+/).filter(Boolean).length;
+      return sum + Math.max(30, Math.ceil((words / 150) * 60));
     }, 0);
 
     return ApiResponse.success(res, 'Daily brief retrieved successfully', {
-      articles,
-      totalArticles: articles.length,
+      date: brief.date,
+      stories,
+      totalStories: stories.length,
       totalReadTimeSeconds,
-      estimatedMinutes: Math.ceil(totalReadTimeSeconds / 60)
+      estimatedMinutes: Math.ceil(totalReadTimeSeconds / 60),
+      preferences: brief.preferences,
+      generatedAt: brief.generatedAt
     });
   }),
 
@@ -265,62 +281,55 @@ const newsController = {
   syncNews: asyncHandler(async (req, res) => {
     logger.info('Starting news sync...');
 
-    const results = await newsFetchService.fetchFromAllSources();
-    const savedCount = await newsFetchService.saveArticles(results);
+    // Manual syncs poll every enabled source; the cron only polls due ones
+    const results = await newsFetchService.fetchFromAllSources({ force: req.manual !== false });
+    const { savedCount, queuedCount } = await newsFetchService.saveArticles(results);
 
     // Trigger story clustering after saving articles
     logger.info('Running story clustering...');
     const clusteringResults = await clusteringService.processUnclusteredArticles();
 
-    const message = `Successfully synced ${savedCount} articles. Clustering: ${clusteringResults.newStories} new stories, ${clusteringResults.mergedArticles} merged.`;
+    const message = `Successfully synced ${savedCount} articles (${queuedCount} queued for AI processing). Clustering: ${clusteringResults.newStories} new stories, ${clusteringResults.mergedArticles} merged.`;
     logger.info(message);
 
     if (req.manual !== false) {
       return ApiResponse.success(res, message, {
         savedCount,
+        queuedCount,
         clustering: clusteringResults
       });
     }
   }),
 
   /**
-   * Select top articles for daily brief
+   * POST /api/news/reprocess (admin)
+   * Queue articles whose AI fields match a provenance filter to be processed again
+   * Body: { field, provider, model, promptVersion, simulated, since, until, ids, limit, dryRun }
    */
-  selectDailyBrief: async () => {
-    logger.info('Selecting daily brief articles...');
-
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    // Get top 5 articles from last 24 hours by engagement
-    const topArticles = await News.find({
-      publishedAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
-    })
-      .sort({ likesCount: -1, 'votes.total': -1 })
-      .limit(5);
-
-    // Mark as daily brief
-    for (const article of topArticles) {
-      article.isDailyBrief = true;
-      article.dailyBriefDate = today;
-      await article.save();
-    }
+  reprocessNews: asyncHandler(async (req, res) => {
+    const result = await articleProcessingService.reprocess(req.body || {});
 
-    logger.info(`Selected ${topArticles.length} articles for daily brief`);
-    return topArticles;
-  },
+    const message = req.body?.dryRun
+      ? `${result.matched} articles match`
+      : `Queued ${result.queued} articles for AI reprocessing`;
+
+    return ApiResponse.success(res, message, result);
+  }),
 
   /**
    * GET /api/news/summaries/latest (Legacy endpoint)
    */
   getLatestSummaries: asyncHandler(async (req, res) => {
     const { category } = req.query;
-    const query = category && category !== 'general' ? { category } : {};
+    const query = { brainDecision: { $ne: 'SKIP' } };
+    if (category && category !== 'general') {
+      query.category = category;
+    }
 
     const news = await News.find(query)
       .sort({ publishedAt: -1 })
       .limit(10)
-      .select('title description publishedAt imageUrl category source summary whyThisMatters')
+      .select('title description publishedAt imageUrl category source summary whyThisMatters aiProvenance')
       .lean();
 
     return ApiResponse.success(res, 'Latest summaries retrieved', news);
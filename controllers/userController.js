@@ -3,6 +3,7 @@ const News = require('../models/News');
 const ApiResponse = require('../utils/apiResponse');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { logger } = require('../middleware/logger');
+const dailyBriefService = require('../services/dailyBriefService');
 
 /**
  * User Controller
@@ -286,11 +287,16 @@ const userController = {
             user.preferences.anchorSpeed = anchorSpeed;
         }
         if (categories && Array.isArray(categories)) {
-            user.preferences.categories = categories;
+            user.preferences.categories = categories.filter(c => User.NEWS_CATEGORIES.includes(c));
         }
 
         await user.save();
 
+        // The daily brief is built from mood and categories
+        if (mood || categories) {
+            await dailyBriefService.invalidate(user._id);
+        }
+
         return ApiResponse.success(res, 'Preferences updated', {
             preferences: user.preferences
         });
@@ -204,6 +204,8 @@ const requireVerified = (req, res, next) => {
 
 /**
  * Require premium subscription
+ * Access continues through the grace period after premiumExpiry; responses
+ * then carry X-Premium-Grace-Until so clients can prompt for renewal.
  */
 const requirePremium = (req, res, next) => {
     if (!req.user) {
@@ -212,8 +214,14 @@ const requirePremium = (req, res, next) => {
     if (!req.user.isPremium) {
         return res.status(403).json({ error: 'Premium subscription required' });
     }
-    if (req.user.premiumExpiry && new Date(req.user.premiumExpiry) < new Date()) {
-        return res.status(403).json({ error: 'Premium subscription expired' });
+
+    const now = new Date();
+    if (req.user.premiumExpiry && new Date(req.user.premiumExpiry) < now) {
+        const graceUntil = req.user.premiumGraceUntil ? new Date(req.user.premiumGraceUntil) : null;
+        if (!graceUntil || graceUntil <= now) {
+            return res.status(403).json({ error: 'Premium subscription expired' });
+        }
+        res.set('X-Premium-Grace-Until', graceUntil.toISOString());
     }
     next();
 };
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+/**
+ * Counter Model - Named sequences (e.g. invoice numbers per financial year)
+ */
+const CounterSchema = new mongoose.Schema({
+    _id: {
+        type: String
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+/**
+ * Atomically take the next value of a sequence (starts at 1)
+ */
+CounterSchema.statics.next = async function (name) {
+    const counter = await this.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+    );
+    return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', CounterSchema);
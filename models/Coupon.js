@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+/**
+ * Coupon Model - Discount codes for premium plans
+ * Percentage or fixed (per currency) discounts with redemption limits and expiry
+ */
+const CouponSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'Coupon code is required'],
+        unique: true,
+        trim: true,
+        uppercase: true
+    },
+    description: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+
+    type: {
+        type: String,
+        enum: ['percent', 'fixed'],
+        required: true
+    },
+    // Percent (1-100) for 'percent'; minor units of `currency` for 'fixed'
+    value: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    currency: {
+        type: String,
+        uppercase: true,
+        default: null
+    },
+
+    // Plans the coupon applies to (empty = all)
+    planIds: [{ type: String }],
+
+    // Limits
+    maxRedemptions: {
+        type: Number,
+        default: null,
+        min: 1
+    },
+    perUserLimit: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    redemptionCount: {
+        type: Number,
+        default: 0
+    },
+    redemptions: [{
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+        at: { type: Date, default: Date.now }
+    }],
+
+    validFrom: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    active: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+CouponSchema.pre('validate', function (next) {
+    if (this.type === 'percent' && this.value > 100) {
+        this.invalidate('value', 'Percentage discount cannot exceed 100');
+    }
+    if (this.type === 'fixed' && !this.currency) {
+        this.invalidate('currency', 'Fixed discounts need a currency');
+    }
+    next();
+});
+
+/**
+ * Why the coupon can't be used, or null when it can
+ */
+CouponSchema.methods.getIneligibilityReason = function ({ planId, currency, userId, now = new Date() }) {
+    if (!this.active) return 'Coupon is not active';
+    if (this.validFrom && now < this.validFrom) return 'Coupon is not valid yet';
+    if (this.expiresAt && now >= this.expiresAt) return 'Coupon has expired';
+    if (this.maxRedemptions && this.redemptionCount >= this.maxRedemptions) return 'Coupon has been fully redeemed';
+    if (this.planIds.length > 0 && !this.planIds.includes(planId)) return 'Coupon does not apply to this plan';
+    if (this.type === 'fixed' && this.currency !== currency) return `Coupon only applies to ${this.currency} prices`;
+
+    if (userId) {
+        const used = this.redemptions.filter(r => String(r.userId) === String(userId)).length;
+        if (used >= this.perUserLimit) return 'Coupon already used';
+    }
+
+    return null;
+};
+
+/**
+ * Discount (minor units) on an amount
+ */
+CouponSchema.methods.discountFor = function (amount) {
+    const discount = this.type === 'percent'
+        ? Math.round(amount * this.value / 100)
+        : this.value;
+
+    return Math.min(amount, discount);
+};
+
+module.exports = mongoose.model('Coupon', CouponSchema);
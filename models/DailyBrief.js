@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+/**
+ * DailyBrief Model - A user's personalised selection of stories for one day
+ * Built by dailyBriefService from calm-ranked Story clusters; userId is null
+ * for the brief served to signed-out readers.
+ */
+const DailyBriefSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // Brief day (YYYY-MM-DD)
+    date: {
+        type: String,
+        required: true
+    },
+
+    items: [{
+        storyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Story' },
+        rank: { type: Number },
+        title: { type: String },
+        summary: { type: String },
+        whyThisMatters: { type: String },
+        imageUrl: { type: String },
+        category: { type: String },
+        mood: { type: String },
+        primarySource: { type: String },
+        sources: [{ type: String }],
+        sourceCount: { type: Number },
+        importanceScore: { type: Number },
+        personalScore: { type: Number },
+        // Why this story made the brief
+        reasons: [{ type: String }]
+    }],
+
+    // Preferences the brief was built for
+    preferences: {
+        categories: [{ type: String }],
+        mood: { type: String }
+    },
+    rankingProfile: {
+        type: String
+    },
+    candidateCount: {
+        type: Number,
+        default: 0
+    },
+    generatedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+DailyBriefSchema.index({ userId: 1, date: -1 }, { unique: true });
+DailyBriefSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('DailyBrief', DailyBriefSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+/**
+ * DecisionCacheEntry Model - A cached PROCESS/SKIP/CACHE decision, shared by
+ * every instance (the "mongo" decision cache backend)
+ * Keyed by decisionMakerService's content hash; MongoDB's TTL monitor removes
+ * entries once expiresAt passes.
+ */
+const DecisionCacheEntrySchema = new mongoose.Schema({
+    hash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    decision: {
+        type: String,
+        enum: ['PROCESS', 'SKIP', 'CACHE'],
+        required: true
+    },
+    hits: {
+        type: Number,
+        default: 0
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+DecisionCacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('DecisionCacheEntry', DecisionCacheEntrySchema);
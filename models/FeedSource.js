@@ -0,0 +1,253 @@
+const mongoose = require('mongoose');
+
+/**
+ * FeedSource Model - Registry of endpoints the ingestion cron polls
+ * Lets ops onboard or pause outlets without a deploy.
+ * (Credibility metadata lives on the sibling Source model.)
+ */
+const FeedSourceSchema = new mongoose.Schema({
+    // Display name, also used as article `source` for RSS feeds
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        unique: true,
+        trim: true
+    },
+
+    // Which fetch adapter handles this endpoint
+    adapter: {
+        type: String,
+        enum: ['newsapi', 'nyt', 'rss'],
+        required: [true, 'Adapter is required']
+    },
+
+    // Fetch endpoint (falls back to the adapter default when empty)
+    endpoint: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+
+    // Extra query parameters sent with every request (e.g. country, pageSize)
+    params: {
+        type: mongoose.Schema.Types.Mixed,
+        default: () => ({})
+    },
+
+    // Name of the environment variable holding the API key (never the key itself);
+    // limited to API_KEY_ENVS for the adapter
+    apiKeyEnv: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+
+    // Minutes between polls
+    pollIntervalMinutes: {
+        type: Number,
+        default: 15,
+        min: [1, 'Poll interval must be at least 1 minute']
+    },
+
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+
+    // Category used when an entry carries none we can map
+    defaultCategory: {
+        type: String,
+        enum: ['general', 'business', 'entertainment', 'health', 'science', 'sports', 'technology'],
+        default: 'general'
+    },
+
+    // Fetch article pages for full text when entries are truncated (opt-out per source)
+    extractFullText: {
+        type: Boolean,
+        default: true
+    },
+
+    // Polling state
+    lastPolledAt: {
+        type: Date,
+        default: null
+    },
+
+    // Conditional GET validators (RSS/Atom)
+    etag: {
+        type: String,
+        default: null
+    },
+    lastModified: {
+        type: String,
+        default: null
+    },
+
+    // Fetch health (for on-call and automatic backoff)
+    health: {
+        lastSuccessAt: { type: Date, default: null },
+        lastFailureAt: { type: Date, default: null },
+        lastError: { type: String, default: '' },
+        consecutiveFailures: { type: Number, default: 0 },
+        lastYield: { type: Number, default: 0 },
+        totalYield: { type: Number, default: 0 },
+        lastArticleAt: { type: Date, default: null },
+        lastLatencyMs: { type: Number, default: null },
+        backoffUntil: { type: Date, default: null }
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes
+FeedSourceSchema.index({ enabled: 1, lastPolledAt: 1 });
+
+// Default endpoints per adapter (RSS feeds always need their own)
+const ADAPTER_DEFAULTS = {
+    newsapi: {
+        endpoint: 'https://newsapi.org/v2/top-headlines',
+        params: { country: 'us', pageSize: 30 },
+        apiKeyEnv: 'NEWS_API_KEY'
+    },
+    nyt: {
+        endpoint: 'https://api.nytimes.com/svc/topstories/v2/home.json',
+        params: {},
+        apiKeyEnv: 'NYT_API_KEY'
+    },
+    rss: {
+        endpoint: '',
+        params: {},
+        apiKeyEnv: ''
+    }
+};
+
+FeedSourceSchema.statics.ADAPTER_DEFAULTS = ADAPTER_DEFAULTS;
+
+/**
+ * Environment variables each adapter may send as its API key. The key goes to
+ * the source's endpoint, so apiKeyEnv must never name an arbitrary secret
+ * (JWT_SECRET, MONGODB_URI, ...). Extra names can be allowed with
+ * FEED_API_KEY_ENVS="newsapi:NEWS_API_KEY_EU,nyt:NYT_API_KEY_2".
+ */
+function buildApiKeyEnvs(spec = '') {
+    const allowed = Object.fromEntries(Object.entries(ADAPTER_DEFAULTS).map(([adapter, defaults]) => [
+        adapter,
+        defaults.apiKeyEnv ? [defaults.apiKeyEnv] : []
+    ]));
+
+    for (const entry of spec.split(',').map(part => part.trim()).filter(Boolean)) {
+        const [adapter, name] = entry.split(':').map(part => part.trim());
+        if (!allowed[adapter] || !name) {
+            throw new Error(`Invalid FEED_API_KEY_ENVS entry "${entry}" (expected adapter:ENV_NAME)`);
+        }
+        allowed[adapter].push(name);
+    }
+
+    return allowed;
+}
+
+const API_KEY_ENVS = buildApiKeyEnvs(process.env.FEED_API_KEY_ENVS);
+
+FeedSourceSchema.statics.API_KEY_ENVS = API_KEY_ENVS;
+
+FeedSourceSchema.statics.isAllowedApiKeyEnv = function (adapter, name) {
+    return (API_KEY_ENVS[adapter] || []).includes(name);
+};
+
+// Stored endpoints are fetched by the server, so only http(s) is accepted
+// (file:// fixtures go through rssFeedService.fetchAll, never the registry)
+FeedSourceSchema.statics.isAllowedEndpoint = function (endpoint) {
+    try {
+        return ['http:', 'https:'].includes(new URL(endpoint).protocol);
+    } catch (error) {
+        return false;
+    }
+};
+
+FeedSourceSchema.pre('validate', function (next) {
+    // RSS feeds have no default endpoint
+    if (this.adapter === 'rss' && !this.endpoint) {
+        this.invalidate('endpoint', 'Endpoint is required for RSS feeds');
+    }
+    if (this.endpoint && !this.constructor.isAllowedEndpoint(this.endpoint)) {
+        this.invalidate('endpoint', 'Endpoint must be an http(s) URL');
+    }
+    if (this.apiKeyEnv && !this.constructor.isAllowedApiKeyEnv(this.adapter, this.apiKeyEnv)) {
+        this.invalidate('apiKeyEnv', `apiKeyEnv must be one of: ${(API_KEY_ENVS[this.adapter] || []).join(', ') || '(none for this adapter)'}`);
+    }
+    next();
+});
+
+// Resolved endpoint (explicit or adapter default)
+FeedSourceSchema.virtual('resolvedEndpoint').get(function () {
+    return this.endpoint || ADAPTER_DEFAULTS[this.adapter]?.endpoint || '';
+});
+
+// Backoff cap for repeatedly failing sources (default 24 hours)
+const MAX_BACKOFF_MINUTES = parseInt(process.env.FEED_MAX_BACKOFF_MINUTES) || 24 * 60;
+
+// A source that yielded nothing for this long is flagged as stale
+const STALE_AFTER_HOURS = parseInt(process.env.FEED_STALE_AFTER_HOURS) || 24;
+
+// Whether the source should be polled at the given time
+FeedSourceSchema.methods.isDue = function (now = new Date()) {
+    if (!this.enabled) return false;
+    if (this.health?.backoffUntil && now < this.health.backoffUntil) return false;
+    if (!this.lastPolledAt) return true;
+    return now - this.lastPolledAt >= this.pollIntervalMinutes * 60 * 1000;
+};
+
+// Record a successful poll
+FeedSourceSchema.methods.recordSuccess = function (articleCount, latencyMs, now = new Date()) {
+    this.lastPolledAt = now;
+    this.health.lastSuccessAt = now;
+    this.health.consecutiveFailures = 0;
+    this.health.backoffUntil = null;
+    this.health.lastYield = articleCount;
+    this.health.totalYield += articleCount;
+    this.health.lastLatencyMs = latencyMs;
+    if (articleCount > 0) this.health.lastArticleAt = now;
+};
+
+// Record a failed poll and push the next attempt out exponentially
+FeedSourceSchema.methods.recordFailure = function (error, latencyMs, now = new Date()) {
+    this.lastPolledAt = now;
+    this.health.lastFailureAt = now;
+    this.health.lastError = (error?.message || String(error)).substring(0, 500);
+    this.health.consecutiveFailures += 1;
+    this.health.lastYield = 0;
+    this.health.lastLatencyMs = latencyMs;
+
+    // 1st failure → normal interval, then 2x, 4x, 8x... capped
+    const backoffMinutes = Math.min(
+        this.pollIntervalMinutes * Math.pow(2, this.health.consecutiveFailures - 1),
+        MAX_BACKOFF_MINUTES
+    );
+    this.health.backoffUntil = new Date(now.getTime() + backoffMinutes * 60 * 1000);
+};
+
+// Health status summary: paused, healthy, degraded, failing or stale
+FeedSourceSchema.methods.getHealthStatus = function (now = new Date()) {
+    if (!this.enabled) return 'paused';
+
+    const { consecutiveFailures, lastArticleAt, lastSuccessAt } = this.health;
+    if (consecutiveFailures >= 3) return 'failing';
+    if (consecutiveFailures > 0) return 'degraded';
+
+    const staleCutoff = now - STALE_AFTER_HOURS * 60 * 60 * 1000;
+    if (lastSuccessAt && (!lastArticleAt || lastArticleAt < staleCutoff) && this.createdAt < staleCutoff) {
+        return 'stale';
+    }
+
+    return lastSuccessAt ? 'healthy' : 'unknown';
+};
+
+// Static method to get enabled sources whose poll interval has elapsed
+FeedSourceSchema.statics.getDueSources = async function (now = new Date()) {
+    const sources = await this.find({ enabled: true });
+    return sources.filter(source => source.isDue(now));
+};
+
+module.exports = mongoose.model('FeedSource', FeedSourceSchema);
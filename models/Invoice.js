@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+
+/**
+ * Invoice Model - Tax invoice for a captured payment, or a credit note for a refund
+ * Amounts are in the smallest currency unit and are tax-inclusive (total = taxable + tax)
+ */
+const InvoiceSchema = new mongoose.Schema({
+    kind: {
+        type: String,
+        enum: ['invoice', 'credit_note'],
+        required: true
+    },
+    // INV/2026-27/000001 or CN/2026-27/000001, sequential per financial year.
+    // Null while the document is claimed but not yet numbered.
+    number: {
+        type: String,
+        default: null
+    },
+    // Lease held by the caller numbering the document
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    issuedAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    paymentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment',
+        required: true
+    },
+    orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        default: null
+    },
+
+    // Credit notes: the invoice being credited and the refund behind it
+    originalInvoiceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Invoice',
+        default: null
+    },
+    originalInvoiceNumber: {
+        type: String,
+        default: null
+    },
+    providerRefundId: {
+        type: String,
+        default: null
+    },
+    reason: {
+        type: String,
+        default: null
+    },
+
+    seller: {
+        name: { type: String },
+        address: { type: String },
+        gstin: { type: String },
+        state: { type: String }
+    },
+    buyer: {
+        name: { type: String },
+        email: { type: String },
+        country: { type: String },
+        state: { type: String },
+        gstin: { type: String }
+    },
+
+    planId: {
+        type: String
+    },
+    periodStart: {
+        type: Date
+    },
+    periodEnd: {
+        type: Date
+    },
+    lines: [{
+        description: { type: String },
+        sacCode: { type: String },
+        quantity: { type: Number, default: 1 },
+        amount: { type: Number }
+    }],
+
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+    taxableAmount: {
+        type: Number,
+        required: true
+    },
+    // 'igst' for inter-state, 'cgst_sgst' for intra-state, 'none' for exports
+    tax: {
+        type: { type: String, enum: ['igst', 'cgst_sgst', 'none'], default: 'none' },
+        rate: { type: Number, default: 0 },
+        cgst: { type: Number, default: 0 },
+        sgst: { type: Number, default: 0 },
+        igst: { type: Number, default: 0 },
+        total: { type: Number, default: 0 }
+    },
+    total: {
+        type: Number,
+        required: true
+    },
+
+    paymentReference: {
+        provider: { type: String },
+        providerPaymentId: { type: String },
+        providerOrderId: { type: String },
+        method: { type: String },
+        paidAt: { type: Date }
+    }
+}, {
+    timestamps: true
+});
+
+InvoiceSchema.index({ userId: 1, issuedAt: -1 });
+InvoiceSchema.index({ number: 1 }, { unique: true, partialFilterExpression: { number: { $type: 'string' } } });
+// One invoice per payment; any number of credit notes
+InvoiceSchema.index({ paymentId: 1, kind: 1 }, { unique: true, partialFilterExpression: { kind: 'invoice' } });
+InvoiceSchema.index({ providerRefundId: 1 }, { unique: true, partialFilterExpression: { kind: 'credit_note' } });
+
+module.exports = mongoose.model('Invoice', InvoiceSchema);
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'dead'];
+
+/**
+ * Job Model - A unit of background work in the durable job queue
+ * A worker leases a job by setting lockedUntil (the visibility timeout). If the
+ * worker dies, the lease runs out and the job is queued again. Failures retry
+ * with backoff via runAt until maxAttempts, then the job is parked as `dead`.
+ */
+const JobSchema = new mongoose.Schema({
+    // Handler name, e.g. 'article.ai' (see jobQueueService HANDLERS)
+    type: {
+        type: String,
+        required: true
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    status: {
+        type: String,
+        enum: JOB_STATUSES,
+        default: 'queued'
+    },
+    // Higher runs first
+    priority: {
+        type: Number,
+        default: 0
+    },
+    // Not eligible before this time (retry backoff)
+    runAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 5
+    },
+
+    // Lease held by a worker while running
+    lockedBy: {
+        type: String,
+        default: null
+    },
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+
+    // One live job per key (e.g. per article)
+    dedupeKey: {
+        type: String
+    },
+
+    lastError: {
+        type: String,
+        default: null
+    },
+    result: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    startedAt: {
+        type: Date,
+        default: null
+    },
+    completedAt: {
+        type: Date,
+        default: null
+    },
+    deadAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+JobSchema.index({ type: 1, status: 1, priority: -1, runAt: 1 });
+JobSchema.index({ status: 1, lockedUntil: 1 });
+JobSchema.index({ dedupeKey: 1 }, {
+    unique: true,
+    partialFilterExpression: { dedupeKey: { $type: 'string' } }
+});
+// Completed jobs are kept for a week for inspection
+JobSchema.index({ completedAt: 1 }, {
+    expireAfterSeconds: 7 * 24 * 60 * 60,
+    partialFilterExpression: { status: 'completed' }
+});
+
+JobSchema.statics.STATUSES = JOB_STATUSES;
+
+module.exports = mongoose.model('Job', JobSchema);
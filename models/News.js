@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const AiProvenanceSchema = require('./schemas/aiProvenance');
 
 /**
  * Enhanced News Schema
@@ -21,6 +22,17 @@ const NewsSchema = new mongoose.Schema({
     type: String
   },
 
+  // Full article body extracted from the URL when the feed only gives a snippet
+  fullText: {
+    type: String,
+    default: ''
+  },
+  extractionMethod: {
+    type: String,
+    enum: ['feed', 'json-ld', 'readability', 'meta-description', 'none', 'disabled', null],
+    default: null
+  },
+
   // AI-generated content (cached permanently)
   summary: {
     type: String,
@@ -115,13 +127,30 @@ const NewsSchema = new mongoose.Schema({
     default: ''
   },
 
-  // Daily brief selection
-  isDailyBrief: {
-    type: Boolean,
-    default: false
+  // Near-duplicate detection (MinHash over word shingles)
+  minhashSignature: {
+    type: [Number],
+    select: false
   },
-  dailyBriefDate: {
-    type: Date
+  minhashBands: {
+    type: [String],
+    select: false
+  },
+  // Set when this article is syndicated copy of an earlier one
+  canonicalArticleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'News',
+    default: null
+  },
+  duplicateSimilarity: {
+    type: Number,
+    default: null
+  },
+
+  // Sentence embedding used by embedding-mode clustering
+  embedding: {
+    type: [Number],
+    select: false
   },
 
   // Processing status
@@ -142,6 +171,14 @@ const NewsSchema = new mongoose.Schema({
   sourceLanguage: {
     type: String,
     default: 'en'
+  },
+
+  // How each AI field was produced (provider, model, prompt version, ...)
+  aiProvenance: {
+    summary: { type: AiProvenanceSchema, default: null },
+    whyThisMatters: { type: AiProvenanceSchema, default: null },
+    mood: { type: AiProvenanceSchema, default: null },
+    brainDecision: { type: AiProvenanceSchema, default: null }
   }
 }, {
   timestamps: true,
@@ -153,7 +190,8 @@ const NewsSchema = new mongoose.Schema({
 NewsSchema.index({ publishedAt: -1 });
 NewsSchema.index({ category: 1, publishedAt: -1 });
 NewsSchema.index({ mood: 1, publishedAt: -1 });
-NewsSchema.index({ isDailyBrief: 1, dailyBriefDate: -1 });
+NewsSchema.index({ minhashBands: 1, publishedAt: -1 });
+NewsSchema.index({ canonicalArticleId: 1 });
 
 // Text index for timeline search (weighted: title most important)
 NewsSchema.index(
@@ -184,33 +222,6 @@ NewsSchema.pre('save', function (next) {
   next();
 });
 
-// Static method to get daily brief articles
-NewsSchema.statics.getDailyBrief = async function (limit = 5) {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-
-  // First try to get pre-selected daily brief articles
-  let articles = await this.find({
-    isDailyBrief: true,
-    dailyBriefDate: { $gte: today }
-  }).sort({ publishedAt: -1 }).limit(limit);
-
-  // If no pre-selected, get top articles by engagement
-  if (articles.length < limit) {
-    articles = await this.find({
-      publishedAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
-    })
-      .sort({
-        likesCount: -1,
-        'votes.total': -1,
-        publishedAt: -1
-      })
-      .limit(limit);
-  }
-
-  return articles;
-};
-
 // Static method to get news by mood
 NewsSchema.statics.getByMood = async function (mood, limit = 20) {
   return this.find({ mood })
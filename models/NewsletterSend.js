@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+/**
+ * NewsletterSend Model - One newsletter email (daily brief or weekly digest) to one recipient
+ * The recipient is either an app user (userId) or an email-only subscriber
+ * (subscriberId). Unique (recipient, date) pairs keep each recipient to one
+ * newsletter per local day. A send in progress holds a lease (lockedUntil);
+ * if the process dies mid-send, a later run reclaims it once the lease runs out.
+ */
+const NewsletterSendSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    subscriberId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Subscriber'
+    },
+    email: {
+        type: String,
+        required: true
+    },
+    // Recipient's local date (YYYY-MM-DD)
+    date: {
+        type: String,
+        required: true
+    },
+    timezone: {
+        type: String
+    },
+    // 'daily' brief or 'weekly' digest
+    kind: {
+        type: String,
+        enum: ['daily', 'weekly'],
+        default: 'daily'
+    },
+    briefId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DailyBrief',
+        default: null
+    },
+
+    subject: {
+        type: String
+    },
+    storyCount: {
+        type: Number,
+        default: 0
+    },
+
+    transport: {
+        type: String
+    },
+    status: {
+        type: String,
+        enum: ['sending', 'sent', 'failed', 'skipped'],
+        default: 'sending'
+    },
+    attempts: {
+        type: Number,
+        default: 1
+    },
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    messageId: {
+        type: String,
+        default: null
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    sentAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+NewsletterSendSchema.index({ userId: 1, date: -1 }, {
+    unique: true,
+    partialFilterExpression: { userId: { $type: 'objectId' } }
+});
+NewsletterSendSchema.index({ subscriberId: 1, date: -1 }, {
+    unique: true,
+    partialFilterExpression: { subscriberId: { $type: 'objectId' } }
+});
+NewsletterSendSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('NewsletterSend', NewsletterSendSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+/**
+ * Notification Model - In-app messages for a user
+ * `dedupeKey` guarantees a scheduled notice is emitted at most once
+ */
+const NotificationSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['renewal_reminder', 'grace_started', 'premium_lapsed'],
+        required: true
+    },
+    title: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    body: {
+        type: String,
+        default: ''
+    },
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+
+    dedupeKey: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    readAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+NotificationSchema.index({ userId: 1, createdAt: -1 });
+NotificationSchema.index({ userId: 1, readAt: 1 });
+
+/**
+ * Create a notification unless one with the same dedupeKey exists
+ * @returns {Promise<Object|null>} The new notification, or null if already sent
+ */
+NotificationSchema.statics.emitOnce = async function (notification) {
+    try {
+        return await this.create(notification);
+    } catch (error) {
+        if (error.code === 11000) return null;
+        throw error;
+    }
+};
+
+module.exports = mongoose.model('Notification', NotificationSchema);
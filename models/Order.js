@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+/**
+ * Order Model - Payment ledger entry for a checkout attempt
+ * One per Razorpay order; amounts are stored in the smallest currency unit (paise)
+ */
+const OrderSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    planId: {
+        type: String,
+        required: true
+    },
+
+    // Provider identifiers
+    provider: {
+        type: String,
+        default: 'razorpay'
+    },
+    providerOrderId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    receipt: {
+        type: String
+    },
+
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+
+    // Pricing breakdown (amount = baseAmount - discount - proration credit)
+    baseAmount: {
+        type: Number,
+        default: null
+    },
+    discount: {
+        type: Number,
+        default: 0
+    },
+    couponCode: {
+        type: String,
+        default: null
+    },
+    country: {
+        type: String,
+        default: null
+    },
+
+    // 'plan_change' orders replace the subscription in `proration`
+    kind: {
+        type: String,
+        enum: ['purchase', 'plan_change'],
+        default: 'purchase'
+    },
+    proration: {
+        fromSubscriptionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscription', default: null },
+        fromPlanId: { type: String, default: null },
+        credit: { type: Number, default: 0 },
+        extraDays: { type: Number, default: 0 }
+    },
+
+    status: {
+        type: String,
+        enum: ['created', 'paid', 'refunded', 'partially_refunded', 'expired'],
+        default: 'created'
+    },
+    statusHistory: [{
+        status: { type: String },
+        at: { type: Date, default: Date.now },
+        note: { type: String }
+    }],
+
+    paidAt: {
+        type: Date,
+        default: null
+    },
+    notes: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    }
+}, {
+    timestamps: true
+});
+
+OrderSchema.index({ status: 1, createdAt: -1 });
+
+/**
+ * Move to a new status and append it to the history
+ */
+OrderSchema.methods.setStatus = function (status, note = '') {
+    if (this.status === status && this.statusHistory.length > 0) return this;
+
+    this.status = status;
+    this.statusHistory.push({ status, at: new Date(), note });
+    return this;
+};
+
+// Record the initial status
+OrderSchema.pre('save', function (next) {
+    if (this.isNew && this.statusHistory.length === 0) {
+        this.statusHistory.push({ status: this.status, at: new Date() });
+    }
+    next();
+});
+
+module.exports = mongoose.model('Order', OrderSchema);
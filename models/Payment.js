@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+/**
+ * Payment Model - Captured payment against an Order, with its refunds
+ * Amounts are stored in the smallest currency unit (paise)
+ */
+const PaymentSchema = new mongoose.Schema({
+    orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        index: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+
+    // Provider identifiers
+    provider: {
+        type: String,
+        default: 'razorpay'
+    },
+    providerPaymentId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    signature: {
+        type: String,
+        select: false
+    },
+
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+    method: {
+        type: String,
+        default: null
+    },
+
+    status: {
+        type: String,
+        enum: ['created', 'paid', 'refunded', 'partially_refunded', 'expired'],
+        default: 'paid'
+    },
+    statusHistory: [{
+        status: { type: String },
+        at: { type: Date, default: Date.now },
+        note: { type: String }
+    }],
+
+    paidAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    // Refunds issued against this payment
+    amountRefunded: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    refunds: [{
+        providerRefundId: { type: String },
+        amount: { type: Number },
+        reason: { type: String },
+        status: { type: String },
+        requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        createdAt: { type: Date, default: Date.now }
+    }]
+}, {
+    timestamps: true
+});
+
+PaymentSchema.index({ paidAt: -1 });
+PaymentSchema.index({ 'refunds.createdAt': -1 });
+
+/**
+ * Move to a new status and append it to the history
+ */
+PaymentSchema.methods.setStatus = function (status, note = '') {
+    if (this.status === status && this.statusHistory.length > 0) return this;
+
+    this.status = status;
+    this.statusHistory.push({ status, at: new Date(), note });
+    return this;
+};
+
+// Record the initial status
+PaymentSchema.pre('save', function (next) {
+    if (this.isNew && this.statusHistory.length === 0) {
+        this.statusHistory.push({ status: this.status, at: new Date() });
+    }
+    next();
+});
+
+// Amount still refundable
+PaymentSchema.virtual('refundableAmount').get(function () {
+    return Math.max(0, this.amount - (this.amountRefunded || 0));
+});
+
+module.exports = mongoose.model('Payment', PaymentSchema);
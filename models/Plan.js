@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+/**
+ * Plan Model - Premium plan catalog
+ * Prices are per currency in the smallest unit (paise/cents); a price applies
+ * to the countries in `regions`, or everywhere else when `regions` is empty.
+ */
+const PlanSchema = new mongoose.Schema({
+    // Stable identifier used by clients, orders and subscriptions
+    planId: {
+        type: String,
+        required: [true, 'Plan ID is required'],
+        unique: true,
+        trim: true,
+        match: [/^[a-z0-9_]+$/, 'Plan ID may only contain lowercase letters, digits and underscores']
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+
+    period: {
+        type: String,
+        enum: ['monthly', 'bimonthly', 'yearly'],
+        required: true
+    },
+    durationDays: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+
+    prices: [{
+        currency: { type: String, required: true, uppercase: true },
+        amount: { type: Number, required: true, min: 0 },
+        // ISO 3166-1 alpha-2 country codes; empty = fallback price
+        regions: [{ type: String, uppercase: true }]
+    }],
+
+    // Free days before the first charge (one trial per user)
+    trialDays: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    active: {
+        type: Boolean,
+        default: true
+    },
+    sortOrder: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+// Built-in catalog, seeded when the collection is empty
+PlanSchema.statics.DEFAULT_PLANS = [
+    {
+        planId: 'premium_monthly',
+        name: 'Newslet Premium Monthly',
+        description: 'Premium subscription, billed every month',
+        period: 'monthly',
+        durationDays: 30,
+        prices: [
+            { currency: 'INR', amount: 5900, regions: ['IN'] },
+            { currency: 'USD', amount: 199, regions: [] }
+        ],
+        trialDays: 7,
+        sortOrder: 1
+    },
+    {
+        planId: 'premium_bimonthly',
+        name: 'Newslet Premium',
+        description: 'Premium subscription - ₹99 for 2 months',
+        period: 'bimonthly',
+        durationDays: 60,
+        prices: [
+            { currency: 'INR', amount: 9900, regions: ['IN'] },
+            { currency: 'USD', amount: 349, regions: [] }
+        ],
+        sortOrder: 2
+    },
+    {
+        planId: 'premium_yearly',
+        name: 'Newslet Premium Yearly',
+        description: 'Premium subscription, billed once a year',
+        period: 'yearly',
+        durationDays: 365,
+        prices: [
+            { currency: 'INR', amount: 49900, regions: ['IN'] },
+            { currency: 'USD', amount: 1999, regions: [] }
+        ],
+        sortOrder: 3
+    }
+];
+
+/**
+ * Price for a country (falls back to the region-less price, then the first price)
+ */
+PlanSchema.methods.priceFor = function (country) {
+    const code = (country || '').toUpperCase();
+
+    return this.prices.find(price => code && price.regions.includes(code)) ||
+        this.prices.find(price => price.regions.length === 0) ||
+        this.prices[0] ||
+        null;
+};
+
+/**
+ * Price in a specific currency, if the plan has one
+ */
+PlanSchema.methods.priceInCurrency = function (currency) {
+    return this.prices.find(price => price.currency === (currency || '').toUpperCase()) || null;
+};
+
+/**
+ * Insert the built-in plans if none exist yet
+ */
+PlanSchema.statics.seedDefaults = async function () {
+    if (await this.estimatedDocumentCount() > 0) return 0;
+
+    await this.insertMany(this.DEFAULT_PLANS);
+    return this.DEFAULT_PLANS.length;
+};
+
+module.exports = mongoose.model('Plan', PlanSchema);
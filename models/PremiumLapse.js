@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+/**
+ * PremiumLapse Model - A user's premium access ending without renewal
+ * Written when the grace period runs out; closed if the user later renews
+ */
+const PremiumLapseSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    // Last subscription before the lapse
+    subscriptionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Subscription',
+        required: true,
+        unique: true
+    },
+    planId: {
+        type: String
+    },
+    source: {
+        type: String
+    },
+
+    // Last paid day, and when grace ran out
+    expiredAt: {
+        type: Date,
+        required: true
+    },
+    lapsedAt: {
+        type: Date,
+        required: true
+    },
+    graceDays: {
+        type: Number,
+        default: 0
+    },
+    remindersSent: {
+        type: Number,
+        default: 0
+    },
+
+    // Set when the user subscribes again
+    renewedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+PremiumLapseSchema.index({ lapsedAt: -1 });
+
+module.exports = mongoose.model('PremiumLapse', PremiumLapseSchema);
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+/**
+ * RankingProfile Model - Named weight sets for calm ranking
+ * Clients pick one with ?profile=; the default profile's score is the one stored on Story
+ */
+const RankingProfileSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Profile name is required'],
+        unique: true,
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z0-9-]+$/, 'Profile name may only contain letters, digits and dashes']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 300,
+        default: ''
+    },
+
+    // Factor weights (must sum to 1)
+    weights: {
+        sourceCount: { type: Number, min: 0, max: 1, required: true },
+        sourceDiversity: { type: Number, min: 0, max: 1, required: true },
+        credibility: { type: Number, min: 0, max: 1, required: true },
+        recency: { type: Number, min: 0, max: 1, required: true }
+    },
+
+    // Age at which the recency factor reaches zero
+    recencyHorizonHours: {
+        type: Number,
+        min: 1,
+        max: 24 * 30,
+        default: 24
+    },
+
+    // Profile used when none is requested (and for stored importance scores)
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    enabled: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+// Built-in profiles, seeded when the collection is empty
+RankingProfileSchema.statics.DEFAULT_PROFILES = [
+    {
+        name: 'calm-default',
+        description: 'Balanced: wide, diverse, credible coverage with a gentle recency boost',
+        weights: { sourceCount: 0.30, sourceDiversity: 0.25, credibility: 0.25, recency: 0.20 },
+        recencyHorizonHours: 24,
+        isDefault: true
+    },
+    {
+        name: 'breaking',
+        description: 'Favours what is happening now, over a short recency horizon',
+        weights: { sourceCount: 0.25, sourceDiversity: 0.10, credibility: 0.20, recency: 0.45 },
+        recencyHorizonHours: 6
+    },
+    {
+        name: 'deep-dive',
+        description: 'Favours well-sourced stories from diverse outlets; age barely matters',
+        weights: { sourceCount: 0.30, sourceDiversity: 0.35, credibility: 0.30, recency: 0.05 },
+        recencyHorizonHours: 72
+    }
+];
+
+// Weights must add up to 1 so scores stay on the 0-1 scale
+RankingProfileSchema.pre('validate', function (next) {
+    const { sourceCount, sourceDiversity, credibility, recency } = this.weights || {};
+    const total = (sourceCount || 0) + (sourceDiversity || 0) + (credibility || 0) + (recency || 0);
+
+    if (Math.abs(total - 1) > 0.01) {
+        this.invalidate('weights', `Weights must sum to 1 (got ${Math.round(total * 1000) / 1000})`);
+    }
+    next();
+});
+
+// Keep a single default profile
+RankingProfileSchema.post('save', async function (doc) {
+    if (doc.isDefault) {
+        await this.constructor.updateMany(
+            { _id: { $ne: doc._id }, isDefault: true },
+            { $set: { isDefault: false } }
+        );
+    }
+});
+
+/**
+ * Insert the built-in profiles if none exist yet
+ */
+RankingProfileSchema.statics.seedDefaults = async function () {
+    if (await this.estimatedDocumentCount() > 0) return 0;
+
+    await this.insertMany(this.DEFAULT_PROFILES);
+    return this.DEFAULT_PROFILES.length;
+};
+
+module.exports = mongoose.model('RankingProfile', RankingProfileSchema);
@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const AiProvenanceSchema = require('./schemas/aiProvenance');
+
+// Lifecycle states, in the order a story normally moves through them
+const LIFECYCLE_STATES = ['emerging', 'developing', 'mature', 'dormant', 'archived'];
+const DEFAULT_LIFECYCLE_STATE = 'emerging';
 
 /**
  * Story Model - Clustered articles from multiple sources
@@ -24,6 +29,12 @@ const StorySchema = new mongoose.Schema({
     maxlength: [200, 'Why this matters should be one line'],
     default: ''
   },
+  // Provenance of the AI fields, copied from the article they came from
+  aiProvenance: {
+    summary: { type: AiProvenanceSchema, default: null },
+    whyThisMatters: { type: AiProvenanceSchema, default: null },
+    mood: { type: AiProvenanceSchema, default: null }
+  },
   
   // Importance scoring (replaces engagement metrics)
   importanceScore: {
@@ -86,6 +97,17 @@ const StorySchema = new mongoose.Schema({
     default: Date.now
   },
   
+  // Lifecycle (driven by article inflow, see storyLifecycleService)
+  lifecycleState: {
+    type: String,
+    enum: LIFECYCLE_STATES,
+    default: DEFAULT_LIFECYCLE_STATE
+  },
+  lifecycleChangedAt: {
+    type: Date,
+    default: Date.now
+  },
+  
   // Related stories for context timeline
   relatedStories: [{
     storyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Story' },
@@ -100,6 +122,16 @@ const StorySchema = new mongoose.Schema({
     sourceStoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Story' }
   }],
   
+  // Mean embedding of member articles (embedding-mode clustering)
+  centroidEmbedding: {
+    type: [Number],
+    select: false
+  },
+  embeddingCount: {
+    type: Number,
+    default: 0
+  },
+
   // AI processing status
   aiProcessed: {
     type: Boolean,
@@ -120,6 +152,22 @@ StorySchema.index({ lastUpdated: -1 });
 StorySchema.index({ category: 1, importanceScore: -1 });
 StorySchema.index({ mood: 1, importanceScore: -1 });
 StorySchema.index({ firstSeen: -1 });
+StorySchema.index({ lifecycleState: 1, importanceScore: -1 });
+
+StorySchema.statics.LIFECYCLE_STATES = LIFECYCLE_STATES;
+StorySchema.statics.DEFAULT_LIFECYCLE_STATE = DEFAULT_LIFECYCLE_STATE;
+
+// Query condition for ?lifecycle= filters. Stories saved before lifecycle
+// tracking have no stored state and count as the default until backfilled.
+StorySchema.statics.lifecycleQuery = function(states) {
+  if (!states || !states.length) {
+    return { $ne: 'archived' };
+  }
+  const list = [].concat(states);
+  return list.includes(DEFAULT_LIFECYCLE_STATE)
+    ? { $in: [...list, null] }
+    : { $in: list };
+};
 
 // Virtual for read time estimation
 StorySchema.virtual('readTimeSeconds').get(function() {
@@ -134,11 +182,15 @@ StorySchema.statics.getWithCalmRanking = async function(options = {}) {
     page = 1,
     category,
     mood,
+    lifecycle,
     maxAgeHours = 72
   } = options;
   
   const query = {};
   
+  // Archived stories stay out of the hot feed unless explicitly requested
+  query.lifecycleState = this.lifecycleQuery(lifecycle);
+  
   if (category && category !== 'general') {
     query.category = category;
   }
@@ -171,32 +223,16 @@ StorySchema.statics.getWithCalmRanking = async function(options = {}) {
   };
 };
 
-// Static method to recalculate importance score
+// Static method to recalculate importance score with the default ranking profile
 StorySchema.statics.recalculateImportance = async function(storyId) {
   const story = await this.findById(storyId);
   if (!story) return null;
   
-  // Importance factors (NO engagement metrics!)
-  const sourceWeight = 0.30;
-  const diversityWeight = 0.25;
-  const credibilityWeight = 0.25;
-  const recencyWeight = 0.20;
-  
-  // Calculate recency score (0-1, decays over 24 hours)
-  const ageHours = (Date.now() - story.firstSeen) / (1000 * 60 * 60);
-  const recencyScore = Math.max(0, 1 - (ageHours / 24));
-  
-  // Normalize source count (cap at 10 sources)
-  const sourceScore = Math.min(story.sourceCount / 10, 1);
-  
-  const importanceScore = (
-    sourceScore * sourceWeight +
-    story.sourceDiversity * diversityWeight +
-    story.averageCredibility * credibilityWeight +
-    recencyScore * recencyWeight
-  );
+  // Required here: calmRankingService depends on this model
+  const calmRankingService = require('../services/calmRankingService');
+  const profile = await calmRankingService.resolveProfile();
   
-  story.importanceScore = importanceScore;
+  story.importanceScore = calmRankingService.calculateImportanceScore(story, profile);
   await story.save();
   
   return story;
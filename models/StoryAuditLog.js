@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+/**
+ * StoryAuditLog Model - Editorial corrections to story clusters
+ * Every merge/split records enough state to be undone later
+ */
+const StoryAuditLogSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ['merge', 'split', 'undo'],
+        required: true
+    },
+
+    // Stories touched by the operation (used to detect conflicting later edits)
+    storyIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Story'
+    }],
+
+    // Editor who performed the operation
+    performedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: 500,
+        default: ''
+    },
+
+    // State needed to reverse the operation
+    before: {
+        // Full snapshots of stories the operation deletes (merge source)
+        deletedStories: [{ type: mongoose.Schema.Types.Mixed }],
+        // Prior values of fields the operation changed on stories it kept
+        // (merge target's firstSeen), as [{ storyId, fields: { name: value } }]
+        updatedStories: [{
+            _id: false,
+            storyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Story' },
+            fields: { type: mongoose.Schema.Types.Mixed }
+        }],
+        // Story created by the operation (split target)
+        createdStoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Story', default: null },
+        // Where each moved StorySource lived before
+        links: [{
+            storySourceId: { type: mongoose.Schema.Types.ObjectId, ref: 'StorySource' },
+            storyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Story' },
+            isPrimary: { type: Boolean, default: false }
+        }]
+    },
+
+    // Undo bookkeeping
+    undoneAt: {
+        type: Date,
+        default: null
+    },
+    undoneBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // For 'undo' entries: the operation that was reversed
+    undoOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StoryAuditLog',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+StoryAuditLogSchema.index({ storyIds: 1, createdAt: -1 });
+StoryAuditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('StoryAuditLog', StoryAuditLogSchema);
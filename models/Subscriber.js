@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const User = require('./User');
+
+/**
+ * Subscriber Model - An email-only newsletter subscriber (no app account)
+ * Sign-up is double opt-in: a subscriber stays `pending` until the emailed
+ * confirmation link is followed. A suppressed address (hard bounce or spam
+ * complaint) is never mailed again, whatever its status.
+ */
+const SubscriberSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Invalid email address']
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'active', 'unsubscribed'],
+        default: 'pending'
+    },
+
+    // Same vocabulary as User.preferences.categories
+    categories: {
+        type: [{ type: String, enum: User.NEWS_CATEGORIES }],
+        default: ['general', 'technology', 'science', 'health']
+    },
+    frequency: {
+        type: String,
+        enum: ['daily', 'weekly'],
+        default: 'daily'
+    },
+    timezone: {
+        type: String,
+        default: 'UTC',
+        validate: {
+            validator: (value) => {
+                try {
+                    new Intl.DateTimeFormat('en-US', { timeZone: value });
+                    return true;
+                } catch (error) {
+                    return false;
+                }
+            },
+            message: 'Invalid time zone'
+        }
+    },
+    // Local hour (0-23) to send at
+    deliveryHour: {
+        type: Number,
+        min: 0,
+        max: 23,
+        default: 7
+    },
+
+    confirmationSentAt: {
+        type: Date,
+        default: null
+    },
+    confirmedAt: {
+        type: Date,
+        default: null
+    },
+    unsubscribedAt: {
+        type: Date,
+        default: null
+    },
+    // How the subscriber left: 'link', 'one_click', 'complaint'
+    unsubscribeSource: {
+        type: String,
+        default: null
+    },
+
+    suppression: {
+        reason: {
+            type: String,
+            enum: ['bounce', 'complaint', null],
+            default: null
+        },
+        detail: {
+            type: String,
+            default: null
+        },
+        at: {
+            type: Date,
+            default: null
+        }
+    },
+
+    // Where the sign-up came from (e.g. 'landing', 'footer')
+    source: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+SubscriberSchema.index({ status: 1, frequency: 1 });
+SubscriberSchema.index({ 'suppression.reason': 1 });
+
+/**
+ * Whether an address is on the suppression list (subscriber or not)
+ */
+SubscriberSchema.statics.isSuppressed = async function (email) {
+    if (!email) return false;
+    const found = await this.exists({ email: email.toLowerCase(), 'suppression.reason': { $ne: null } });
+    return Boolean(found);
+};
+
+SubscriberSchema.methods.isDeliverable = function () {
+    return this.status === 'active' && !this.suppression?.reason;
+};
+
+module.exports = mongoose.model('Subscriber', SubscriberSchema);
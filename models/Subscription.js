@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+/**
+ * Subscription Model - Premium entitlement bought by a Payment
+ * User.isPremium / premiumExpiry are a cache of the user's active subscriptions
+ */
+const SubscriptionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    planId: {
+        type: String,
+        required: true
+    },
+    // Null for trials and fully discounted grants
+    orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        default: null
+    },
+    paymentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment',
+        default: undefined,
+        unique: true,
+        sparse: true
+    },
+
+    // How the entitlement was obtained
+    source: {
+        type: String,
+        enum: ['purchase', 'trial', 'coupon', 'plan_change'],
+        default: 'purchase'
+    },
+    isTrial: {
+        type: Boolean,
+        default: false
+    },
+    // Razorpay Subscriptions id, for recurring plans billed by the provider
+    providerSubscriptionId: {
+        type: String,
+        default: null,
+        index: true
+    },
+
+    // Entitlement window (renewals stack after the current end date)
+    startsAt: {
+        type: Date,
+        required: true
+    },
+    endsAt: {
+        type: Date,
+        required: true
+    },
+
+    status: {
+        type: String,
+        enum: ['active', 'expiring_soon', 'grace', 'expired', 'refunded', 'cancelled'],
+        default: 'active'
+    },
+    statusHistory: [{
+        status: { type: String },
+        at: { type: Date, default: Date.now },
+        note: { type: String }
+    }]
+}, {
+    timestamps: true
+});
+
+SubscriptionSchema.index({ userId: 1, status: 1, endsAt: -1 });
+SubscriptionSchema.index({ status: 1, endsAt: 1 });
+// One trial per user, enforced by the database so concurrent /start-trial calls cannot stack
+SubscriptionSchema.index({ userId: 1, isTrial: 1 }, { unique: true, partialFilterExpression: { isTrial: true } });
+
+// Statuses that still grant premium (grace runs past endsAt)
+SubscriptionSchema.statics.ENTITLED_STATUSES = ['active', 'expiring_soon', 'grace'];
+
+// Days of premium access kept after the last subscription ends
+SubscriptionSchema.statics.GRACE_PERIOD_DAYS = parseInt(process.env.PREMIUM_GRACE_DAYS) || 3;
+
+/**
+ * Move to a new status and append it to the history
+ */
+SubscriptionSchema.methods.setStatus = function (status, note = '') {
+    if (this.status === status && this.statusHistory.length > 0) return this;
+
+    this.status = status;
+    this.statusHistory.push({ status, at: new Date(), note });
+    return this;
+};
+
+// Record the initial status
+SubscriptionSchema.pre('save', function (next) {
+    if (this.isNew && this.statusHistory.length === 0) {
+        this.statusHistory.push({ status: this.status, at: new Date() });
+    }
+    next();
+});
+
+module.exports = mongoose.model('Subscription', SubscriptionSchema);
@@ -2,6 +2,9 @@
 // Combines Firebase auth, Google OAuth, local auth, premium, and creator features
 const mongoose = require('mongoose');
 
+// Story categories a reader can follow (shared with newsletter subscribers)
+const NEWS_CATEGORIES = ['general', 'business', 'entertainment', 'health', 'science', 'sports', 'technology'];
+
 const userSchema = new mongoose.Schema({
     // ======================
     // IDENTITY & AUTH
@@ -88,6 +91,37 @@ const userSchema = new mongoose.Schema({
         type: Date,
         default: null
     },
+    // Lifecycle of the user's entitlement (maintained by premiumLifecycleService)
+    premiumStatus: {
+        type: String,
+        enum: ['none', 'active', 'expiring_soon', 'grace', 'expired'],
+        default: 'none'
+    },
+    // Access continues until this date after premiumExpiry passes
+    premiumGraceUntil: {
+        type: Date,
+        default: null
+    },
+    // ISO 3166-1 alpha-2, used for regional plan pricing
+    billingCountry: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        default: null
+    },
+    // GST place of supply and registration, printed on invoices
+    billingState: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    gstin: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        match: [/^[0-9]{2}[A-Z0-9]{13}$/, 'Invalid GSTIN'],
+        default: null
+    },
 
     // ======================
     // CREATOR VERIFICATION
@@ -135,11 +169,49 @@ const userSchema = new mongoose.Schema({
             default: 1.0
         },
         categories: {
-            type: [String],
+            type: [{ type: String, enum: NEWS_CATEGORIES }],
             default: ['general', 'technology', 'science', 'health']
         }
     },
 
+    // IANA time zone, used to deliver the newsletter at the user's local hour
+    timezone: {
+        type: String,
+        default: 'UTC',
+        validate: {
+            validator: (value) => {
+                try {
+                    new Intl.DateTimeFormat('en-US', { timeZone: value });
+                    return true;
+                } catch (error) {
+                    return false;
+                }
+            },
+            message: 'Invalid time zone'
+        }
+    },
+
+    // Daily brief email
+    newsletter: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        // Local hour (0-23) to send at
+        deliveryHour: {
+            type: Number,
+            min: 0,
+            max: 23,
+            default: 7
+        },
+        // 'weekly' sends the weekly digest instead of the daily brief
+        frequency: {
+            type: String,
+            enum: ['daily', 'weekly'],
+            default: 'daily'
+        }
+    },
+
     // ======================
     // ARTICLE INTERACTIONS (from server/)
     // ======================
@@ -208,11 +280,14 @@ const userSchema = new mongoose.Schema({
 // ======================
 
 userSchema.index({ verificationStatus: 1 });
+userSchema.index({ 'newsletter.enabled': 1 });
 
 // ======================
 // STATIC METHODS
 // ======================
 
+userSchema.statics.NEWS_CATEGORIES = NEWS_CATEGORIES;
+
 // Find or create user by Firebase UID (from server/)
 userSchema.statics.getOrCreateByFirebase = async function (decodedToken) {
     const { uid, email, name, picture } = decodedToken;
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+/**
+ * WebhookEvent Model - Provider webhook deliveries
+ * The unique (provider, eventId) pair makes redeliveries no-ops. A delivery
+ * being processed holds a lease (lockedUntil); if the process dies mid-way the
+ * lease runs out and the next redelivery reclaims the event.
+ */
+const WebhookEventSchema = new mongoose.Schema({
+    provider: {
+        type: String,
+        default: 'razorpay'
+    },
+    eventId: {
+        type: String,
+        required: true
+    },
+    event: {
+        type: String,
+        required: true
+    },
+
+    status: {
+        type: String,
+        enum: ['processing', 'processed', 'ignored', 'failed'],
+        default: 'processing'
+    },
+    attempts: {
+        type: Number,
+        default: 1
+    },
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    error: {
+        type: String,
+        default: null
+    },
+
+    payload: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    processedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+WebhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+WebhookEventSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookEvent', WebhookEventSchema);
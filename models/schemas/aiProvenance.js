@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// llmService providers ('local' is a self-hosted OpenAI-compatible server) plus 'builtin'
+const PROVIDERS = ['huggingface', 'gemma', 'openrouter', 'local', 'builtin'];
+
+/**
+ * AI Provenance - How one AI-generated field was produced
+ * Embedded per field (News.aiProvenance.summary, Story.aiProvenance.mood, ...)
+ * so clients can label machine-written text and admins can find and reprocess
+ * output from a bad model or prompt version.
+ */
+const AiProvenanceSchema = new mongoose.Schema({
+    // An llmService provider, or 'builtin' for rule-based code and fallbacks in this server
+    provider: {
+        type: String,
+        enum: PROVIDERS,
+        required: true
+    },
+    model: {
+        type: String,
+        required: true
+    },
+    // Version of the prompt, template or request parameters
+    promptVersion: {
+        type: String,
+        default: null
+    },
+    // sha256 of the title and body the value was generated from
+    inputHash: {
+        type: String,
+        default: null
+    },
+    latencyMs: {
+        type: Number,
+        default: null
+    },
+    // A stand-in produced because no model was configured or the call failed
+    simulated: {
+        type: Boolean,
+        default: false
+    },
+    // Decision served from the decision cache instead of a model call
+    cached: {
+        type: Boolean,
+        default: false
+    },
+    // Set when the text was translated back into the article's language
+    translationModel: {
+        type: String,
+        default: null
+    },
+    generatedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+module.exports = AiProvenanceSchema;
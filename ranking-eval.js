@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+/**
+ * Ranking Evaluation CLI
+ *
+ * Snapshot the story collections, then replay them through two ranking
+ * profiles and print metrics plus an ordering diff.
+ *
+ *   node ranking-eval.js snapshot [--out snapshot.json] [--max-age-hours 72]
+ *   node ranking-eval.js compare <snapshot.json> [--baseline calm-default] [--candidate breaking] [--k 10] [--json]
+ *
+ * Profiles are names (from the snapshot or the built-in seeds) or paths to a
+ * JSON file shaped like a RankingProfile document.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const rankingEvaluationService = require('./services/rankingEvaluationService');
+
+function parseArgs(argv) {
+    const args = { _: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg.startsWith('--')) {
+            const key = arg.slice(2);
+            const next = argv[i + 1];
+            if (next === undefined || next.startsWith('--')) {
+                args[key] = true;
+            } else {
+                args[key] = next;
+                i++;
+            }
+        } else {
+            args._.push(arg);
+        }
+    }
+
+    return args;
+}
+
+function usage() {
+    console.log(`Usage:
+  node ranking-eval.js snapshot [--out snapshot.json] [--max-age-hours 72]
+  node ranking-eval.js compare <snapshot.json> [--baseline calm-default] [--candidate breaking] [--k 10] [--json]`);
+}
+
+/**
+ * A profile argument is either a name or a path to a JSON profile
+ */
+function loadProfileArg(value) {
+    if (!value.endsWith('.json')) return value;
+
+    const profile = JSON.parse(fs.readFileSync(path.resolve(value), 'utf8'));
+    const { sourceCount = 0, sourceDiversity = 0, credibility = 0, recency = 0 } = profile.weights || {};
+    const total = sourceCount + sourceDiversity + credibility + recency;
+
+    if (Math.abs(total - 1) > 0.01) {
+        throw new Error(`Weights in ${value} must sum to 1 (got ${total})`);
+    }
+
+    return {
+        name: profile.name || path.basename(value, '.json'),
+        recencyHorizonHours: 24,
+        ...profile
+    };
+}
+
+async function snapshot(args) {
+    if (!process.env.MONGODB_URI) {
+        throw new Error('MONGODB_URI is required to take a snapshot');
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    try {
+        const data = await rankingEvaluationService.createSnapshot({
+            maxAgeHours: parseInt(args['max-age-hours']) || 72
+        });
+
+        const out = args.out || `ranking-snapshot-${data.asOf.replace(/[:.]/g, '-')}.json`;
+        fs.writeFileSync(out, JSON.stringify(data, null, 2));
+
+        console.log(`Wrote ${data.stories.length} stories and ${data.storySources.length} source links to ${out}`);
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+function compare(args) {
+    const [file] = args._;
+    if (!file) {
+        usage();
+        process.exitCode = 1;
+        return;
+    }
+
+    const data = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+
+    const result = rankingEvaluationService.compare(
+        data,
+        loadProfileArg(args.baseline || 'calm-default'),
+        loadProfileArg(args.candidate || 'breaking'),
+        { k: parseInt(args.k) || 10 }
+    );
+
+    console.log(args.json ? JSON.stringify(result, null, 2) : rankingEvaluationService.formatReport(result));
+}
+
+async function main() {
+    const [command, ...rest] = process.argv.slice(2);
+    const args = parseArgs(rest);
+
+    switch (command) {
+        case 'snapshot':
+            await snapshot(args);
+            break;
+        case 'compare':
+            compare(args);
+            break;
+        default:
+            usage();
+            process.exitCode = command ? 1 : 0;
+    }
+}
+
+main().catch(error => {
+    console.error(`ranking-eval: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const weeklyDigestService = require('../services/weeklyDigestService');
+const ApiResponse = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { optionalAuth } = require('../middleware/auth');
+
+/**
+ * Digest Routes
+ * "What you missed" digests for readers who check in weekly
+ * All routes prefixed with /api/digest
+ */
+
+// GET /api/digest/weekly - Most important stories of the past 7 days, by category
+// ?categories=science,health lists those sections only; otherwise signed-in
+// readers see their preferred categories first.
+router.get('/weekly', optionalAuth, asyncHandler(async (req, res) => {
+    const digest = await weeklyDigestService.getDigest();
+
+    if (req.query.categories) {
+        const categories = String(req.query.categories).split(',').map(c => c.trim()).filter(Boolean);
+        return ApiResponse.success(res, 'Weekly digest retrieved successfully',
+            weeklyDigestService.forCategories(digest, categories, { only: true }));
+    }
+
+    const preferred = req.user?.preferences?.categories || [];
+    return ApiResponse.success(res, 'Weekly digest retrieved successfully',
+        weeklyDigestService.forCategories(digest, preferred));
+}));
+
+module.exports = router;
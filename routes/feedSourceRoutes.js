@@ -0,0 +1,155 @@
+const express = require('express');
+const router = express.Router();
+const FeedSource = require('../models/FeedSource');
+const newsFetchService = require('../services/newsFetchService');
+const ApiResponse = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authMiddleware, requireAdmin } = require('../middleware/auth');
+const { logger } = require('../middleware/logger');
+
+/**
+ * Feed Source Routes (admin)
+ * CRUD for the registry of endpoints the ingestion cron polls
+ * All routes prefixed with /api/feed-sources
+ */
+
+// Fields admins may set; polling state is managed by the fetch service
+const EDITABLE_FIELDS = [
+    'name', 'adapter', 'endpoint', 'params', 'apiKeyEnv',
+    'pollIntervalMinutes', 'enabled', 'defaultCategory', 'extractFullText'
+];
+
+const pickEditable = (body) => {
+    return EDITABLE_FIELDS.reduce((acc, field) => {
+        if (body[field] !== undefined) acc[field] = body[field];
+        return acc;
+    }, {});
+};
+
+router.use(authMiddleware, requireAdmin);
+
+// GET /api/feed-sources - List registered sources
+router.get('/', asyncHandler(async (req, res) => {
+    const { adapter, enabled } = req.query;
+
+    const query = {};
+    if (adapter) query.adapter = adapter;
+    if (enabled !== undefined) query.enabled = enabled === 'true';
+
+    const sources = await FeedSource.find(query).sort({ name: 1 });
+
+    return ApiResponse.success(res, 'Feed sources retrieved successfully', sources);
+}));
+
+// GET /api/feed-sources/health - Ingestion health table (worst first)
+router.get('/health', asyncHandler(async (req, res) => {
+    const now = new Date();
+    const sources = await FeedSource.find().sort({ name: 1 });
+
+    const severity = { failing: 0, stale: 1, degraded: 2, unknown: 3, healthy: 4, paused: 5 };
+
+    const table = sources
+        .map(source => ({
+            id: source._id,
+            name: source.name,
+            adapter: source.adapter,
+            enabled: source.enabled,
+            status: source.getHealthStatus(now),
+            lastPolledAt: source.lastPolledAt,
+            lastSuccessAt: source.health.lastSuccessAt,
+            lastFailureAt: source.health.lastFailureAt,
+            lastError: source.health.lastError || null,
+            consecutiveFailures: source.health.consecutiveFailures,
+            lastYield: source.health.lastYield,
+            totalYield: source.health.totalYield,
+            lastArticleAt: source.health.lastArticleAt,
+            lastLatencyMs: source.health.lastLatencyMs,
+            backoffUntil: source.health.backoffUntil && source.health.backoffUntil > now
+                ? source.health.backoffUntil
+                : null
+        }))
+        .sort((a, b) => severity[a.status] - severity[b.status]);
+
+    const summary = table.reduce((acc, row) => ({ ...acc, [row.status]: (acc[row.status] || 0) + 1 }), {});
+
+    return ApiResponse.success(res, 'Ingestion health retrieved successfully', {
+        summary,
+        sources: table
+    });
+}));
+
+// GET /api/feed-sources/:id - Get a single source
+router.get('/:id', asyncHandler(async (req, res) => {
+    const source = await FeedSource.findById(req.params.id);
+
+    if (!source) {
+        return ApiResponse.notFound(res, 'Feed source not found');
+    }
+
+    return ApiResponse.success(res, 'Feed source retrieved successfully', source);
+}));
+
+// POST /api/feed-sources - Register a new source
+router.post('/', asyncHandler(async (req, res) => {
+    const source = await FeedSource.create(pickEditable(req.body));
+
+    logger.info(`Feed source registered: ${source.name} (${source.adapter})`);
+
+    return ApiResponse.created(res, 'Feed source created successfully', source);
+}));
+
+// PUT /api/feed-sources/:id - Update a source (including enable/pause)
+router.put('/:id', asyncHandler(async (req, res) => {
+    const source = await FeedSource.findById(req.params.id);
+
+    if (!source) {
+        return ApiResponse.notFound(res, 'Feed source not found');
+    }
+
+    const updates = pickEditable(req.body);
+    source.set(updates);
+
+    // A new endpoint invalidates the conditional GET validators
+    if (updates.endpoint !== undefined) {
+        source.etag = null;
+        source.lastModified = null;
+    }
+
+    await source.save();
+
+    logger.info(`Feed source updated: ${source.name}`);
+
+    return ApiResponse.success(res, 'Feed source updated successfully', source);
+}));
+
+// DELETE /api/feed-sources/:id - Remove a source
+router.delete('/:id', asyncHandler(async (req, res) => {
+    const source = await FeedSource.findByIdAndDelete(req.params.id);
+
+    if (!source) {
+        return ApiResponse.notFound(res, 'Feed source not found');
+    }
+
+    logger.info(`Feed source removed: ${source.name}`);
+
+    return ApiResponse.success(res, 'Feed source deleted successfully', { id: source._id });
+}));
+
+// POST /api/feed-sources/:id/poll - Poll a source now (ignores its interval)
+router.post('/:id/poll', asyncHandler(async (req, res) => {
+    const source = await FeedSource.findById(req.params.id);
+
+    if (!source) {
+        return ApiResponse.notFound(res, 'Feed source not found');
+    }
+
+    const articles = await newsFetchService.pollSource(source);
+    const result = await newsFetchService.saveArticles(articles);
+
+    return ApiResponse.success(res, `Polled ${source.name}`, {
+        fetched: articles.length,
+        ...result
+    });
+}));
+
+module.exports = router;
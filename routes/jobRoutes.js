@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const Job = require('../models/Job');
+const jobQueueService = require('../services/jobQueueService');
+const ApiResponse = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authMiddleware, requireAdmin } = require('../middleware/auth');
+
+/**
+ * Job Routes (admin)
+ * Inspect the background job queue and requeue dead jobs
+ * All routes prefixed with /api/jobs
+ */
+
+router.use(authMiddleware, requireAdmin);
+
+// GET /api/jobs/stats - Queue depth per type and status, oldest due job, worker state
+router.get('/stats', asyncHandler(async (req, res) => {
+    const stats = await jobQueueService.getStats();
+    return ApiResponse.success(res, 'Job queue stats retrieved successfully', stats);
+}));
+
+// GET /api/jobs - List jobs (?status=dead, ?type=article.ai, ?page, ?limit)
+router.get('/', asyncHandler(async (req, res) => {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.type) query.type = req.query.type;
+
+    const [jobs, total] = await Promise.all([
+        Job.find(query)
+            .sort({ updatedAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        Job.countDocuments(query)
+    ]);
+
+    return ApiResponse.paginated(res, 'Jobs retrieved successfully', jobs, { page, limit, total });
+}));
+
+// GET /api/jobs/:id - One job with its last error and result
+router.get('/:id', asyncHandler(async (req, res) => {
+    const job = await Job.findById(req.params.id).lean();
+
+    if (!job) {
+        return ApiResponse.notFound(res, 'Job not found');
+    }
+
+    return ApiResponse.success(res, 'Job retrieved successfully', job);
+}));
+
+// POST /api/jobs/requeue - Requeue dead jobs { ids?, type? } (default: all dead jobs)
+router.post('/requeue', asyncHandler(async (req, res) => {
+    const { ids, type } = req.body || {};
+    const requeued = await jobQueueService.requeueDead({ ids, type });
+
+    return ApiResponse.success(res, `Requeued ${requeued} jobs`, { requeued });
+}));
+
+// POST /api/jobs/:id/requeue - Requeue one dead job
+router.post('/:id/requeue', asyncHandler(async (req, res) => {
+    const requeued = await jobQueueService.requeueDead({ ids: [req.params.id] });
+
+    if (requeued === 0) {
+        return ApiResponse.notFound(res, 'Dead job not found');
+    }
+
+    return ApiResponse.success(res, 'Job requeued', { requeued });
+}));
+
+module.exports = router;
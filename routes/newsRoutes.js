@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const newsController = require('../controllers/newsController');
+const { optionalAuth, authMiddleware, requireAdmin } = require('../middleware/auth');
 
 /**
  * News Routes
@@ -11,8 +12,9 @@ const newsController = require('../controllers/newsController');
 // Query params: page, limit, category, mood, sortBy, order
 router.get('/', newsController.getAllNews);
 
-// GET daily brief (top 5 articles)
-router.get('/daily-brief', newsController.getDailyBrief);
+// GET the caller's personalised daily brief (signed-out readers get the default brief)
+// Query params: limit, refresh
+router.get('/daily-brief', optionalAuth, newsController.getDailyBrief);
 
 // GET latest summaries (legacy endpoint)
 router.get('/summaries/latest', newsController.getLatestSummaries);
@@ -37,11 +39,17 @@ router.post('/sync', (req, res) => {
   newsController.syncNews({ ...req, manual: true }, res);
 });
 
+// POST queue articles for AI reprocessing by provenance (admin)
+// Body: field, provider, model, promptVersion, simulated, since, until, ids, limit, dryRun
+router.post('/reprocess', authMiddleware, requireAdmin, newsController.reprocessNews);
+
 // GET brain status (AI architecture status)
-router.get('/brain/status', (req, res) => {
+router.get('/brain/status', async (req, res) => {
   try {
     const brainService = require('../services/brainService');
+    const decisionMakerService = require('../services/decisionMakerService');
     const status = brainService.getStatus();
+    const decisionCache = await decisionMakerService.getCacheStats();
     res.json({
       success: true,
       brain: {
@@ -50,7 +58,8 @@ router.get('/brain/status', (req, res) => {
           decisionMaker: {
             name: 'Mistral-7B (Decision)',
             enabled: status.services.decisionMaker.enabled,
-            model: status.services.decisionMaker.model
+            model: status.services.decisionMaker.model,
+            cache: decisionCache
           },
           multilingual: {
             name: 'Qwen 2.5 (Translation)',
@@ -62,7 +71,8 @@ router.get('/brain/status', (req, res) => {
             enabled: status.services.huggingFace.enabled,
             tasks: ['Summarization', 'Mood', 'Embeddings']
           }
-        }
+        },
+        llm: status.llm
       }
     });
   } catch (error) {
@@ -0,0 +1,207 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const NewsletterSend = require('../models/NewsletterSend');
+const Subscriber = require('../models/Subscriber');
+const newsletterService = require('../services/newsletterService');
+const subscriberService = require('../services/subscriberService');
+const ApiResponse = require('../utils/apiResponse');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { authMiddleware, requireAdmin } = require('../middleware/auth');
+
+/**
+ * Newsletter Routes
+ * Daily brief email settings, preview and delivery history for app users,
+ * and sign-up, confirmation, management and unsubscribe for email-only
+ * subscribers (these use signed links instead of auth)
+ * All routes prefixed with /api/newsletter
+ */
+
+const settingsOf = (user) => ({
+    enabled: user.newsletter?.enabled || false,
+    deliveryHour: user.newsletter?.deliveryHour ?? 7,
+    frequency: user.newsletter?.frequency || 'daily',
+    timezone: user.timezone || 'UTC',
+    email: user.email
+});
+
+// Confirmation and unsubscribe links are opened in a browser; API clients get JSON
+const respond = (res, status, title, message, extraHtml = '') => res.status(status).format({
+    html: () => res.send(`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${title}</title></head>
+<body style="font-family:Georgia,'Times New Roman',serif;max-width:520px;margin:48px auto;padding:0 16px;color:#333">
+<h1 style="font-size:22px">${title}</h1>
+<p>${message}</p>
+${extraHtml}
+</body>
+</html>`),
+    default: () => res.json({ success: status < 400, message })
+});
+
+const tokenFrom = (req) => req.query.token || req.body?.token;
+
+// GET /api/newsletter/settings - Current delivery settings
+router.get('/settings', authMiddleware, asyncHandler(async (req, res) => {
+    return ApiResponse.success(res, 'Newsletter settings retrieved successfully', settingsOf(req.user));
+}));
+
+// PUT /api/newsletter/settings - Update { enabled, deliveryHour, frequency, timezone }
+router.put('/settings', authMiddleware, asyncHandler(async (req, res) => {
+    const { enabled, deliveryHour, frequency, timezone } = req.body;
+    const update = {};
+
+    if (enabled !== undefined) update['newsletter.enabled'] = Boolean(enabled);
+    if (deliveryHour !== undefined) update['newsletter.deliveryHour'] = Number(deliveryHour);
+    if (frequency !== undefined) update['newsletter.frequency'] = frequency;
+    if (timezone !== undefined) update.timezone = timezone;
+
+    if (Object.keys(update).length === 0) {
+        throw new AppError('Nothing to update', 400);
+    }
+
+    const user = await User.findByIdAndUpdate(
+        req.user._id,
+        { $set: update },
+        { new: true, runValidators: true }
+    );
+
+    return ApiResponse.success(res, 'Newsletter settings updated', settingsOf(user));
+}));
+
+// GET /api/newsletter/preview - Today's email for the signed-in user
+// ?kind=daily|weekly (defaults to the user's frequency), ?format=html|text|json
+router.get('/preview', authMiddleware, asyncHandler(async (req, res) => {
+    const kind = ['daily', 'weekly'].includes(req.query.kind) ? req.query.kind : undefined;
+    const message = await newsletterService.preview(req.user, { kind });
+
+    if (req.query.format === 'html') {
+        return res.type('html').send(message.html);
+    }
+    if (req.query.format === 'text') {
+        return res.type('text').send(message.text);
+    }
+
+    return ApiResponse.success(res, 'Newsletter preview generated', message);
+}));
+
+// GET /api/newsletter/sends - The signed-in user's delivery history
+router.get('/sends', authMiddleware, asyncHandler(async (req, res) => {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+    const query = { userId: req.user._id };
+
+    const [sends, total] = await Promise.all([
+        NewsletterSend.find(query)
+            .sort({ date: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        NewsletterSend.countDocuments(query)
+    ]);
+
+    return ApiResponse.paginated(res, 'Newsletter sends retrieved successfully', sends, { page, limit, total });
+}));
+
+// POST /api/newsletter/subscribe - Sign up without an account (double opt-in)
+// Body: { email, categories?, frequency?, timezone?, deliveryHour?, source? }
+router.post('/subscribe', asyncHandler(async (req, res) => {
+    await subscriberService.subscribe(req.body);
+
+    // Same answer whether or not the address was already known
+    return ApiResponse.success(res, 'Check your inbox to confirm your subscription', null, 202);
+}));
+
+// GET /api/newsletter/confirm?token= - Confirmation link from the sign-up email
+router.get('/confirm', asyncHandler(async (req, res) => {
+    try {
+        await subscriberService.confirm(req.query.token);
+    } catch (error) {
+        if (error.statusCode !== 400) throw error;
+        return respond(res, 400, 'Link expired', 'This confirmation link is invalid or has expired. Please sign up again.');
+    }
+    return respond(res, 200, 'Subscription confirmed', 'You will start receiving the Newslett brief at your chosen time.');
+}));
+
+// GET /api/newsletter/subscription?token= - A subscriber's settings (manage link)
+router.get('/subscription', asyncHandler(async (req, res) => {
+    const subscriber = await subscriberService.getSubscription(tokenFrom(req));
+    return ApiResponse.success(res, 'Subscription retrieved successfully', subscriberService.toPublic(subscriber));
+}));
+
+// PUT /api/newsletter/subscription?token= - Update { categories, frequency, timezone, deliveryHour }
+router.put('/subscription', asyncHandler(async (req, res) => {
+    const subscriber = await subscriberService.updateSubscription(tokenFrom(req), req.body);
+    return ApiResponse.success(res, 'Subscription updated', subscriberService.toPublic(subscriber));
+}));
+
+// GET /api/newsletter/unsubscribe?token= - Unsubscribe page
+// Link scanners follow GET links, so this only asks; the button POSTs.
+router.get('/unsubscribe', asyncHandler(async (req, res) => {
+    const token = String(req.query.token || '');
+    try {
+        subscriberService.verifyToken(token, 'manage');
+    } catch (error) {
+        return respond(res, 400, 'Link expired', 'This unsubscribe link is invalid. Use the link in your most recent email.');
+    }
+
+    return respond(res, 200, 'Unsubscribe', 'Stop receiving the Newslett brief at this address?',
+        `<form method="post" action="?token=${encodeURIComponent(token)}">
+<button type="submit" style="padding:10px 18px;background:#6b8f71;color:#ffffff;border:0;border-radius:4px;font-size:15px">Unsubscribe</button>
+</form>`);
+}));
+
+// POST /api/newsletter/unsubscribe?token= - One-click unsubscribe (RFC 8058)
+// Mail clients POST "List-Unsubscribe=One-Click" to the List-Unsubscribe URL.
+router.post('/unsubscribe', asyncHandler(async (req, res) => {
+    const source = req.body?.['List-Unsubscribe'] === 'One-Click' ? 'one_click' : 'link';
+    await subscriberService.unsubscribe(tokenFrom(req), { source });
+
+    return respond(res, 200, 'Unsubscribed', 'You will not receive the Newslett brief at this address any more.');
+}));
+
+// GET /api/newsletter/subscribers - Email-only subscribers (admin, ?status, ?suppressed=true)
+router.get('/subscribers', authMiddleware, requireAdmin, asyncHandler(async (req, res) => {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.suppressed === 'true') query['suppression.reason'] = { $ne: null };
+
+    const [subscribers, total] = await Promise.all([
+        Subscriber.find(query)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        Subscriber.countDocuments(query)
+    ]);
+
+    return ApiResponse.paginated(res, 'Subscribers retrieved successfully', subscribers, { page, limit, total });
+}));
+
+// POST /api/newsletter/suppressions - Stop mail to an address { email, reason: bounce|complaint, detail? } (admin)
+router.post('/suppressions', authMiddleware, requireAdmin, asyncHandler(async (req, res) => {
+    const { email, reason, detail } = req.body;
+    if (!email) {
+        throw new AppError('Email is required', 400);
+    }
+
+    const subscriber = await subscriberService.suppress(email, reason, detail);
+    return ApiResponse.success(res, 'Address suppressed', subscriber);
+}));
+
+// DELETE /api/newsletter/suppressions/:email - Lift a suppression (admin)
+router.delete('/suppressions/:email', authMiddleware, requireAdmin, asyncHandler(async (req, res) => {
+    const subscriber = await subscriberService.unsuppress(req.params.email);
+    return ApiResponse.success(res, 'Suppression lifted', subscriber);
+}));
+
+// POST /api/newsletter/dispatch - Send to everyone due now (admin)
+router.post('/dispatch', authMiddleware, requireAdmin, asyncHandler(async (req, res) => {
+    const stats = await newsletterService.dispatchDue();
+    return ApiResponse.success(res, 'Newsletter dispatch complete', stats);
+}));
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const Notification = require('../models/Notification');
+const ApiResponse = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authMiddleware } = require('../middleware/auth');
+
+/**
+ * Notification Routes
+ * In-app notifications for the signed-in user (renewal reminders, grace, lapse)
+ * All routes prefixed with /api/notifications
+ */
+
+// GET /api/notifications - List the user's notifications (?unread=true, ?page, ?limit)
+router.get('/', authMiddleware, asyncHandler(async (req, res) => {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+
+    const query = { userId: req.user._id };
+    if (req.query.unread === 'true') query.readAt = null;
+
+    const [notifications, total, unread] = await Promise.all([
+        Notification.find(query)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .select('-dedupeKey')
+            .lean(),
+        Notification.countDocuments(query),
+        Notification.countDocuments({ userId: req.user._id, readAt: null })
+    ]);
+
+    return ApiResponse.paginated(res, 'Notifications retrieved successfully', { notifications, unread }, {
+        page,
+        limit,
+        total
+    });
+}));
+
+// POST /api/notifications/read-all - Mark every notification read
+router.post('/read-all', authMiddleware, asyncHandler(async (req, res) => {
+    const result = await Notification.updateMany(
+        { userId: req.user._id, readAt: null },
+        { $set: { readAt: new Date() } }
+    );
+
+    return ApiResponse.success(res, 'Notifications marked as read', { updated: result.modifiedCount });
+}));
+
+// POST /api/notifications/:id/read - Mark one notification read
+router.post('/:id/read', authMiddleware, asyncHandler(async (req, res) => {
+    const notification = await Notification.findOneAndUpdate(
+        { _id: req.params.id, userId: req.user._id },
+        { $set: { readAt: new Date() } },
+        { new: true }
+    );
+
+    if (!notification) {
+        return ApiResponse.notFound(res, 'Notification not found');
+    }
+
+    return ApiResponse.success(res, 'Notification marked as read', notification);
+}));
+
+module.exports = router;
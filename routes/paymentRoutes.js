@@ -1,90 +1,304 @@
 // Payment API Routes
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
-const {
-    createOrder,
-    verifyPayment,
-    processRefund,
-    getPaymentDetails,
-    PLANS,
-    RAZORPAY_KEY_ID
-} = require('../services/paymentService');
+const paymentService = require('../services/paymentService');
 const User = require('../models/User');
-const { authMiddleware } = require('../middleware/auth');
+const Order = require('../models/Order');
+const Plan = require('../models/Plan');
+const Coupon = require('../models/Coupon');
+const paymentLedgerService = require('../services/paymentLedgerService');
+const paymentWebhookService = require('../services/paymentWebhookService');
+const planCatalogService = require('../services/planCatalogService');
+const invoiceService = require('../services/invoiceService');
+const { authMiddleware, optionalAuth, requireAdmin } = require('../middleware/auth');
+
+/**
+ * Shape a quote for clients (major currency units)
+ */
+const presentQuote = (quote) => ({
+    id: quote.planId,
+    name: quote.name,
+    amount: quote.amount / 100,
+    originalAmount: quote.baseAmount / 100,
+    discount: quote.discount / 100,
+    currency: quote.currency,
+    period: quote.period,
+    durationDays: quote.durationDays,
+    description: quote.description,
+    coupon: quote.coupon,
+    couponError: quote.couponError || undefined,
+    trialDays: quote.trialDays,
+    trialAvailable: quote.trialAvailable,
+    direction: quote.direction,
+    proration: quote.proration ? {
+        fromPlanId: quote.proration.fromPlanId,
+        remainingDays: quote.proration.remainingDays,
+        credit: quote.proration.credit / 100,
+        extraDays: quote.proration.extraDays
+    } : undefined
+});
+
+/**
+ * Create a provider order for a quote, or grant directly when nothing is due
+ */
+const checkout = async (req, plan, quote, source) => {
+    if (quote.amount === 0) {
+        const { premiumExpiry } = await paymentLedgerService.grantWithoutPayment({
+            userId: req.user._id,
+            plan,
+            quote,
+            source
+        });
+        return { paymentRequired: false, premiumExpiry, quote: presentQuote(quote) };
+    }
+
+    // Hold the coupon redemption from the moment the order exists; it is
+    // given back if the order cannot be created or later expires unpaid
+    const orderId = new mongoose.Types.ObjectId();
+    const couponCode = quote.coupon?.code;
+    if (couponCode) {
+        await planCatalogService.reserveCoupon(couponCode, req.user._id, { orderId });
+    }
+
+    let order;
+    try {
+        order = await paymentService.createOrder(quote, req.user._id.toString());
+
+        await paymentLedgerService.recordOrder({
+            orderId,
+            userId: req.user._id,
+            quote,
+            providerOrder: order
+        });
+    } catch (error) {
+        if (couponCode) {
+            await planCatalogService.releaseCoupon(couponCode, { orderId });
+        }
+        throw error;
+    }
+
+    return { paymentRequired: true, ...order, quote: presentQuote(quote) };
+};
 
 /**
  * GET /api/payment/plans
- * Get available subscription plans
+ * Plans priced for the requesting user (?coupon=; ?country= previews another country)
  */
-router.get('/plans', (req, res) => {
-    res.json({
-        success: true,
-        plans: Object.values(PLANS).map(plan => ({
-            id: plan.id,
-            name: plan.name,
-            amount: plan.amount / 100,
-            currency: plan.currency,
-            period: plan.period,
-            description: plan.description
-        }))
-    });
+router.get('/plans', optionalAuth, async (req, res) => {
+    try {
+        const plans = await planCatalogService.listPlans();
+        const country = planCatalogService.resolveCountry(req, { allowOverride: true });
+
+        const quotes = await Promise.all(plans.map(plan => planCatalogService.quote({
+            plan,
+            userId: req.user?._id,
+            country,
+            couponCode: req.query.coupon
+        })));
+
+        res.json({
+            success: true,
+            country,
+            plans: quotes.map(presentQuote)
+        });
+
+    } catch (error) {
+        console.error('Error fetching plans:', error);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+    }
 });
 
 /**
  * POST /api/payment/create-order
- * Create payment order
+ * Create payment order (body: planId, couponCode?)
  */
 router.post('/create-order', authMiddleware, async (req, res) => {
     try {
-        const { planId } = req.body;
+        const { planId, couponCode } = req.body;
 
         if (!planId) {
             return res.status(400).json({ success: false, error: 'Plan ID required' });
         }
 
-        const order = await createOrder(planId, req.user._id.toString());
+        const plan = await planCatalogService.getPlan(planId);
+        if (!plan) {
+            return res.status(400).json({ success: false, error: 'Invalid plan ID' });
+        }
+
+        const quote = await planCatalogService.quote({
+            plan,
+            userId: req.user._id,
+            country: planCatalogService.resolveCountry(req),
+            couponCode
+        });
+
+        if (couponCode && quote.couponError) {
+            return res.status(400).json({ success: false, error: quote.couponError });
+        }
+
+        const result = await checkout(req, plan, quote, 'coupon');
 
         res.json({
             success: true,
-            ...order
+            ...result
         });
 
     } catch (error) {
         console.error('Error creating order:', error);
-        res.status(500).json({ success: false, error: error.message });
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/payment/start-trial
+ * Start a free trial of a plan (one per user)
+ */
+router.post('/start-trial', authMiddleware, async (req, res) => {
+    try {
+        const plan = await planCatalogService.getPlan(req.body.planId);
+        if (!plan) {
+            return res.status(400).json({ success: false, error: 'Invalid plan ID' });
+        }
+
+        const { subscription, premiumExpiry } = await paymentLedgerService.grantWithoutPayment({
+            userId: req.user._id,
+            plan,
+            source: 'trial'
+        });
+
+        res.json({
+            success: true,
+            message: `${plan.trialDays}-day trial started`,
+            trialEndsAt: subscription.endsAt,
+            premiumExpiry
+        });
+
+    } catch (error) {
+        console.error('Error starting trial:', error);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/payment/change-plan/quote?planId=&coupon=
+ * Preview an upgrade/downgrade with proration of the remaining subscription
+ */
+router.get('/change-plan/quote', authMiddleware, async (req, res) => {
+    try {
+        const plan = await planCatalogService.getPlan(req.query.planId);
+        if (!plan) {
+            return res.status(400).json({ success: false, error: 'Invalid plan ID' });
+        }
+
+        const quote = await planCatalogService.quotePlanChange({
+            userId: req.user._id,
+            plan,
+            couponCode: req.query.coupon
+        });
+
+        res.json({
+            success: true,
+            quote: presentQuote(quote)
+        });
+
+    } catch (error) {
+        console.error('Error quoting plan change:', error);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/payment/change-plan
+ * Switch plans: pays the prorated difference, or applies at once when credit covers it
+ */
+router.post('/change-plan', authMiddleware, async (req, res) => {
+    try {
+        const { planId, couponCode } = req.body;
+
+        const plan = await planCatalogService.getPlan(planId);
+        if (!plan) {
+            return res.status(400).json({ success: false, error: 'Invalid plan ID' });
+        }
+
+        const quote = await planCatalogService.quotePlanChange({
+            userId: req.user._id,
+            plan,
+            couponCode
+        });
+
+        if (couponCode && quote.couponError) {
+            return res.status(400).json({ success: false, error: quote.couponError });
+        }
+
+        const result = await checkout(req, plan, quote, 'plan_change');
+
+        res.json({
+            success: true,
+            ...result
+        });
+
+    } catch (error) {
+        console.error('Error changing plan:', error);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
     }
 });
 
+/**
+ * Plan id from the notes the provider stored with an order that has no ledger
+ * record (orders created before the ledger existed)
+ */
+async function planFromProviderNotes(provider, { orderId, paymentId, userId }) {
+    const details = await paymentService.getPaymentDetails(provider, paymentId);
+    if (details.orderId !== orderId) return null;
+    if (details.notes?.user_id && String(details.notes.user_id) !== String(userId)) return null;
+
+    return details.notes?.plan_id || null;
+}
+
 /**
  * POST /api/payment/verify
  * Verify payment after completion
+ * Body: orderId, paymentId, signature (razorpay_* names are accepted too)
  */
 router.post('/verify', authMiddleware, async (req, res) => {
     try {
-        const { razorpay_order_id, razorpay_payment_id, razorpay_signature, planId } = req.body;
+        const orderId = req.body.orderId || req.body.razorpay_order_id;
+        const paymentId = req.body.paymentId || req.body.razorpay_payment_id;
+        const signature = req.body.signature || req.body.razorpay_signature;
 
-        if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+        if (!orderId || !paymentId || !signature) {
             return res.status(400).json({ success: false, error: 'Missing payment details' });
         }
 
-        const isValid = verifyPayment(razorpay_order_id, razorpay_payment_id, razorpay_signature);
+        // The order records which provider issued it; older orders predate the field
+        const order = await Order.findOne({ providerOrderId: orderId }).select('provider planId').lean();
+        const provider = order?.provider || paymentService.DEFAULT_PROVIDER;
+
+        const isValid = paymentService.verifyPayment(provider, { orderId, paymentId, signature });
 
         if (isValid) {
-            // Update user's subscription status
-            const plan = PLANS[planId] || PLANS.premium_bimonthly;
-            const premiumExpiry = new Date();
-            premiumExpiry.setDate(premiumExpiry.getDate() + (plan.durationDays || 60));
+            // The plan comes from our order, or the notes the provider kept for it; never from the client
+            const planId = order?.planId || await planFromProviderNotes(provider, { orderId, paymentId, userId: req.user._id });
+            if (!planId) {
+                return res.status(400).json({ success: false, error: 'Payment is not linked to a known plan' });
+            }
 
-            await User.findByIdAndUpdate(req.user._id, {
-                isPremium: true,
-                premiumExpiry: premiumExpiry
+            // Record the payment and grant the subscription (updates User.isPremium)
+            const { premiumExpiry } = await paymentLedgerService.recordPayment({
+                userId: req.user._id,
+                provider,
+                providerOrderId: orderId,
+                providerPaymentId: paymentId,
+                signature,
+                planId
             });
 
             res.json({
                 success: true,
                 message: 'Payment verified successfully!',
-                paymentId: razorpay_payment_id,
-                premiumExpiry: premiumExpiry.toISOString()
+                paymentId,
+                premiumExpiry: premiumExpiry ? premiumExpiry.toISOString() : null
             });
         } else {
             res.status(400).json({ success: false, error: 'Payment verification failed' });
@@ -92,7 +306,7 @@ router.post('/verify', authMiddleware, async (req, res) => {
 
     } catch (error) {
         console.error('Error verifying payment:', error);
-        res.status(500).json({ success: false, error: error.message });
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
     }
 });
 
@@ -108,11 +322,26 @@ router.post('/refund', authMiddleware, async (req, res) => {
             return res.status(400).json({ success: false, error: 'Payment ID required' });
         }
 
+        const payment = await paymentLedgerService.getOwnedPayment(paymentId, req.user);
         const amountInPaise = amount ? Math.round(amount * 100) : null;
-        const refund = await processRefund(paymentId, amountInPaise, reason);
 
-        // Remove premium status on full refund
-        if (!amount) {
+        if (payment && amountInPaise && amountInPaise > payment.refundableAmount) {
+            return res.status(400).json({ success: false, error: 'Refund exceeds the refundable amount' });
+        }
+
+        const provider = payment?.provider || paymentService.DEFAULT_PROVIDER;
+        const refund = await paymentService.processRefund(provider, paymentId, amountInPaise, reason);
+
+        if (payment) {
+            // Ledger decides whether premium is revoked (full refunds only)
+            await paymentLedgerService.recordRefund({
+                payment,
+                refund,
+                reason,
+                requestedBy: req.user._id
+            });
+        } else if (!amount) {
+            // Payments made before the ledger existed: remove premium on full refund
             await User.findByIdAndUpdate(req.user._id, {
                 isPremium: false,
                 premiumExpiry: null
@@ -121,23 +350,44 @@ router.post('/refund', authMiddleware, async (req, res) => {
 
         res.json({
             success: true,
-            ...refund
+            ...refund,
+            amount: refund.amount / 100
         });
 
     } catch (error) {
         console.error('Error processing refund:', error);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/payment/status
+ * Current subscription and payment history from the ledger
+ */
+router.get('/status', authMiddleware, async (req, res) => {
+    try {
+        const ledger = await paymentLedgerService.getUserLedger(req.user._id);
+
+        res.json({
+            success: true,
+            ...ledger
+        });
+
+    } catch (error) {
+        console.error('Error fetching payment status:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
 /**
  * GET /api/payment/status/:paymentId
- * Get payment status
+ * Get payment status (from the ledger; falls back to the default provider for older payments)
  */
 router.get('/status/:paymentId', authMiddleware, async (req, res) => {
     try {
         const { paymentId } = req.params;
-        const payment = await getPaymentDetails(paymentId);
+        const payment = await paymentLedgerService.getPaymentStatus(paymentId, req.user)
+            || await paymentService.getPaymentDetails(paymentService.DEFAULT_PROVIDER, paymentId);
 
         res.json({
             success: true,
@@ -146,18 +396,274 @@ router.get('/status/:paymentId', authMiddleware, async (req, res) => {
 
     } catch (error) {
         console.error('Error fetching payment:', error);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/payment/invoices
+ * The user's invoices and credit notes (?page, ?limit)
+ */
+router.get('/invoices', authMiddleware, async (req, res) => {
+    try {
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+
+        const { invoices, total } = await invoiceService.listInvoices(req.user._id, { page, limit });
+
+        res.json({
+            success: true,
+            invoices,
+            pagination: { page, limit, total }
+        });
+
+    } catch (error) {
+        console.error('Error fetching invoices:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/payment/invoices/:id
+ * One invoice or credit note (?format=json|html|pdf, default json)
+ */
+router.get('/invoices/:id', authMiddleware, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ success: false, error: 'Invoice not found' });
+        }
+
+        const invoice = await invoiceService.getInvoice(req.params.id, req.user);
+        const filename = invoice.number.replace(/\//g, '-');
+
+        switch (req.query.format) {
+            case 'pdf':
+                res.set('Content-Type', 'application/pdf');
+                res.set('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+                return res.send(invoiceService.renderPdf(invoice));
+            case 'html':
+                res.set('Content-Type', 'text/html; charset=utf-8');
+                return res.send(invoiceService.renderHtml(invoice));
+            default:
+                return res.json({ success: true, invoice });
+        }
+
+    } catch (error) {
+        console.error('Error fetching invoice:', error);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PUT /api/payment/billing-details
+ * Buyer details printed on future invoices (country, state, gstin)
+ */
+router.put('/billing-details', authMiddleware, async (req, res) => {
+    try {
+        const fields = { country: 'billingCountry', state: 'billingState', gstin: 'gstin' };
+        const updates = Object.entries(fields).reduce((acc, [from, to]) => {
+            if (req.body[from] !== undefined) acc[to] = req.body[from] || null;
+            return acc;
+        }, {});
+
+        const user = await User.findByIdAndUpdate(req.user._id, updates, { new: true, runValidators: true })
+            .select('billingCountry billingState gstin');
+
+        res.json({
+            success: true,
+            billingDetails: {
+                country: user.billingCountry,
+                state: user.billingState,
+                gstin: user.gstin
+            }
+        });
+
+    } catch (error) {
+        console.error('Error saving billing details:', error);
+        res.status(error.name === 'ValidationError' ? 400 : 500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/payment/ledger/reconciliation?month=YYYY-MM
+ * Monthly totals and line items for payout reconciliation (admin)
+ */
+router.get('/ledger/reconciliation', authMiddleware, requireAdmin, async (req, res) => {
+    try {
+        const month = req.query.month || new Date().toISOString().slice(0, 7);
+        const report = await paymentLedgerService.getReconciliation(month);
+
+        res.json({
+            success: true,
+            ...report
+        });
+
+    } catch (error) {
+        console.error('Error building reconciliation report:', error);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/payment/webhook/:provider
+ * Provider webhook (payment.captured, payment.failed, refund.processed, subscription.*)
+ * Authenticated by the provider's signature over the raw body, not by a user token.
+ * POST /api/payment/webhook (no provider) is Razorpay, for the URL already registered there.
+ */
+const handleWebhook = async (req, res) => {
+    const provider = req.params.provider || 'razorpay';
+
+    let event;
+    try {
+        event = paymentService.parseWebhook(provider, {
+            rawBody: req.rawBody,
+            body: req.body,
+            headers: req.headers
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 400).json({ success: false, error: error.message });
+    }
+
+    if (!event.verified) {
+        return res.status(400).json({ success: false, error: 'Invalid webhook signature' });
+    }
+
+    try {
+        const result = await paymentWebhookService.processEvent(provider, event, {
+            body: req.body,
+            rawBody: req.rawBody
+        });
+
+        res.json({
+            success: true,
+            ...result
+        });
+
+    } catch (error) {
+        // Non-2xx makes the provider redeliver; the failed event is retried then
+        console.error('Error processing webhook:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+router.post('/webhook', handleWebhook);
+router.post('/webhook/:provider', handleWebhook);
+
+/**
+ * POST /api/payment/sandbox/complete
+ * Pay a sandbox order as the checkout widget would (development only)
+ * Returns the orderId/paymentId/signature to send to /verify
+ */
+router.post('/sandbox/complete', authMiddleware, async (req, res) => {
+    try {
+        const sandbox = paymentService.getProvider('sandbox');
+
+        const order = await Order.findOne({ providerOrderId: req.body.orderId, provider: 'sandbox' });
+        if (!order || String(order.userId) !== String(req.user._id)) {
+            return res.status(404).json({ success: false, error: 'Sandbox order not found' });
+        }
+
+        res.json({
+            success: true,
+            ...sandbox.completePayment(order.providerOrderId, { method: req.body.method })
+        });
+
+    } catch (error) {
+        console.error('Error completing sandbox payment:', error);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/payment/admin/plans
+ * Full plan catalog, including inactive plans (admin)
+ */
+router.get('/admin/plans', authMiddleware, requireAdmin, async (req, res) => {
+    try {
+        await planCatalogService.listPlans();
+        const plans = await Plan.find().sort({ sortOrder: 1 });
+
+        res.json({ success: true, plans });
+
+    } catch (error) {
+        console.error('Error fetching plan catalog:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
+/**
+ * PUT /api/payment/admin/plans/:planId
+ * Create or update a plan (admin)
+ */
+router.put('/admin/plans/:planId', authMiddleware, requireAdmin, async (req, res) => {
+    try {
+        const fields = ['name', 'description', 'period', 'durationDays', 'prices', 'trialDays', 'active', 'sortOrder'];
+        const updates = fields.reduce((acc, field) => {
+            if (req.body[field] !== undefined) acc[field] = req.body[field];
+            return acc;
+        }, {});
+
+        const plan = await Plan.findOne({ planId: req.params.planId }) || new Plan({ planId: req.params.planId });
+        plan.set(updates);
+        await plan.save();
+
+        res.json({ success: true, plan });
+
+    } catch (error) {
+        console.error('Error saving plan:', error);
+        res.status(error.name === 'ValidationError' ? 400 : 500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/payment/admin/coupons
+ * List coupons (admin)
+ */
+router.get('/admin/coupons', authMiddleware, requireAdmin, async (req, res) => {
+    try {
+        const coupons = await Coupon.find().select('-redemptions').sort({ createdAt: -1 });
+
+        res.json({ success: true, coupons });
+
+    } catch (error) {
+        console.error('Error fetching coupons:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PUT /api/payment/admin/coupons/:code
+ * Create or update a coupon (admin)
+ */
+router.put('/admin/coupons/:code', authMiddleware, requireAdmin, async (req, res) => {
+    try {
+        const fields = ['description', 'type', 'value', 'currency', 'planIds', 'maxRedemptions', 'perUserLimit', 'validFrom', 'expiresAt', 'active'];
+        const updates = fields.reduce((acc, field) => {
+            if (req.body[field] !== undefined) acc[field] = req.body[field];
+            return acc;
+        }, {});
+
+        const code = req.params.code.toUpperCase();
+        const coupon = await Coupon.findOne({ code }) || new Coupon({ code });
+        coupon.set(updates);
+        await coupon.save();
+
+        res.json({ success: true, coupon });
+
+    } catch (error) {
+        console.error('Error saving coupon:', error);
+        res.status(error.name === 'ValidationError' ? 400 : 500).json({ success: false, error: error.message });
+    }
+});
+
 /**
  * GET /api/payment/key
- * Get public Razorpay key for frontend
+ * Default provider and its public checkout key for the frontend
  */
 router.get('/key', (req, res) => {
     res.json({
         success: true,
-        keyId: RAZORPAY_KEY_ID
+        ...paymentService.publicConfig()
     });
 });
 
@@ -0,0 +1,89 @@
+const express = require('express');
+const router = express.Router();
+const RankingProfile = require('../models/RankingProfile');
+const calmRankingService = require('../services/calmRankingService');
+const ApiResponse = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authMiddleware, requireAdmin } = require('../middleware/auth');
+const { logger } = require('../middleware/logger');
+
+/**
+ * Ranking Profile Routes
+ * Named weight sets for /api/stories/clustered?profile=
+ * All routes prefixed with /api/ranking-profiles
+ */
+
+const EDITABLE_FIELDS = ['name', 'description', 'weights', 'recencyHorizonHours', 'isDefault', 'enabled'];
+
+const pickEditable = (body) => {
+    return EDITABLE_FIELDS.reduce((acc, field) => {
+        if (body[field] !== undefined) acc[field] = body[field];
+        return acc;
+    }, {});
+};
+
+// GET /api/ranking-profiles - List enabled profiles (public, for the profile picker)
+router.get('/', asyncHandler(async (req, res) => {
+    await calmRankingService.loadProfiles();
+
+    const profiles = await RankingProfile.find({ enabled: true })
+        .select('name description weights recencyHorizonHours isDefault')
+        .sort({ isDefault: -1, name: 1 })
+        .lean();
+
+    return ApiResponse.success(res, 'Ranking profiles retrieved successfully', profiles);
+}));
+
+// POST /api/ranking-profiles - Create a profile (admin)
+router.post('/', authMiddleware, requireAdmin, asyncHandler(async (req, res) => {
+    const profile = await RankingProfile.create(pickEditable(req.body));
+    calmRankingService.clearProfileCache();
+
+    logger.info(`Ranking profile created: ${profile.name}`);
+
+    return ApiResponse.created(res, 'Ranking profile created successfully', profile);
+}));
+
+// PUT /api/ranking-profiles/:name - Update a profile (admin)
+router.put('/:name', authMiddleware, requireAdmin, asyncHandler(async (req, res) => {
+    const profile = await RankingProfile.findOne({ name: req.params.name.toLowerCase() });
+
+    if (!profile) {
+        return ApiResponse.notFound(res, 'Ranking profile not found');
+    }
+
+    const updates = pickEditable(req.body);
+    if (updates.weights) {
+        updates.weights = { ...profile.weights.toObject(), ...updates.weights };
+    }
+
+    profile.set(updates);
+    await profile.save();
+    calmRankingService.clearProfileCache();
+
+    logger.info(`Ranking profile updated: ${profile.name}`);
+
+    return ApiResponse.success(res, 'Ranking profile updated successfully', profile);
+}));
+
+// DELETE /api/ranking-profiles/:name - Remove a profile (admin)
+router.delete('/:name', authMiddleware, requireAdmin, asyncHandler(async (req, res) => {
+    const profile = await RankingProfile.findOne({ name: req.params.name.toLowerCase() });
+
+    if (!profile) {
+        return ApiResponse.notFound(res, 'Ranking profile not found');
+    }
+
+    if (profile.isDefault) {
+        return ApiResponse.badRequest(res, 'Cannot delete the default profile; make another profile the default first');
+    }
+
+    await profile.deleteOne();
+    calmRankingService.clearProfileCache();
+
+    logger.info(`Ranking profile removed: ${profile.name}`);
+
+    return ApiResponse.success(res, 'Ranking profile deleted successfully', { name: profile.name });
+}));
+
+module.exports = router;
@@ -6,9 +6,12 @@ const Source = require('../models/Source');
 const clusteringService = require('../services/clusteringService');
 const calmRankingService = require('../services/calmRankingService');
 const contextService = require('../services/contextService');
+const storyEditorService = require('../services/storyEditorService');
+const storyLifecycleService = require('../services/storyLifecycleService');
 const ApiResponse = require('../utils/apiResponse');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { logger } = require('../middleware/logger');
+const { authMiddleware, requireAdmin } = require('../middleware/auth');
 
 /**
  * Stories Routes
@@ -22,14 +25,34 @@ router.get('/clustered', asyncHandler(async (req, res) => {
         limit = 20,
         category,
         mood,
+        lifecycle,
+        profile: profileName,
         maxAgeHours = 72
     } = req.query;
 
+    const profile = await calmRankingService.resolveProfile(profileName);
+
+    if (!profile) {
+        return ApiResponse.badRequest(res, `Unknown ranking profile: ${profileName}`);
+    }
+
+    // ?lifecycle=emerging,developing (archived is excluded unless listed)
+    const lifecycleStates = lifecycle ? lifecycle.split(',').map(state => state.trim()).filter(Boolean) : [];
+    const unknownStates = lifecycleStates.filter(state => !Story.LIFECYCLE_STATES.includes(state));
+
+    if (unknownStates.length > 0) {
+        return ApiResponse.badRequest(res, `Unknown lifecycle state: ${unknownStates.join(', ')}`, {
+            allowed: Story.LIFECYCLE_STATES
+        });
+    }
+
     const result = await calmRankingService.getStoriesWithCalmRanking({
         page: parseInt(page),
         limit: parseInt(limit),
         category,
         mood,
+        lifecycle: lifecycleStates,
+        profile,
         maxAgeHours: parseInt(maxAgeHours)
     });
 
@@ -44,6 +67,7 @@ router.get('/clustered', asyncHandler(async (req, res) => {
                 ...story,
                 id: story._id,
                 sourceNames: sources.map(s => s.sourceName),
+                rankingProfile: profile.name,
                 // Ranking explanation for transparency
                 rankingExplanation: calmRankingService.generateHumanReadableExplanation(story)
             };
@@ -58,6 +82,27 @@ router.get('/clustered', asyncHandler(async (req, res) => {
     );
 }));
 
+// GET /api/stories/audit - Merge/split audit log (admin)
+router.get('/audit', authMiddleware, requireAdmin, asyncHandler(async (req, res) => {
+    const { storyId, limit = 50 } = req.query;
+
+    const entries = await storyEditorService.getAuditLog({
+        storyId,
+        limit: Math.min(parseInt(limit) || 50, 200)
+    });
+
+    return ApiResponse.success(res, 'Audit log retrieved successfully', entries);
+}));
+
+// POST /api/stories/audit/:auditId/undo - Reverse a merge or split (admin)
+router.post('/audit/:auditId/undo', authMiddleware, requireAdmin, asyncHandler(async (req, res) => {
+    const result = await storyEditorService.undo(req.params.auditId, {
+        performedBy: req.user._id
+    });
+
+    return ApiResponse.success(res, 'Operation undone', result);
+}));
+
 // GET /api/stories/:id - Get single story with full details
 router.get('/:id', asyncHandler(async (req, res) => {
     const { id } = req.params;
@@ -68,6 +113,12 @@ router.get('/:id', asyncHandler(async (req, res) => {
         return ApiResponse.notFound(res, 'Story not found');
     }
 
+    const profile = await calmRankingService.resolveProfile(req.query.profile);
+
+    if (!profile) {
+        return ApiResponse.badRequest(res, `Unknown ranking profile: ${req.query.profile}`);
+    }
+
     const sources = await StorySource.getSourcesForStory(id);
 
     return ApiResponse.success(res, 'Story retrieved successfully', {
@@ -81,7 +132,7 @@ router.get('/:id', asyncHandler(async (req, res) => {
             publishedAt: s.publishedAt,
             isPrimary: s.isPrimary
         })),
-        rankingExplanation: calmRankingService.getRankingExplanation(story)
+        rankingExplanation: calmRankingService.getRankingExplanation(story, profile)
     });
 }));
 
@@ -164,6 +215,34 @@ router.get('/:id/timeline', asyncHandler(async (req, res) => {
     return ApiResponse.success(res, 'Timeline retrieved successfully', timeline);
 }));
 
+// POST /api/stories/:id/merge - Merge another story into this one (admin)
+router.post('/:id/merge', authMiddleware, requireAdmin, asyncHandler(async (req, res) => {
+    const { sourceStoryId, reason } = req.body;
+
+    if (!sourceStoryId) {
+        return ApiResponse.badRequest(res, 'sourceStoryId is required');
+    }
+
+    const result = await storyEditorService.mergeStories(req.params.id, sourceStoryId, {
+        performedBy: req.user._id,
+        reason
+    });
+
+    return ApiResponse.success(res, 'Stories merged', result);
+}));
+
+// POST /api/stories/:id/split - Move selected sources into a new story (admin)
+router.post('/:id/split', authMiddleware, requireAdmin, asyncHandler(async (req, res) => {
+    const { storySourceIds, reason } = req.body;
+
+    const result = await storyEditorService.splitStory(req.params.id, storySourceIds, {
+        performedBy: req.user._id,
+        reason
+    });
+
+    return ApiResponse.created(res, 'Story split', result);
+}));
+
 // POST /api/stories/cluster - Trigger clustering of unclustered articles (admin)
 router.post('/cluster', asyncHandler(async (req, res) => {
     logger.info('Manual clustering triggered');
@@ -182,6 +261,13 @@ router.post('/refresh-scores', asyncHandler(async (req, res) => {
     return ApiResponse.success(res, 'Scores refreshed', result);
 }));
 
+// POST /api/stories/lifecycle/sweep - Re-evaluate lifecycle states now (admin)
+router.post('/lifecycle/sweep', authMiddleware, requireAdmin, asyncHandler(async (req, res) => {
+    const result = await storyLifecycleService.runLifecycleSweep();
+
+    return ApiResponse.success(res, 'Lifecycle sweep completed', result);
+}));
+
 // GET /api/stories/stats - Get clustering statistics
 router.get('/stats', asyncHandler(async (req, res) => {
     const totalStories = await Story.countDocuments();
@@ -197,6 +283,9 @@ router.get('/stats', asyncHandler(async (req, res) => {
         { $sort: { count: -1 } }
     ]);
 
+    // Stories by lifecycle state
+    const byLifecycle = await storyLifecycleService.getStateCounts();
+
     // Average importance score
     const avgImportance = await Story.aggregate([
         { $group: { _id: null, avg: { $avg: '$importanceScore' } } }
@@ -209,6 +298,7 @@ router.get('/stats', asyncHandler(async (req, res) => {
         storiesWithMultipleSources: multiSourceStories,
         storiesBySingle: totalStories - multiSourceStories,
         byCategory: byCategory.reduce((acc, c) => ({ ...acc, [c._id]: c.count }), {}),
+        byLifecycle,
         averageImportanceScore: avgImportance[0]?.avg?.toFixed(3) || 0
     });
 }));
@@ -37,7 +37,15 @@ app.use(cors({
 app.use(compression());
 
 // Body parsing
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Webhook signatures are computed over the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payment/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Morgan HTTP logger (combined with custom logger)
@@ -90,6 +98,12 @@ app.use('/api/analytics', require('./routes/analyticsRoutes'));
 app.use('/api/payment', require('./routes/paymentRoutes'));
 app.use('/api/verification', require('./routes/verificationRoutes'));
 app.use('/api/tts', require('./routes/ttsRoutes'));
+app.use('/api/feed-sources', require('./routes/feedSourceRoutes'));
+app.use('/api/ranking-profiles', require('./routes/rankingProfileRoutes'));
+app.use('/api/notifications', require('./routes/notificationRoutes'));
+app.use('/api/newsletter', require('./routes/newsletterRoutes'));
+app.use('/api/digest', require('./routes/digestRoutes'));
+app.use('/api/jobs', require('./routes/jobRoutes'));
 
 
 // ======================
@@ -133,9 +147,15 @@ mongoose.connection.on('reconnected', () => {
 
 // Import services for scheduled tasks
 const calmRankingService = require('./services/calmRankingService');
-
-// Sync news every 15 minutes (less aggressive than every minute)
-cron.schedule('*/15 * * * *', async () => {
+const storyLifecycleService = require('./services/storyLifecycleService');
+const paymentLedgerService = require('./services/paymentLedgerService');
+const premiumLifecycleService = require('./services/premiumLifecycleService');
+const dailyBriefService = require('./services/dailyBriefService');
+const newsletterService = require('./services/newsletterService');
+const jobQueueService = require('./services/jobQueueService');
+
+// Sync due feed sources every 5 minutes (each FeedSource has its own poll interval)
+cron.schedule('*/5 * * * *', async () => {
   logger.info('Running scheduled news sync...');
   try {
     await newsController.syncNews({ manual: false }, {
@@ -157,15 +177,52 @@ cron.schedule('0 * * * *', async () => {
   }
 });
 
-// Daily brief selection at 5 AM
+// Advance story lifecycles and archive dormant stories every hour
+cron.schedule('30 * * * *', async () => {
+  logger.info('Running story lifecycle sweep...');
+  try {
+    await storyLifecycleService.runLifecycleSweep();
+  } catch (error) {
+    logger.error('Lifecycle sweep failed', error);
+  }
+});
+
+// Expire unpaid orders every hour
+cron.schedule('15 * * * *', async () => {
+  try {
+    await paymentLedgerService.expireStale();
+  } catch (error) {
+    logger.error('Ledger expiry failed', error);
+  }
+});
+
+// Advance premium subscriptions (reminders, grace, lapses) every hour
+cron.schedule('45 * * * *', async () => {
+  try {
+    await premiumLifecycleService.runLifecycle();
+  } catch (error) {
+    logger.error('Premium lifecycle failed', error);
+  }
+});
+
+// Build personalised daily briefs at 5 AM
 cron.schedule('0 5 * * *', async () => {
-  logger.info('Selecting daily brief articles...');
+  logger.info('Building daily briefs...');
   try {
-    await newsController.selectDailyBrief();
+    await dailyBriefService.buildAll();
   } catch (error) {
-    logger.error('Daily brief selection failed', error);
+    logger.error('Daily brief build failed', error);
   }
+});
 
+// Email the daily brief to subscribers whose local delivery hour has arrived
+// (every 15 minutes, so half-hour time zones are served on time)
+cron.schedule('*/15 * * * *', async () => {
+  try {
+    await newsletterService.dispatchDue();
+  } catch (error) {
+    logger.error('Newsletter dispatch failed', error);
+  }
 });
 
 // ======================
@@ -178,6 +235,11 @@ if (require.main === module) {
       logger.info(`API URL: http://localhost:${PORT}/api`);
       logger.info(`Health Check: http://localhost:${PORT}/health`);
       logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+
+      // Background job worker (AI processing); disable on web-only instances
+      if (process.env.JOB_WORKER_ENABLED !== 'false') {
+        jobQueueService.startWorker();
+      }
     })
     .on('error', (err) => {
       if (err.code === 'EADDRINUSE') {
@@ -191,6 +253,7 @@ if (require.main === module) {
   // Graceful shutdown
   process.on('SIGTERM', () => {
     logger.info('SIGTERM received. Shutting down gracefully...');
+    jobQueueService.stopWorker();
     server.close(() => {
       mongoose.connection.close(false, () => {
         logger.info('MongoDB connection closed');
@@ -0,0 +1,446 @@
+/**
+ * Article Extraction Service
+ *
+ * Fetches an article URL and pulls out the main body text, so the brain
+ * pipeline and clustering stop working on NewsAPI's ~200-character
+ * "[+1234 chars]" snippets.
+ *
+ * Extraction order:
+ * 1. JSON-LD `articleBody` (publisher-provided, most accurate)
+ * 2. Readability-style scoring of paragraph containers
+ * 3. <meta> description as a last resort
+ */
+
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { logger } = require('../middleware/logger');
+
+// Page fetch timeout (default 10 seconds)
+const EXTRACTION_TIMEOUT = parseInt(process.env.EXTRACTION_TIMEOUT_MS) || 10000;
+
+// Largest page we download (bytes)
+const MAX_RESPONSE_BYTES = 5 * 1024 * 1024;
+
+// Redirects followed per page; each hop is re-checked
+const MAX_REDIRECTS = 5;
+
+// Feed URLs are untrusted: never fetch loopback, private, link-local
+// (cloud metadata at 169.254.169.254) or otherwise non-public addresses
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// Upper bound on stored full text
+const MAX_FULLTEXT_LENGTH = 20000;
+
+// Content shorter than this is treated as a snippet worth extracting
+const MIN_CONTENT_LENGTH = 500;
+
+// Elements whose content never belongs to the article body
+const STRIP_ELEMENTS = ['script', 'style', 'noscript', 'template', 'svg', 'iframe', 'button', 'select', 'nav', 'header', 'footer', 'aside'];
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+
+const BLOCK_ELEMENTS = new Set(['p', 'div', 'section', 'article', 'main', 'li', 'blockquote', 'pre', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'br', 'td', 'figcaption']);
+
+// Class/id hints (same heuristics Readability uses)
+const POSITIVE_HINTS = /article|body|content|entry|main|page|post|text|story|prose/i;
+const NEGATIVE_HINTS = /comment|footer|sidebar|related|share|promo|sponsor|ad-|advert|nav|menu|social|subscribe|newsletter|popup|modal|caption|byline|meta|widget/i;
+
+/**
+ * Decode the HTML entities that commonly survive into article text
+ */
+function decodeEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', mdash: '—', ndash: '–', hellip: '…', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“' };
+
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+        }
+        return named[entity.toLowerCase()] ?? match;
+    });
+}
+
+/**
+ * Build a lightweight element tree (tag, class/id hints, children)
+ */
+function parseHtml(html) {
+    const cleaned = html
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(new RegExp(`<(${STRIP_ELEMENTS.join('|')})\\b[\\s\\S]*?<\\/\\1>`, 'gi'), ' ');
+
+    const root = { tag: 'root', hints: '', children: [], parent: null };
+    let current = root;
+
+    const tokenPattern = /<(\/?)([a-zA-Z][\w:-]*)([^>]*?)(\/?)>|([^<]+)/g;
+
+    for (const [, closing, rawTag, attrs, selfClosing, text] of cleaned.matchAll(tokenPattern)) {
+        if (text !== undefined) {
+            current.children.push(decodeEntities(text));
+            continue;
+        }
+
+        const tag = rawTag.toLowerCase();
+
+        if (closing) {
+            // Pop back to the matching open element, ignoring stray closers
+            let node = current;
+            while (node && node.tag !== tag) node = node.parent;
+            if (node && node.parent) current = node.parent;
+            continue;
+        }
+
+        const hints = [...(attrs || '').matchAll(/\b(?:class|id)\s*=\s*["']([^"']*)["']/gi)]
+            .map(m => m[1])
+            .join(' ');
+
+        const node = { tag, hints, children: [], parent: current };
+        current.children.push(node);
+
+        if (!selfClosing && !VOID_ELEMENTS.has(tag)) {
+            current = node;
+        }
+    }
+
+    return root;
+}
+
+/**
+ * Plain text of a node, with line breaks between block elements
+ * Pass a cache (Map) when asking for many nested nodes so each subtree is
+ * walked once instead of once per ancestor.
+ */
+function textOf(node, cache = null) {
+    if (typeof node === 'string') return node;
+    if (cache?.has(node)) return cache.get(node);
+
+    const inner = node.children.map(child => textOf(child, cache)).join('');
+    const text = BLOCK_ELEMENTS.has(node.tag) ? `\n${inner}\n` : inner;
+
+    cache?.set(node, text);
+    return text;
+}
+
+/**
+ * Total length of link text inside a node (cache as for textOf)
+ */
+function linkTextLength(node, cache = null) {
+    if (typeof node === 'string') return 0;
+    if (cache?.has(node)) return cache.get(node);
+
+    const length = node.tag === 'a'
+        ? textOf(node).trim().length
+        : node.children.reduce((sum, child) => sum + linkTextLength(child, cache), 0);
+
+    cache?.set(node, length);
+    return length;
+}
+
+/**
+ * Collect every element with the given tag
+ */
+function findAll(node, tag, found = []) {
+    if (typeof node === 'string') return found;
+    if (node.tag === tag) found.push(node);
+    node.children.forEach(child => findAll(child, tag, found));
+    return found;
+}
+
+/**
+ * Collapse whitespace while keeping paragraph breaks
+ */
+function normalizeText(text) {
+    return text
+        .replace(/[ \t\r\f\v ]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Whether an IP address is publicly routable
+ */
+function isPublicAddress(address) {
+    const family = net.isIP(address);
+    if (!family) return false;
+    return !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup that refuses hostnames resolving to non-public addresses
+ * Used by the fetch agents, so the address checked is the one connected to
+ * (a second lookup could be rebound to an internal address).
+ */
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+        if (blocked) {
+            return callback(new Error(`${hostname} resolves to non-public address ${blocked.address}`));
+        }
+
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * Parse a URL we are about to fetch, rejecting anything but public http(s)
+ * (IP literals skip DNS, so they are checked here rather than in the lookup)
+ */
+function parseFetchableUrl(url, base) {
+    const parsed = new URL(url, base);
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new Error(`Refusing ${parsed.protocol} URL`);
+    }
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && !isPublicAddress(host)) {
+        throw new Error(`Refusing non-public address ${host}`);
+    }
+
+    return parsed;
+}
+
+function classWeight(node) {
+    let weight = 0;
+    if (POSITIVE_HINTS.test(node.hints)) weight += 25;
+    if (NEGATIVE_HINTS.test(node.hints)) weight -= 25;
+    return weight;
+}
+
+const articleExtractionService = {
+    /**
+     * Check if the extraction stage is turned on
+     */
+    isEnabled: () => {
+        return process.env.ENABLE_FULLTEXT_EXTRACTION === 'true';
+    },
+
+    /**
+     * Whether content looks like a truncated snippet
+     * (NewsAPI's "[+1234 chars]" suffix, or simply too short to be a body)
+     */
+    isTruncated: (content) => {
+        if (!content) return true;
+        return /\[\+\d+ chars\]\s*$/.test(content) || content.length < MIN_CONTENT_LENGTH;
+    },
+
+    /**
+     * Pull `articleBody` from JSON-LD blocks
+     */
+    extractFromJsonLd: (html) => {
+        const blocks = [...html.matchAll(/<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi)];
+
+        for (const [, json] of blocks) {
+            let data;
+            try {
+                data = JSON.parse(json.trim());
+            } catch (e) {
+                continue;
+            }
+
+            const items = [].concat(data['@graph'] || data);
+            const article = items.find(item => item && typeof item.articleBody === 'string');
+            if (article) return normalizeText(decodeEntities(article.articleBody));
+        }
+
+        return null;
+    },
+
+    /**
+     * Readability-style extraction: score paragraph containers, keep the best
+     */
+    extractWithReadability: (html) => {
+        const root = parseHtml(html);
+        const scores = new Map();
+
+        // Node text and link lengths, computed once per node
+        const textCache = new Map();
+        const linkCache = new Map();
+        const text = node => textOf(node, textCache);
+        const links = node => linkTextLength(node, linkCache);
+
+        const addScore = (node, value) => {
+            if (!node || node.tag === 'root') return;
+            if (!scores.has(node)) scores.set(node, classWeight(node));
+            scores.set(node, scores.get(node) + value);
+        };
+
+        for (const paragraph of [...findAll(root, 'p'), ...findAll(root, 'pre')]) {
+            const paragraphText = normalizeText(text(paragraph));
+            if (paragraphText.length < 25) continue;
+
+            // 1 point base, 1 per comma, 1 per 100 chars (max 3)
+            const score = 1 + paragraphText.split(/[,，、]/).length - 1 + Math.min(Math.floor(paragraphText.length / 100), 3);
+
+            addScore(paragraph.parent, score);
+            addScore(paragraph.parent?.parent, score / 2);
+        }
+
+        let best = null;
+        let bestScore = 0;
+
+        for (const [node, score] of scores) {
+            const textLength = text(node).trim().length || 1;
+            const linkDensity = links(node) / textLength;
+            const finalScore = score * (1 - linkDensity);
+
+            if (finalScore > bestScore) {
+                bestScore = finalScore;
+                best = node;
+            }
+        }
+
+        if (!best) return null;
+
+        // Keep the candidate's paragraphs, dropping link-heavy boilerplate
+        const paragraphs = findAll(best, 'p')
+            .filter(p => {
+                const length = text(p).trim().length || 1;
+                return length >= 25 && links(p) / length < 0.5;
+            })
+            .map(p => normalizeText(text(p)));
+
+        const body = paragraphs.length > 0 ? paragraphs.join('\n\n') : normalizeText(text(best));
+        return body || null;
+    },
+
+    /**
+     * <meta name="description"> / og:description fallback
+     */
+    extractMetaDescription: (html) => {
+        const meta = html.match(/<meta[^>]+(?:name|property)=["'](?:og:)?description["'][^>]*>/i);
+        const content = meta?.[0].match(/content=["']([^"']*)["']/i);
+        return content ? normalizeText(decodeEntities(content[1])) : null;
+    },
+
+    /**
+     * Extract the main body from an HTML document
+     *
+     * @param {string} html - Page markup
+     * @returns {{text: string|null, method: 'json-ld'|'readability'|'meta-description'|'none'}}
+     */
+    extractFromHtml: (html) => {
+        const strategies = [
+            ['json-ld', articleExtractionService.extractFromJsonLd],
+            ['readability', articleExtractionService.extractWithReadability],
+            ['meta-description', articleExtractionService.extractMetaDescription]
+        ];
+
+        for (const [method, extract] of strategies) {
+            const text = extract(html);
+            // Body strategies must beat a typical snippet to be worth keeping
+            if (text && (method === 'meta-description' || text.length >= 200)) {
+                return { text: text.substring(0, MAX_FULLTEXT_LENGTH), method };
+            }
+        }
+
+        return { text: null, method: 'none' };
+    },
+
+    /**
+     * GET a page from an untrusted URL
+     * Only public http(s) addresses are fetched, redirects are followed by hand
+     * so every hop is checked again, and the body is capped at MAX_RESPONSE_BYTES.
+     */
+    fetchPage: async (url) => {
+        let target = parseFetchableUrl(url);
+
+        for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+            const response = await axios.get(target.href, {
+                headers: {
+                    'Accept': 'text/html,application/xhtml+xml',
+                    'User-Agent': 'NewslettBot/1.0 (+https://github.com/NexoraNext/newslett-server)'
+                },
+                timeout: EXTRACTION_TIMEOUT,
+                maxContentLength: MAX_RESPONSE_BYTES,
+                maxBodyLength: MAX_RESPONSE_BYTES,
+                maxRedirects: 0,
+                validateStatus: status => status >= 200 && status < 400,
+                httpAgent,
+                httpsAgent,
+                proxy: false,
+                responseType: 'text'
+            });
+
+            if (response.status < 300) return response;
+
+            const location = response.headers.location;
+            if (!location) {
+                throw new Error(`Redirect ${response.status} without a Location`);
+            }
+            target = parseFetchableUrl(location, target);
+        }
+
+        throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+    },
+
+    /**
+     * Fetch a URL and extract its main body
+     *
+     * @param {string} url - Article URL
+     * @returns {Promise<{text: string|null, method: string}>}
+     */
+    extractFromUrl: async (url) => {
+        try {
+            const response = await articleExtractionService.fetchPage(url);
+
+            if (!/html/i.test(response.headers['content-type'] || 'text/html')) {
+                return { text: null, method: 'none' };
+            }
+
+            const result = articleExtractionService.extractFromHtml(response.data);
+            logger.debug(`Extracted ${result.text?.length || 0} chars via ${result.method}: ${url}`);
+            return result;
+        } catch (error) {
+            logger.warn(`Full-text extraction failed for ${url}: ${error.message}`);
+            return { text: null, method: 'none' };
+        }
+    },
+
+    /**
+     * Decide whether to extract an incoming article, and do it
+     * Respects the global switch and the per-source `extractFullText` opt-out.
+     *
+     * @returns {Promise<{fullText: string, extractionMethod: string}>}
+     */
+    enrichArticle: async (article) => {
+        if (!articleExtractionService.isEnabled() || article.extractFullText === false) {
+            return { fullText: '', extractionMethod: 'disabled' };
+        }
+
+        if (!articleExtractionService.isTruncated(article.content)) {
+            return { fullText: article.content, extractionMethod: 'feed' };
+        }
+
+        const { text, method } = await articleExtractionService.extractFromUrl(article.url);
+
+        // Never replace a snippet with something shorter
+        if (!text || text.length <= (article.content || '').replace(/\[\+\d+ chars\]\s*$/, '').length) {
+            return { fullText: '', extractionMethod: 'none' };
+        }
+
+        return { fullText: text, extractionMethod: method };
+    }
+};
+
+module.exports = articleExtractionService;
@@ -0,0 +1,225 @@
+const News = require('../models/News');
+const Story = require('../models/Story');
+const StorySource = require('../models/StorySource');
+const brainService = require('./brainService');
+const gemmaApiService = require('./gemmaApiService');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../middleware/logger');
+
+const AI_FIELDS = ['summary', 'whyThisMatters', 'mood', 'brainDecision'];
+const MAX_REPROCESS = 5000;
+
+/**
+ * Article Processing Service
+ * Adds AI fields (summary, why this matters, mood) to a saved article. Runs as
+ * the 'article.ai' job in the job queue, so ingest saves articles right away
+ * and they gain AI fields when their job completes.
+ *
+ * Uses the Brain Architecture when USE_BRAIN_ARCHITECTURE=true, otherwise the
+ * legacy Gemma/HuggingFace calls. Every AI field is stored with its provenance
+ * (News.aiProvenance), which reprocess() uses to find output from a bad model
+ * or prompt version.
+ */
+const articleProcessingService = {
+    /**
+     * Run the AI pipeline for one article
+     * Throws on brain errors so the queue retries with backoff.
+     *
+     * @param {string} articleId
+     * @param {Object} [options] - { force: rerun an already processed article, bypassing the decision cache }
+     * @returns {Promise<Object>} Job result: { decision, processingTime }
+     */
+    async processArticle(articleId, { force = false } = {}) {
+        const article = await News.findById(articleId);
+        if (!article) {
+            return { decision: null, skipped: 'Article no longer exists' };
+        }
+        if (article.aiProcessed && !force) {
+            return { decision: article.brainDecision, skipped: 'Already processed' };
+        }
+
+        const previousSummary = article.summary;
+
+        const bodyText = article.fullText || article.content || article.description;
+        const startTime = Date.now();
+        let fields;
+
+        if (brainService.isEnabled()) {
+            const brainResult = await brainService.processArticle({
+                title: article.title,
+                content: bodyText,
+                source: article.source,
+                category: article.category
+            }, { useDecisionCache: !force });
+
+            if (brainResult.errors.length > 0 && brainResult.decision !== 'SKIP') {
+                throw new Error(brainResult.errors.join('; '));
+            }
+
+            // No summary for a PROCESS decision means the summarizer was unavailable
+            // (e.g. its breaker is open); fail so the queue retries the article later
+            if (brainResult.decision === 'PROCESS' && !brainResult.summary) {
+                throw new Error('Brain produced no summary for a PROCESS decision');
+            }
+
+            // CACHE articles stay visible with their original text only; SKIP
+            // articles are kept out of the feed and clustering
+            const produced = brainResult.decision === 'PROCESS'
+                ? ['brainDecision', 'summary', 'whyThisMatters', 'mood']
+                : ['brainDecision'];
+
+            fields = {
+                brainDecision: brainResult.decision,
+                sourceLanguage: brainResult.sourceLanguage,
+                ...(brainResult.decision === 'PROCESS' && {
+                    summary: brainResult.summary,
+                    whyThisMatters: brainResult.whyThisMatters,
+                    mood: brainResult.mood
+                }),
+                ...Object.fromEntries(produced.map(field => [`aiProvenance.${field}`, brainResult.provenance[field]]))
+            };
+        } else {
+            const [summary, whyThisMatters, mood] = await Promise.all([
+                gemmaApiService.generateSummaryWithProvenance(article.title, bodyText),
+                gemmaApiService.generateWhyThisMattersWithProvenance(article.title, bodyText),
+                gemmaApiService.classifyMoodWithProvenance(article.title, bodyText)
+            ]);
+
+            // brainDecision is a fixed PROCESS here, not a model output
+            fields = {
+                brainDecision: 'PROCESS',
+                summary: summary.value,
+                whyThisMatters: whyThisMatters.value,
+                mood: mood.value,
+                'aiProvenance.summary': summary.provenance,
+                'aiProvenance.whyThisMatters': whyThisMatters.provenance,
+                'aiProvenance.mood': mood.provenance,
+                'aiProvenance.brainDecision': null
+            };
+        }
+
+        article.set({ ...fields, aiProcessed: true, processedAt: new Date() });
+        await article.save();
+
+        await this.propagate(article, { force, previousSummary });
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`✅ AI fields ready (${article.brainDecision}, ${processingTime}ms): ${article.title.substring(0, 50)}...`);
+
+        return { decision: article.brainDecision, processingTime };
+    },
+
+    /**
+     * Copy fresh AI fields to near-duplicate copies and to stories that were
+     * created from this article before its AI fields existed
+     * On a forced reprocess, copies and stories still showing the article's
+     * previous summary are updated too.
+     */
+    async propagate(article, { force = false, previousSummary = '' } = {}) {
+        const provenance = article.toObject().aiProvenance || {};
+        const fields = {
+            summary: article.summary,
+            whyThisMatters: article.whyThisMatters,
+            mood: article.mood,
+            brainDecision: article.brainDecision,
+            sourceLanguage: article.sourceLanguage,
+            aiProvenance: provenance,
+            aiProcessed: true,
+            processedAt: article.processedAt
+        };
+
+        await News.updateMany(
+            { canonicalArticleId: article._id, ...(!force && { aiProcessed: false }) },
+            { $set: fields }
+        );
+
+        if (!article.summary) return;
+
+        const storyIds = await StorySource.distinct('storyId', { articleId: article._id });
+        if (storyIds.length === 0) return;
+
+        const summaries = force && previousSummary ? ['', previousSummary.substring(0, 300)] : [''];
+
+        // Story summaries are capped at 300 characters, "why this matters" at 200
+        await Story.updateMany(
+            { _id: { $in: storyIds }, summary: { $in: summaries } },
+            {
+                $set: {
+                    summary: article.summary.substring(0, 300),
+                    whyThisMatters: (article.whyThisMatters || '').substring(0, 200),
+                    mood: article.mood || 'neutral',
+                    'aiProvenance.summary': provenance.summary || null,
+                    'aiProvenance.whyThisMatters': provenance.whyThisMatters || null,
+                    'aiProvenance.mood': provenance.mood || null
+                }
+            }
+        );
+    },
+
+    /**
+     * Find articles whose AI fields came from a given provider, model or
+     * prompt version and queue them to be processed again
+     *
+     * @param {Object} filter - { field, provider, model, promptVersion, simulated, since, until, ids, limit, dryRun }
+     *   field limits matching to one of summary/whyThisMatters/mood/brainDecision (default: any);
+     *   since/until bound when the value was generated
+     * @returns {Promise<Object>} { matched, queued }
+     */
+    async reprocess({ field, provider, model, promptVersion, simulated, since, until, ids, limit, dryRun = false } = {}) {
+        if (field && !AI_FIELDS.includes(field)) {
+            throw new AppError(`field must be one of: ${AI_FIELDS.join(', ')}`, 400);
+        }
+
+        const criteria = {};
+        if (provider) criteria.provider = provider;
+        if (model) criteria.model = model;
+        if (promptVersion) criteria.promptVersion = promptVersion;
+        if (simulated !== undefined) criteria.simulated = simulated === true || simulated === 'true';
+        if (since || until) {
+            if ([since, until].some(date => date && isNaN(new Date(date)))) {
+                throw new AppError('since and until must be valid dates', 400);
+            }
+            criteria.generatedAt = {
+                ...(since && { $gte: new Date(since) }),
+                ...(until && { $lte: new Date(until) })
+            };
+        }
+
+        if (Object.keys(criteria).length === 0 && !ids?.length) {
+            throw new AppError('Give ids or at least one of provider, model, promptVersion, simulated, since, until', 400);
+        }
+
+        const query = {};
+        if (ids?.length) query._id = { $in: ids };
+        if (Object.keys(criteria).length > 0) {
+            const clauses = (field ? [field] : AI_FIELDS).map(name => Object.fromEntries(
+                Object.entries(criteria).map(([key, value]) => [`aiProvenance.${name}.${key}`, value])
+            ));
+            query.$or = clauses;
+        }
+
+        const max = Math.min(MAX_REPROCESS, Math.max(1, parseInt(limit) || MAX_REPROCESS));
+        const articles = await News.find(query).sort({ publishedAt: -1 }).limit(max).select('_id').lean();
+
+        if (dryRun) {
+            return { matched: articles.length, queued: 0 };
+        }
+
+        // Required here because jobQueueService requires this module
+        const jobQueueService = require('./jobQueueService');
+
+        // Behind freshly ingested articles in the queue. An article whose job is
+        // still queued or running gets no second job; that run uses the current pipeline.
+        for (const { _id } of articles) {
+            await jobQueueService.enqueue('article.ai', { articleId: _id.toString(), force: true }, {
+                dedupeKey: `article.ai:${_id}`,
+                priority: -1
+            });
+        }
+
+        logger.info(`Queued ${articles.length} articles for AI reprocessing`);
+        return { matched: articles.length, queued: articles.length };
+    }
+};
+
+module.exports = articleProcessingService;
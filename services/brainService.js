@@ -7,7 +7,8 @@
  * ARCHITECTURE:
  * 1. Detect language → if non-English, translate via Qwen (ISOLATED)
  * 2. Decision via Phi-2 (receives ONLY English text)
- * 3. If PROCESS → Heavy lifting via BART/RoBERTa/MiniLM
+ * 3. If PROCESS → Heavy lifting via BART/RoBERTa/MiniLM (or whatever the
+ *    llmService route for each task names)
  * 4. If original was non-English → translate results back
  */
 
@@ -15,6 +16,11 @@ const { logger } = require('../middleware/logger');
 const decisionMakerService = require('./decisionMakerService');
 const multilingualService = require('./multilingualService');
 const huggingFaceService = require('./huggingFaceService');
+const llmService = require('./llmService');
+const { provenance } = require('../utils/provenance');
+
+// Version of the "why this matters" templates, recorded in AI provenance
+const WHY_TEMPLATE_VERSION = 'brain-why-template-v1';
 
 const brainService = {
     /**
@@ -32,9 +38,11 @@ const brainService = {
      * @param {string} article.content - Article content
      * @param {string} article.source - Source name
      * @param {string} article.category - Category
-     * @returns {Promise<Object>} Processed article with AI enhancements
+     * @param {Object} [options] - { useDecisionCache: false to ask the decision model again }
+     * @returns {Promise<Object>} Processed article with AI enhancements and
+     *   per-field provenance ({ brainDecision, summary, whyThisMatters, mood })
      */
-    processArticle: async (article) => {
+    processArticle: async (article, { useDecisionCache = true } = {}) => {
         const startTime = Date.now();
         const result = {
             original: article,
@@ -45,6 +53,12 @@ const brainService = {
             whyThisMatters: null,
             sourceLanguage: 'en',
             processingTime: null,
+            provenance: {
+                brainDecision: null,
+                summary: null,
+                whyThisMatters: null,
+                mood: null
+            },
             errors: []
         };
 
@@ -86,11 +100,14 @@ const brainService = {
             // STEP 2: Decision Making (Phi-2)
             // ISOLATED: Only sees English text
             // ==========================================
-            const decision = await decisionMakerService.makeDecision(
-                englishTitle,
-                englishContent
-            );
+            const { value: decision, provenance: decisionProvenance } =
+                await decisionMakerService.makeDecisionWithProvenance(
+                    englishTitle,
+                    englishContent,
+                    { useCache: useDecisionCache }
+                );
             result.decision = decision;
+            result.provenance.brainDecision = decisionProvenance;
 
             logger.info(`🧠 Decision: ${decision}`);
 
@@ -115,32 +132,33 @@ const brainService = {
             result.processed = true;
 
             // Run all heavy lifting in parallel
+            const input = { title: englishTitle, content: englishContent };
             const [summary, mood, bias] = await Promise.all([
                 // BART for summarization
-                huggingFaceService.isEnabled()
-                    ? huggingFaceService.generateSummary(englishTitle, englishContent)
-                    : null,
+                llmService.tryRun('summarize', input),
 
                 // RoBERTa for mood classification
-                huggingFaceService.isEnabled()
-                    ? huggingFaceService.classifyMood(`${englishTitle} ${englishContent}`)
-                    : null,
+                llmService.tryRun('classifyMood', input),
 
                 // BART-MNLI for bias detection (used for "why this matters")
-                huggingFaceService.isEnabled()
-                    ? huggingFaceService.detectBias(`${englishTitle} ${englishContent}`)
-                    : null
+                llmService.tryRun('detectBias', input)
             ]);
 
-            result.summary = summary;
-            result.mood = mood || 'neutral';
+            result.summary = summary?.value ?? null;
+            result.provenance.summary = summary?.provenance ?? null;
+
+            result.mood = mood?.value || 'neutral';
+            result.provenance.mood = mood?.value
+                ? mood.provenance
+                : provenance({ provider: 'builtin', model: 'default-mood', input: [englishTitle, englishContent], simulated: true });
 
             // Generate "Why This Matters" from bias analysis
-            if (bias) {
+            if (bias?.value) {
                 result.whyThisMatters = brainService.generateWhyThisMatters(
                     englishTitle,
-                    bias
+                    bias.value
                 );
+                result.provenance.whyThisMatters = { ...bias.provenance, promptVersion: WHY_TEMPLATE_VERSION };
             }
 
             // ==========================================
@@ -160,6 +178,13 @@ const brainService = {
                         sourceLang
                     );
                 }
+
+                const translationModel = multilingualService.getStatus().model;
+                for (const field of ['summary', 'whyThisMatters']) {
+                    if (result.provenance[field]) {
+                        result.provenance[field].translationModel = translationModel;
+                    }
+                }
             }
 
             result.processingTime = Date.now() - startTime;
@@ -270,7 +295,8 @@ const brainService = {
                 huggingFace: {
                     enabled: huggingFaceService.isEnabled()
                 }
-            }
+            },
+            llm: llmService.getStatus()
         };
     }
 };
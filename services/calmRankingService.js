@@ -1,7 +1,13 @@
 const Story = require('../models/Story');
 const StorySource = require('../models/StorySource');
+const RankingProfile = require('../models/RankingProfile');
 const { logger } = require('../middleware/logger');
 
+// How long loaded ranking profiles are reused before re-reading the DB
+const PROFILE_CACHE_TTL = 60 * 1000;
+
+let profileCache = { profiles: null, loadedAt: 0 };
+
 /**
  * Calm Ranking Service
  * Ranks stories based on understanding value, NOT engagement
@@ -13,7 +19,7 @@ const { logger } = require('../middleware/logger');
  * - NO engagement metrics (likes, shares, time-on-page)
  */
 const calmRankingService = {
-    // Ranking weights
+    // Built-in weights (the calm-default profile), used when no DB profile is available
     WEIGHTS: {
         SOURCE_COUNT: 0.30,      // More sources = more important
         SOURCE_DIVERSITY: 0.25,  // Different types of sources
@@ -24,12 +30,92 @@ const calmRankingService = {
     // Maximum age for recency boost (after this, recency = 0)
     MAX_RECENCY_HOURS: 24,
 
+    // Most stories ranked in memory for a non-default profile
+    MAX_PROFILE_CANDIDATES: 500,
+
+    /**
+     * Profile object built from the hard-coded WEIGHTS
+     */
+    getBuiltInProfile() {
+        return {
+            name: 'calm-default',
+            description: 'Built-in calm ranking weights',
+            weights: { ...this.WEIGHTS },
+            recencyHorizonHours: this.MAX_RECENCY_HOURS,
+            isDefault: true
+        };
+    },
+
+    /**
+     * Convert a RankingProfile document into the shape the scorer uses
+     */
+    toProfile(doc) {
+        return {
+            name: doc.name,
+            description: doc.description,
+            weights: {
+                SOURCE_COUNT: doc.weights.sourceCount,
+                SOURCE_DIVERSITY: doc.weights.sourceDiversity,
+                CREDIBILITY: doc.weights.credibility,
+                RECENCY: doc.weights.recency
+            },
+            recencyHorizonHours: doc.recencyHorizonHours,
+            isDefault: doc.isDefault
+        };
+    },
+
+    /**
+     * Load enabled profiles (seeding the built-ins on first use), cached briefly
+     */
+    async loadProfiles() {
+        if (profileCache.profiles && Date.now() - profileCache.loadedAt < PROFILE_CACHE_TTL) {
+            return profileCache.profiles;
+        }
+
+        // Database errors propagate; a broken store must not look like an unknown profile
+        const seeded = await RankingProfile.seedDefaults();
+        if (seeded > 0) logger.info(`Seeded ${seeded} ranking profiles`);
+
+        const docs = await RankingProfile.find({ enabled: true }).lean();
+        profileCache = {
+            profiles: new Map(docs.map(doc => [doc.name, this.toProfile(doc)])),
+            loadedAt: Date.now()
+        };
+
+        return profileCache.profiles;
+    },
+
+    /**
+     * Forget cached profiles (after an admin edit)
+     */
+    clearProfileCache() {
+        profileCache = { profiles: null, loadedAt: 0 };
+    },
+
+    /**
+     * Resolve a profile by name
+     * No name → the default profile. Unknown or disabled name → null.
+     */
+    async resolveProfile(name) {
+        const profiles = await this.loadProfiles();
+
+        if (name) {
+            return profiles.get(String(name).toLowerCase()) || null;
+        }
+
+        return [...profiles.values()].find(profile => profile.isDefault) || this.getBuiltInProfile();
+    },
+
     /**
      * Calculate importance score for a story
      * This replaces engagement-based ranking
+     *
+     * @param {Object} story
+     * @param {Object} [profile] - Resolved ranking profile (defaults to built-in weights)
+     * @param {number|Date} [now] - Reference time for recency (snapshot replays pass their capture time)
      */
-    calculateImportanceScore(story) {
-        const { SOURCE_COUNT, SOURCE_DIVERSITY, CREDIBILITY, RECENCY } = this.WEIGHTS;
+    calculateImportanceScore(story, profile = this.getBuiltInProfile(), now = Date.now()) {
+        const { SOURCE_COUNT, SOURCE_DIVERSITY, CREDIBILITY, RECENCY } = profile.weights;
 
         // Source count score (normalized, cap at 10)
         const sourceScore = Math.min(story.sourceCount / 10, 1);
@@ -40,9 +126,9 @@ const calmRankingService = {
         // Credibility (already 0-1)
         const credibilityScore = story.averageCredibility || 0.5;
 
-        // Recency score (decays linearly, capped at MAX_RECENCY_HOURS)
-        const ageHours = (Date.now() - new Date(story.firstSeen)) / (1000 * 60 * 60);
-        const recencyScore = Math.max(0, 1 - (ageHours / this.MAX_RECENCY_HOURS));
+        // Recency score (decays linearly, capped at the profile's horizon)
+        const ageHours = (new Date(now) - new Date(story.firstSeen)) / (1000 * 60 * 60);
+        const recencyScore = Math.max(0, 1 - (ageHours / profile.recencyHorizonHours));
 
         // Calculate weighted score
         const score = (
@@ -58,17 +144,20 @@ const calmRankingService = {
     /**
      * Rank an array of stories by calm importance
      */
-    rankStories(stories) {
+    rankStories(stories, profile) {
         return stories
             .map(story => ({
                 ...story,
-                importanceScore: this.calculateImportanceScore(story)
+                importanceScore: this.calculateImportanceScore(story, profile)
             }))
             .sort((a, b) => b.importanceScore - a.importanceScore);
     },
 
     /**
      * Get paginated stories with calm ranking
+     *
+     * @param {Object} options
+     * @param {Object} [options.profile] - Resolved ranking profile (default profile if omitted)
      */
     async getStoriesWithCalmRanking(options = {}) {
         const {
@@ -76,12 +165,17 @@ const calmRankingService = {
             limit = 20,
             category,
             mood,
+            lifecycle,
             maxAgeHours = 72
         } = options;
+        const profile = options.profile || await this.resolveProfile();
 
         // Build query
         const query = {};
 
+        // Archived stories stay out of the feed unless explicitly requested
+        query.lifecycleState = Story.lifecycleQuery(lifecycle);
+
         if (category && category !== 'all') {
             query.category = category;
         }
@@ -95,20 +189,37 @@ const calmRankingService = {
         query.firstSeen = { $gte: cutoff };
 
         // Get total count for pagination
-        const total = await Story.countDocuments(query);
-
-        // Get stories sorted by importance
-        const stories = await Story.find(query)
-            .sort({ importanceScore: -1, lastUpdated: -1 })
-            .skip((page - 1) * limit)
-            .limit(limit)
-            .lean();
-
-        // Recalculate scores (in case they're stale)
-        const rankedStories = this.rankStories(stories);
+        let total = await Story.countDocuments(query);
+
+        let rankedStories;
+
+        if (profile.isDefault) {
+            // Stored importanceScore was computed with the default profile
+            const stories = await Story.find(query)
+                .sort({ importanceScore: -1, lastUpdated: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean();
+
+            // Recalculate scores (in case they're stale)
+            rankedStories = this.rankStories(stories, profile);
+        } else {
+            // Other profiles order stories differently, so rank the candidate set in memory
+            const candidates = await Story.find(query)
+                .sort({ lastUpdated: -1 })
+                .limit(this.MAX_PROFILE_CANDIDATES)
+                .lean();
+
+            rankedStories = this.rankStories(candidates, profile)
+                .slice((page - 1) * limit, page * limit);
+
+            // Only the candidate set can be paged through
+            total = Math.min(total, this.MAX_PROFILE_CANDIDATES);
+        }
 
         return {
             stories: rankedStories,
+            profile: { name: profile.name, weights: profile.weights, recencyHorizonHours: profile.recencyHorizonHours },
             pagination: {
                 page,
                 limit,
@@ -125,6 +236,7 @@ const calmRankingService = {
      */
     async refreshAllScores() {
         const cutoff = new Date(Date.now() - 72 * 60 * 60 * 1000);
+        const profile = await this.resolveProfile();
 
         const stories = await Story.find({
             firstSeen: { $gte: cutoff }
@@ -133,7 +245,7 @@ const calmRankingService = {
         let updated = 0;
 
         for (const story of stories) {
-            const newScore = this.calculateImportanceScore(story);
+            const newScore = this.calculateImportanceScore(story, profile);
 
             if (Math.abs(story.importanceScore - newScore) > 0.01) {
                 story.importanceScore = newScore;
@@ -162,18 +274,25 @@ const calmRankingService = {
 
     /**
      * Get ranking explanation for a story (for transparency)
+     * Reports the profile and weights that produced the score.
      */
-    getRankingExplanation(story) {
-        const { SOURCE_COUNT, SOURCE_DIVERSITY, CREDIBILITY, RECENCY } = this.WEIGHTS;
+    getRankingExplanation(story, profile = this.getBuiltInProfile()) {
+        const { SOURCE_COUNT, SOURCE_DIVERSITY, CREDIBILITY, RECENCY } = profile.weights;
 
         const sourceScore = Math.min(story.sourceCount / 10, 1);
         const diversityScore = story.sourceDiversity || 0;
         const credibilityScore = story.averageCredibility || 0.5;
         const ageHours = (Date.now() - new Date(story.firstSeen)) / (1000 * 60 * 60);
-        const recencyScore = Math.max(0, 1 - (ageHours / this.MAX_RECENCY_HOURS));
+        const recencyScore = Math.max(0, 1 - (ageHours / profile.recencyHorizonHours));
 
         return {
-            totalScore: this.calculateImportanceScore(story),
+            totalScore: this.calculateImportanceScore(story, profile),
+            profile: {
+                name: profile.name,
+                description: profile.description,
+                weights: profile.weights,
+                recencyHorizonHours: profile.recencyHorizonHours
+            },
             breakdown: {
                 sourceCount: {
                     weight: SOURCE_COUNT,
@@ -194,6 +313,7 @@ const calmRankingService = {
                 recency: {
                     weight: RECENCY,
                     ageHours: Math.round(ageHours * 10) / 10,
+                    horizonHours: profile.recencyHorizonHours,
                     normalizedScore: recencyScore,
                     contribution: recencyScore * RECENCY
                 }
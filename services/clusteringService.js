@@ -4,7 +4,15 @@ const StorySource = require('../models/StorySource');
 const Source = require('../models/Source');
 const News = require('../models/News');
 const { logger } = require('../middleware/logger');
+const { storyProvenance } = require('../utils/provenance');
 const gemmaApiService = require('./gemmaApiService');
+const huggingFaceService = require('./huggingFaceService');
+const llmService = require('./llmService');
+const storyLifecycleService = require('./storyLifecycleService');
+
+// Default embedding provider: the "embed" route (MiniLM via HuggingFace unless
+// LLM_ROUTES says otherwise); replaceable for tests
+let embeddingProvider = (text) => llmService.tryRun('embed', { text }).then(result => result?.value ?? null);
 
 /**
  * Clustering Service
@@ -14,6 +22,72 @@ const clusteringService = {
     // Similarity threshold for grouping articles (0-1)
     SIMILARITY_THRESHOLD: 0.65,
 
+    // Cosine similarity threshold for embedding-mode matching (0-1)
+    EMBEDDING_SIMILARITY_THRESHOLD: parseFloat(process.env.EMBEDDING_SIMILARITY_THRESHOLD) || 0.75,
+
+    /**
+     * Active clustering mode: 'lexical' (default) or 'embedding'
+     * Embedding mode still falls back to lexical matching when vectors are unavailable
+     */
+    getMode() {
+        return process.env.CLUSTERING_MODE === 'embedding' ? 'embedding' : 'lexical';
+    },
+
+    /**
+     * Replace the embedding provider (e.g. with hashingEmbedding in tests)
+     * @param {(text: string) => Promise<number[]|null>|number[]|null} provider
+     */
+    setEmbeddingProvider(provider) {
+        embeddingProvider = provider;
+    },
+
+    /**
+     * Deterministic local embedding stub (hashing trick over significant words)
+     * Similar texts get similar vectors without any network call
+     */
+    hashingEmbedding(text, dimensions = 256) {
+        const vector = new Array(dimensions).fill(0);
+        const words = (text || '')
+            .toLowerCase()
+            .replace(/[^\w\s]/g, ' ')
+            .split(/\s+/)
+            .filter(word => word.length > 3);
+
+        for (const word of words) {
+            const hash = crypto.createHash('md5').update(word).digest();
+            const index = hash.readUInt32BE(0) % dimensions;
+            vector[index] += (hash[4] & 1) ? 1 : -1;
+        }
+
+        return vector;
+    },
+
+    /**
+     * Get (and cache on the article) its embedding, or null if unavailable
+     */
+    async getArticleEmbedding(article) {
+        if (Array.isArray(article.embedding) && article.embedding.length > 0) {
+            return article.embedding;
+        }
+
+        const text = `${article.title || ''}. ${article.description || ''} ${(article.fullText || article.content || '').substring(0, 300)}`;
+
+        try {
+            const embedding = normalizeEmbedding(await embeddingProvider(text));
+            if (!embedding) return null;
+
+            article.embedding = embedding;
+            if (article._id) {
+                await News.updateOne({ _id: article._id }, { embedding });
+            }
+
+            return embedding;
+        } catch (error) {
+            logger.warn(`Embedding unavailable, using lexical similarity: ${error.message}`);
+            return null;
+        }
+    },
+
     /**
      * Calculate text similarity using a simple but effective approach
      * Uses normalized word overlap (Jaccard similarity on significant words)
@@ -100,9 +174,10 @@ const clusteringService = {
             article2.title || ''
         );
 
+        // Prefer extracted full text over truncated feed content
         const contentSim = this.calculateSimilarity(
-            (article1.description || '') + ' ' + (article1.content || ''),
-            (article2.description || '') + ' ' + (article2.content || '')
+            (article1.description || '') + ' ' + (article1.fullText || article1.content || ''),
+            (article2.description || '') + ' ' + (article2.fullText || article2.content || '')
         );
 
         // Must have at least some title similarity to be considered same story
@@ -118,15 +193,31 @@ const clusteringService = {
         // Get recent stories (last 48 hours) in the same category
         const cutoff = new Date(Date.now() - 48 * 60 * 60 * 1000);
 
+        const useEmbeddings = this.getMode() === 'embedding' && Array.isArray(article.embedding);
+
         const recentStories = await Story.find({
             firstSeen: { $gte: cutoff },
-            category: article.category || 'general'
-        }).lean();
+            category: article.category || 'general',
+            lifecycleState: { $ne: 'archived' }
+        })
+            .select(useEmbeddings ? '+centroidEmbedding' : '')
+            .lean();
 
         let bestMatch = null;
         let bestScore = 0;
 
         for (const story of recentStories) {
+            // Cosine against the story centroid when both vectors exist
+            if (useEmbeddings && story.centroidEmbedding?.length === article.embedding.length) {
+                const similarity = huggingFaceService.cosineSimilarity(article.embedding, story.centroidEmbedding);
+
+                if (similarity > this.EMBEDDING_SIMILARITY_THRESHOLD && similarity > bestScore) {
+                    bestScore = similarity;
+                    bestMatch = story;
+                }
+                continue;
+            }
+
             const similarity = this.calculateTitleSimilarity(
                 article.title || '',
                 story.canonicalTitle || ''
@@ -155,6 +246,7 @@ const clusteringService = {
                 summary: article.summary || '',
                 whyThisMatters: article.whyThisMatters || '',
                 mood: article.mood || 'neutral',
+                aiProvenance: storyProvenance(article),
                 category: article.category || 'general',
                 imageUrl: article.imageUrl || '',
                 contentType: this.detectContentType(article),
@@ -163,7 +255,11 @@ const clusteringService = {
                 averageCredibility: source.credibilityScore,
                 importanceScore: source.credibilityScore * 0.25, // Initial score
                 firstSeen: article.publishedAt || new Date(),
-                lastUpdated: new Date()
+                lastUpdated: new Date(),
+                ...(Array.isArray(article.embedding) && {
+                    centroidEmbedding: article.embedding,
+                    embeddingCount: 1
+                })
             });
 
             // Create the story-source link
@@ -193,7 +289,7 @@ const clusteringService = {
      */
     async addArticleToStory(storyId, article, similarityScore) {
         try {
-            const story = await Story.findById(storyId);
+            const story = await Story.findById(storyId).select('+centroidEmbedding');
             if (!story) throw new Error('Story not found');
 
             // Get source credibility
@@ -227,6 +323,19 @@ const clusteringService = {
             story.sourceCount += 1;
             story.lastUpdated = new Date();
 
+            // Fold the article into the story centroid (running mean)
+            if (Array.isArray(article.embedding)) {
+                const count = story.embeddingCount || 0;
+                const centroid = story.centroidEmbedding?.length === article.embedding.length
+                    ? story.centroidEmbedding
+                    : null;
+
+                story.centroidEmbedding = centroid
+                    ? centroid.map((value, i) => (value * count + article.embedding[i]) / (count + 1))
+                    : article.embedding;
+                story.embeddingCount = centroid ? count + 1 : 1;
+            }
+
             // Recalculate diversity and average credibility
             story.sourceDiversity = await StorySource.calculateSourceDiversity(storyId);
             story.averageCredibility = await StorySource.calculateAverageCredibility(storyId);
@@ -236,6 +345,9 @@ const clusteringService = {
             // Recalculate importance score
             await Story.recalculateImportance(storyId);
 
+            // New inflow can promote (or revive) the story
+            await storyLifecycleService.evaluateStory(storyId);
+
             logger.info(`Added ${article.source} to story "${story.canonicalTitle}" (${story.sourceCount} sources)`);
 
             return story;
@@ -245,6 +357,51 @@ const clusteringService = {
         }
     },
 
+    /**
+     * Recompute a story's statistics from its current StorySource links
+     * (sourceCount, sourceDiversity, averageCredibility, centroid, importanceScore)
+     */
+    async recalculateStoryStats(storyId) {
+        const story = await Story.findById(storyId).select('+centroidEmbedding');
+        if (!story) return null;
+
+        const links = await StorySource.find({ storyId }).sort({ isPrimary: -1, publishedAt: 1 });
+
+        // Keep exactly one primary source
+        if (links.length > 0 && !links.some(link => link.isPrimary)) {
+            links[0].isPrimary = true;
+            await links[0].save();
+        }
+
+        story.sourceCount = links.length;
+        story.sourceDiversity = await StorySource.calculateSourceDiversity(storyId);
+        story.averageCredibility = await StorySource.calculateAverageCredibility(storyId);
+        story.lastUpdated = new Date();
+
+        // Rebuild the centroid from member embeddings, when any exist
+        const articles = await News.find({ _id: { $in: links.map(link => link.articleId) } })
+            .select('+embedding')
+            .lean();
+        const embeddings = articles.map(a => a.embedding).filter(e => Array.isArray(e) && e.length > 0);
+
+        if (embeddings.length > 0) {
+            const dimensions = embeddings[0].length;
+            const sameSize = embeddings.filter(e => e.length === dimensions);
+            story.centroidEmbedding = Array.from({ length: dimensions }, (_, i) =>
+                sameSize.reduce((sum, e) => sum + e[i], 0) / sameSize.length
+            );
+            story.embeddingCount = sameSize.length;
+        } else {
+            story.centroidEmbedding = [];
+            story.embeddingCount = 0;
+        }
+
+        await story.save();
+        await storyLifecycleService.evaluateStory(storyId);
+
+        return Story.recalculateImportance(storyId);
+    },
+
     /**
      * Process a batch of articles and cluster them
      */
@@ -265,6 +422,20 @@ const clusteringService = {
                     continue;
                 }
 
+                // Syndicated copies join their canonical article's story
+                if (article.canonicalArticleId) {
+                    const canonicalLink = await StorySource.findOne({ articleId: article.canonicalArticleId });
+                    if (canonicalLink) {
+                        await this.addArticleToStory(canonicalLink.storyId, article, article.duplicateSimilarity || 1);
+                        results.mergedArticles++;
+                        continue;
+                    }
+                }
+
+                if (this.getMode() === 'embedding') {
+                    await this.getArticleEmbedding(article);
+                }
+
                 // Try to find a matching story
                 const match = await this.findMatchingStory(article);
 
@@ -318,8 +489,12 @@ const clusteringService = {
         // Find articles not yet linked to stories
         const linkedArticleIds = await StorySource.distinct('articleId');
 
+        // Only articles the AI job has decided on: skipped ones never reach
+        // stories, and so never reach the daily brief or weekly digest
         const unclusteredArticles = await News.find({
-            _id: { $nin: linkedArticleIds }
+            _id: { $nin: linkedArticleIds },
+            aiProcessed: true,
+            brainDecision: { $ne: 'SKIP' }
         })
             .sort({ publishedAt: -1 })
             .limit(100) // Process in batches
@@ -336,4 +511,26 @@ const clusteringService = {
     }
 };
 
+/**
+ * Coerce provider output to a flat numeric vector
+ * Token-level outputs ([[...], [...]]) are mean-pooled
+ */
+function normalizeEmbedding(raw) {
+    if (!Array.isArray(raw) || raw.length === 0) return null;
+
+    let vector = raw;
+    while (Array.isArray(vector[0]) && Array.isArray(vector[0][0])) {
+        vector = vector[0];
+    }
+
+    if (Array.isArray(vector[0])) {
+        const dimensions = vector[0].length;
+        vector = Array.from({ length: dimensions }, (_, i) =>
+            vector.reduce((sum, row) => sum + row[i], 0) / vector.length
+        );
+    }
+
+    return vector.every(Number.isFinite) ? vector : null;
+}
+
 module.exports = clusteringService;
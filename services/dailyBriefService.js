@@ -0,0 +1,286 @@
+const Story = require('../models/Story');
+const StorySource = require('../models/StorySource');
+const DailyBrief = require('../models/DailyBrief');
+const User = require('../models/User');
+const calmRankingService = require('./calmRankingService');
+const { logger } = require('../middleware/logger');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Daily Brief Service
+ * Builds one brief per user per day from clustered stories ranked by calm
+ * importance (never by likes or votes), then personalises the order:
+ *
+ * - categories: stories in the user's preferred categories are boosted
+ * - mood:       a "calm" reader sees fewer serious stories; "serious" the reverse
+ * - diversity:  at most MAX_PER_CATEGORY stories per category and
+ *               MAX_PER_SOURCE stories led by the same outlet
+ *
+ * Each pick stores the reasons it was chosen.
+ */
+const dailyBriefService = {
+    BRIEF_SIZE: parseInt(process.env.DAILY_BRIEF_SIZE) || 5,
+
+    // Only stories updated within this window are considered
+    CANDIDATE_WINDOW_HOURS: parseInt(process.env.DAILY_BRIEF_WINDOW_HOURS) || 36,
+    MAX_CANDIDATES: 200,
+
+    MAX_PER_CATEGORY: 2,
+    MAX_PER_SOURCE: 1,
+
+    // Personalisation multipliers on the calm importance score
+    CATEGORY_MATCH_BOOST: 1.25,
+    CATEGORY_MISS_PENALTY: 0.8,
+    MOOD_WEIGHTS: {
+        calm: { calm: 1.1, neutral: 1.0, serious: 0.7 },
+        neutral: { calm: 1.0, neutral: 1.0, serious: 1.0 },
+        serious: { calm: 0.9, neutral: 1.0, serious: 1.1 }
+    },
+
+    // Build briefs ahead of time for users active within this many days
+    ACTIVE_USER_DAYS: 30,
+
+    DEFAULT_PREFERENCES: { categories: ['general', 'technology', 'science', 'health'], mood: 'neutral' },
+
+    /**
+     * Brief day for a moment (UTC calendar date)
+     */
+    dateKey(now = new Date()) {
+        return now.toISOString().slice(0, 10);
+    },
+
+    /**
+     * Preferences a brief is built for (defaults for signed-out readers)
+     */
+    preferencesFor(user) {
+        const prefs = user?.preferences || {};
+        return {
+            categories: prefs.categories?.length ? prefs.categories : this.DEFAULT_PREFERENCES.categories,
+            mood: prefs.mood || this.DEFAULT_PREFERENCES.mood
+        };
+    },
+
+    /**
+     * Recent non-archived stories, ranked with the default calm profile and
+     * annotated with their source names
+     */
+    async loadCandidates(now = new Date()) {
+        const stories = await Story.find({
+            lifecycleState: { $ne: 'archived' },
+            lastUpdated: { $gte: new Date(now - this.CANDIDATE_WINDOW_HOURS * HOUR) }
+        })
+            .sort({ importanceScore: -1, lastUpdated: -1 })
+            .limit(this.MAX_CANDIDATES)
+            .select('-centroidEmbedding -timeline -relatedStories')
+            .lean();
+
+        if (stories.length === 0) return { stories: [], profile: null };
+
+        const links = await StorySource.find({ storyId: { $in: stories.map(s => s._id) } })
+            .select('storyId sourceName isPrimary credibilityScore')
+            .sort({ isPrimary: -1, credibilityScore: -1 })
+            .lean();
+
+        const sourcesByStory = new Map();
+        for (const link of links) {
+            const key = String(link.storyId);
+            if (!sourcesByStory.has(key)) sourcesByStory.set(key, []);
+            const names = sourcesByStory.get(key);
+            if (!names.includes(link.sourceName)) names.push(link.sourceName);
+        }
+
+        const profile = await calmRankingService.resolveProfile();
+        const ranked = calmRankingService.rankStories(stories, profile).map(story => {
+            const sources = sourcesByStory.get(String(story._id)) || [];
+            return { ...story, sources, primarySource: sources[0] || null };
+        });
+
+        return { stories: ranked, profile };
+    },
+
+    /**
+     * Personal score for one story, with the reasons behind it
+     */
+    scoreForUser(story, preferences, now = new Date()) {
+        const reasons = [];
+        let score = story.importanceScore;
+
+        if (story.sourceCount >= 3) {
+            reasons.push(`Covered by ${story.sourceCount} sources`);
+        }
+        if ((story.averageCredibility || 0) >= 0.75) {
+            reasons.push('Reported by highly credible outlets');
+        }
+
+        const ageHours = (now - new Date(story.firstSeen)) / HOUR;
+        if (ageHours <= 12) {
+            reasons.push(`New in the last ${Math.max(1, Math.round(ageHours))}h`);
+        } else if (story.lifecycleState === 'developing') {
+            reasons.push('Still developing');
+        }
+
+        if (story.category !== 'general') {
+            if (preferences.categories.includes(story.category)) {
+                score *= this.CATEGORY_MATCH_BOOST;
+                reasons.push(`Matches your interest in ${story.category}`);
+            } else {
+                score *= this.CATEGORY_MISS_PENALTY;
+            }
+        }
+
+        const moodWeight = this.MOOD_WEIGHTS[preferences.mood]?.[story.mood] ?? 1;
+        score *= moodWeight;
+        if (moodWeight > 1) {
+            reasons.push(`Suits your ${preferences.mood} reading mood`);
+        }
+
+        return { personalScore: Math.round(score * 1000) / 1000, reasons };
+    },
+
+    /**
+     * Pick the brief from scored candidates, enforcing category and source diversity
+     * If the limits leave the brief short, the best remaining stories fill it.
+     */
+    select(candidates, size = this.BRIEF_SIZE) {
+        const picks = [];
+        const perCategory = new Map();
+        const perSource = new Map();
+
+        for (const story of candidates) {
+            if (picks.length >= size) break;
+
+            const categoryCount = perCategory.get(story.category) || 0;
+            const sourceCount = story.primarySource ? perSource.get(story.primarySource) || 0 : 0;
+            if (categoryCount >= this.MAX_PER_CATEGORY || sourceCount >= this.MAX_PER_SOURCE) continue;
+
+            if (categoryCount === 0 && picks.length > 0) {
+                story.reasons.push(`Adds ${story.category} to today's mix`);
+            }
+
+            picks.push(story);
+            perCategory.set(story.category, categoryCount + 1);
+            if (story.primarySource) perSource.set(story.primarySource, sourceCount + 1);
+        }
+
+        for (const story of candidates) {
+            if (picks.length >= size) break;
+            if (picks.includes(story)) continue;
+
+            story.reasons.push('Fills the brief after diversity limits');
+            picks.push(story);
+        }
+
+        return picks;
+    },
+
+    /**
+     * Score, rank and pick brief items for a set of preferences
+     */
+    itemsFor(stories, preferences, now = new Date()) {
+        const scored = stories
+            .map(story => ({ ...story, ...this.scoreForUser(story, preferences, now) }))
+            .sort((a, b) => b.personalScore - a.personalScore);
+
+        return this.select(scored).map((story, index) => ({
+            storyId: story._id,
+            rank: index + 1,
+            title: story.canonicalTitle,
+            summary: story.summary,
+            whyThisMatters: story.whyThisMatters,
+            imageUrl: story.imageUrl,
+            category: story.category,
+            mood: story.mood,
+            primarySource: story.primarySource,
+            sources: story.sources.slice(0, 5),
+            sourceCount: story.sourceCount,
+            importanceScore: story.importanceScore,
+            personalScore: story.personalScore,
+            reasons: story.reasons.length ? story.reasons : ['Among the most important stories today']
+        }));
+    },
+
+    /**
+     * Build (or rebuild) a user's brief for a day
+     *
+     * @param {Object|null} user - User document, or null for the signed-out brief
+     * @param {Object} [options]
+     * @param {Date} [options.now]
+     * @param {Object} [options.candidates] - Pre-loaded loadCandidates() result (batch builds)
+     */
+    async buildForUser(user, { now = new Date(), candidates = null } = {}) {
+        const { stories, profile } = candidates || await this.loadCandidates(now);
+        const preferences = this.preferencesFor(user);
+        const items = this.itemsFor(stories, preferences, now);
+
+        return DailyBrief.findOneAndUpdate(
+            { userId: user?._id || null, date: this.dateKey(now) },
+            {
+                items,
+                preferences,
+                rankingProfile: profile?.name || null,
+                candidateCount: stories.length,
+                generatedAt: now
+            },
+            { new: true, upsert: true, setDefaultsOnInsert: true }
+        );
+    },
+
+    /**
+     * The caller's brief for today, built on first request
+     */
+    async getBrief(user, { now = new Date(), refresh = false } = {}) {
+        if (!refresh) {
+            const existing = await DailyBrief.findOne({ userId: user?._id || null, date: this.dateKey(now) }).lean();
+            if (existing) return existing;
+        }
+
+        const brief = await this.buildForUser(user, { now });
+        return brief.toObject();
+    },
+
+    /**
+     * Today's brief for an email-only subscriber (built on the fly, not stored)
+     */
+    async briefForSubscriber(subscriber, { now = new Date(), candidates = null } = {}) {
+        const { stories } = candidates || await this.loadCandidates(now);
+        const preferences = this.preferencesFor({ preferences: { categories: subscriber.categories } });
+
+        return { date: this.dateKey(now), items: this.itemsFor(stories, preferences, now), preferences };
+    },
+
+    /**
+     * Drop today's brief so the next request rebuilds it (after a preference change)
+     */
+    async invalidate(userId, now = new Date()) {
+        await DailyBrief.deleteOne({ userId, date: this.dateKey(now) });
+    },
+
+    /**
+     * Build today's briefs for recently active users and signed-out readers (cron)
+     */
+    async buildAll(now = new Date()) {
+        const candidates = await this.loadCandidates(now);
+
+        const users = await User.find({
+            lastActiveAt: { $gte: new Date(now - this.ACTIVE_USER_DAYS * 24 * HOUR) }
+        })
+            .select('preferences')
+            .lean();
+
+        let built = 0;
+        for (const user of [null, ...users]) {
+            try {
+                await this.buildForUser(user, { now, candidates });
+                built++;
+            } catch (error) {
+                logger.error(`Daily brief failed for ${user ? `user ${user._id}` : 'signed-out readers'}: ${error.message}`);
+            }
+        }
+
+        logger.info(`Built ${built} daily briefs from ${candidates.stories.length} candidate stories`);
+        return { built, candidates: candidates.stories.length };
+    }
+};
+
+module.exports = dailyBriefService;
@@ -0,0 +1,48 @@
+// In-process decision cache (default)
+// Fast, but emptied on every restart and not shared between instances.
+
+/**
+ * @param {Object} options - { ttlMs, maxSize }
+ */
+function create({ ttlMs, maxSize }) {
+    const entries = new Map();
+
+    return {
+        name: 'memory',
+
+        async get(hash) {
+            const entry = entries.get(hash);
+            if (!entry) return null;
+
+            if (Date.now() - entry.timestamp >= ttlMs) {
+                entries.delete(hash);
+                return null;
+            }
+
+            // Re-insert so the Map's insertion order tracks recent use (LRU)
+            entries.delete(hash);
+            entries.set(hash, entry);
+            return entry.decision;
+        },
+
+        async set(hash, decision) {
+            entries.delete(hash);
+            if (entries.size >= maxSize) {
+                entries.delete(entries.keys().next().value);
+            }
+            entries.set(hash, { decision, timestamp: Date.now() });
+        },
+
+        async size() {
+            return entries.size;
+        },
+
+        async clear() {
+            const size = entries.size;
+            entries.clear();
+            return size;
+        }
+    };
+}
+
+module.exports = { create };
@@ -0,0 +1,46 @@
+// MongoDB decision cache
+// Survives deploys and is shared by every instance. Expiry is handled by a
+// TTL index on expiresAt; expired entries that the TTL monitor has not removed
+// yet are ignored on read.
+const DecisionCacheEntry = require('../../models/DecisionCacheEntry');
+
+/**
+ * @param {Object} options - { ttlMs }
+ */
+function create({ ttlMs }) {
+    return {
+        name: 'mongo',
+
+        async get(hash) {
+            const entry = await DecisionCacheEntry.findOneAndUpdate(
+                { hash, expiresAt: { $gt: new Date() } },
+                { $inc: { hits: 1 } },
+                { projection: { decision: 1 } }
+            ).lean();
+
+            return entry ? entry.decision : null;
+        },
+
+        async set(hash, decision) {
+            await DecisionCacheEntry.updateOne(
+                { hash },
+                {
+                    $set: { decision, expiresAt: new Date(Date.now() + ttlMs) },
+                    $setOnInsert: { hits: 0 }
+                },
+                { upsert: true }
+            );
+        },
+
+        async size() {
+            return DecisionCacheEntry.countDocuments({ expiresAt: { $gt: new Date() } });
+        },
+
+        async clear() {
+            const result = await DecisionCacheEntry.deleteMany({});
+            return result.deletedCount;
+        }
+    };
+}
+
+module.exports = { create };
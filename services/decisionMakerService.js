@@ -2,7 +2,8 @@
  * Decision Maker Service (Phi-2)
  * 
  * The "brain" that decides what to do with each article.
- * Uses Microsoft Phi-2 via HuggingFace Inference API.
+ * Asks the model on the "decide" route in llmService (by default an instruction
+ * model on HuggingFace, PHI2_MODEL), with a heuristic fallback.
  * 
  * ISOLATION GUARANTEE: This service is NOT influenced by Qwen or any other LLM.
  * It only receives English text and makes independent decisions.
@@ -13,59 +14,28 @@
  * - CACHE: Similar content recently processed, use cached version
  */
 
-const axios = require('axios');
 const { logger } = require('../middleware/logger');
+const llmService = require('./llmService');
+const { provenance } = require('../utils/provenance');
+
+// Decision cache backends, selected by DECISION_CACHE_BACKEND
+// memory: per-process, lost on restart; mongo: shared by every instance, survives deploys
+const CACHE_BACKENDS = {
+    memory: require('./decisionCaches/memory'),
+    mongo: require('./decisionCaches/mongo')
+};
+const CACHE_BACKEND = process.env.DECISION_CACHE_BACKEND || 'memory';
+const MAX_CACHE_SIZE = parseInt(process.env.DECISION_CACHE_MAX_SIZE) || 1000;
+const CACHE_TTL_MS = parseInt(process.env.DECISION_CACHE_TTL_MS) || 60 * 60 * 1000; // 1 hour
 
-const HF_API_KEY = process.env.HF_API_KEY;
-const HF_BASE_URL = 'https://api-inference.huggingface.co/models';
-
-// Use a model with good HuggingFace Inference API support
-// Phi-2 returns 410 (not available on free inference), so we use a reliable alternative
-const PHI2_MODEL = process.env.PHI2_MODEL || 'mistralai/Mistral-7B-Instruct-v0.3';
-
-// Decision timeout (default 30 seconds)
-const DECISION_TIMEOUT = parseInt(process.env.DECISION_TIMEOUT_MS) || 30000;
-
-// Decision prompt - forces single-word response
-const DECISION_PROMPT = `Task: Decide if this news article requires deep AI processing.
-
-Rules:
-- Answer with EXACTLY ONE word.
-- Allowed answers: PROCESS, SKIP, CACHE.
-
-Definitions:
-- PROCESS: Important news that needs AI summarization and analysis. Breaking news, significant events, policy changes, scientific discoveries.
-- SKIP: Low-value content. Clickbait, listicles, celebrity gossip, spam, advertisements, duplicate content.
-- CACHE: Very similar to recently processed articles. Updates to existing stories without major new information.
-
-Quality indicators for PROCESS:
-- Has specific facts, dates, names
-- Reports on significant events
-- Contains original reporting
-- Affects many people
-
-Quality indicators for SKIP:
-- Sensational language ("SHOCKING", "You won't believe")
-- Vague or unverifiable claims
-- Primarily opinion without facts
-- Promotional content
-
-Article Title: {title}
-Article Content: {content}
-
-Decision:`;
+if (!CACHE_BACKENDS[CACHE_BACKEND]) {
+    throw new Error(`Unknown DECISION_CACHE_BACKEND "${CACHE_BACKEND}" (expected: ${Object.keys(CACHE_BACKENDS).join(', ')})`);
+}
 
-// Cache for recent decisions (simple in-memory LRU)
-const decisionCache = new Map();
-const MAX_CACHE_SIZE = 1000;
-const CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
+const decisionCache = CACHE_BACKENDS[CACHE_BACKEND].create({ ttlMs: CACHE_TTL_MS, maxSize: MAX_CACHE_SIZE });
 
-/**
- * Sleep utility
- */
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-}
+// Hit/miss counters for this process since start (or the last clearCache)
+const cacheStats = { hits: 0, misses: 0, writes: 0, errors: 0 };
 
 /**
  * Generate a content hash for caching
@@ -78,43 +48,48 @@ function generateContentHash(title, content) {
 
 /**
  * Check if similar content was recently processed
+ * A failing cache backend counts as a miss; it never blocks a decision.
  */
-function checkCache(title, content) {
+async function checkCache(title, content) {
     const hash = generateContentHash(title, content);
-    const cached = decisionCache.get(hash);
 
-    if (cached && (Date.now() - cached.timestamp) < CACHE_TTL_MS) {
-        logger.info(`📋 Decision cache hit for: "${title.substring(0, 50)}..."`);
-        return cached.decision;
+    try {
+        const decision = await decisionCache.get(hash);
+        if (decision) {
+            cacheStats.hits++;
+            logger.info(`📋 Decision cache hit for: "${title.substring(0, 50)}..."`);
+            return decision;
+        }
+    } catch (error) {
+        cacheStats.errors++;
+        logger.warn(`Decision cache read failed (${decisionCache.name}): ${error.message}`);
     }
 
+    cacheStats.misses++;
     return null;
 }
 
 /**
  * Store decision in cache
  */
-function cacheDecision(title, content, decision) {
+async function cacheDecision(title, content, decision) {
     const hash = generateContentHash(title, content);
 
-    // Simple LRU: remove oldest if at capacity
-    if (decisionCache.size >= MAX_CACHE_SIZE) {
-        const oldestKey = decisionCache.keys().next().value;
-        decisionCache.delete(oldestKey);
+    try {
+        await decisionCache.set(hash, decision);
+        cacheStats.writes++;
+    } catch (error) {
+        cacheStats.errors++;
+        logger.warn(`Decision cache write failed (${decisionCache.name}): ${error.message}`);
     }
-
-    decisionCache.set(hash, {
-        decision,
-        timestamp: Date.now()
-    });
 }
 
 const decisionMakerService = {
     /**
-     * Check if Phi-2 API is available
+     * Check if a decision model is available
      */
     isEnabled: () => {
-        return process.env.USE_BRAIN_ARCHITECTURE === 'true' && !!HF_API_KEY;
+        return process.env.USE_BRAIN_ARCHITECTURE === 'true' && llmService.canRun('decide');
     },
 
     /**
@@ -125,78 +100,61 @@ const decisionMakerService = {
      * @returns {Promise<'PROCESS'|'SKIP'|'CACHE'>}
      */
     makeDecision: async (title, content) => {
+        const { value } = await decisionMakerService.makeDecisionWithProvenance(title, content);
+        return value;
+    },
+
+    /**
+     * Make a decision and return { value, provenance }
+     * 
+     * @param {string} title - Article title (MUST be in English)
+     * @param {string} content - Article content (MUST be in English)
+     * @param {Object} [options] - { useCache: false to ask the model even if a decision is cached }
+     */
+    makeDecisionWithProvenance: async (title, content, { useCache = true } = {}) => {
+        const startedAt = Date.now();
+        const input = [title, content];
+
         // Check if enabled
         if (!decisionMakerService.isEnabled()) {
             logger.info('🧠 Brain architecture disabled, defaulting to PROCESS');
-            return 'PROCESS';
+            return {
+                value: 'PROCESS',
+                provenance: provenance({ provider: 'builtin', model: 'default-decision', input, startedAt, simulated: true })
+            };
         }
 
         // Check cache first
-        const cachedDecision = checkCache(title, content);
+        const cachedDecision = useCache ? await checkCache(title, content) : null;
         if (cachedDecision) {
-            return cachedDecision === 'PROCESS' ? 'CACHE' : cachedDecision;
+            const { provider, model, promptVersion } = llmService.describe('decide');
+            return {
+                value: cachedDecision === 'PROCESS' ? 'CACHE' : cachedDecision,
+                provenance: provenance({ provider, model, promptVersion, input, startedAt, cached: true })
+            };
         }
 
         try {
-            // Build the prompt with article content
-            const prompt = DECISION_PROMPT
-                .replace('{title}', title.substring(0, 200))
-                .replace('{content}', content.substring(0, 1000));
-
-            logger.info(`🧠 Phi-2 analyzing: "${title.substring(0, 50)}..."`);
-
-            // Call Phi-2 via HuggingFace
-            const response = await axios.post(
-                `${HF_BASE_URL}/${PHI2_MODEL}`,
-                {
-                    inputs: prompt,
-                    parameters: {
-                        max_new_tokens: 10,
-                        temperature: 0.1,  // Low for consistent decisions
-                        do_sample: false,
-                        return_full_text: false
-                    }
-                },
-                {
-                    headers: {
-                        'Authorization': `Bearer ${HF_API_KEY}`,
-                        'Content-Type': 'application/json'
-                    },
-                    timeout: DECISION_TIMEOUT
-                }
-            );
-
-            // Extract decision from response
-            const output = response.data[0]?.generated_text || '';
-            const decision = decisionMakerService.parseDecision(output);
-
-            logger.info(`🧠 Phi-2 decision: ${decision} for "${title.substring(0, 50)}..."`);
+            logger.info(`🧠 Decision model analyzing: "${title.substring(0, 50)}..."`);
 
-            // Cache the decision
-            cacheDecision(title, content, decision);
+            const result = await llmService.run('decide', { title, content });
+            const decision = decisionMakerService.parseDecision(result.value);
 
-            return decision;
+            logger.info(`🧠 Decision (${result.provenance.model}): ${decision} for "${title.substring(0, 50)}..."`);
 
-        } catch (error) {
-            // Handle model loading (cold start)
-            if (error.response?.status === 503) {
-                const estimatedTime = error.response.data?.estimated_time || 20;
-                logger.info(`⏳ Phi-2 model loading, waiting ${estimatedTime}s...`);
-                await sleep(Math.min(estimatedTime * 1000, 30000));
-
-                // Retry once
-                return decisionMakerService.makeDecision(title, content);
-            }
+            // Cache the decision
+            await cacheDecision(title, content, decision);
 
-            logger.error(`❌ Phi-2 decision failed: ${error.message}`);
+            return { value: decision, provenance: result.provenance };
 
-            // Handle 410 Gone error (model not available on free inference)
-            if (error.response?.status === 410) {
-                logger.info('⚠️ Model not available on free tier, using heuristics');
-            }
+        } catch (error) {
+            logger.error(`❌ Decision model failed, using heuristics: ${error.message}`);
 
             // Fallback to heuristic decision
-            return decisionMakerService.heuristicDecision(title, content);
+            return {
+                value: decisionMakerService.heuristicDecision(title, content),
+                provenance: provenance({ provider: 'builtin', model: 'heuristic-decision', input, startedAt, simulated: true })
+            };
         }
     },
 
@@ -221,7 +179,7 @@ const decisionMakerService = {
     },
 
     /**
-     * Heuristic-based decision (fallback when Phi-2 unavailable)
+     * Heuristic-based decision (fallback when no decision model answers)
      */
     heuristicDecision: (title, content) => {
         const text = `${title} ${content}`.toLowerCase();
@@ -282,21 +240,45 @@ const decisionMakerService = {
      * Get service status information
      */
     getStatus: () => {
+        const lookups = cacheStats.hits + cacheStats.misses;
+
         return {
             enabled: decisionMakerService.isEnabled(),
-            model: PHI2_MODEL,
-            cacheSize: decisionCache.size,
-            maxCacheSize: MAX_CACHE_SIZE,
-            cacheTTL: CACHE_TTL_MS
+            model: llmService.describe('decide').model,
+            cache: {
+                backend: decisionCache.name,
+                ttlMs: CACHE_TTL_MS,
+                ...(decisionCache.name === 'memory' && { maxSize: MAX_CACHE_SIZE }),
+                ...cacheStats,
+                hitRate: lookups > 0 ? Math.round((cacheStats.hits / lookups) * 1000) / 1000 : null
+            }
         };
     },
 
     /**
-     * Clear decision cache
+     * Cache status including the current entry count (needs a query for the
+     * mongo backend, so kept out of the synchronous getStatus)
+     */
+    getCacheStats: async () => {
+        const stats = decisionMakerService.getStatus().cache;
+
+        try {
+            stats.size = await decisionCache.size();
+        } catch (error) {
+            logger.warn(`Decision cache size failed (${decisionCache.name}): ${error.message}`);
+            stats.size = null;
+        }
+
+        return stats;
+    },
+
+    /**
+     * Clear decision cache and reset hit/miss counters
+     * With the mongo backend this clears the cache for every instance.
      */
-    clearCache: () => {
-        const size = decisionCache.size;
-        decisionCache.clear();
+    clearCache: async () => {
+        const size = await decisionCache.clear();
+        Object.assign(cacheStats, { hits: 0, misses: 0, writes: 0, errors: 0 });
         logger.info(`🗑️ Cleared ${size} cached decisions`);
         return size;
     }
@@ -0,0 +1,168 @@
+/**
+ * Fingerprint Service - Near-duplicate detection with MinHash
+ *
+ * Syndicated wire copy is republished by many outlets under different URLs.
+ * Each article gets a MinHash signature over word shingles; LSH band keys
+ * (indexed on News) find candidates cheaply, and the signature estimates
+ * their Jaccard similarity.
+ *
+ * 64 hashes in 16 bands of 4 rows: pairs around 0.5 similarity start
+ * becoming candidates, and NEAR_DUPLICATE_THRESHOLD decides the match.
+ */
+
+const News = require('../models/News');
+const { logger } = require('../middleware/logger');
+
+// Words per shingle
+const SHINGLE_SIZE = 5;
+
+// Signature layout
+const NUM_HASHES = 64;
+const NUM_BANDS = 16;
+const ROWS_PER_BAND = NUM_HASHES / NUM_BANDS;
+
+// Estimated Jaccard similarity at or above which articles are duplicates
+const NEAR_DUPLICATE_THRESHOLD = parseFloat(process.env.NEAR_DUPLICATE_THRESHOLD) || 0.7;
+
+// Texts with fewer shingles than this are too short to fingerprint reliably
+const MIN_SHINGLES = 8;
+
+/**
+ * FNV-1a 32-bit hash of a string
+ */
+function fnv1a(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * MurmurHash3 finalizer - spreads a seeded 32-bit value
+ */
+function mix32(value) {
+    let h = value >>> 0;
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+// Fixed per-hash seeds so signatures are comparable across processes
+const HASH_SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => mix32(0x9e3779b9 * (i + 1)));
+
+const fingerprintService = {
+    NEAR_DUPLICATE_THRESHOLD,
+
+    /**
+     * Split text into overlapping word shingles
+     */
+    shingle: (text, size = SHINGLE_SIZE) => {
+        const words = (text || '')
+            .toLowerCase()
+            .replace(/\[\+\d+ chars\]/g, ' ')
+            .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+            .split(/\s+/)
+            .filter(Boolean);
+
+        const shingles = new Set();
+        for (let i = 0; i <= words.length - size; i++) {
+            shingles.add(words.slice(i, i + size).join(' '));
+        }
+        return shingles;
+    },
+
+    /**
+     * Compute the MinHash signature and LSH band keys for a text
+     *
+     * @param {string} text - Text to fingerprint
+     * @returns {{signature: number[], bands: string[]}|null} null when too short
+     */
+    fingerprint: (text) => {
+        const shingles = fingerprintService.shingle(text);
+        if (shingles.size < MIN_SHINGLES) return null;
+
+        const signature = new Array(NUM_HASHES).fill(0xffffffff);
+
+        for (const shingle of shingles) {
+            const base = fnv1a(shingle);
+            for (let i = 0; i < NUM_HASHES; i++) {
+                const h = mix32(base ^ HASH_SEEDS[i]);
+                if (h < signature[i]) signature[i] = h;
+            }
+        }
+
+        const bands = [];
+        for (let b = 0; b < NUM_BANDS; b++) {
+            const rows = signature.slice(b * ROWS_PER_BAND, (b + 1) * ROWS_PER_BAND);
+            bands.push(`${b}:${fnv1a(rows.join(',')).toString(36)}`);
+        }
+
+        return { signature, bands };
+    },
+
+    /**
+     * Estimate Jaccard similarity from two signatures
+     */
+    estimateSimilarity: (signatureA, signatureB) => {
+        if (!signatureA?.length || signatureA.length !== signatureB?.length) return 0;
+
+        let matches = 0;
+        for (let i = 0; i < signatureA.length; i++) {
+            if (signatureA[i] === signatureB[i]) matches++;
+        }
+        return matches / signatureA.length;
+    },
+
+    /**
+     * Text used for an article's fingerprint
+     */
+    articleText: (article) => {
+        return `${article.title || ''} ${article.fullText || article.content || article.description || ''}`;
+    },
+
+    /**
+     * Find the canonical article an incoming article near-duplicates
+     *
+     * @param {Object} fingerprint - Result of fingerprint()
+     * @param {Object} options
+     * @param {number} [options.windowHours=72] - How far back to look for originals
+     * @returns {Promise<{article: Object, similarity: number}|null>}
+     */
+    findNearDuplicate: async (fingerprint, { windowHours = 72 } = {}) => {
+        if (!fingerprint) return null;
+
+        const candidates = await News.find({
+            minhashBands: { $in: fingerprint.bands },
+            canonicalArticleId: null,
+            publishedAt: { $gte: new Date(Date.now() - windowHours * 60 * 60 * 1000) }
+        })
+            .select('+minhashSignature')
+            .limit(50)
+            .lean();
+
+        let best = null;
+        let bestScore = 0;
+
+        for (const candidate of candidates) {
+            const score = fingerprintService.estimateSimilarity(fingerprint.signature, candidate.minhashSignature);
+            if (score > bestScore) {
+                bestScore = score;
+                best = candidate;
+            }
+        }
+
+        if (best && bestScore >= NEAR_DUPLICATE_THRESHOLD) {
+            logger.debug(`Near-duplicate (${bestScore.toFixed(2)}) of: ${best.title.substring(0, 50)}...`);
+            return { article: best, similarity: bestScore };
+        }
+
+        return null;
+    }
+};
+
+module.exports = fingerprintService;
@@ -1,6 +1,7 @@
-const axios = require('axios');
 const { logger } = require('../middleware/logger');
 const huggingFaceService = require('./huggingFaceService');
+const llmService = require('./llmService');
+const { provenance } = require('../utils/provenance');
 
 // Brain Architecture imports (optional, for new architecture)
 let brainService = null;
@@ -10,9 +11,21 @@ try {
   // Brain service not available, using legacy mode
 }
 
+// Versions of the built-in fallbacks and the bias template, recorded in AI provenance
+// (model prompts are versioned in llmProviders/prompts.js)
+const FALLBACK_VERSIONS = {
+  whyThisMattersFromBias: 'hf-bias-why-template-v1',
+  simulatedSummary: 'first-sentences-v1',
+  simulatedWhyThisMatters: 'why-templates-v1',
+  keywordMood: 'mood-keywords-v1'
+};
+
 /**
  * Gemma AI API Service
- * Handles all AI-related operations with caching and fallbacks
+ * Article and comment AI features with fallbacks. Models are reached through
+ * llmService, so each task follows its provider route (HuggingFace, Gemma, a
+ * local OpenAI-compatible server, ...); when no provider answers, the built-in
+ * simulated output is used.
  * 
  * BRAIN ARCHITECTURE: When USE_BRAIN_ARCHITECTURE=true, this service
  * delegates to brainService which uses:
@@ -45,242 +58,180 @@ const gemmaApiService = {
    * Generate ultra-short summary (50-120 words)
    */
   generateSummary: async (title, content) => {
-    try {
-      // Try HuggingFace API first (FREE, runs on their GPUs)
-      if (huggingFaceService.isEnabled()) {
-        const hfSummary = await huggingFaceService.generateSummary(title, content);
-        if (hfSummary) {
-          logger.info('✅ Summary generated via HuggingFace API');
-          return hfSummary;
-        }
-      }
-
-      // Fallback to Gemma if configured
-      if (process.env.NODE_ENV === 'development' || !process.env.GEMMA3_API_ENDPOINT) {
-        return generateSimulatedSummary(content);
-      }
-
-      const response = await axios.post(
-        process.env.GEMMA3_API_ENDPOINT,
-        {
-          model: "gemma-3-7b-instruct",
-          prompt: `Summarize this news article in 50-120 words. Be factual, neutral, no opinions. Title: ${title}. Content: ${content}`,
-          max_tokens: 150,
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${process.env.GEMMA3_API_KEY}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: 10000
-        }
-      );
-
-      return response.data.response;
-    } catch (error) {
-      logger.error("Error generating summary with Gemma", error);
-      return generateSimulatedSummary(content);
-    }
+    const { value } = await gemmaApiService.generateSummaryWithProvenance(title, content);
+    return value;
   },
 
   /**
    * Generate "Why this matters" one-liner
    */
   generateWhyThisMatters: async (title, content) => {
-    try {
-      // Try HuggingFace API for bias/one-liner logic (experimental mapping)
-      if (huggingFaceService.isEnabled()) {
-        const hfBias = await huggingFaceService.detectBias(`${title} ${content}`);
-        if (hfBias) {
-          logger.info('✅ Why-this-matters generated via HuggingFace API (Bias Analysis)');
-          return `Fact Check: This article is ${hfBias.topLabel}. Importance: It helps understand ${getTopicArea(title)}.`;
-        }
-      }
+    const { value } = await gemmaApiService.generateWhyThisMattersWithProvenance(title, content);
+    return value;
+  },
 
-      if (process.env.NODE_ENV === 'development' || !process.env.GEMMA3_API_ENDPOINT) {
-        return generateSimulatedWhyThisMatters(title);
-      }
+  /**
+   * Classify article mood (calm/neutral/serious)
+   */
+  classifyMood: async (title, content) => {
+    const { value } = await gemmaApiService.classifyMoodWithProvenance(title, content);
+    return value;
+  },
+
+  /**
+   * Generate summary and return { value, provenance }
+   */
+  generateSummaryWithProvenance: async (title, content) => {
+    const startedAt = Date.now();
 
-      const response = await axios.post(
-        process.env.GEMMA3_API_ENDPOINT,
-        {
-          model: "gemma-3-7b-instruct",
-          prompt: `In one short sentence (max 20 words), explain why this news matters to the average reader. Be neutral, factual. Title: ${title}. Content: ${content}`,
-          max_tokens: 50,
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${process.env.GEMMA3_API_KEY}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: 10000
-        }
-      );
-
-      return response.data.response;
-    } catch (error) {
-      logger.error("Error generating why this matters", error);
-      return generateSimulatedWhyThisMatters(title);
+    const result = await llmService.tryRun('summarize', { title, content });
+    if (result) {
+      logger.info(`✅ Summary generated via ${result.provenance.provider}`);
+      return result;
     }
+
+    return {
+      value: generateSimulatedSummary(content),
+      provenance: provenance({
+        provider: 'builtin',
+        model: 'simulated-summary',
+        promptVersion: FALLBACK_VERSIONS.simulatedSummary,
+        input: [title, content],
+        startedAt,
+        simulated: true
+      })
+    };
   },
 
   /**
-   * Classify article mood (calm/neutral/serious)
+   * Generate "Why this matters" and return { value, provenance }
    */
-  classifyMood: async (title, content) => {
-    try {
-      // Try HuggingFace API for sentiment analysis first
-      if (huggingFaceService.isEnabled()) {
-        const hfMood = await huggingFaceService.classifyMood(`${title} ${content}`);
-        if (hfMood) {
-          logger.info(`✅ Mood classified via HuggingFace API: ${hfMood}`);
-          return hfMood;
-        }
+  generateWhyThisMattersWithProvenance: async (title, content) => {
+    const startedAt = Date.now();
+
+    // HuggingFace bias analysis mapped onto a one-liner (experimental)
+    if (huggingFaceService.isEnabled()) {
+      const bias = await llmService.tryRun('detectBias', { title, content }, { providers: ['huggingface'] });
+      if (bias) {
+        logger.info('✅ Why-this-matters generated via HuggingFace API (Bias Analysis)');
+        return {
+          value: `Fact Check: This article is ${bias.value.topLabel}. Importance: It helps understand ${getTopicArea(title)}.`,
+          provenance: { ...bias.provenance, promptVersion: FALLBACK_VERSIONS.whyThisMattersFromBias }
+        };
       }
+    }
 
-      // Fallback to deterministic classification based on keywords
-      const text = `${title} ${content}`.toLowerCase();
+    const result = await llmService.tryRun('whyThisMatters', { title, content });
+    if (result) {
+      return result;
+    }
 
-      const seriousKeywords = ['death', 'killed', 'war', 'crisis', 'emergency', 'attack', 'disaster', 'terror', 'violence', 'shooting', 'explosion', 'crash'];
-      const calmKeywords = ['discovery', 'success', 'celebration', 'breakthrough', 'achievement', 'award', 'innovation', 'happy', 'joy', 'peace', 'milestone'];
+    return {
+      value: generateSimulatedWhyThisMatters(title),
+      provenance: provenance({
+        provider: 'builtin',
+        model: 'simulated-why-this-matters',
+        promptVersion: FALLBACK_VERSIONS.simulatedWhyThisMatters,
+        input: [title, content],
+        startedAt,
+        simulated: true
+      })
+    };
+  },
 
-      const seriousScore = seriousKeywords.filter(kw => text.includes(kw)).length;
-      const calmScore = calmKeywords.filter(kw => text.includes(kw)).length;
+  /**
+   * Classify mood and return { value, provenance }
+   */
+  classifyMoodWithProvenance: async (title, content) => {
+    const startedAt = Date.now();
 
-      if (seriousScore > calmScore) return 'serious';
-      if (calmScore > seriousScore) return 'calm';
-      return 'neutral';
-    } catch (error) {
-      logger.error("Error classifying mood", error);
-      return 'neutral';
+    const result = await llmService.tryRun('classifyMood', { title, content });
+    if (result) {
+      logger.info(`✅ Mood classified via ${result.provenance.provider}: ${result.value}`);
+      return result;
     }
+
+    // Fallback to deterministic classification based on keywords
+    const text = `${title} ${content}`.toLowerCase();
+
+    const seriousKeywords = ['death', 'killed', 'war', 'crisis', 'emergency', 'attack', 'disaster', 'terror', 'violence', 'shooting', 'explosion', 'crash'];
+    const calmKeywords = ['discovery', 'success', 'celebration', 'breakthrough', 'achievement', 'award', 'innovation', 'happy', 'joy', 'peace', 'milestone'];
+
+    const seriousScore = seriousKeywords.filter(kw => text.includes(kw)).length;
+    const calmScore = calmKeywords.filter(kw => text.includes(kw)).length;
+
+    let value = 'neutral';
+    if (seriousScore > calmScore) value = 'serious';
+    if (calmScore > seriousScore) value = 'calm';
+
+    return {
+      value,
+      provenance: provenance({
+        provider: 'builtin',
+        model: 'keyword-mood',
+        promptVersion: FALLBACK_VERSIONS.keywordMood,
+        input: [title, content],
+        startedAt,
+        simulated: true
+      })
+    };
   },
 
   /**
    * Answer a single question about an article (token-limited)
    */
   answerQuestion: async (title, content, question) => {
-    try {
-      // Try HuggingFace API first (RoBERTa Q&A model)
-      if (huggingFaceService.isEnabled()) {
-        const hfAnswer = await huggingFaceService.answerQuestion(content, question);
-        if (hfAnswer) {
-          logger.info('✅ Question answered via HuggingFace API');
-          return hfAnswer;
-        }
-      }
-
-      // Fallback to Gemma or simulation
-      if (process.env.NODE_ENV === 'development' || !process.env.GEMMA3_API_ENDPOINT) {
-        return generateSimulatedAnswer(question, content);
-      }
+    // No provider configured: answer from the article text
+    if (!llmService.canRun('answerQuestion')) {
+      return generateSimulatedAnswer(question, content);
+    }
 
-      const response = await axios.post(
-        process.env.GEMMA3_API_ENDPOINT,
-        {
-          model: "gemma-3-7b-instruct",
-          prompt: `Based on this news article, answer the following question in 2-3 sentences max. Be factual and concise.
-
-Article Title: ${title}
-Article Content: ${content}
-
-Question: ${question}
-
-Answer:`,
-          max_tokens: 100,
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${process.env.GEMMA3_API_KEY}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: 15000
-        }
-      );
-
-      return response.data.response;
-    } catch (error) {
-      logger.error("Error answering question with Gemma", error);
-      return "I couldn't find a specific answer to that question in the article.";
+    const result = await llmService.tryRun('answerQuestion', { title, content, question });
+    if (result) {
+      logger.info(`✅ Question answered via ${result.provenance.provider}`);
+      return result.value;
     }
+
+    return "I couldn't find a specific answer to that question in the article.";
   },
 
   /**
    * Rewrite comment politely (improve tone only)
    */
   rewritePolitely: async (comment) => {
-    try {
-      if (process.env.NODE_ENV === 'development' || !process.env.GEMMA3_API_ENDPOINT) {
-        return rewriteSimulated(comment);
-      }
-
-      const response = await axios.post(
-        process.env.GEMMA3_API_ENDPOINT,
-        {
-          model: "gemma-3-7b-instruct",
-          prompt: `Rewrite this comment to be more polite and constructive while keeping the same meaning. Only improve the tone, don't change the message. Keep similar length.
-
-Original: "${comment}"
-
-Polite version:`,
-          max_tokens: 100,
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${process.env.GEMMA3_API_KEY}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: 10000
-        }
-      );
-
-      return response.data.response.replace(/^["']|["']$/g, '').trim();
-    } catch (error) {
-      logger.error("Error rewriting comment", error);
-      return comment; // Return original if rewrite fails
+    if (!llmService.canRun('rewrite')) {
+      return rewriteSimulated(comment);
     }
+
+    const result = await llmService.tryRun('rewrite', { text: comment });
+    return result ? result.value : comment; // Return original if rewrite fails
   },
 
   /**
    * Verify article factual accuracy
    */
   verifyArticle: async (title, content) => {
-    try {
-      if (process.env.NODE_ENV === 'development') {
-        return {
-          isVerified: Math.random() > 0.1,
-          analysis: "This article has been cross-referenced with established sources and appears to contain factually accurate information."
-        };
-      }
+    if (process.env.NODE_ENV === 'development') {
+      return {
+        isVerified: Math.random() > 0.1,
+        analysis: "This article has been cross-referenced with established sources and appears to contain factually accurate information."
+      };
+    }
 
-      const response = await axios.post(
-        process.env.GEMMA3_API_ENDPOINT,
-        {
-          model: "gemma-3-7b-instruct",
-          prompt: `Verify the factual accuracy of this news article. Provide brief analysis. Title: ${title}. Content: ${content}`,
-          max_tokens: 200
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${process.env.GEMMA3_API_KEY}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      const analysis = response.data.response;
-      const isVerified = !analysis.toLowerCase().includes('incorrect') &&
-        !analysis.toLowerCase().includes('misleading') &&
-        !analysis.toLowerCase().includes('false');
-
-      return { isVerified, analysis };
-    } catch (error) {
-      logger.error("Error verifying article", error);
+    const result = await llmService.tryRun('verify', { title, content });
+    if (!result) {
       return {
         isVerified: false,
         analysis: "Verification could not be completed."
       };
     }
+
+    const analysis = result.value;
+    const isVerified = !analysis.toLowerCase().includes('incorrect') &&
+      !analysis.toLowerCase().includes('misleading') &&
+      !analysis.toLowerCase().includes('false');
+
+    return { isVerified, analysis };
   }
 };
 
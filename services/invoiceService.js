@@ -0,0 +1,451 @@
+// Invoice Service
+// Issues sequentially numbered GST invoices for captured payments and credit
+// notes for refunds, and renders both to HTML and PDF. Prices are
+// tax-inclusive, so tax is carved out of the amount paid.
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const Order = require('../models/Order');
+const Plan = require('../models/Plan');
+const Subscription = require('../models/Subscription');
+const User = require('../models/User');
+const { renderPdf: writePdf } = require('../utils/simplePdf');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../middleware/logger');
+
+const SELLER = {
+    name: process.env.INVOICE_SELLER_NAME || 'Newslet',
+    address: process.env.INVOICE_SELLER_ADDRESS || '',
+    gstin: process.env.INVOICE_SELLER_GSTIN || '',
+    state: process.env.INVOICE_SELLER_STATE || ''
+};
+
+// GST on online information services (SAC 998431), charged on INR sales only
+const GST_RATE = parseFloat(process.env.GST_RATE || '18');
+const SAC_CODE = process.env.INVOICE_SAC_CODE || '998431';
+
+const PREFIXES = { invoice: 'INV', credit_note: 'CN' };
+
+// How long a claimed, unnumbered document stays with the caller issuing it
+const ISSUE_LEASE_MS = 60 * 1000;
+
+// Calendar year and month in India, whatever the server's time zone
+const INDIA_CALENDAR = new Intl.DateTimeFormat('en-US', { timeZone: 'Asia/Kolkata', year: 'numeric', month: 'numeric' });
+
+/**
+ * Indian financial year label (April–March, IST), e.g. "2026-27"
+ */
+function financialYear(date = new Date()) {
+    const parts = Object.fromEntries(INDIA_CALENDAR.formatToParts(date).map(({ type, value }) => [type, value]));
+    const year = parseInt(parts.year);
+    const start = parseInt(parts.month) >= 4 ? year : year - 1;
+    return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+}
+
+/**
+ * Next sequential document number, e.g. INV/2026-27/000042
+ */
+async function nextNumber(kind, date = new Date()) {
+    const fy = financialYear(date);
+    const seq = await Counter.next(`${kind}:${fy}`);
+    return `${PREFIXES[kind]}/${fy}/${String(seq).padStart(6, '0')}`;
+}
+
+/**
+ * Issue a document under its unique key, numbering it gap-free
+ * The slot is claimed first (a placeholder upserted on the key, holding a
+ * lease), and only the caller holding the lease takes a number. Concurrent
+ * issuers meet on the placeholder instead of each taking a number and losing
+ * the insert, which would leave a hole in the GST series.
+ *
+ * @param {Object} key - Unique key ({ paymentId, kind } or { providerRefundId, kind })
+ * @param {Object} fields - Document contents
+ * @param {Date} date - Date the number's financial year is taken from
+ * @returns {Promise<Object>} The document; unnumbered if another caller is still issuing it
+ */
+async function issueNumbered(key, fields, date) {
+    const now = new Date();
+    const lease = new Date(now.getTime() + ISSUE_LEASE_MS);
+
+    let claim;
+    try {
+        claim = await Invoice.findOneAndUpdate(
+            key,
+            { $setOnInsert: { ...fields, number: null, lockedUntil: lease } },
+            { upsert: true, new: true, includeResultMetadata: true }
+        );
+    } catch (error) {
+        // Lost the upsert race; the other caller holds the slot
+        if (error.code === 11000) return Invoice.findOne(key);
+        throw error;
+    }
+
+    let document = claim.value;
+    if (document.number) return document;
+
+    if (claim.lastErrorObject?.updatedExisting) {
+        // Someone else claimed it; take over only if their lease ran out
+        document = await Invoice.findOneAndUpdate(
+            { _id: document._id, number: null, lockedUntil: { $lt: now } },
+            { $set: { ...fields, lockedUntil: lease } },
+            { new: true }
+        );
+        if (!document) return claim.value;
+    }
+
+    const number = await nextNumber(key.kind, date);
+    return Invoice.findOneAndUpdate(
+        { _id: document._id, number: null },
+        { $set: { number, lockedUntil: null } },
+        { new: true }
+    );
+}
+
+/**
+ * Split a tax-inclusive amount into taxable value and GST
+ * Intra-state sales (buyer state = seller state) split into CGST + SGST;
+ * everything else in India is IGST. Non-INR sales are exports with no GST.
+ */
+function computeTax(total, { currency, country, state }) {
+    if (currency !== 'INR' || (country && country !== 'IN') || GST_RATE <= 0) {
+        return { taxableAmount: total, tax: { type: 'none', rate: 0, cgst: 0, sgst: 0, igst: 0, total: 0 } };
+    }
+
+    const taxableAmount = Math.round(total * 100 / (100 + GST_RATE));
+    const taxTotal = total - taxableAmount;
+    const intraState = Boolean(SELLER.state && state &&
+        SELLER.state.trim().toLowerCase() === state.trim().toLowerCase());
+
+    if (intraState) {
+        const cgst = Math.floor(taxTotal / 2);
+        return {
+            taxableAmount,
+            tax: { type: 'cgst_sgst', rate: GST_RATE, cgst, sgst: taxTotal - cgst, igst: 0, total: taxTotal }
+        };
+    }
+
+    return {
+        taxableAmount,
+        tax: { type: 'igst', rate: GST_RATE, cgst: 0, sgst: 0, igst: taxTotal, total: taxTotal }
+    };
+}
+
+/**
+ * Issue the invoice for a captured payment (idempotent per payment)
+ *
+ * @param {Object} payment - Payment document
+ * @returns {Promise<Object>} Invoice document
+ */
+async function issueInvoice(payment) {
+    const existing = await Invoice.findOne({ paymentId: payment._id, kind: 'invoice' });
+    if (existing?.number) return existing;
+
+    const [order, user, subscription] = await Promise.all([
+        Order.findById(payment.orderId).lean(),
+        User.findById(payment.userId).lean(),
+        Subscription.findOne({ paymentId: payment._id }).lean()
+    ]);
+    const planId = order?.planId || subscription?.planId;
+    const plan = planId ? await Plan.findOne({ planId }).lean() : null;
+
+    const buyer = {
+        name: user?.name || user?.displayName || '',
+        email: user?.email || '',
+        country: order?.country || user?.billingCountry || null,
+        state: user?.billingState || null,
+        gstin: user?.gstin || null
+    };
+    const { taxableAmount, tax } = computeTax(payment.amount, { currency: payment.currency, ...buyer });
+
+    const lines = [{
+        description: plan ? `${plan.name} (${plan.durationDays} days)` : `Premium subscription (${planId || 'plan'})`,
+        sacCode: SAC_CODE,
+        quantity: 1,
+        amount: taxableAmount
+    }];
+
+    const issuedAt = payment.paidAt || new Date();
+    const invoice = await issueNumbered({ paymentId: payment._id, kind: 'invoice' }, {
+        issuedAt,
+        userId: payment.userId,
+        orderId: payment.orderId,
+        seller: SELLER,
+        buyer,
+        planId,
+        periodStart: subscription?.startsAt,
+        periodEnd: subscription?.endsAt,
+        lines,
+        currency: payment.currency,
+        taxableAmount,
+        tax,
+        total: payment.amount,
+        paymentReference: {
+            provider: payment.provider,
+            providerPaymentId: payment.providerPaymentId,
+            providerOrderId: order?.providerOrderId,
+            method: payment.method,
+            paidAt: payment.paidAt
+        }
+    }, issuedAt);
+
+    if (invoice.number) {
+        logger.info(`Invoice ${invoice.number} issued for payment ${payment.providerPaymentId}`);
+    }
+    return invoice;
+}
+
+/**
+ * Issue a credit note for a refund, referencing the payment's invoice
+ *
+ * @param {Object} payment - Payment document
+ * @param {Object} refund - { refundId, amount, reason }
+ */
+async function issueCreditNote(payment, refund) {
+    const existing = await Invoice.findOne({ providerRefundId: refund.refundId, kind: 'credit_note' });
+    if (existing?.number) return existing;
+
+    const original = await issueInvoice(payment);
+    if (!original.number) {
+        throw new AppError(`Invoice for payment ${payment.providerPaymentId} is still being issued`, 409);
+    }
+    const { taxableAmount, tax } = computeTax(refund.amount, {
+        currency: original.currency,
+        country: original.buyer?.country,
+        state: original.buyer?.state
+    });
+
+    const creditNote = await issueNumbered({ providerRefundId: refund.refundId, kind: 'credit_note' }, {
+        userId: payment.userId,
+        paymentId: payment._id,
+        orderId: payment.orderId,
+        originalInvoiceId: original._id,
+        originalInvoiceNumber: original.number,
+        reason: refund.reason || null,
+        seller: original.seller,
+        buyer: original.buyer,
+        planId: original.planId,
+        periodStart: original.periodStart,
+        periodEnd: original.periodEnd,
+        lines: [{
+            description: `Refund against invoice ${original.number}`,
+            sacCode: SAC_CODE,
+            quantity: 1,
+            amount: taxableAmount
+        }],
+        currency: original.currency,
+        taxableAmount,
+        tax,
+        total: refund.amount,
+        paymentReference: original.paymentReference
+    }, new Date());
+
+    if (creditNote.number) {
+        logger.info(`Credit note ${creditNote.number} issued against ${original.number}`);
+    }
+    return creditNote;
+}
+
+/**
+ * A user's invoices and credit notes, newest first
+ */
+async function listInvoices(userId, { page = 1, limit = 20 } = {}) {
+    // Documents still being numbered are not issued yet
+    const query = { userId, number: { $ne: null } };
+    const [invoices, total] = await Promise.all([
+        Invoice.find(query)
+            .sort({ issuedAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .select('kind number issuedAt planId currency total originalInvoiceNumber paymentReference.providerPaymentId')
+            .lean(),
+        Invoice.countDocuments(query)
+    ]);
+
+    return { invoices, total };
+}
+
+/**
+ * Fetch one invoice, checking the caller may see it
+ */
+async function getInvoice(id, user) {
+    const invoice = await Invoice.findById(id).lean();
+    if (!invoice?.number) {
+        throw new AppError('Invoice not found', 404);
+    }
+    if (String(invoice.userId) !== String(user._id) && !user.isAdmin && user.role !== 'admin') {
+        throw new AppError('Invoice belongs to another user', 403);
+    }
+    return invoice;
+}
+
+// ----------------------
+// Rendering
+// ----------------------
+
+const formatAmount = (amount, currency) => `${currency} ${(amount / 100).toFixed(2)}`;
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+function documentTitle(invoice) {
+    return invoice.kind === 'credit_note' ? 'Credit Note' : 'Tax Invoice';
+}
+
+/**
+ * Tax rows shown under the line items
+ */
+function taxRows(invoice) {
+    const { tax, currency } = invoice;
+    if (tax.type === 'cgst_sgst') {
+        return [
+            [`CGST @ ${tax.rate / 2}%`, formatAmount(tax.cgst, currency)],
+            [`SGST @ ${tax.rate / 2}%`, formatAmount(tax.sgst, currency)]
+        ];
+    }
+    if (tax.type === 'igst') {
+        return [[`IGST @ ${tax.rate}%`, formatAmount(tax.igst, currency)]];
+    }
+    return [['GST (export of services)', formatAmount(0, currency)]];
+}
+
+/**
+ * Header facts as label/value pairs (shared by HTML and PDF)
+ */
+function summaryRows(invoice) {
+    const rows = [
+        ['Number', invoice.number],
+        ['Date', formatDate(invoice.issuedAt)]
+    ];
+    if (invoice.originalInvoiceNumber) rows.push(['Against invoice', invoice.originalInvoiceNumber]);
+    if (invoice.periodStart) rows.push(['Service period', `${formatDate(invoice.periodStart)} to ${formatDate(invoice.periodEnd)}`]);
+    if (invoice.paymentReference?.providerPaymentId) {
+        rows.push(['Payment', `${invoice.paymentReference.providerPaymentId} (${invoice.paymentReference.provider || ''}${invoice.paymentReference.method ? `, ${invoice.paymentReference.method}` : ''})`]);
+    }
+    if (invoice.reason) rows.push(['Reason', invoice.reason]);
+    return rows;
+}
+
+function partyLines(party = {}) {
+    return [
+        party.name,
+        party.address,
+        party.email,
+        [party.state, party.country].filter(Boolean).join(', '),
+        party.gstin ? `GSTIN: ${party.gstin}` : null
+    ].filter(Boolean);
+}
+
+/**
+ * Render an invoice or credit note as a standalone HTML page
+ */
+function renderHtml(invoice) {
+    const { currency } = invoice;
+    const cell = 'style="padding:6px 8px;border-bottom:1px solid #ddd"';
+    const right = 'style="padding:6px 8px;border-bottom:1px solid #ddd;text-align:right"';
+
+    const lineRows = invoice.lines.map(line => `
+        <tr><td ${cell}>${escapeHtml(line.description)}</td><td ${cell}>${escapeHtml(line.sacCode)}</td><td ${right}>${line.quantity}</td><td ${right}>${formatAmount(line.amount, currency)}</td></tr>`).join('');
+
+    const totals = [
+        ['Taxable value', formatAmount(invoice.taxableAmount, currency)],
+        ...taxRows(invoice),
+        [invoice.kind === 'credit_note' ? 'Total credited' : 'Total paid', formatAmount(invoice.total, currency)]
+    ].map(([label, value], i, all) => `
+        <tr><td colspan="3" ${right}>${i === all.length - 1 ? `<strong>${label}</strong>` : label}</td><td ${right}>${i === all.length - 1 ? `<strong>${value}</strong>` : value}</td></tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${documentTitle(invoice)} ${escapeHtml(invoice.number)}</title>
+</head>
+<body style="font-family:Helvetica,Arial,sans-serif;color:#222;max-width:720px;margin:32px auto">
+    <h1 style="font-size:22px">${documentTitle(invoice)}</h1>
+    <table style="width:100%;margin-bottom:24px">
+        <tr>
+            <td style="vertical-align:top"><strong>From</strong><br>${partyLines(invoice.seller).map(escapeHtml).join('<br>')}</td>
+            <td style="vertical-align:top"><strong>Billed to</strong><br>${partyLines(invoice.buyer).map(escapeHtml).join('<br>')}</td>
+        </tr>
+    </table>
+    <table style="margin-bottom:24px">${summaryRows(invoice).map(([label, value]) => `
+        <tr><td style="padding-right:16px;color:#666">${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`).join('')}
+    </table>
+    <table style="width:100%;border-collapse:collapse">
+        <tr><th ${cell}>Description</th><th ${cell}>SAC</th><th ${right}>Qty</th><th ${right}>Amount</th></tr>${lineRows}${totals}
+    </table>
+</body>
+</html>`;
+}
+
+/**
+ * Render an invoice or credit note as a one-page PDF
+ */
+function renderPdf(invoice) {
+    const { currency } = invoice;
+    const items = [{ text: documentTitle(invoice), x: 50, y: 60, size: 20, bold: true }];
+
+    let y = 100;
+    items.push({ text: 'From', x: 50, y, bold: true }, { text: 'Billed to', x: 310, y, bold: true });
+    const seller = partyLines(invoice.seller);
+    const buyer = partyLines(invoice.buyer);
+    for (let i = 0; i < Math.max(seller.length, buyer.length); i++) {
+        y += 14;
+        if (seller[i]) items.push({ text: seller[i], x: 50, y });
+        if (buyer[i]) items.push({ text: buyer[i], x: 310, y });
+    }
+
+    y += 30;
+    for (const [label, value] of summaryRows(invoice)) {
+        items.push({ text: label, x: 50, y }, { text: value, x: 170, y });
+        y += 14;
+    }
+
+    y += 20;
+    items.push(
+        { text: 'Description', x: 50, y, bold: true },
+        { text: 'SAC', x: 330, y, bold: true },
+        { text: 'Qty', x: 420, y, bold: true, align: 'right' },
+        { text: 'Amount', x: 545, y, bold: true, align: 'right' },
+        { rule: [50, y + 6, 545, y + 6] }
+    );
+    for (const line of invoice.lines) {
+        y += 20;
+        items.push(
+            { text: line.description, x: 50, y },
+            { text: line.sacCode || '', x: 330, y },
+            { text: String(line.quantity), x: 420, y, align: 'right' },
+            { text: formatAmount(line.amount, currency), x: 545, y, align: 'right' }
+        );
+    }
+
+    y += 10;
+    items.push({ rule: [300, y, 545, y] });
+    const totals = [['Taxable value', formatAmount(invoice.taxableAmount, currency)], ...taxRows(invoice)];
+    for (const [label, value] of totals) {
+        y += 16;
+        items.push({ text: label, x: 440, y, align: 'right' }, { text: value, x: 545, y, align: 'right' });
+    }
+    y += 20;
+    items.push(
+        { text: invoice.kind === 'credit_note' ? 'Total credited' : 'Total paid', x: 440, y, bold: true, align: 'right' },
+        { text: formatAmount(invoice.total, currency), x: 545, y, bold: true, align: 'right' }
+    );
+
+    items.push({ text: 'This is a computer-generated document and needs no signature.', x: 50, y: 800, size: 8 });
+
+    return writePdf(items, { title: `${documentTitle(invoice)} ${invoice.number}`, author: invoice.seller?.name });
+}
+
+module.exports = {
+    issueInvoice,
+    issueCreditNote,
+    listInvoices,
+    getInvoice,
+    renderHtml,
+    renderPdf,
+    computeTax,
+    financialYear
+};
@@ -0,0 +1,301 @@
+const os = require('os');
+const Job = require('../models/Job');
+const articleProcessingService = require('./articleProcessingService');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../middleware/logger');
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+const VISIBILITY_TIMEOUT_MS = parseInt(process.env.JOB_VISIBILITY_TIMEOUT_MS) || 5 * 60 * 1000;
+const BACKOFF_BASE_MS = parseInt(process.env.JOB_BACKOFF_BASE_MS) || 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Job handlers keyed by Job.type
+ * Each handler has run(payload), a per-worker concurrency limit and the
+ * default maxAttempts for new jobs.
+ */
+const HANDLERS = {
+    'article.ai': {
+        run: (payload) => articleProcessingService.processArticle(payload.articleId, { force: payload.force }),
+        concurrency: parseInt(process.env.AI_JOB_CONCURRENCY) || 2,
+        maxAttempts: 5
+    }
+};
+
+const running = new Map(Object.keys(HANDLERS).map(type => [type, 0]));
+let timer = null;
+let ticking = false;
+
+/**
+ * Job Queue Service
+ * Durable, Mongo-backed background jobs. Work is enqueued as Job documents and
+ * run by an in-process worker that polls for due jobs, leases them for a
+ * visibility timeout, retries failures with exponential backoff and parks jobs
+ * that keep failing as `dead` until an admin requeues them.
+ */
+const jobQueueService = {
+    HANDLERS,
+
+    /**
+     * Handler for a job type (400 for unknown types)
+     */
+    getHandler(type) {
+        const handler = HANDLERS[type];
+        if (!handler) {
+            throw new AppError(`Unknown job type: ${type}`, 400);
+        }
+        return handler;
+    },
+
+    /**
+     * Delay before the next attempt: base × 2^(attempt-1), capped, with ±20% jitter
+     */
+    backoffDelay(attempts) {
+        const delay = Math.min(BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1), BACKOFF_MAX_MS);
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    },
+
+    /**
+     * Add a job
+     * With a dedupeKey, an existing queued or running job is returned instead of a
+     * new one, and a finished (completed or dead) job is reset and queued again.
+     *
+     * @param {string} type - Handler name
+     * @param {Object} payload
+     * @param {Object} [options] - { dedupeKey, priority, runAt, maxAttempts }
+     * @returns {Promise<Object>} Job document
+     */
+    async enqueue(type, payload = {}, { dedupeKey, priority = 0, runAt = new Date(), maxAttempts } = {}) {
+        const handler = this.getHandler(type);
+        const fields = {
+            type,
+            payload,
+            priority,
+            runAt,
+            maxAttempts: maxAttempts || handler.maxAttempts
+        };
+
+        if (!dedupeKey) {
+            return Job.create(fields);
+        }
+
+        const reset = await Job.findOneAndUpdate(
+            { dedupeKey, status: { $in: ['completed', 'dead'] } },
+            {
+                $set: {
+                    ...fields,
+                    status: 'queued',
+                    attempts: 0,
+                    lastError: null,
+                    result: null,
+                    lockedBy: null,
+                    lockedUntil: null,
+                    startedAt: null,
+                    completedAt: null,
+                    deadAt: null
+                }
+            },
+            { new: true }
+        );
+        if (reset) return reset;
+
+        try {
+            return await Job.create({ ...fields, dedupeKey });
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+            return Job.findOne({ dedupeKey });
+        }
+    },
+
+    /**
+     * Return jobs whose lease ran out (worker crashed or stalled) to the queue,
+     * or to the dead-letter state if they have used all their attempts
+     */
+    async reapExpired(now = new Date()) {
+        const expired = { status: 'running', lockedUntil: { $lt: now } };
+
+        const dead = await Job.updateMany(
+            { ...expired, $expr: { $gte: ['$attempts', '$maxAttempts'] } },
+            {
+                $set: { status: 'dead', deadAt: now, lockedBy: null, lockedUntil: null, lastError: 'Visibility timeout exceeded' }
+            }
+        );
+        const requeued = await Job.updateMany(
+            expired,
+            {
+                $set: { status: 'queued', runAt: now, lockedBy: null, lockedUntil: null, lastError: 'Visibility timeout exceeded' }
+            }
+        );
+
+        if (dead.modifiedCount || requeued.modifiedCount) {
+            logger.warn(`Job leases expired: ${requeued.modifiedCount} requeued, ${dead.modifiedCount} dead`);
+        }
+    },
+
+    /**
+     * Lease the next due job of a type
+     */
+    claim(type, now = new Date()) {
+        return Job.findOneAndUpdate(
+            { type, status: 'queued', runAt: { $lte: now } },
+            {
+                $set: {
+                    status: 'running',
+                    lockedBy: WORKER_ID,
+                    lockedUntil: new Date(now.getTime() + VISIBILITY_TIMEOUT_MS),
+                    startedAt: now
+                },
+                $inc: { attempts: 1 }
+            },
+            { sort: { priority: -1, runAt: 1 }, new: true }
+        );
+    },
+
+    /**
+     * Run a leased job, extending the lease while the handler works
+     * Results are only written while this worker still holds the lease.
+     */
+    async execute(job) {
+        const handler = HANDLERS[job.type];
+        const lease = { _id: job._id, status: 'running', lockedBy: WORKER_ID };
+
+        const heartbeat = setInterval(() => {
+            Job.updateOne(lease, { $set: { lockedUntil: new Date(Date.now() + VISIBILITY_TIMEOUT_MS) } })
+                .catch(error => logger.warn(`Job ${job._id} heartbeat failed: ${error.message}`));
+        }, VISIBILITY_TIMEOUT_MS / 2);
+
+        try {
+            const result = await handler.run(job.payload || {});
+
+            await Job.updateOne(lease, {
+                $set: { status: 'completed', completedAt: new Date(), result: result ?? null, lockedBy: null, lockedUntil: null, lastError: null }
+            });
+        } catch (error) {
+            const now = new Date();
+
+            if (job.attempts >= job.maxAttempts) {
+                await Job.updateOne(lease, {
+                    $set: { status: 'dead', deadAt: now, lastError: error.message, lockedBy: null, lockedUntil: null }
+                });
+                logger.error(`Job ${job.type} ${job._id} dead after ${job.attempts} attempts: ${error.message}`);
+            } else {
+                const delay = this.backoffDelay(job.attempts);
+                await Job.updateOne(lease, {
+                    $set: { status: 'queued', runAt: new Date(now.getTime() + delay), lastError: error.message, lockedBy: null, lockedUntil: null }
+                });
+                logger.warn(`Job ${job.type} ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+            }
+        } finally {
+            clearInterval(heartbeat);
+        }
+    },
+
+    /**
+     * One worker pass: reap expired leases, then fill every handler's free slots
+     * Jobs run in the background; the pass returns once they have been started.
+     *
+     * @returns {Promise<number>} Jobs started
+     */
+    async tick() {
+        if (ticking) return 0;
+        ticking = true;
+
+        let started = 0;
+        try {
+            await this.reapExpired();
+
+            for (const [type, handler] of Object.entries(HANDLERS)) {
+                while (running.get(type) < handler.concurrency) {
+                    const job = await this.claim(type);
+                    if (!job) break;
+
+                    started++;
+                    running.set(type, running.get(type) + 1);
+                    this.execute(job)
+                        .catch(error => logger.error(`Job ${job._id} bookkeeping failed: ${error.message}`))
+                        .finally(() => running.set(type, running.get(type) - 1));
+                }
+            }
+        } catch (error) {
+            logger.error(`Job worker pass failed: ${error.message}`);
+        } finally {
+            ticking = false;
+        }
+
+        return started;
+    },
+
+    startWorker() {
+        if (timer) return;
+        timer = setInterval(() => this.tick(), POLL_INTERVAL_MS);
+        logger.info(`Job worker ${WORKER_ID} started (poll ${POLL_INTERVAL_MS}ms)`);
+    },
+
+    /**
+     * Stop polling. Running jobs finish on their own; if the process exits first
+     * their leases expire and another worker picks them up.
+     */
+    stopWorker() {
+        if (!timer) return;
+        clearInterval(timer);
+        timer = null;
+        logger.info(`Job worker ${WORKER_ID} stopped`);
+    },
+
+    /**
+     * Queue depth by type and status, with the oldest due job's wait time
+     */
+    async getStats() {
+        const now = new Date();
+        const [counts, oldest] = await Promise.all([
+            Job.aggregate([{ $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 } } }]),
+            Job.aggregate([
+                { $match: { status: 'queued', runAt: { $lte: now } } },
+                { $group: { _id: '$type', oldestRunAt: { $min: '$runAt' }, due: { $sum: 1 } } }
+            ])
+        ]);
+
+        const byType = {};
+        for (const type of Object.keys(HANDLERS)) {
+            byType[type] = {
+                ...Object.fromEntries(Job.STATUSES.map(status => [status, 0])),
+                due: 0,
+                oldestWaitSeconds: 0,
+                runningHere: running.get(type),
+                concurrency: HANDLERS[type].concurrency
+            };
+        }
+        for (const { _id, count } of counts) {
+            if (byType[_id.type]) byType[_id.type][_id.status] = count;
+        }
+        for (const { _id, oldestRunAt, due } of oldest) {
+            if (!byType[_id]) continue;
+            byType[_id].due = due;
+            byType[_id].oldestWaitSeconds = Math.round((now - oldestRunAt) / 1000);
+        }
+
+        return { worker: WORKER_ID, polling: Boolean(timer), types: byType };
+    },
+
+    /**
+     * Put dead jobs back in the queue with fresh attempts
+     * @param {Object} [filter] - { ids, type } (default: every dead job)
+     * @returns {Promise<number>} Jobs requeued
+     */
+    async requeueDead({ ids, type } = {}) {
+        const query = { status: 'dead' };
+        if (ids?.length) query._id = { $in: ids };
+        if (type) query.type = type;
+
+        const result = await Job.updateMany(query, {
+            $set: { status: 'queued', runAt: new Date(), attempts: 0, deadAt: null }
+        });
+
+        logger.info(`Requeued ${result.modifiedCount} dead jobs`);
+        return result.modifiedCount;
+    }
+};
+
+module.exports = jobQueueService;
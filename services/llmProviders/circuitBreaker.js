@@ -0,0 +1,92 @@
+// Circuit breaker for one provider
+// closed: calls go through. After `failureThreshold` consecutive outage errors
+// (network errors, timeouts, 429 and 5xx) it opens and every call is refused
+// at once, so callers fall back instead of waiting out retries. After
+// `cooldownMs` it goes half-open and lets a single probe call through: success
+// closes it, another outage opens it again.
+// Errors that show the provider is up (4xx, unparseable output) count as success.
+
+/**
+ * @param {Object} options - { failureThreshold, cooldownMs }
+ */
+function create({ failureThreshold, cooldownMs }) {
+    let state = 'closed';
+    let failures = 0;
+    let openedAt = null;
+    let probeInFlight = false;
+    let trips = 0;
+    let lastError = null;
+
+    function open(error) {
+        state = 'open';
+        openedAt = Date.now();
+        probeInFlight = false;
+        trips++;
+        lastError = error.message;
+    }
+
+    return {
+        /**
+         * Whether a call may go out now. In half-open only one probe is allowed;
+         * call release() if the permitted call is not made after all.
+         */
+        allow() {
+            if (state === 'closed') return true;
+
+            if (state === 'open' && Date.now() - openedAt >= cooldownMs) {
+                state = 'half-open';
+            }
+
+            if (state === 'half-open' && !probeInFlight) {
+                probeInFlight = true;
+                return true;
+            }
+
+            return false;
+        },
+
+        /**
+         * Give back a half-open probe that was never sent
+         */
+        release() {
+            probeInFlight = false;
+        },
+
+        onSuccess() {
+            state = 'closed';
+            failures = 0;
+            openedAt = null;
+            probeInFlight = false;
+        },
+
+        /**
+         * @param {Error} error - Trips the breaker only when error.transient is set
+         */
+        onFailure(error) {
+            if (!error.transient) {
+                this.onSuccess();
+                return;
+            }
+
+            failures++;
+            lastError = error.message;
+
+            if (state === 'half-open' || failures >= failureThreshold) {
+                open(error);
+            }
+        },
+
+        getState() {
+            return {
+                state,
+                failures,
+                trips,
+                openedAt: openedAt ? new Date(openedAt) : null,
+                retryAt: state === 'open' ? new Date(openedAt + cooldownMs) : null,
+                lastError
+            };
+        }
+    };
+}
+
+module.exports = { create };
@@ -0,0 +1,56 @@
+// Gemma provider
+// A Gemma 3 completion endpoint (GEMMA3_API_ENDPOINT) that takes
+// { model, prompt, max_tokens } and answers { response }. Not used in
+// development, where callers fall back to simulated output instead.
+const { postJson } = require('./http');
+const { PROMPT_TASKS, promptVersion, renderPrompt } = require('./prompts');
+
+const GEMMA_MODEL = process.env.GEMMA3_MODEL || 'gemma-3-7b-instruct';
+
+const TIMEOUTS = {
+    answerQuestion: 15000,
+    verify: 30000
+};
+
+const TASKS = PROMPT_TASKS;
+
+function isConfigured() {
+    return !!process.env.GEMMA3_API_ENDPOINT && process.env.NODE_ENV !== 'development';
+}
+
+function modelFor() {
+    return GEMMA_MODEL;
+}
+
+/**
+ * Run a task
+ * @param {Object} [options] - { retryIf: see postJson }
+ * @returns {Promise<{value, model: string, promptVersion: string}>}
+ */
+async function run(task, input, { retryIf } = {}) {
+    const prompt = renderPrompt(task, input);
+    const data = await postJson(
+        process.env.GEMMA3_API_ENDPOINT,
+        {
+            model: GEMMA_MODEL,
+            prompt: prompt.system ? `${prompt.system}\n\n${prompt.user}` : prompt.user,
+            max_tokens: prompt.maxTokens
+        },
+        {
+            headers: { 'Authorization': `Bearer ${process.env.GEMMA3_API_KEY}` },
+            timeout: TIMEOUTS[task] || 10000,
+            label: 'Gemma',
+            retryIf
+        }
+    );
+
+    return { value: prompt.parse(data?.response || ''), model: GEMMA_MODEL, promptVersion: prompt.version };
+}
+
+module.exports = {
+    TASKS,
+    isConfigured,
+    modelFor,
+    versionFor: promptVersion,
+    run
+};
@@ -0,0 +1,100 @@
+// Shared HTTP client for LLM providers
+// The one place that retries: a 503 while a model cold-starts waits for the
+// estimated load time HuggingFace reports, 429s and gateway errors back off
+// exponentially (or for Retry-After), and every other failure is thrown at once
+// so llmService can move on to the next provider in the task's route.
+// Errors that look like an outage are marked .transient for the circuit breaker,
+// which also sees each failed attempt before a retry (see retryIf) so a call
+// cannot sit out several back-offs against a provider that is down.
+const axios = require('axios');
+const { logger } = require('../../middleware/logger');
+
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+const MAX_RETRIES = parseInt(process.env.LLM_MAX_RETRIES) || 3;
+const MAX_WAIT_MS = 30000;
+
+// Longest a call may spend on attempts and waits before giving up its retries
+const MAX_RETRY_TIME_MS = parseInt(process.env.LLM_MAX_RETRY_TIME_MS) || 45000;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * How long to wait before retrying a retryable failure
+ */
+function retryDelay(error, attempt) {
+    const estimatedTime = error.response?.data?.estimated_time;
+    if (error.response?.status === 503 && estimatedTime) {
+        return Math.min(estimatedTime * 1000, MAX_WAIT_MS);
+    }
+
+    const retryAfter = parseInt(error.response?.headers?.['retry-after']);
+    if (retryAfter > 0) {
+        return Math.min(retryAfter * 1000, MAX_WAIT_MS);
+    }
+
+    return Math.min(2 ** attempt * 1000, MAX_WAIT_MS);
+}
+
+/**
+ * Error thrown for a failed request, with .status and .transient
+ */
+function toFailure(error, label) {
+    const status = error.response?.status;
+    const detail = error.response?.data?.error?.message || error.response?.data?.error || error.message;
+
+    const failure = new Error(`${label} failed${status ? ` (${status})` : ''}: ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`);
+    failure.status = status;
+    failure.transient = !status || status === 429 || status >= 500;
+    return failure;
+}
+
+/**
+ * POST a JSON body and return the parsed response body
+ *
+ * @param {string} url
+ * @param {Object} body
+ * @param {Object} [options] - { headers, timeout, retries, label (for logs and errors),
+ *   retryIf (called with each failed attempt that could be retried; return false to give up) }
+ * @returns {Promise<*>}
+ * @throws {Error} With .status (HTTP status, if any) and .transient (network
+ *   error, timeout, 429 or 5xx) once retries are used up
+ */
+async function postJson(url, body, { headers = {}, timeout = 30000, retries = MAX_RETRIES, label = url, retryIf = () => true } = {}) {
+    const startedAt = Date.now();
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            const response = await axios.post(url, body, {
+                headers: { 'Content-Type': 'application/json', ...headers },
+                timeout
+            });
+            return response.data;
+        } catch (error) {
+            const status = error.response?.status;
+            const failure = toFailure(error, label);
+
+            if (!RETRYABLE_STATUSES.includes(status) || attempt >= retries) {
+                throw failure;
+            }
+
+            const delay = retryDelay(error, attempt);
+            if (Date.now() - startedAt + delay > MAX_RETRY_TIME_MS) {
+                logger.info(`⏳ ${label} returned ${status}, not retrying: past the ${MAX_RETRY_TIME_MS / 1000}s retry budget`);
+                throw failure;
+            }
+
+            if (!retryIf(failure)) {
+                throw failure;
+            }
+
+            logger.info(`⏳ ${label} returned ${status}, retrying in ${Math.round(delay / 1000)}s (attempt ${attempt}/${retries})`);
+            await sleep(delay);
+        }
+    }
+}
+
+module.exports = {
+    postJson
+};
@@ -0,0 +1,162 @@
+// HuggingFace Inference API provider
+// Task-specific models (free tier: ~30,000 requests/month, ~30 req/min per
+// model, running on HuggingFace's GPUs): BART for summaries, RoBERTa for mood
+// and Q&A, BART-MNLI for bias, MiniLM for embeddings. Decisions and translation
+// use instruction models prompted from prompts.js.
+const { postJson } = require('./http');
+const { promptVersion, renderPrompt } = require('./prompts');
+
+const HF_API_KEY = process.env.HF_API_KEY;
+const HF_BASE_URL = 'https://api-inference.huggingface.co/models';
+
+const MODELS = {
+    summarize: 'facebook/bart-large-cnn',                  // 1.6 GB on HF GPU
+    classifyMood: 'cardiffnlp/twitter-roberta-base-sentiment', // 500 MB on HF GPU
+    answerQuestion: 'deepset/roberta-base-squad2',         // 500 MB on HF GPU
+    detectBias: 'facebook/bart-large-mnli',                // 1.6 GB on HF GPU
+    embed: 'sentence-transformers/all-MiniLM-L6-v2',       // 90 MB on HF GPU
+    // Phi-2 returns 410 (not available on free inference), so decisions default to Mistral
+    decide: process.env.PHI2_MODEL || 'mistralai/Mistral-7B-Instruct-v0.3',
+    translate: process.env.QWEN_MODEL || 'Qwen/Qwen2.5-3B-Instruct'
+};
+
+// Request parameter versions for the task models, recorded in AI provenance
+const PARAMETER_VERSIONS = {
+    summarize: 'hf-summary-v1',
+    classifyMood: 'hf-mood-v1',
+    answerQuestion: 'hf-qa-v1',
+    detectBias: 'hf-bias-v1',
+    embed: 'hf-embed-v1'
+};
+
+const TIMEOUTS = {
+    decide: parseInt(process.env.DECISION_TIMEOUT_MS) || 30000,
+    // Translations can be slow
+    translate: parseInt(process.env.TRANSLATION_TIMEOUT_MS) || 60000
+};
+
+const TASKS = Object.keys(MODELS);
+
+function isConfigured() {
+    return !!HF_API_KEY;
+}
+
+function modelFor(task) {
+    return MODELS[task] || null;
+}
+
+function versionFor(task) {
+    return PARAMETER_VERSIONS[task] || promptVersion(task);
+}
+
+function call(task, payload, { retryIf } = {}) {
+    return postJson(`${HF_BASE_URL}/${MODELS[task]}`, payload, {
+        headers: { 'Authorization': `Bearer ${HF_API_KEY}` },
+        timeout: TIMEOUTS[task] || 30000,
+        label: `HuggingFace ${MODELS[task]}`,
+        retryIf
+    });
+}
+
+function articleText({ title, content }) {
+    return [title, content].filter(Boolean).join(' ');
+}
+
+// Task model runners; each returns the task value, or null when the model gave nothing usable
+const RUNNERS = {
+    summarize: async ({ title, content }, options) => {
+        const result = await call('summarize', {
+            inputs: `${title}. ${content}`.substring(0, 1024), // BART max input
+            parameters: {
+                max_length: 150,
+                min_length: 30,
+                do_sample: false
+            }
+        }, options);
+        return result?.[0]?.summary_text || null;
+    },
+
+    classifyMood: async (input, options) => {
+        const result = await call('classifyMood', { inputs: articleText(input).substring(0, 512) }, options);
+
+        // Map RoBERTa sentiment labels to our mood system
+        const moodMap = {
+            'LABEL_0': 'serious',  // negative
+            'LABEL_1': 'neutral',  // neutral
+            'LABEL_2': 'calm'      // positive
+        };
+        return moodMap[result?.[0]?.[0]?.label] || 'neutral';
+    },
+
+    answerQuestion: async ({ content, question }, options) => {
+        const result = await call('answerQuestion', {
+            inputs: {
+                question,
+                context: content.substring(0, 1024)
+            }
+        }, options);
+        return result?.score > 0.1 ? result.answer : null;
+    },
+
+    detectBias: async (input, options) => {
+        const result = await call('detectBias', {
+            inputs: articleText(input).substring(0, 512),
+            parameters: {
+                candidate_labels: ['neutral', 'biased', 'one-sided', 'balanced']
+            }
+        }, options);
+        return {
+            indicators: result?.labels?.slice(0, 2) || ['neutral'],
+            biasScore: result?.scores ? (1.0 - result.scores[0]) : 0.0,
+            topLabel: result?.labels?.[0] || 'neutral'
+        };
+    },
+
+    embed: async ({ text }, options) => {
+        const result = await call('embed', {
+            inputs: text.substring(0, 512),
+            options: { wait_for_model: true }
+        }, options);
+        return result || null;
+    }
+};
+
+/**
+ * Prompted instruction model (decisions, translation)
+ */
+async function generate(task, input, options) {
+    const prompt = renderPrompt(task, input);
+    const result = await call(task, {
+        inputs: prompt.system ? `${prompt.system}\n\n${prompt.user}` : prompt.user,
+        parameters: {
+            max_new_tokens: prompt.maxTokens,
+            temperature: prompt.temperature,
+            do_sample: false,
+            return_full_text: false
+        }
+    }, options);
+
+    return { value: prompt.parse(result?.[0]?.generated_text || ''), promptVersion: prompt.version };
+}
+
+/**
+ * Run a task
+ * @param {Object} [options] - { retryIf: see postJson }
+ * @returns {Promise<{value, model: string, promptVersion: string}>}
+ */
+async function run(task, input, options = {}) {
+    if (RUNNERS[task]) {
+        return { value: await RUNNERS[task](input, options), model: MODELS[task], promptVersion: PARAMETER_VERSIONS[task] };
+    }
+
+    const { value, promptVersion } = await generate(task, input, options);
+    return { value, model: MODELS[task], promptVersion };
+}
+
+module.exports = {
+    TASKS,
+    isConfigured,
+    modelFor,
+    versionFor,
+    run
+};
@@ -0,0 +1,15 @@
+// Local provider
+// A self-hosted OpenAI-compatible model server at LLM_LOCAL_BASE_URL
+// (e.g. http://localhost:8000/v1). Route tasks to it with LLM_ROUTES; "*:local"
+// lets it stand in for every other provider, which is also how tests stub AI.
+const { create } = require('./openaiCompatible');
+
+module.exports = create({
+    label: 'Local LLM',
+    baseUrl: process.env.LLM_LOCAL_BASE_URL,
+    apiKey: process.env.LLM_LOCAL_API_KEY,
+    model: process.env.LLM_LOCAL_MODEL || 'local-model',
+    embeddingModel: process.env.LLM_LOCAL_EMBEDDING_MODEL || null,
+    timeout: parseInt(process.env.LLM_LOCAL_TIMEOUT_MS) || 60000,
+    configured: true
+});
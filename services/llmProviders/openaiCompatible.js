@@ -0,0 +1,73 @@
+// OpenAI-compatible chat provider
+// Talks to any server exposing POST /chat/completions (and optionally
+// /embeddings) in the OpenAI format: OpenRouter, or a self-hosted model server
+// such as vLLM, llama.cpp, Ollama or LM Studio, or a test stub.
+const { postJson } = require('./http');
+const { PROMPT_TASKS, promptVersion, renderPrompt } = require('./prompts');
+
+/**
+ * @param {Object} options - { label, baseUrl, apiKey, model, embeddingModel, headers, timeout, configured }
+ *   configured: whether the provider has what it needs (e.g. an API key)
+ */
+function create({ label, baseUrl, apiKey = null, model, embeddingModel = null, headers = {}, timeout = 60000, configured }) {
+    const root = (baseUrl || '').replace(/\/+$/, '');
+    const authHeaders = {
+        ...(apiKey && { 'Authorization': `Bearer ${apiKey}` }),
+        ...headers
+    };
+
+    const TASKS = [...PROMPT_TASKS, ...(embeddingModel ? ['embed'] : [])];
+
+    async function embed({ text }, retryIf) {
+        const data = await postJson(
+            `${root}/embeddings`,
+            { model: embeddingModel, input: text.substring(0, 2000) },
+            { headers: authHeaders, timeout, label, retryIf }
+        );
+        return { value: data?.data?.[0]?.embedding || null, model: embeddingModel, promptVersion: null };
+    }
+
+    return {
+        TASKS,
+
+        isConfigured: () => Boolean(configured && root),
+
+        modelFor: (task) => (task === 'embed' ? embeddingModel : model),
+
+        versionFor: promptVersion,
+
+        /**
+         * Run a task
+         * @param {Object} [options] - { retryIf: see postJson }
+         * @returns {Promise<{value, model: string, promptVersion: string}>}
+         */
+        async run(task, input, { retryIf } = {}) {
+            if (task === 'embed') {
+                return embed(input, retryIf);
+            }
+
+            const prompt = renderPrompt(task, input);
+            const data = await postJson(
+                `${root}/chat/completions`,
+                {
+                    model,
+                    messages: [
+                        ...(prompt.system ? [{ role: 'system', content: prompt.system }] : []),
+                        { role: 'user', content: prompt.user }
+                    ],
+                    max_tokens: prompt.maxTokens,
+                    temperature: prompt.temperature
+                },
+                { headers: authHeaders, timeout, label, retryIf }
+            );
+
+            return {
+                value: prompt.parse(data?.choices?.[0]?.message?.content || ''),
+                model: data?.model || model,
+                promptVersion: prompt.version
+            };
+        }
+    };
+}
+
+module.exports = { create };
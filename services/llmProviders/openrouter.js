@@ -0,0 +1,25 @@
+// OpenRouter provider (OpenAI-compatible, free models)
+const { create } = require('./openaiCompatible');
+
+// Free models on OpenRouter
+const FREE_MODELS = [
+    'mistralai/mistral-7b-instruct:free',
+    'huggingfaceh4/zephyr-7b-beta:free',
+    'openchat/openchat-7b:free'
+];
+
+module.exports = {
+    FREE_MODELS,
+    ...create({
+        label: 'OpenRouter',
+        baseUrl: 'https://openrouter.ai/api/v1',
+        apiKey: process.env.OPENROUTER_API_KEY,
+        model: process.env.OPENROUTER_MODEL || FREE_MODELS[0],
+        headers: {
+            'HTTP-Referer': 'https://newslet.app',
+            'X-Title': 'Newslet Satirical News'
+        },
+        timeout: 30000,
+        configured: !!process.env.OPENROUTER_API_KEY
+    })
+};
@@ -0,0 +1,201 @@
+// Prompts for text-generation providers
+// Every provider that works from a prompt (Gemma, OpenRouter, a local
+// OpenAI-compatible server, and HuggingFace's instruction models for decisions
+// and translation) builds its request from these, so a task asks the same thing
+// whichever provider answers it. Bump a version when its prompt changes; it is
+// recorded in AI provenance.
+
+const LANGUAGE_NAMES = {
+    'en': 'English', 'es': 'Spanish', 'fr': 'French', 'de': 'German', 'it': 'Italian',
+    'pt': 'Portuguese', 'ru': 'Russian', 'zh': 'Chinese', 'ja': 'Japanese',
+    'ko': 'Korean', 'ar': 'Arabic', 'hi': 'Hindi', 'nl': 'Dutch'
+};
+
+const MOODS = ['calm', 'neutral', 'serious'];
+const BIAS_LABELS = ['neutral', 'biased', 'one-sided', 'balanced'];
+
+// Decision prompt - forces single-word response
+const DECISION_PROMPT = `Task: Decide if this news article requires deep AI processing.
+
+Rules:
+- Answer with EXACTLY ONE word.
+- Allowed answers: PROCESS, SKIP, CACHE.
+
+Definitions:
+- PROCESS: Important news that needs AI summarization and analysis. Breaking news, significant events, policy changes, scientific discoveries.
+- SKIP: Low-value content. Clickbait, listicles, celebrity gossip, spam, advertisements, duplicate content.
+- CACHE: Very similar to recently processed articles. Updates to existing stories without major new information.
+
+Quality indicators for PROCESS:
+- Has specific facts, dates, names
+- Reports on significant events
+- Contains original reporting
+- Affects many people
+
+Quality indicators for SKIP:
+- Sensational language ("SHOCKING", "You won't believe")
+- Vague or unverifiable claims
+- Primarily opinion without facts
+- Promotional content
+
+Article Title: {title}
+Article Content: {content}
+
+Decision:`;
+
+// Satirical transformation prompt
+const SATIRE_PROMPT = `You are a Gen Z satirical news writer with dark humor. Transform this news headline and summary into satirical, meme-style content that's funny, nihilistic, and uses internet slang.
+
+Rules:
+1. Add relevant emojis (💀 🫠 😭 🔥 ☠️ 🤡 etc)
+2. Use dark/absurdist humor about capitalism, existential dread, generational trauma
+3. Include internet slang (fr fr, no cap, lowkey, tbh, bruh, it's giving, slay)
+4. Make it relatable to stressed-out young adults
+5. Keep the core news topic but make it funny
+6. Max 280 chars for headline, max 400 chars for summary
+
+Respond ONLY in this JSON format, nothing else:
+{"headline": "satirical headline here", "summary": "satirical summary here"}`;
+
+/**
+ * First allowed word found in the output (case-insensitive), or null
+ */
+function pickWord(output, allowed) {
+    const match = output.toLowerCase().match(new RegExp(`\\b(${allowed.join('|')})\\b`));
+    return match ? match[1] : null;
+}
+
+/**
+ * Prompt definitions by task
+ * user/system build the messages from the task input; parse turns the raw
+ * output into the task value (null when unusable).
+ */
+const PROMPTS = {
+    summarize: {
+        version: 'summary-v1',
+        maxTokens: 150,
+        user: ({ title, content }) =>
+            `Summarize this news article in 50-120 words. Be factual, neutral, no opinions. Title: ${title}. Content: ${content}`
+    },
+
+    whyThisMatters: {
+        version: 'why-v1',
+        maxTokens: 50,
+        user: ({ title, content }) =>
+            `In one short sentence (max 20 words), explain why this news matters to the average reader. Be neutral, factual. Title: ${title}. Content: ${content}`
+    },
+
+    classifyMood: {
+        version: 'mood-v1',
+        maxTokens: 5,
+        temperature: 0,
+        user: ({ title, content }) =>
+            `Classify the mood of this news article. Answer with exactly one word: calm, neutral or serious.\n\nTitle: ${title}\nContent: ${(content || '').substring(0, 1000)}\n\nMood:`,
+        parse: (output) => pickWord(output, MOODS)
+    },
+
+    detectBias: {
+        version: 'bias-v1',
+        maxTokens: 5,
+        temperature: 0,
+        user: ({ title, content }) =>
+            `Classify how this news article is written. Answer with exactly one of: neutral, balanced, biased, one-sided.\n\nTitle: ${title}\nContent: ${(content || '').substring(0, 1000)}\n\nAnswer:`,
+        parse: (output) => {
+            const label = pickWord(output, BIAS_LABELS);
+            return label ? { indicators: [label], biasScore: null, topLabel: label } : null;
+        }
+    },
+
+    answerQuestion: {
+        version: 'qa-v1',
+        maxTokens: 100,
+        user: ({ title, content, question }) => `Based on this news article, answer the following question in 2-3 sentences max. Be factual and concise.
+
+Article Title: ${title}
+Article Content: ${content}
+
+Question: ${question}
+
+Answer:`
+    },
+
+    translate: {
+        version: 'translate-v1',
+        maxTokens: 2000,
+        temperature: 0.3,
+        system: ({ to }) =>
+            `You are a professional translator. Translate the following text to ${LANGUAGE_NAMES[to] || to}. Only output the translation, nothing else. Preserve the original meaning and tone.`,
+        user: ({ text }) => text.substring(0, 2000) // Limit input size
+    },
+
+    decide: {
+        version: 'decision-v1',
+        maxTokens: 10,
+        temperature: 0.1, // Low for consistent decisions
+        user: ({ title, content }) => DECISION_PROMPT
+            .replace('{title}', title.substring(0, 200))
+            .replace('{content}', content.substring(0, 1000))
+    },
+
+    rewrite: {
+        version: 'rewrite-v1',
+        maxTokens: 100,
+        user: ({ text }) => `Rewrite this comment to be more polite and constructive while keeping the same meaning. Only improve the tone, don't change the message. Keep similar length.
+
+Original: "${text}"
+
+Polite version:`,
+        parse: (output) => output.replace(/^["']|["']$/g, '').trim() || null
+    },
+
+    verify: {
+        version: 'verify-v1',
+        maxTokens: 200,
+        user: ({ title, content }) =>
+            `Verify the factual accuracy of this news article. Provide brief analysis. Title: ${title}. Content: ${content}`
+    },
+
+    satirize: {
+        version: 'satire-v1',
+        maxTokens: 500,
+        temperature: 0.9,
+        system: () => SATIRE_PROMPT,
+        user: ({ headline, summary }) => `Headline: ${headline}\nSummary: ${summary}`,
+        parse: (output) => {
+            const satirical = JSON.parse(output);
+            return satirical.headline || satirical.summary ? satirical : null;
+        }
+    }
+};
+
+const PROMPT_TASKS = Object.keys(PROMPTS);
+
+function promptVersion(task) {
+    return PROMPTS[task]?.version || null;
+}
+
+/**
+ * Build the request for a prompt task
+ * @returns {{ version, system: string|null, user: string, maxTokens, temperature, parse }}
+ */
+function renderPrompt(task, input) {
+    const prompt = PROMPTS[task];
+    if (!prompt) {
+        throw new Error(`No prompt for task: ${task}`);
+    }
+
+    return {
+        version: prompt.version,
+        system: prompt.system ? prompt.system(input) : null,
+        user: prompt.user(input),
+        maxTokens: prompt.maxTokens,
+        temperature: prompt.temperature ?? 0.3,
+        parse: prompt.parse || (output => output.trim() || null)
+    };
+}
+
+module.exports = {
+    PROMPT_TASKS,
+    promptVersion,
+    renderPrompt
+};
@@ -0,0 +1,60 @@
+// Client-side token bucket for one provider
+// Holds up to `perMinute` tokens and refills continuously at that rate. A call
+// takes one token, waiting for the next refill when the bucket is empty, but
+// gives up when the wait would exceed maxWaitMs so callers can fall back.
+// Waiting callers reserve their token up front (the count goes negative), so
+// concurrent callers are served in order.
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * @param {Object} options - { perMinute }
+ */
+function create({ perMinute }) {
+    const capacity = perMinute;
+    const refillPerMs = perMinute / 60000;
+    let tokens = capacity;
+    let updatedAt = Date.now();
+    let throttled = 0;
+
+    function refill() {
+        const now = Date.now();
+        tokens = Math.min(capacity, tokens + (now - updatedAt) * refillPerMs);
+        updatedAt = now;
+    }
+
+    return {
+        /**
+         * Take a token, waiting up to maxWaitMs for one
+         * @returns {Promise<boolean>} false when no token is available in time
+         */
+        async acquire(maxWaitMs) {
+            refill();
+
+            const waitMs = tokens >= 1 ? 0 : Math.ceil((1 - tokens) / refillPerMs);
+            if (waitMs > maxWaitMs) {
+                throttled++;
+                return false;
+            }
+
+            tokens -= 1;
+            if (waitMs > 0) {
+                await sleep(waitMs);
+            }
+            return true;
+        },
+
+        getState() {
+            refill();
+            return {
+                perMinute,
+                available: Math.max(0, Math.floor(tokens)),
+                throttled
+            };
+        }
+    };
+}
+
+module.exports = { create };
@@ -0,0 +1,291 @@
+// LLM Service
+// Single entry point for AI tasks. Each task (summarize, classifyMood, translate,
+// decide, ...) has an ordered route of providers; run() tries them in turn and
+// returns the first usable answer, so an unconfigured or failing provider falls
+// through to the next one. HTTP retries live in llmProviders/http.js.
+//
+// Default routes match how each task has always been served. Override them with
+// LLM_ROUTES: "task:provider,provider;task:provider", where "*" covers every
+// task without its own entry. "*:local" sends everything to the self-hosted
+// OpenAI-compatible server; "summarize:local,huggingface" tries it before BART.
+//
+// Each provider also has a circuit breaker and a token bucket, shared by every
+// caller (huggingFaceService, multilingualService, decisionMakerService, ...).
+// While a provider's breaker is open, or its bucket is empty for too long, it is
+// skipped without a request, so callers reach their fallback immediately.
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../middleware/logger');
+const { provenance } = require('../utils/provenance');
+const circuitBreaker = require('./llmProviders/circuitBreaker');
+const tokenBucket = require('./llmProviders/tokenBucket');
+
+const PROVIDERS = {
+    huggingface: require('./llmProviders/huggingface'),
+    gemma: require('./llmProviders/gemma'),
+    openrouter: require('./llmProviders/openrouter'),
+    local: require('./llmProviders/local')
+};
+
+const TASKS = [
+    'summarize',
+    'whyThisMatters',
+    'classifyMood',
+    'detectBias',
+    'answerQuestion',
+    'translate',
+    'decide',
+    'rewrite',
+    'verify',
+    'satirize',
+    'embed'
+];
+
+// HuggingFace's task models (BART, RoBERTa, BART-MNLI) are opt-in, as before
+const HF_TASK_MODELS = process.env.USE_HUGGINGFACE_API === 'true' ? ['huggingface'] : [];
+
+const DEFAULT_ROUTES = {
+    summarize: [...HF_TASK_MODELS, 'gemma'],
+    whyThisMatters: ['gemma'],
+    classifyMood: HF_TASK_MODELS,
+    detectBias: HF_TASK_MODELS,
+    answerQuestion: [...HF_TASK_MODELS, 'gemma'],
+    translate: ['huggingface'],
+    decide: ['huggingface'],
+    rewrite: ['gemma'],
+    verify: ['gemma'],
+    satirize: ['openrouter'],
+    embed: ['huggingface']
+};
+
+/**
+ * Parse LLM_ROUTES into { task: [providers] } on top of the defaults
+ */
+function buildRoutes(spec = '') {
+    const overrides = {};
+
+    for (const entry of spec.split(';').map(part => part.trim()).filter(Boolean)) {
+        const [task, list = ''] = entry.split(':').map(part => part.trim());
+        const providers = list.split(',').map(name => name.trim()).filter(Boolean);
+
+        if (task !== '*' && !TASKS.includes(task)) {
+            throw new Error(`Unknown task "${task}" in LLM_ROUTES (expected: *, ${TASKS.join(', ')})`);
+        }
+        const unknown = providers.find(name => !PROVIDERS[name]);
+        if (unknown) {
+            throw new Error(`Unknown provider "${unknown}" in LLM_ROUTES (expected: ${Object.keys(PROVIDERS).join(', ')})`);
+        }
+
+        overrides[task] = providers;
+    }
+
+    return Object.fromEntries(TASKS.map(task => [
+        task,
+        overrides[task] || overrides['*'] || DEFAULT_ROUTES[task]
+    ]));
+}
+
+const ROUTES = buildRoutes(process.env.LLM_ROUTES);
+
+// HuggingFace's free tier allows ~30 requests a minute; others are unlimited unless set
+const DEFAULT_RATE_LIMITS = {
+    huggingface: 30
+};
+
+/**
+ * Parse LLM_RATE_LIMITS ("provider:requestsPerMinute,...") on top of the defaults
+ */
+function buildRateLimits(spec = '') {
+    const limits = { ...DEFAULT_RATE_LIMITS };
+
+    for (const entry of spec.split(',').map(part => part.trim()).filter(Boolean)) {
+        const [name, value] = entry.split(':').map(part => part.trim());
+        const perMinute = Number(value);
+
+        if (!PROVIDERS[name]) {
+            throw new Error(`Unknown provider "${name}" in LLM_RATE_LIMITS (expected: ${Object.keys(PROVIDERS).join(', ')})`);
+        }
+        if (!Number.isFinite(perMinute) || perMinute < 0) {
+            throw new Error(`Invalid rate "${value}" for ${name} in LLM_RATE_LIMITS (requests per minute, 0 for unlimited)`);
+        }
+
+        limits[name] = perMinute;
+    }
+
+    return limits;
+}
+
+const RATE_LIMITS = buildRateLimits(process.env.LLM_RATE_LIMITS);
+const RATE_LIMIT_MAX_WAIT_MS = parseInt(process.env.LLM_RATE_LIMIT_MAX_WAIT_MS) || 5000;
+
+const BREAKER_OPTIONS = {
+    failureThreshold: parseInt(process.env.LLM_BREAKER_FAILURE_THRESHOLD) || 5,
+    cooldownMs: parseInt(process.env.LLM_BREAKER_COOLDOWN_MS) || 30000
+};
+
+// Per-provider breaker and (optional) rate limiter
+const GUARDS = Object.fromEntries(Object.keys(PROVIDERS).map(name => [name, {
+    breaker: circuitBreaker.create(BREAKER_OPTIONS),
+    bucket: RATE_LIMITS[name] ? tokenBucket.create({ perMinute: RATE_LIMITS[name] }) : null
+}]));
+
+function routeFor(task) {
+    const route = ROUTES[task];
+    if (!route) {
+        throw new Error(`Unknown LLM task: ${task}`);
+    }
+    return route;
+}
+
+/**
+ * Providers on a route that are configured and support the task
+ */
+function availableProviders(task, route = routeFor(task)) {
+    return route.filter(name => {
+        const provider = PROVIDERS[name];
+        return provider && provider.isConfigured() && provider.TASKS.includes(task);
+    });
+}
+
+function canRun(task) {
+    return availableProviders(task).length > 0;
+}
+
+/**
+ * The provider, model and prompt version that would be tried first for a task
+ * @returns {{ provider: string|null, model: string|null, promptVersion: string|null }}
+ */
+function describe(task) {
+    const [name] = availableProviders(task);
+    return {
+        provider: name || null,
+        model: name ? PROVIDERS[name].modelFor(task) : null,
+        promptVersion: name ? PROVIDERS[name].versionFor(task) : null
+    };
+}
+
+/**
+ * Run a task on the first provider in its route that answers
+ *
+ * @param {string} task - One of TASKS
+ * @param {Object} input - Task input, e.g. { title, content } or { text, from, to }
+ * @param {Object} [options] - { providers: use this route instead of the configured one }
+ * @returns {Promise<{ value, provenance: Object }>}
+ * @throws {AppError} 503 when no provider on the route produced a result
+ */
+async function run(task, input, { providers } = {}) {
+    const candidates = availableProviders(task, providers || routeFor(task));
+    if (candidates.length === 0) {
+        throw new AppError(`No AI provider available for ${task}`, 503);
+    }
+
+    const failures = [];
+    for (const name of candidates) {
+        const { breaker, bucket } = GUARDS[name];
+
+        if (!breaker.allow()) {
+            logger.debug(`⛔ ${task} skipped ${name}: circuit open`);
+            failures.push(`${name}: circuit open`);
+            continue;
+        }
+        if (bucket && !(await bucket.acquire(RATE_LIMIT_MAX_WAIT_MS))) {
+            breaker.release();
+            logger.debug(`⛔ ${task} skipped ${name}: rate limited`);
+            failures.push(`${name}: rate limited`);
+            continue;
+        }
+
+        // The breaker sees every failed attempt, not just the call's last one,
+        // and a call only retries while the breaker stays closed
+        const trips = breaker.getState().trips;
+        const reported = new WeakSet();
+        const retryIf = (failure) => {
+            breaker.onFailure(failure);
+            reported.add(failure);
+            return breaker.getState().state === 'closed';
+        };
+
+        const startedAt = Date.now();
+        let result;
+        try {
+            result = await PROVIDERS[name].run(task, input, { retryIf });
+            breaker.onSuccess();
+        } catch (error) {
+            if (!reported.has(error)) {
+                breaker.onFailure(error);
+            }
+            if (breaker.getState().trips > trips) {
+                logger.warn(`🔌 Circuit opened for ${name}, skipping it for ${BREAKER_OPTIONS.cooldownMs / 1000}s`);
+            }
+            logger.warn(`⚠️ ${task} via ${name} failed: ${error.message}`);
+            failures.push(`${name}: ${error.message}`);
+            continue;
+        }
+
+        if (result.value == null) {
+            logger.warn(`⚠️ ${task} via ${name} failed: no usable output`);
+            failures.push(`${name}: no usable output`);
+            continue;
+        }
+
+        if (failures.length > 0) {
+            logger.info(`🔀 ${task} served by ${name} after: ${failures.join('; ')}`);
+        }
+
+        return {
+            value: result.value,
+            provenance: provenance({
+                provider: name,
+                model: result.model,
+                promptVersion: result.promptVersion,
+                input: Object.values(input).filter(value => typeof value === 'string'),
+                startedAt
+            })
+        };
+    }
+
+    throw new AppError(`Every AI provider failed for ${task} (${failures.join('; ')})`, 503);
+}
+
+/**
+ * run(), but resolves to null instead of throwing so callers can use their own fallback
+ */
+async function tryRun(task, input, options) {
+    try {
+        return await run(task, input, options);
+    } catch (error) {
+        if (error.statusCode !== 503) throw error;
+        return null;
+    }
+}
+
+/**
+ * Configured providers with their breaker and rate-limit state, and the
+ * effective route for every task
+ */
+function getStatus() {
+    return {
+        providers: Object.fromEntries(Object.entries(PROVIDERS).map(([name, provider]) => [
+            name,
+            {
+                configured: provider.isConfigured(),
+                tasks: provider.TASKS,
+                breaker: GUARDS[name].breaker.getState(),
+                rateLimit: GUARDS[name].bucket ? GUARDS[name].bucket.getState() : null
+            }
+        ])),
+        routes: Object.fromEntries(TASKS.map(task => [
+            task,
+            { route: ROUTES[task], available: availableProviders(task) }
+        ]))
+    };
+}
+
+module.exports = {
+    TASKS,
+    PROVIDERS,
+    run,
+    tryRun,
+    canRun,
+    describe,
+    getStatus
+};
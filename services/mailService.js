@@ -0,0 +1,56 @@
+// Mail Service
+// Sends email through a pluggable transport from ./mailTransports.
+// Each transport implements send({ from, to, subject, html, text, headers }).
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../middleware/logger');
+
+/**
+ * Mail transports keyed by MAIL_TRANSPORT
+ */
+const TRANSPORTS = {
+    smtp: require('./mailTransports/smtp'),
+    maildir: require('./mailTransports/maildir')
+};
+
+// SMTP when configured; the local Maildir sink only outside production, where
+// silently writing newsletters to disk would lose them
+const DEFAULT_TRANSPORT = process.env.MAIL_TRANSPORT ||
+    (TRANSPORTS.smtp.isConfigured() ? 'smtp' : process.env.NODE_ENV !== 'production' ? 'maildir' : null);
+
+if (!DEFAULT_TRANSPORT) {
+    throw new Error('No mail transport in production: set SMTP_HOST or MAIL_TRANSPORT');
+}
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Newslett <no-reply@localhost>';
+
+function getTransport(name = DEFAULT_TRANSPORT) {
+    const transport = TRANSPORTS[name];
+    if (!transport) {
+        throw new AppError(`Unknown mail transport: ${name}`, 500);
+    }
+    return transport;
+}
+
+/**
+ * Send one message
+ *
+ * @param {Object} message - { to, subject, html, text, headers, from? }
+ * @param {Object} [options]
+ * @param {string} [options.transport] - Transport name (default MAIL_TRANSPORT)
+ * @returns {Promise<{messageId: string, transport: string}>}
+ */
+async function send(message, { transport: transportName } = {}) {
+    const transport = getTransport(transportName);
+
+    const result = await transport.send({ from: MAIL_FROM, ...message });
+    logger.debug(`Mail "${message.subject}" sent to ${message.to} via ${transport.name}`);
+
+    return { ...result, transport: transport.name };
+}
+
+module.exports = {
+    send,
+    getTransport,
+    DEFAULT_TRANSPORT,
+    MAIL_FROM
+};
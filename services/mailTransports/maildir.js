@@ -0,0 +1,45 @@
+// Maildir mail transport
+// Writes each message as an RFC 822 file into a Maildir (tmp/ → new/), so local
+// development and tests can inspect exactly what would have been sent.
+// Open the directory with any Maildir-aware client, or just read the files.
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const MailComposer = require('nodemailer/lib/mail-composer');
+
+const MAILDIR = path.resolve(process.env.MAILDIR_PATH || path.join(process.cwd(), 'tmp', 'maildir'));
+
+let delivered = 0;
+
+function isConfigured() {
+    return true;
+}
+
+/**
+ * Write one message into MAILDIR/new
+ * @param {Object} message - { from, to, subject, html, text, headers }
+ * @returns {Promise<{messageId: string, path: string}>}
+ */
+async function send(message) {
+    await Promise.all(['tmp', 'new', 'cur'].map(dir => fs.mkdir(path.join(MAILDIR, dir), { recursive: true })));
+
+    const mail = new MailComposer(message).compile();
+    const raw = await mail.build();
+
+    // Maildir unique name: time.pid_count.host
+    delivered += 1;
+    const name = `${Date.now()}.${process.pid}_${delivered}.${os.hostname()}`;
+    const tmpPath = path.join(MAILDIR, 'tmp', name);
+    const newPath = path.join(MAILDIR, 'new', name);
+
+    await fs.writeFile(tmpPath, raw);
+    await fs.rename(tmpPath, newPath);
+
+    return { messageId: mail.messageId(), path: newPath };
+}
+
+module.exports = {
+    name: 'maildir',
+    isConfigured,
+    send
+};
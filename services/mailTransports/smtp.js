@@ -0,0 +1,48 @@
+// SMTP mail transport (nodemailer)
+const nodemailer = require('nodemailer');
+const { AppError } = require('../../middleware/errorHandler');
+
+const SMTP_HOST = process.env.SMTP_HOST || '';
+const SMTP_PORT = parseInt(process.env.SMTP_PORT) || 587;
+// true for implicit TLS (port 465); otherwise STARTTLS is used when offered
+const SMTP_SECURE = process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : SMTP_PORT === 465;
+
+let transporter = null;
+
+function isConfigured() {
+    return Boolean(SMTP_HOST);
+}
+
+function getTransporter() {
+    if (!isConfigured()) {
+        throw new AppError('SMTP is not configured (SMTP_HOST)', 503);
+    }
+    if (!transporter) {
+        transporter = nodemailer.createTransport({
+            host: SMTP_HOST,
+            port: SMTP_PORT,
+            secure: SMTP_SECURE,
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                : undefined,
+            pool: true
+        });
+    }
+    return transporter;
+}
+
+/**
+ * Send one message
+ * @param {Object} message - { from, to, subject, html, text, headers }
+ * @returns {Promise<{messageId: string}>}
+ */
+async function send(message) {
+    const info = await getTransporter().sendMail(message);
+    return { messageId: info.messageId };
+}
+
+module.exports = {
+    name: 'smtp',
+    isConfigured,
+    send
+};
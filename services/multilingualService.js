@@ -2,24 +2,16 @@
  * Multilingual Service (Qwen 2.5)
  * 
  * Handles language detection and translation.
- * Uses Qwen 2.5 via HuggingFace Inference API.
+ * Uses Qwen 2.5 via HuggingFace Inference API by default; the "translate"
+ * route in llmService decides which provider actually serves it.
  * 
  * ISOLATION GUARANTEE: This service is ONLY for translation.
  * It does NOT influence decision-making (Phi-2's job).
  * Qwen is called BEFORE Phi-2 (to translate) or AFTER heavy lifting (to translate back).
  */
 
-const axios = require('axios');
 const { logger } = require('../middleware/logger');
-
-const HF_API_KEY = process.env.HF_API_KEY;
-const HF_BASE_URL = 'https://api-inference.huggingface.co/models';
-
-// Qwen 2.5 model for multilingual support
-const QWEN_MODEL = process.env.QWEN_MODEL || 'Qwen/Qwen2.5-3B-Instruct';
-
-// Translation timeout (default 60 seconds - translations can be slow)
-const TRANSLATION_TIMEOUT = parseInt(process.env.TRANSLATION_TIMEOUT_MS) || 60000;
+const llmService = require('./llmService');
 
 // Supported languages (ISO 639-1 codes)
 const SUPPORTED_LANGUAGES = [
@@ -27,19 +19,12 @@ const SUPPORTED_LANGUAGES = [
     'ar', 'hi', 'bn', 'ur', 'id', 'ms', 'th', 'vi', 'tr', 'pl', 'uk'
 ];
 
-/**
- * Sleep utility
- */
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 const multilingualService = {
     /**
-     * Check if Qwen API is available
+     * Check if a translation provider is available
      */
     isEnabled: () => {
-        return process.env.USE_BRAIN_ARCHITECTURE === 'true' && !!HF_API_KEY;
+        return process.env.USE_BRAIN_ARCHITECTURE === 'true' && llmService.canRun('translate');
     },
 
     /**
@@ -148,55 +133,16 @@ const multilingualService = {
         try {
             logger.info(`🌍 Translating from ${sourceLang} to English...`);
 
-            const messages = [
-                {
-                    role: 'system',
-                    content: 'You are a professional translator. Translate the following text to English. Only output the translation, nothing else. Preserve the original meaning and tone.'
-                },
-                {
-                    role: 'user',
-                    content: text.substring(0, 2000) // Limit input size
-                }
-            ];
-
-            const response = await axios.post(
-                `${HF_BASE_URL}/${QWEN_MODEL}`,
-                {
-                    inputs: messages,
-                    parameters: {
-                        max_new_tokens: 2000,
-                        temperature: 0.3,
-                        do_sample: false,
-                        return_full_text: false
-                    }
-                },
-                {
-                    headers: {
-                        'Authorization': `Bearer ${HF_API_KEY}`,
-                        'Content-Type': 'application/json'
-                    },
-                    timeout: TRANSLATION_TIMEOUT
-                }
-            );
-
-            const translated = response.data[0]?.generated_text || text;
+            const { value } = await llmService.run('translate', { text, from: sourceLang, to: 'en' });
 
             logger.info(`✅ Translation complete (${sourceLang} → en)`);
 
             return {
-                text: translated.trim(),
+                text: value.trim() || text,
                 sourceLang
             };
 
         } catch (error) {
-            // Handle model loading
-            if (error.response?.status === 503) {
-                const estimatedTime = error.response.data?.estimated_time || 30;
-                logger.info(`⏳ Qwen model loading, waiting ${estimatedTime}s...`);
-                await sleep(Math.min(estimatedTime * 1000, 60000));
-                return multilingualService.translateToEnglish(text, sourceLang);
-            }
-
             logger.error(`❌ Translation failed: ${error.message}`);
             return { text, sourceLang };
         }
@@ -221,50 +167,11 @@ const multilingualService = {
         try {
             logger.info(`🌍 Translating from English to ${targetLang}...`);
 
-            const langNames = {
-                'es': 'Spanish', 'fr': 'French', 'de': 'German', 'it': 'Italian',
-                'pt': 'Portuguese', 'ru': 'Russian', 'zh': 'Chinese', 'ja': 'Japanese',
-                'ko': 'Korean', 'ar': 'Arabic', 'hi': 'Hindi', 'nl': 'Dutch'
-            };
-
-            const targetName = langNames[targetLang] || targetLang;
-
-            const messages = [
-                {
-                    role: 'system',
-                    content: `You are a professional translator. Translate the following text to ${targetName}. Only output the translation, nothing else.`
-                },
-                {
-                    role: 'user',
-                    content: text.substring(0, 2000)
-                }
-            ];
-
-            const response = await axios.post(
-                `${HF_BASE_URL}/${QWEN_MODEL}`,
-                {
-                    inputs: messages,
-                    parameters: {
-                        max_new_tokens: 2000,
-                        temperature: 0.3,
-                        do_sample: false,
-                        return_full_text: false
-                    }
-                },
-                {
-                    headers: {
-                        'Authorization': `Bearer ${HF_API_KEY}`,
-                        'Content-Type': 'application/json'
-                    },
-                    timeout: TRANSLATION_TIMEOUT
-                }
-            );
-
-            const translated = response.data[0]?.generated_text || text;
+            const { value } = await llmService.run('translate', { text, from: 'en', to: targetLang });
 
             logger.info(`✅ Translation complete (en → ${targetLang})`);
 
-            return translated.trim();
+            return value.trim() || text;
 
         } catch (error) {
             logger.error(`❌ Translation to ${targetLang} failed: ${error.message}`);
@@ -285,7 +192,7 @@ const multilingualService = {
     getStatus: () => {
         return {
             enabled: multilingualService.isEnabled(),
-            model: QWEN_MODEL,
+            model: llmService.describe('translate').model,
             supportedLanguages: SUPPORTED_LANGUAGES.length
         };
     }
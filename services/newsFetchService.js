@@ -1,17 +1,13 @@
 const axios = require('axios');
 const crypto = require('crypto');
 const News = require('../models/News');
-const gemmaApiService = require('./gemmaApiService');
-const huggingFaceService = require('./huggingFaceService');
+const FeedSource = require('../models/FeedSource');
+const rssFeedService = require('./rssFeedService');
+const articleExtractionService = require('./articleExtractionService');
+const fingerprintService = require('./fingerprintService');
+const jobQueueService = require('./jobQueueService');
 const { logger } = require('../middleware/logger');
 
-// Brain Architecture integration (optional, for new processing flow)
-let brainService = null;
-try {
-  brainService = require('./brainService');
-} catch (e) {
-  logger.warn('Brain service not available, using legacy processing');
-}
 
 /**
  * Generate a unique ID for each article
@@ -20,6 +16,18 @@ const generateArticleId = (title, source) => {
   return crypto.createHash('md5').update(title + source).digest('hex');
 };
 
+/**
+ * API key for a source, read from its (allowlisted) environment variable
+ * Checked again here so records saved before the allowlist cannot leak other secrets
+ */
+const apiKeyFor = (adapter, source) => {
+  const name = source.apiKeyEnv || FeedSource.ADAPTER_DEFAULTS[adapter].apiKeyEnv;
+  if (!FeedSource.isAllowedApiKeyEnv(adapter, name)) {
+    throw new Error(`${name} is not an allowed API key variable for ${adapter} sources`);
+  }
+  return process.env[name];
+};
+
 /**
  * News Fetch Service
  * Fetches news from multiple sources and processes them
@@ -27,33 +35,37 @@ const generateArticleId = (title, source) => {
 const newsFetchService = {
   /**
    * Fetch from all configured sources
+   * Iterates the FeedSource registry; only due sources are polled unless forced
    */
-  fetchFromAllSources: async () => {
+  fetchFromAllSources: async ({ force = false } = {}) => {
     try {
       logger.info('Fetching news from all sources...');
 
-      const sources = [];
+      await newsFetchService.seedRegistry();
 
-      // Only fetch from sources with valid API keys
-      if (process.env.NEWS_API_KEY) {
-        sources.push(newsFetchService.fetchFromNewsAPI());
-      }
-      if (process.env.NYT_API_KEY) {
-        sources.push(newsFetchService.fetchFromNYT());
+      if (await FeedSource.estimatedDocumentCount() === 0) {
+        logger.warn('No feed sources registered. Using mock data.');
+        return generateMockArticles();
       }
 
+      const sources = force
+        ? await FeedSource.find({ enabled: true })
+        : await FeedSource.getDueSources();
+
       if (sources.length === 0) {
-        logger.warn('No API keys configured. Using mock data.');
-        return generateMockArticles();
+        logger.info('No feed sources due for polling');
+        return [];
       }
 
-      const results = await Promise.allSettled(sources);
+      const results = await Promise.allSettled(
+        sources.map(source => newsFetchService.pollSource(source))
+      );
 
       const articles = results
         .filter(r => r.status === 'fulfilled')
         .flatMap(r => r.value);
 
-      logger.info(`Fetched ${articles.length} total articles`);
+      logger.info(`Fetched ${articles.length} total articles from ${sources.length} sources`);
       return articles;
     } catch (error) {
       logger.error('Failed to fetch from all sources', error);
@@ -62,87 +74,156 @@ const newsFetchService = {
   },
 
   /**
-   * Fetch from NewsAPI
+   * Poll a single registry entry through its adapter
+   * Adapters throw on failure; latency, yield and failures land on source.health
    */
-  fetchFromNewsAPI: async () => {
-    try {
-      const response = await axios.get('https://newsapi.org/v2/top-headlines', {
-        params: {
-          country: 'us',
-          pageSize: 30,
-          apiKey: process.env.NEWS_API_KEY
-        },
-        timeout: 10000
-      });
+  pollSource: async (source) => {
+    const adapter = ADAPTERS[source.adapter];
+    if (!adapter) {
+      logger.warn(`No adapter for feed source ${source.name} (${source.adapter})`);
+      return [];
+    }
 
-      logger.info(`Fetched ${response.data.articles?.length || 0} articles from NewsAPI`);
-
-      return (response.data.articles || []).map(article => ({
-        id: generateArticleId(article.title, article.source?.name || 'NewsAPI'),
-        title: article.title,
-        description: article.description || '',
-        content: article.content || article.description || '',
-        imageUrl: article.urlToImage || '',
-        source: article.source?.name || 'Unknown',
-        author: article.author || 'Unknown',
-        publishedAt: new Date(article.publishedAt),
-        url: article.url,
-        category: 'general'
+    const startTime = Date.now();
+
+    try {
+      const articles = (await adapter(source)).map(article => ({
+        ...article,
+        extractFullText: source.extractFullText !== false
       }));
+
+      source.recordSuccess(articles.length, Date.now() - startTime);
+      await source.save();
+
+      return articles;
     } catch (error) {
-      logger.error('Failed to fetch from NewsAPI', error);
+      source.recordFailure(error, Date.now() - startTime);
+      await source.save();
+
+      logger.error(`Failed to fetch from ${source.name} (${source.health.consecutiveFailures} consecutive failures, backing off until ${source.health.backoffUntil.toISOString()})`, error);
       return [];
     }
   },
 
   /**
-   * Fetch from NYT
+   * Seed the registry from NEWS_API_KEY / NYT_API_KEY / RSS_FEEDS on first run
    */
-  fetchFromNYT: async () => {
-    try {
-      const response = await axios.get('https://api.nytimes.com/svc/topstories/v2/home.json', {
-        params: { 'api-key': process.env.NYT_API_KEY },
-        timeout: 10000
-      });
+  seedRegistry: async () => {
+    if (await FeedSource.estimatedDocumentCount() > 0) return [];
 
-      logger.info(`Fetched ${response.data.results?.length || 0} articles from NYT`);
-
-      return (response.data.results || []).map(article => ({
-        id: generateArticleId(article.title, 'NYT'),
-        title: article.title,
-        description: article.abstract || '',
-        content: article.abstract || '',
-        imageUrl: article.multimedia?.[0]?.url || '',
-        source: 'New York Times',
-        author: article.byline || 'NYT Staff',
-        publishedAt: new Date(article.published_date),
-        url: article.url,
-        category: mapNYTSection(article.section)
-      }));
-    } catch (error) {
-      logger.error('Failed to fetch from NYT', error);
-      return [];
+    const { ADAPTER_DEFAULTS } = FeedSource;
+    const seeds = [];
+
+    if (process.env.NEWS_API_KEY) {
+      seeds.push({ name: 'NewsAPI', adapter: 'newsapi', ...ADAPTER_DEFAULTS.newsapi });
+    }
+    if (process.env.NYT_API_KEY) {
+      seeds.push({ name: 'New York Times', adapter: 'nyt', ...ADAPTER_DEFAULTS.nyt });
     }
+    for (const feed of rssFeedService.getConfiguredFeeds()) {
+      if (!FeedSource.isAllowedEndpoint(feed.url)) {
+        logger.warn(`Not registering feed ${feed.url}: only http(s) feeds can be polled from the registry`);
+        continue;
+      }
+      seeds.push({
+        name: feed.sourceName || feed.url,
+        adapter: 'rss',
+        endpoint: feed.url,
+        ...(feed.defaultCategory && { defaultCategory: feed.defaultCategory })
+      });
+    }
+
+    if (seeds.length === 0) return [];
+
+    logger.info(`Seeding feed source registry with ${seeds.length} sources from environment`);
+    return FeedSource.insertMany(seeds);
   },
 
   /**
-   * Save articles to database with AI processing
-   * Uses Brain Architecture when enabled for smart decision making
+   * Fetch from NewsAPI
+   */
+  fetchFromNewsAPI: async (source = {}) => {
+    const defaults = FeedSource.ADAPTER_DEFAULTS.newsapi;
+    const response = await axios.get(source.endpoint || defaults.endpoint, {
+      params: {
+        ...defaults.params,
+        ...source.params,
+        apiKey: apiKeyFor('newsapi', source)
+      },
+      timeout: 10000
+    });
+
+    logger.info(`Fetched ${response.data.articles?.length || 0} articles from NewsAPI`);
+
+    return (response.data.articles || []).map(article => ({
+      id: generateArticleId(article.title, article.source?.name || 'NewsAPI'),
+      title: article.title,
+      description: article.description || '',
+      content: article.content || article.description || '',
+      imageUrl: article.urlToImage || '',
+      source: article.source?.name || 'Unknown',
+      author: article.author || 'Unknown',
+      publishedAt: new Date(article.publishedAt),
+      url: article.url,
+      category: source.defaultCategory || 'general'
+    }));
+  },
+
+  /**
+   * Fetch from NYT
+   */
+  fetchFromNYT: async (source = {}) => {
+    const defaults = FeedSource.ADAPTER_DEFAULTS.nyt;
+    const response = await axios.get(source.endpoint || defaults.endpoint, {
+      params: {
+        ...defaults.params,
+        ...source.params,
+        'api-key': apiKeyFor('nyt', source)
+      },
+      timeout: 10000
+    });
+
+    logger.info(`Fetched ${response.data.results?.length || 0} articles from NYT`);
+
+    return (response.data.results || []).map(article => ({
+      id: generateArticleId(article.title, 'NYT'),
+      title: article.title,
+      description: article.abstract || '',
+      content: article.abstract || '',
+      imageUrl: article.multimedia?.[0]?.url || '',
+      source: 'New York Times',
+      author: article.byline || 'NYT Staff',
+      publishedAt: new Date(article.published_date),
+      url: article.url,
+      category: mapNYTSection(article.section, source.defaultCategory)
+    }));
+  },
+
+  /**
+   * Fetch a registered RSS 2.0 / Atom feed, persisting conditional GET validators
+   */
+  fetchFromRSS: async (source) => {
+    const result = await rssFeedService.fetchFeed(
+      { url: source.endpoint, sourceName: source.name, defaultCategory: source.defaultCategory },
+      { etag: source.etag, lastModified: source.lastModified }
+    );
+
+    source.etag = result.etag;
+    source.lastModified = result.lastModified;
+
+    return result.articles;
+  },
+
+  /**
+   * Save new articles and queue their AI processing
+   * Articles are visible as soon as they are saved; the 'article.ai' job adds
+   * summary, why-this-matters and mood when it completes.
    */
   saveArticles: async (articles) => {
     try {
       let savedCount = 0;
-      let skippedCount = 0;
-      let cachedCount = 0;
-
-      // Check if brain architecture is enabled
-      const useBrain = brainService && brainService.isEnabled();
-
-      if (useBrain) {
-        logger.info('🧠 Brain Architecture ENABLED - Using Phi-2 for smart decisions');
-      } else {
-        logger.info('📦 Using legacy AI processing (brain disabled)');
-      }
+      let queuedCount = 0;
+      let duplicateCount = 0;
 
       for (const article of articles) {
         if (!article.title || !article.url) continue;
@@ -155,88 +236,99 @@ const newsFetchService = {
           continue;
         }
 
-        let summary = null;
-        let whyThisMatters = null;
-        let mood = null;
-        let brainDecision = 'PROCESS';
-        let sourceLanguage = 'en';
+        // Near-duplicate check on the feed text first, so syndicated copies
+        // never cost a page fetch
+        let fingerprint = fingerprintService.fingerprint(fingerprintService.articleText(article));
+        let duplicate = await fingerprintService.findNearDuplicate(fingerprint);
 
-        // ===== BRAIN ARCHITECTURE PATH =====
-        if (useBrain) {
-          logger.info(`🧠 Brain analyzing: ${article.title.substring(0, 50)}...`);
+        let fullText = '';
+        let extractionMethod = null;
 
-          const brainResult = await brainService.processArticle({
-            title: article.title,
-            content: article.content,
-            source: article.source,
-            category: article.category
-          });
+        if (!duplicate) {
+          // Optional full-text stage for truncated API content
+          ({ fullText, extractionMethod } = await articleExtractionService.enrichArticle(article));
 
-          brainDecision = brainResult.decision;
-          sourceLanguage = brainResult.sourceLanguage;
-
-          if (brainDecision === 'SKIP') {
-            logger.info(`⏭️ Brain SKIP: ${article.title.substring(0, 40)}...`);
-            skippedCount++;
-            continue;
+          // The full body can expose a copy the snippet did not
+          if (fullText && fullText !== article.content) {
+            fingerprint = fingerprintService.fingerprint(
+              fingerprintService.articleText({ ...article, fullText })
+            );
+            duplicate = await fingerprintService.findNearDuplicate(fingerprint);
           }
+        }
 
-          if (brainDecision === 'CACHE') {
-            logger.info(`📋 Brain CACHE: ${article.title.substring(0, 40)}...`);
-            cachedCount++;
-            continue;
-          }
+        // Syndicated copy: link to the canonical article and reuse its AI output
+        // (if the canonical article is still queued, its job fills this copy in)
 
-          // PROCESS - use brain results
-          summary = brainResult.summary;
-          mood = brainResult.mood;
-          whyThisMatters = brainResult.whyThisMatters;
+        if (duplicate) {
+          const canonical = duplicate.article;
 
-          logger.info(`✅ Brain PROCESS: ${article.title.substring(0, 40)}... (${brainResult.processingTime}ms)`);
-        }
-        // ===== LEGACY PATH =====
-        else {
-          logger.info(`🤖 Generating AI content for: ${article.title.substring(0, 50)}...`);
-          logger.info(`   Using: ${huggingFaceService.isEnabled() ? 'HuggingFace API (Free)' : 'Fallback/Simulation'}`);
-
-          [summary, whyThisMatters, mood] = await Promise.all([
-            gemmaApiService.generateSummary(article.title, article.content),
-            gemmaApiService.generateWhyThisMatters(article.title, article.content),
-            gemmaApiService.classifyMood(article.title, article.content)
-          ]);
-
-          logger.info(`✅ AI content generated for: ${article.title.substring(0, 30)}...`);
+          await News.create({
+            title: article.title,
+            description: article.description,
+            content: article.content,
+            fullText,
+            extractionMethod,
+            url: article.url,
+            imageUrl: article.imageUrl,
+            source: article.source,
+            author: article.author,
+            publishedAt: article.publishedAt,
+            category: canonical.category,
+            summary: canonical.summary,
+            whyThisMatters: canonical.whyThisMatters,
+            mood: canonical.mood,
+            aiProcessed: canonical.aiProcessed,
+            brainDecision: canonical.brainDecision,
+            sourceLanguage: canonical.sourceLanguage,
+            aiProvenance: canonical.aiProvenance,
+            processedAt: canonical.aiProcessed ? new Date() : undefined,
+            previousVersionHash: crypto.createHash('md5').update(article.content || '').digest('hex'),
+            minhashSignature: fingerprint.signature,
+            minhashBands: fingerprint.bands,
+            canonicalArticleId: canonical._id,
+            duplicateSimilarity: duplicate.similarity
+          });
+
+          logger.info(`🔁 Near-duplicate (${duplicate.similarity.toFixed(2)}) of "${canonical.title.substring(0, 40)}..." from ${article.source}`);
+          duplicateCount++;
+          continue;
         }
 
-        // Create new article
-        const newsItem = new News({
+        const newsItem = await News.create({
           title: article.title,
           description: article.description,
           content: article.content,
+          fullText,
+          extractionMethod,
           url: article.url,
           imageUrl: article.imageUrl,
           source: article.source,
           author: article.author,
           publishedAt: article.publishedAt,
           category: article.category,
-          summary,
-          whyThisMatters,
-          mood,
-          aiProcessed: true,
-          brainDecision,
-          sourceLanguage,
-          processedAt: new Date(),
-          previousVersionHash: crypto.createHash('md5').update(article.content || '').digest('hex')
+          aiProcessed: false,
+          previousVersionHash: crypto.createHash('md5').update(article.content || '').digest('hex'),
+          minhashSignature: fingerprint?.signature,
+          minhashBands: fingerprint?.bands
         });
-
-        await newsItem.save();
         savedCount++;
 
+        try {
+          await jobQueueService.enqueue('article.ai', { articleId: String(newsItem._id) }, {
+            dedupeKey: `article.ai:${newsItem._id}`
+          });
+          queuedCount++;
+        } catch (error) {
+          // The article stays visible; reprocessing can pick it up later
+          logger.error(`Failed to queue AI processing for ${newsItem._id}: ${error.message}`);
+        }
+
         logger.debug(`Saved article: ${article.title.substring(0, 50)}...`);
       }
 
-      logger.info(`📊 Processing complete: ${savedCount} saved, ${skippedCount} skipped, ${cachedCount} cached`);
-      return { savedCount, skippedCount, cachedCount };
+      logger.info(`📊 Ingest complete: ${savedCount} saved, ${queuedCount} queued for AI, ${duplicateCount} near-duplicates`);
+      return { savedCount, queuedCount, duplicateCount };
     } catch (error) {
       logger.error('Failed to save articles', error);
       throw error;
@@ -244,6 +336,15 @@ const newsFetchService = {
   }
 };
 
+/**
+ * Fetch adapters keyed by FeedSource.adapter
+ */
+const ADAPTERS = {
+  newsapi: (source) => newsFetchService.fetchFromNewsAPI(source),
+  nyt: (source) => newsFetchService.fetchFromNYT(source),
+  rss: (source) => newsFetchService.fetchFromRSS(source)
+};
+
 /**
  * Track content changes for "What changed since yesterday" feature
  */
@@ -300,7 +401,7 @@ function detectChanges(oldContent, newContent) {
 /**
  * Map NYT sections to our categories
  */
-function mapNYTSection(section) {
+function mapNYTSection(section, defaultCategory = 'general') {
   const mapping = {
     'business': 'business',
     'technology': 'technology',
@@ -312,7 +413,7 @@ function mapNYTSection(section) {
     'theater': 'entertainment',
     'style': 'entertainment'
   };
-  return mapping[section?.toLowerCase()] || 'general';
+  return mapping[section?.toLowerCase()] || defaultCategory;
 }
 
 /**
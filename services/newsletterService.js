@@ -0,0 +1,523 @@
+// Newsletter Service
+// Renders the daily brief (or, for weekly readers, the weekly digest) into HTML
+// and plain-text email and delivers it at each recipient's local delivery
+// hour, to app users who turned it on and to confirmed email-only subscribers.
+// Every delivery is tracked in NewsletterSend, one per recipient per local day.
+const User = require('../models/User');
+const Subscriber = require('../models/Subscriber');
+const NewsletterSend = require('../models/NewsletterSend');
+const dailyBriefService = require('./dailyBriefService');
+const weeklyDigestService = require('./weeklyDigestService');
+const mailService = require('./mailService');
+const subscriberService = require('./subscriberService');
+const { logger } = require('../middleware/logger');
+
+const APP_URL = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+// Failed sends are retried on later runs the same day, up to this many attempts
+const MAX_ATTEMPTS = 3;
+
+// How long a send may stay 'sending' before a later run can reclaim it
+const SEND_LEASE_MS = parseInt(process.env.NEWSLETTER_SEND_LEASE_MS) || 10 * 60 * 1000;
+
+// Local day of the week (0 = Sunday) weekly readers get the digest
+const WEEKLY_DIGEST_DAY = parseInt(process.env.WEEKLY_DIGEST_DAY) || 0;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Local date (YYYY-MM-DD), hour (0-23) and weekday (0 = Sunday) of a moment in a time zone
+ */
+function localParts(now = new Date(), timeZone = 'UTC') {
+    const parts = new Intl.DateTimeFormat('en-CA', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        hourCycle: 'h23',
+        weekday: 'short'
+    }).formatToParts(now).reduce((acc, part) => {
+        acc[part.type] = part.value;
+        return acc;
+    }, {});
+
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        hour: parseInt(parts.hour, 10),
+        weekday: WEEKDAYS.indexOf(parts.weekday)
+    };
+}
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const storyUrl = (item) => `${APP_URL}/stories/${item.storyId}`;
+
+function sourceLine(item) {
+    const count = item.sourceCount || item.sources?.length || 0;
+    const names = (item.sources || []).slice(0, 3).join(', ');
+    return `${count} source${count === 1 ? '' : 's'}${names ? ` · ${names}` : ''}`;
+}
+
+function formatDay(date) {
+    return new Date(`${date}T12:00:00Z`).toLocaleDateString('en-US', {
+        weekday: 'long', month: 'long', day: 'numeric', timeZone: 'UTC'
+    });
+}
+
+const manageUrlFor = (links) => links.manage || `${APP_URL}/settings/newsletter`;
+const greetingFor = (recipient) => recipient.name ? `Hello, ${recipient.name.split(' ')[0]}.` : 'Hello.';
+
+const LABEL_STYLE = 'font-size:12px;letter-spacing:.05em;text-transform:uppercase;color:#7a7a7a';
+const MUTED_STYLE = 'font-size:13px;color:#7a7a7a';
+
+/**
+ * One story block: headline, summary and "why this matters", then any extra rows
+ */
+function storyHtml(item, { label = item.category, extra = '' } = {}) {
+    return `
+          <tr>
+            <td style="padding:20px 0;border-bottom:1px solid #e6e6e6">
+              ${label ? `<div style="${LABEL_STYLE}">${escapeHtml(label)}</div>` : ''}
+              <a href="${escapeHtml(storyUrl(item))}" style="display:block;margin:6px 0 8px;font-size:19px;line-height:1.3;font-weight:bold;color:#1a1a1a;text-decoration:none">${escapeHtml(item.title)}</a>
+              <p style="margin:0 0 10px;font-size:15px;line-height:1.55;color:#333">${escapeHtml(item.summary)}</p>
+              ${item.whyThisMatters ? `<p style="margin:0 0 10px;padding:10px 12px;background:#f5f7f4;border-left:3px solid #6b8f71;font-size:14px;line-height:1.5;color:#333"><strong>Why this matters:</strong> ${escapeHtml(item.whyThisMatters)}</p>` : ''}${extra}
+              <div style="${MUTED_STYLE}">${escapeHtml(sourceLine(item))}</div>
+            </td>
+          </tr>`;
+}
+
+/**
+ * Responsive single-column email shell (tables and inline styles for mail clients)
+ */
+function renderHtml({ subject, dateLine, intro, rowsHtml, reason, links }) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(subject)}</title>
+<style>
+  @media only screen and (max-width: 620px) {
+    .container { width: 100% !important; }
+    .content { padding: 0 16px !important; }
+  }
+</style>
+</head>
+<body style="margin:0;padding:0;background:#fafaf8;font-family:Georgia,'Times New Roman',serif">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#fafaf8">
+    <tr>
+      <td align="center" style="padding:24px 0">
+        <table role="presentation" class="container" width="600" cellpadding="0" cellspacing="0" style="width:600px;max-width:600px;background:#ffffff">
+          <tr>
+            <td class="content" style="padding:0 32px">
+              <table role="presentation" width="100%" cellpadding="0" cellspacing="0">
+                <tr>
+                  <td style="padding:28px 0 8px">
+                    <div style="font-size:24px;font-weight:bold;color:#1a1a1a">Newslett</div>
+                    <div style="font-size:14px;color:#7a7a7a">${escapeHtml(dateLine)}</div>
+                    <p style="margin:16px 0 0;font-size:15px;color:#333">${escapeHtml(intro)}</p>
+                  </td>
+                </tr>${rowsHtml}
+                <tr>
+                  <td style="padding:24px 0 32px;font-size:12px;line-height:1.5;color:#9a9a9a">
+                    You are receiving this because you signed up for the ${escapeHtml(reason)}.
+                    <a href="${escapeHtml(manageUrlFor(links))}" style="color:#7a7a7a">Change topics or delivery time</a>${links.unsubscribe ? ` · <a href="${escapeHtml(links.unsubscribe)}" style="color:#7a7a7a">Unsubscribe</a>` : ''}.
+                  </td>
+                </tr>
+              </table>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
+}
+
+function textFooter(links) {
+    return [
+        '--',
+        `Change topics or delivery time: ${manageUrlFor(links)}`,
+        links.unsubscribe ? `Unsubscribe: ${links.unsubscribe}` : null
+    ];
+}
+
+/**
+ * Render a brief as an email
+ *
+ * @param {Object} brief - DailyBrief document
+ * @param {Object} recipient - User or recipient ({ name })
+ * @param {Object} [options]
+ * @param {string} [options.date] - Recipient's local date (defaults to the brief date)
+ * @param {Object} [options.links] - { manage, unsubscribe } from subscriberService.linksFor
+ * @returns {{subject: string, html: string, text: string}}
+ */
+function compose(brief, recipient, { date = brief.date, links = {} } = {}) {
+    const items = brief.items || [];
+    const day = formatDay(date);
+    const subject = items.length
+        ? `Your brief for ${day}: ${items[0].title}`
+        : `Your brief for ${day}`;
+    const greeting = greetingFor(recipient);
+
+    const html = renderHtml({
+        subject,
+        dateLine: day,
+        intro: `${greeting} Here ${items.length === 1 ? 'is the story' : `are the ${items.length} stories`} worth your time today.`,
+        rowsHtml: items.map(item => storyHtml(item)).join(''),
+        reason: 'daily brief email',
+        links
+    });
+
+    const text = [
+        `NEWSLETT · ${day}`,
+        '',
+        greeting,
+        '',
+        ...items.flatMap((item, index) => [
+            `${index + 1}. ${item.title} [${item.category}]`,
+            item.summary || '',
+            item.whyThisMatters ? `Why this matters: ${item.whyThisMatters}` : null,
+            sourceLine(item),
+            storyUrl(item),
+            ''
+        ]),
+        ...textFooter(links)
+    ].filter(line => line !== null).join('\n');
+
+    return { subject, html, text };
+}
+
+const shortDate = (date) => new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+const capitalise = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+/**
+ * One-line summary of what happened to a story during the week
+ */
+function weekLine(deltas) {
+    const parts = [];
+    if (deltas.isNew) parts.push('New this week');
+    if (deltas.newSources > 0) {
+        parts.push(`${deltas.newSources} new source${deltas.newSources === 1 ? '' : 's'}${deltas.newSourceNames.length ? ` (${deltas.newSourceNames.slice(0, 3).join(', ')})` : ''}`);
+    }
+    if (deltas.lifecycleChangedThisWeek) parts.push(`now ${deltas.lifecycleState}`);
+    return parts.join(' · ');
+}
+
+/**
+ * Render the weekly "what you missed" digest as an email
+ *
+ * @param {Object} digest - weeklyDigestService digest (already ordered for the reader)
+ * @param {Object} recipient - User or recipient ({ name })
+ * @param {Object} [options]
+ * @param {Object} [options.links] - { manage, unsubscribe } from subscriberService.linksFor
+ * @returns {{subject: string, html: string, text: string}}
+ */
+function composeWeekly(digest, recipient, { links = {} } = {}) {
+    const range = `${shortDate(digest.weekStart)} – ${shortDate(digest.weekEnd)}`;
+    const lead = digest.sections[0]?.stories[0];
+    const subject = lead ? `Your week in review: ${lead.title}` : 'Your week in review';
+    const greeting = greetingFor(recipient);
+
+    const rowsHtml = digest.sections.map(section => `
+          <tr>
+            <td style="padding:28px 0 0;${LABEL_STYLE};font-weight:bold;color:#6b8f71">${escapeHtml(capitalise(section.category))}</td>
+          </tr>${section.stories.map(item => {
+        const line = weekLine(item.deltas);
+        const changes = item.deltas.changes.flatMap(delta => delta.changes).slice(0, 3);
+        const extra = [
+            line ? `<div style="margin:0 0 8px;${MUTED_STYLE}"><strong>This week:</strong> ${escapeHtml(line)}</div>` : '',
+            changes.length ? `<ul style="margin:0 0 10px;padding-left:18px;font-size:14px;line-height:1.5;color:#333">${changes.map(c => `<li>${escapeHtml(c)}</li>`).join('')}</ul>` : '',
+            item.timeline.length ? `<div style="margin:0 0 10px;${MUTED_STYLE}"><strong>Background:</strong><br>${item.timeline.map(entry => `${escapeHtml(shortDate(entry.date))}: <a href="${escapeHtml(storyUrl(entry))}" style="color:#555">${escapeHtml(entry.title)}</a>`).join('<br>')}</div>` : ''
+        ].join('');
+        return storyHtml(item, { label: null, extra: extra ? `\n              ${extra}` : '' });
+    }).join('')}`).join('');
+
+    const html = renderHtml({
+        subject,
+        dateLine: range,
+        intro: `${greeting} Here ${digest.totalStories === 1 ? 'is the story' : `are the ${digest.totalStories} stories`} that mattered most this week.`,
+        rowsHtml,
+        reason: 'weekly digest email',
+        links
+    });
+
+    const text = [
+        `NEWSLETT · Week of ${range}`,
+        '',
+        greeting,
+        '',
+        ...digest.sections.flatMap(section => [
+            `== ${capitalise(section.category)} ==`,
+            '',
+            ...section.stories.flatMap(item => [
+                item.title,
+                item.summary || '',
+                item.whyThisMatters ? `Why this matters: ${item.whyThisMatters}` : null,
+                weekLine(item.deltas) ? `This week: ${weekLine(item.deltas)}` : null,
+                ...item.deltas.changes.flatMap(delta => delta.changes).slice(0, 3).map(c => `  - ${c}`),
+                ...item.timeline.map(entry => `  Earlier (${shortDate(entry.date)}): ${entry.title}`),
+                sourceLine(item),
+                storyUrl(item),
+                ''
+            ])
+        ]),
+        ...textFooter(links)
+    ].filter(line => line !== null).join('\n');
+
+    return { subject, html, text };
+}
+
+/**
+ * Who a newsletter goes to: an app user or an email-only subscriber
+ * `owner` identifies the recipient on NewsletterSend records.
+ */
+function recipientForUser(user) {
+    return {
+        owner: { userId: user._id },
+        email: user.email,
+        name: user.name,
+        timezone: user.timezone || 'UTC',
+        deliveryHour: user.newsletter?.deliveryHour ?? 7,
+        frequency: user.newsletter?.frequency || 'daily',
+        categories: user.preferences?.categories || [],
+        links: subscriberService.linksFor('user', user._id),
+        loadBrief: (now) => dailyBriefService.getBrief(user, { now })
+    };
+}
+
+function recipientForSubscriber(subscriber, shared = {}) {
+    return {
+        owner: { subscriberId: subscriber._id },
+        email: subscriber.email,
+        name: null,
+        timezone: subscriber.timezone || 'UTC',
+        deliveryHour: subscriber.deliveryHour ?? 7,
+        frequency: subscriber.frequency || 'daily',
+        categories: subscriber.categories || [],
+        links: subscriberService.linksFor('subscriber', subscriber._id),
+        // Candidate stories are loaded once per dispatch run and shared
+        loadBrief: async (now) => {
+            shared.candidates = shared.candidates || dailyBriefService.loadCandidates(now);
+            return dailyBriefService.briefForSubscriber(subscriber, { now, candidates: await shared.candidates });
+        }
+    };
+}
+
+/**
+ * Claim today's send for a recipient
+ * A failed send, or one whose lease ran out (the process died mid-send), may be retried.
+ * @returns {Promise<Object|null>} The send record, or null if already handled today
+ */
+async function claimSend(recipient, date) {
+    const now = new Date();
+    const lockedUntil = new Date(now.getTime() + SEND_LEASE_MS);
+
+    try {
+        return await NewsletterSend.create({
+            ...recipient.owner,
+            email: recipient.email,
+            date,
+            timezone: recipient.timezone,
+            kind: recipient.frequency,
+            lockedUntil
+        });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+    }
+
+    return NewsletterSend.findOneAndUpdate(
+        {
+            ...recipient.owner,
+            date,
+            attempts: { $lt: MAX_ATTEMPTS },
+            $or: [
+                { status: 'failed' },
+                { status: 'sending', lockedUntil: { $lt: now } },
+                // Claimed before leases existed
+                { status: 'sending', lockedUntil: null }
+            ]
+        },
+        { $set: { status: 'sending', error: null, email: recipient.email, lockedUntil }, $inc: { attempts: 1 } },
+        { new: true }
+    );
+}
+
+/**
+ * Whether a recipient's newsletter is due at a local time
+ */
+function isDue(recipient, local) {
+    if (local.hour < recipient.deliveryHour) return false;
+    return recipient.frequency !== 'weekly' || local.weekday === WEEKLY_DIGEST_DAY;
+}
+
+/**
+ * Render a recipient's newsletter: the daily brief, or the weekly digest with
+ * their categories first
+ * @returns {Promise<{message: Object, storyCount: number, briefId: Object|null}>}
+ */
+async function buildMessage(recipient, now, date) {
+    if (recipient.frequency === 'weekly') {
+        const digest = weeklyDigestService.forCategories(
+            await weeklyDigestService.getDigest({ now }),
+            recipient.categories
+        );
+        return {
+            message: composeWeekly(digest, recipient, { links: recipient.links }),
+            storyCount: digest.totalStories,
+            briefId: null
+        };
+    }
+
+    const brief = await recipient.loadBrief(now);
+    return {
+        message: compose(brief, recipient, { date, links: recipient.links }),
+        storyCount: brief.items.length,
+        briefId: brief._id || null
+    };
+}
+
+/**
+ * Build, render and send today's newsletter to one recipient
+ * @returns {Promise<Object|null>} NewsletterSend record (null if already sent today)
+ */
+async function deliver(recipient, now = new Date()) {
+    const { date } = localParts(now, recipient.timezone);
+    const record = await claimSend(recipient, date);
+    if (!record) return null;
+
+    const skip = async (reason) => {
+        record.status = 'skipped';
+        record.error = reason;
+        record.lockedUntil = null;
+        await record.save();
+        return record;
+    };
+
+    try {
+        if (await Subscriber.isSuppressed(recipient.email)) {
+            return skip('Address is suppressed');
+        }
+
+        const { message, storyCount, briefId } = await buildMessage(recipient, now, date);
+        record.briefId = briefId;
+        record.storyCount = storyCount;
+
+        if (storyCount === 0) {
+            return skip('No stories to send');
+        }
+
+        const result = await mailService.send({
+            to: recipient.email,
+            subject: message.subject,
+            html: message.html,
+            text: message.text,
+            headers: subscriberService.listUnsubscribeHeaders(recipient.links)
+        });
+
+        record.subject = message.subject;
+        record.transport = result.transport;
+        record.messageId = result.messageId;
+        record.status = 'sent';
+        record.sentAt = new Date();
+        record.lockedUntil = null;
+        await record.save();
+
+        return record;
+    } catch (error) {
+        record.status = 'failed';
+        record.error = error.message;
+        record.lockedUntil = null;
+        await record.save();
+
+        logger.error(`Newsletter to ${recipient.email} failed: ${error.message}`);
+        return record;
+    }
+}
+
+/**
+ * The email a user would get today, without sending it
+ * @param {Object} user
+ * @param {Object} [options]
+ * @param {string} [options.kind] - 'daily' or 'weekly' (defaults to the user's frequency)
+ */
+async function preview(user, { kind, now = new Date() } = {}) {
+    const recipient = recipientForUser(user);
+    if (kind) recipient.frequency = kind;
+
+    const { date } = localParts(now, recipient.timezone);
+    const { message } = await buildMessage(recipient, now, date);
+    return { date, kind: recipient.frequency, ...message };
+}
+
+const sendToUser = (user, now) => deliver(recipientForUser(user), now);
+const sendToSubscriber = (subscriber, now) => deliver(recipientForSubscriber(subscriber), now);
+
+/**
+ * Send to every app user and subscriber whose newsletter is due (cron)
+ * Daily readers are due from their local delivery hour; weekly readers from
+ * that hour on WEEKLY_DIGEST_DAY.
+ */
+async function dispatchDue(now = new Date()) {
+    const [users, subscribers] = await Promise.all([
+        User.find({
+            'newsletter.enabled': true,
+            email: { $nin: [null, ''] }
+        })
+            .select('email name timezone newsletter preferences')
+            .lean(),
+        Subscriber.find({
+            status: 'active',
+            'suppression.reason': null
+        }).lean()
+    ]);
+
+    const shared = {};
+    const recipients = [
+        ...users.map(recipientForUser),
+        ...subscribers.map(subscriber => recipientForSubscriber(subscriber, shared))
+    ];
+
+    const stats = { due: 0, sent: 0, failed: 0, skipped: 0 };
+
+    for (const recipient of recipients) {
+        const local = localParts(now, recipient.timezone);
+        if (!isDue(recipient, local)) continue;
+
+        const handled = await NewsletterSend.exists({
+            ...recipient.owner,
+            date: local.date,
+            $or: [
+                { status: { $in: ['sent', 'skipped'] } },
+                { status: 'sending', lockedUntil: { $gte: new Date() } },
+                { attempts: { $gte: MAX_ATTEMPTS } }
+            ]
+        });
+        if (handled) continue;
+
+        stats.due++;
+        const record = await deliver(recipient, now);
+        if (record) stats[record.status === 'sent' ? 'sent' : record.status === 'skipped' ? 'skipped' : 'failed']++;
+    }
+
+    if (stats.due > 0) {
+        logger.info(`Newsletter: ${stats.sent} sent, ${stats.failed} failed, ${stats.skipped} skipped`);
+    }
+
+    return stats;
+}
+
+module.exports = {
+    compose,
+    composeWeekly,
+    preview,
+    sendToUser,
+    sendToSubscriber,
+    dispatchDue,
+    localParts
+};
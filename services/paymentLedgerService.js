@@ -0,0 +1,585 @@
+// Payment Ledger Service
+// Persists orders, payments, refunds and subscriptions so premium access
+// can be audited and payouts reconciled. User.isPremium/premiumExpiry are
+// derived from the user's active subscriptions.
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const Subscription = require('../models/Subscription');
+const PremiumLapse = require('../models/PremiumLapse');
+const User = require('../models/User');
+const planCatalogService = require('./planCatalogService');
+const invoiceService = require('./invoiceService');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../middleware/logger');
+
+// Unpaid orders older than this are marked expired
+const ORDER_EXPIRY_HOURS = parseInt(process.env.ORDER_EXPIRY_HOURS) || 24;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Record a newly created provider order
+ *
+ * @param {Object} params
+ * @param {ObjectId} [params.orderId] - Id chosen up front (the coupon reservation carries it)
+ * @param {Object} params.quote - planCatalogService quote the order was priced from
+ * @param {Object} params.providerOrder - createOrder() result
+ */
+async function recordOrder({ orderId, userId, quote, providerOrder }) {
+    return Order.create({
+        ...(orderId && { _id: orderId }),
+        userId,
+        planId: quote.planId,
+        provider: providerOrder.provider,
+        providerOrderId: providerOrder.orderId,
+        receipt: providerOrder.receipt,
+        amount: providerOrder.amount,
+        currency: providerOrder.currency || quote.currency,
+        baseAmount: quote.baseAmount,
+        discount: quote.discount,
+        couponCode: quote.coupon?.code || null,
+        country: quote.country,
+        kind: quote.proration ? 'plan_change' : 'purchase',
+        proration: quote.proration || undefined
+    });
+}
+
+/**
+ * Recompute the cached premium fields on User from entitled subscriptions
+ * (premiumExpiry is the last paid day; access runs on through the grace period)
+ */
+async function syncUserPremium(userId, now = new Date()) {
+    const entitled = await Subscription.find({
+        userId,
+        status: { $in: Subscription.ENTITLED_STATUSES }
+    })
+        .sort({ endsAt: -1 })
+        .lean();
+
+    const tail = entitled[0] || null;
+    const premiumExpiry = tail ? tail.endsAt : null;
+    const premiumGraceUntil = premiumExpiry
+        ? new Date(premiumExpiry.getTime() + Subscription.GRACE_PERIOD_DAYS * DAY_MS)
+        : null;
+    const isPremium = Boolean(premiumGraceUntil && premiumGraceUntil > now);
+
+    let premiumStatus = tail ? tail.status : 'none';
+    if (!tail && await Subscription.exists({ userId })) premiumStatus = 'expired';
+
+    await User.findByIdAndUpdate(userId, {
+        isPremium,
+        premiumExpiry,
+        premiumGraceUntil,
+        premiumStatus
+    });
+
+    return { isPremium, premiumExpiry, premiumGraceUntil, premiumStatus };
+}
+
+/**
+ * End the subscription a plan change replaces
+ */
+async function closeReplacedSubscription(subscriptionId, toPlanId, now = new Date()) {
+    const previous = subscriptionId ? await Subscription.findById(subscriptionId) : null;
+    if (!previous || !Subscription.ENTITLED_STATUSES.includes(previous.status)) return;
+
+    previous.endsAt = now;
+    previous.setStatus('cancelled', `Changed plan to ${toPlanId}`);
+    await previous.save();
+}
+
+/**
+ * Issue an invoice or credit note without failing the ledger write
+ * (documents are idempotent and can be re-issued later)
+ */
+async function issueDocument(issue, label) {
+    try {
+        await issue();
+    } catch (error) {
+        logger.error(`Ledger: could not issue ${label}: ${error.message}`);
+    }
+}
+
+/**
+ * A new entitlement ends any grace period and closes the open lapse record
+ */
+async function closeGracePeriod(userId, now = new Date()) {
+    const inGrace = await Subscription.find({ userId, status: 'grace' });
+    for (const subscription of inGrace) {
+        subscription.setStatus('expired', 'Renewed');
+        await subscription.save();
+    }
+
+    await PremiumLapse.updateMany({ userId, renewedAt: null }, { $set: { renewedAt: now } });
+}
+
+/**
+ * Create a subscription and refresh the user's premium cache
+ * Purchases stack after the current entitlement; plan changes start now.
+ */
+async function grantSubscription({ userId, planId, days, source = 'purchase', orderId = null, paymentId, providerSubscriptionId = null, startsNow = false }) {
+    const now = new Date();
+
+    const current = startsNow ? null : await Subscription.findOne({ userId, status: { $in: ['active', 'expiring_soon'] }, endsAt: { $gt: now } })
+        .sort({ endsAt: -1 });
+    const startsAt = current ? current.endsAt : now;
+    const endsAt = new Date(startsAt.getTime() + days * DAY_MS);
+
+    await closeGracePeriod(userId, now);
+
+    const subscription = await Subscription.create({
+        userId,
+        planId,
+        orderId,
+        paymentId,
+        providerSubscriptionId,
+        source,
+        isTrial: source === 'trial',
+        startsAt,
+        endsAt
+    });
+
+    const { premiumExpiry } = await syncUserPremium(userId);
+    return { subscription, premiumExpiry };
+}
+
+/**
+ * recordPayment() result for a payment already in the ledger
+ */
+async function existingPaymentResult(payment, userId) {
+    if (String(payment.userId) !== String(userId)) {
+        throw new AppError('Payment belongs to another user', 403);
+    }
+    const subscription = await Subscription.findOne({ paymentId: payment._id });
+    const order = await Order.findById(payment.orderId);
+    return { order, payment, subscription, premiumExpiry: subscription?.endsAt || null };
+}
+
+/**
+ * Record a verified payment: mark the order paid, store the payment and
+ * grant (or extend) a subscription. Idempotent per provider payment id.
+ *
+ * @returns {Promise<{order, payment, subscription, premiumExpiry}>}
+ */
+async function recordPayment({ userId, provider = 'razorpay', providerOrderId, providerPaymentId, signature, planId, method = null, providerSubscriptionId = null }) {
+    const existing = await Payment.findOne({ providerPaymentId });
+    if (existing) {
+        return existingPaymentResult(existing, userId);
+    }
+
+    let order = await Order.findOne({ providerOrderId });
+
+    if (order && String(order.userId) !== String(userId)) {
+        throw new AppError('Order belongs to another user', 403);
+    }
+
+    const plan = await planCatalogService.getPlan(order?.planId || planId);
+    if (!plan) {
+        throw new AppError(`Unknown plan: ${order?.planId || planId}`, 400);
+    }
+
+    if (!order) {
+        // Orders created before the ledger existed
+        const price = plan.priceFor(planCatalogService.DEFAULT_COUNTRY);
+        order = new Order({
+            userId,
+            planId: plan.planId,
+            provider,
+            providerOrderId,
+            amount: price.amount,
+            currency: price.currency,
+            notes: { backfilled: true }
+        });
+    }
+
+    const now = new Date();
+    order.paidAt = now;
+    order.setStatus('paid');
+    await order.save();
+
+    let payment;
+    try {
+        payment = await Payment.create({
+            orderId: order._id,
+            userId,
+            provider: order.provider,
+            providerPaymentId,
+            signature,
+            amount: order.amount,
+            currency: order.currency,
+            method,
+            status: 'paid',
+            paidAt: now
+        });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        // /verify and the payment webhook raced; the other one granted the subscription
+        logger.info(`Ledger: payment ${providerPaymentId} was recorded concurrently`);
+        return existingPaymentResult(await Payment.findOne({ providerPaymentId }), userId);
+    }
+
+    const isPlanChange = order.kind === 'plan_change';
+    if (isPlanChange) {
+        await closeReplacedSubscription(order.proration.fromSubscriptionId, plan.planId, now);
+    }
+
+    const { subscription, premiumExpiry } = await grantSubscription({
+        userId,
+        planId: plan.planId,
+        days: plan.durationDays + (isPlanChange ? order.proration.extraDays || 0 : 0),
+        source: isPlanChange ? 'plan_change' : 'purchase',
+        orderId: order._id,
+        paymentId: payment._id,
+        providerSubscriptionId,
+        startsNow: isPlanChange
+    });
+
+    await issueDocument(() => invoiceService.issueInvoice(payment), `invoice for ${providerPaymentId}`);
+
+    logger.info(`Ledger: payment ${providerPaymentId} recorded for order ${providerOrderId} (${order.amount} ${order.currency})`);
+
+    return { order, payment, subscription, premiumExpiry };
+}
+
+/**
+ * Grant a plan without a payment: free trials, fully discounted coupons, and
+ * plan changes whose credit covers the new price
+ *
+ * @param {Object} params
+ * @param {Object} params.quote - planCatalogService quote (amount must be 0)
+ * @param {'trial'|'coupon'|'plan_change'} params.source
+ */
+async function grantWithoutPayment({ userId, plan, quote, source }) {
+    if (source === 'trial') {
+        if (!(plan.trialDays > 0) || !(await planCatalogService.isTrialEligible(userId))) {
+            throw new AppError('Trial not available', 409);
+        }
+
+        let result;
+        try {
+            result = await grantSubscription({ userId, planId: plan.planId, days: plan.trialDays, source });
+        } catch (error) {
+            // Concurrent /start-trial calls: the unique trial index lets one through
+            if (error.code === 11000) throw new AppError('Trial not available', 409);
+            throw error;
+        }
+        logger.info(`Ledger: ${plan.trialDays}-day trial of ${plan.planId} started for ${userId}`);
+        return result;
+    }
+
+    if (quote.amount > 0) {
+        throw new AppError('Payment required', 402);
+    }
+
+    // Redeem the coupon before granting, so a used-up coupon grants nothing
+    const couponCode = quote.coupon?.code;
+    const redemptionId = couponCode ? await planCatalogService.reserveCoupon(couponCode, userId) : null;
+
+    let result;
+    try {
+        if (source === 'plan_change') {
+            await closeReplacedSubscription(quote.proration.fromSubscriptionId, plan.planId);
+        }
+
+        result = await grantSubscription({
+            userId,
+            planId: plan.planId,
+            days: plan.durationDays + (quote.proration?.extraDays || 0),
+            source,
+            startsNow: source === 'plan_change'
+        });
+    } catch (error) {
+        if (redemptionId) {
+            await planCatalogService.releaseCoupon(couponCode, { _id: redemptionId });
+        }
+        throw error;
+    }
+
+    logger.info(`Ledger: ${plan.planId} granted to ${userId} without payment (${source})`);
+    return result;
+}
+
+/**
+ * Find a ledger payment and check the caller may act on it
+ */
+async function getOwnedPayment(providerPaymentId, user) {
+    const payment = await Payment.findOne({ providerPaymentId });
+    if (!payment) return null;
+
+    if (String(payment.userId) !== String(user._id) && !user.isAdmin && user.role !== 'admin') {
+        throw new AppError('Payment belongs to another user', 403);
+    }
+
+    return payment;
+}
+
+/**
+ * Record a refund against a ledger payment
+ * A full refund revokes the subscription it bought; partial refunds keep access.
+ * Idempotent per provider refund id: the /refund route and the refund webhook
+ * both record the same refund, and only the first write counts.
+ *
+ * @param {Object} params
+ * @param {Object} params.payment - Payment document
+ * @param {Object} params.refund - Provider refund ({ refundId, amount (paise), status })
+ * @returns {Promise<{payment, order, premium, duplicate: boolean}>}
+ */
+async function recordRefund({ payment: original, refund, reason = '', requestedBy = null }) {
+    // Add the refund (and its amount) only if no entry carries its id yet
+    const payment = await Payment.findOneAndUpdate(
+        { _id: original._id, 'refunds.providerRefundId': { $ne: refund.refundId } },
+        {
+            $push: {
+                refunds: {
+                    providerRefundId: refund.refundId,
+                    amount: refund.amount,
+                    reason,
+                    status: refund.status,
+                    requestedBy
+                }
+            },
+            $inc: { amountRefunded: refund.amount }
+        },
+        { new: true }
+    );
+
+    if (!payment) {
+        return recordRefundStatus(original._id, refund);
+    }
+
+    payment.amountRefunded = Math.min(payment.amount, payment.amountRefunded);
+
+    const fullyRefunded = payment.amountRefunded >= payment.amount;
+    const status = fullyRefunded ? 'refunded' : 'partially_refunded';
+    payment.setStatus(status, `Refund ${refund.refundId}`);
+    await payment.save();
+
+    const order = await Order.findById(payment.orderId);
+    if (order) {
+        order.setStatus(status, `Refund ${refund.refundId}`);
+        await order.save();
+    }
+
+    let premium = null;
+    if (fullyRefunded) {
+        const subscription = await Subscription.findOne({ paymentId: payment._id });
+        if (subscription && subscription.status !== 'refunded') {
+            subscription.setStatus('refunded', `Refund ${refund.refundId}`);
+            await subscription.save();
+        }
+        premium = await syncUserPremium(payment.userId);
+    }
+
+    await issueDocument(
+        () => invoiceService.issueCreditNote(payment, { ...refund, reason }),
+        `credit note for ${refund.refundId}`
+    );
+
+    logger.info(`Ledger: refund ${refund.refundId} of ${refund.amount} recorded on ${payment.providerPaymentId} (${status})`);
+
+    return { payment, order, premium, duplicate: false };
+}
+
+/**
+ * A refund that is already recorded: only its status may move on
+ */
+async function recordRefundStatus(paymentId, refund) {
+    const payment = await Payment.findById(paymentId);
+    const existing = payment.refunds.find(r => r.providerRefundId === refund.refundId);
+
+    if (refund.status && existing.status !== refund.status) {
+        existing.status = refund.status;
+        await payment.save();
+    }
+
+    logger.info(`Ledger: refund ${refund.refundId} already recorded on ${payment.providerPaymentId}`);
+
+    const order = await Order.findById(payment.orderId);
+    return { payment, order, premium: null, duplicate: true };
+}
+
+/**
+ * Ledger view of a single payment
+ */
+async function getPaymentStatus(providerPaymentId, user) {
+    const payment = await getOwnedPayment(providerPaymentId, user);
+    if (!payment) return null;
+
+    const [order, subscription] = await Promise.all([
+        Order.findById(payment.orderId).lean(),
+        Subscription.findOne({ paymentId: payment._id }).lean()
+    ]);
+
+    return {
+        id: payment.providerPaymentId,
+        provider: payment.provider,
+        orderId: order?.providerOrderId || null,
+        planId: order?.planId || null,
+        amount: payment.amount / 100,
+        amountRefunded: payment.amountRefunded / 100,
+        currency: payment.currency,
+        method: payment.method,
+        status: payment.status,
+        statusHistory: payment.statusHistory,
+        refunds: payment.refunds.map(r => ({
+            id: r.providerRefundId,
+            amount: r.amount / 100,
+            status: r.status,
+            reason: r.reason,
+            createdAt: r.createdAt
+        })),
+        subscription: subscription ? {
+            status: subscription.status,
+            startsAt: subscription.startsAt,
+            endsAt: subscription.endsAt
+        } : null,
+        paidAt: payment.paidAt
+    };
+}
+
+/**
+ * Ledger summary for a user: current entitlement and recent payments
+ */
+async function getUserLedger(userId, { limit = 20 } = {}) {
+    const [subscriptions, payments] = await Promise.all([
+        Subscription.find({ userId }).sort({ endsAt: -1 }).limit(limit).lean(),
+        Payment.find({ userId }).sort({ paidAt: -1 }).limit(limit).populate('orderId', 'providerOrderId planId').lean()
+    ]);
+
+    const now = new Date();
+    const entitled = subscriptions.filter(s => Subscription.ENTITLED_STATUSES.includes(s.status));
+    const current = entitled.find(s => s.startsAt <= now) || null;
+    const premiumExpiry = entitled.length > 0 ? entitled[0].endsAt : null;
+    const premiumGraceUntil = premiumExpiry
+        ? new Date(premiumExpiry.getTime() + Subscription.GRACE_PERIOD_DAYS * DAY_MS)
+        : null;
+
+    return {
+        isPremium: Boolean(premiumGraceUntil && premiumGraceUntil > now),
+        premiumStatus: entitled.length > 0 ? entitled[0].status : (subscriptions.length > 0 ? 'expired' : 'none'),
+        premiumExpiry,
+        premiumGraceUntil,
+        activeSubscription: current,
+        subscriptions,
+        payments: payments.map(p => ({
+            id: p.providerPaymentId,
+            orderId: p.orderId?.providerOrderId || null,
+            planId: p.orderId?.planId || null,
+            amount: p.amount / 100,
+            amountRefunded: p.amountRefunded / 100,
+            currency: p.currency,
+            status: p.status,
+            paidAt: p.paidAt
+        }))
+    };
+}
+
+/**
+ * Expire unpaid orders (run periodically)
+ * Subscription expiry is handled by premiumLifecycleService.
+ */
+async function expireStale(now = new Date()) {
+    const orderCutoff = new Date(now - ORDER_EXPIRY_HOURS * 60 * 60 * 1000);
+
+    const staleOrders = await Order.find({ status: 'created', createdAt: { $lt: orderCutoff } });
+    for (const order of staleOrders) {
+        order.setStatus('expired', `Unpaid after ${ORDER_EXPIRY_HOURS}h`);
+        await order.save();
+
+        // The coupon was reserved when the order was created
+        if (order.couponCode) {
+            await planCatalogService.releaseCoupon(order.couponCode, { orderId: order._id });
+        }
+    }
+
+    logger.info(`Ledger: expired ${staleOrders.length} unpaid orders`);
+
+    return { expiredOrders: staleOrders.length };
+}
+
+/**
+ * Monthly reconciliation report (amounts in major units, per currency)
+ *
+ * @param {string} month - 'YYYY-MM' (UTC)
+ */
+async function getReconciliation(month) {
+    const match = /^(\d{4})-(\d{2})$/.exec(month || '');
+    if (!match) {
+        throw new AppError('month must be in YYYY-MM format', 400);
+    }
+
+    const from = new Date(Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, 1));
+    const to = new Date(Date.UTC(parseInt(match[1]), parseInt(match[2]), 1));
+
+    const [payments, refunds] = await Promise.all([
+        Payment.aggregate([
+            { $match: { paidAt: { $gte: from, $lt: to } } },
+            { $group: { _id: '$currency', count: { $sum: 1 }, gross: { $sum: '$amount' } } }
+        ]),
+        Payment.aggregate([
+            { $unwind: '$refunds' },
+            { $match: { 'refunds.createdAt': { $gte: from, $lt: to } } },
+            { $group: { _id: '$currency', count: { $sum: 1 }, refunded: { $sum: '$refunds.amount' } } }
+        ])
+    ]);
+
+    const currencies = new Set([...payments.map(p => p._id), ...refunds.map(r => r._id)]);
+    const totals = [...currencies].map(currency => {
+        const paid = payments.find(p => p._id === currency) || { count: 0, gross: 0 };
+        const refunded = refunds.find(r => r._id === currency) || { count: 0, refunded: 0 };
+        return {
+            currency,
+            payments: paid.count,
+            gross: paid.gross / 100,
+            refunds: refunded.count,
+            refunded: refunded.refunded / 100,
+            net: (paid.gross - refunded.refunded) / 100
+        };
+    });
+
+    const lines = await Payment.find({
+        $or: [
+            { paidAt: { $gte: from, $lt: to } },
+            { 'refunds.createdAt': { $gte: from, $lt: to } }
+        ]
+    })
+        .populate('orderId', 'providerOrderId planId receipt')
+        .sort({ paidAt: 1 })
+        .lean();
+
+    return {
+        month,
+        from,
+        to,
+        totals,
+        lines: lines.map(p => ({
+            paymentId: p.providerPaymentId,
+            orderId: p.orderId?.providerOrderId || null,
+            receipt: p.orderId?.receipt || null,
+            planId: p.orderId?.planId || null,
+            userId: p.userId,
+            currency: p.currency,
+            amount: p.amount / 100,
+            paidAt: p.paidAt,
+            status: p.status,
+            refunds: p.refunds
+                .filter(r => r.createdAt >= from && r.createdAt < to)
+                .map(r => ({ id: r.providerRefundId, amount: r.amount / 100, createdAt: r.createdAt }))
+        }))
+    };
+}
+
+module.exports = {
+    recordOrder,
+    recordPayment,
+    grantWithoutPayment,
+    recordRefund,
+    getOwnedPayment,
+    getPaymentStatus,
+    getUserLedger,
+    syncUserPremium,
+    expireStale,
+    getReconciliation,
+    ORDER_EXPIRY_HOURS
+};
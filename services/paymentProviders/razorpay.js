@@ -0,0 +1,156 @@
+// Razorpay payment provider
+// Implements the provider interface used by paymentService. Amounts are in
+// minor units (paise/cents) both in and out.
+const Razorpay = require('razorpay');
+const crypto = require('crypto');
+const { AppError } = require('../../middleware/errorHandler');
+
+const RAZORPAY_KEY_ID = process.env.RAZORPAY_KEY_ID || '';
+const RAZORPAY_KEY_SECRET = process.env.RAZORPAY_KEY_SECRET || '';
+const RAZORPAY_WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET || '';
+
+let client = null;
+
+function isConfigured() {
+    return Boolean(RAZORPAY_KEY_ID && RAZORPAY_KEY_SECRET);
+}
+
+/**
+ * Razorpay SDK client, created on first use
+ */
+function getClient() {
+    if (!isConfigured()) {
+        throw new AppError('Razorpay is not configured (RAZORPAY_KEY_ID / RAZORPAY_KEY_SECRET)', 503);
+    }
+    if (!client) {
+        client = new Razorpay({ key_id: RAZORPAY_KEY_ID, key_secret: RAZORPAY_KEY_SECRET });
+    }
+    return client;
+}
+
+function hmac(secret, body) {
+    return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+function safeEqual(expected, actual) {
+    const a = Buffer.from(expected);
+    const b = Buffer.from(String(actual || ''));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Keys the checkout widget needs
+ */
+function publicConfig() {
+    return { keyId: RAZORPAY_KEY_ID };
+}
+
+async function createOrder({ amount, currency, receipt, notes = {} }) {
+    const order = await getClient().orders.create({ amount, currency, receipt, notes });
+
+    return {
+        orderId: order.id,
+        receipt: order.receipt,
+        amount: order.amount,
+        currency: order.currency
+    };
+}
+
+/**
+ * Checkout signature: HMAC of "orderId|paymentId" with the key secret
+ */
+function verifyPayment({ orderId, paymentId, signature }) {
+    if (!isConfigured() || !orderId || !paymentId || !signature) return false;
+    return safeEqual(hmac(RAZORPAY_KEY_SECRET, `${orderId}|${paymentId}`), signature);
+}
+
+async function refund(paymentId, { amount = null, reason = '' } = {}) {
+    const options = {
+        speed: 'normal',
+        notes: {
+            reason,
+            requested_at: new Date().toISOString()
+        }
+    };
+    if (amount) options.amount = amount;
+
+    const result = await getClient().payments.refund(paymentId, options);
+
+    return {
+        refundId: result.id,
+        paymentId: result.payment_id,
+        amount: result.amount,
+        status: result.status
+    };
+}
+
+async function fetchPayment(paymentId) {
+    const payment = await getClient().payments.fetch(paymentId);
+
+    return {
+        id: payment.id,
+        orderId: payment.order_id,
+        amount: payment.amount,
+        currency: payment.currency,
+        status: payment.status,
+        method: payment.method,
+        notes: payment.notes || {},
+        email: payment.email,
+        contact: payment.contact,
+        createdAt: new Date(payment.created_at * 1000).toISOString()
+    };
+}
+
+const toPayment = (entity = {}) => ({
+    id: entity.id,
+    orderId: entity.order_id || null,
+    amount: entity.amount,
+    currency: entity.currency,
+    method: entity.method || null,
+    notes: entity.notes || {},
+    error: entity.error_description || entity.error_code || null
+});
+
+const toRefund = (entity = {}) => ({
+    id: entity.id,
+    paymentId: entity.payment_id,
+    amount: entity.amount,
+    status: entity.status || 'processed',
+    notes: entity.notes || {}
+});
+
+/**
+ * Verify and normalise a webhook delivery
+ * X-Razorpay-Signature is an HMAC of the raw body with RAZORPAY_WEBHOOK_SECRET.
+ *
+ * @returns {{verified: boolean, eventId?: string, type?: string, data?: Object}}
+ */
+function parseWebhook({ rawBody, body = {}, headers = {} }) {
+    const signature = headers['x-razorpay-signature'];
+    if (!RAZORPAY_WEBHOOK_SECRET || !rawBody || !signature) return { verified: false };
+    if (!safeEqual(hmac(RAZORPAY_WEBHOOK_SECRET, rawBody), signature)) return { verified: false };
+
+    const payload = body.payload || {};
+
+    return {
+        verified: true,
+        eventId: headers['x-razorpay-event-id'] || null,
+        type: body.event,
+        data: {
+            payment: payload.payment ? toPayment(payload.payment.entity) : null,
+            refund: payload.refund ? toRefund(payload.refund.entity) : null,
+            subscription: payload.subscription ? { id: payload.subscription.entity?.id } : null
+        }
+    };
+}
+
+module.exports = {
+    name: 'razorpay',
+    isConfigured,
+    publicConfig,
+    createOrder,
+    verifyPayment,
+    refund,
+    fetchPayment,
+    parseWebhook
+};
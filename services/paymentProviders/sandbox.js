@@ -0,0 +1,174 @@
+// Sandbox payment provider
+// In-memory stand-in for a real gateway, for local development and tests.
+// Ids are random (order_sandbox_<hex>, pay_sandbox_<hex>, ...) so they never
+// collide with ledger records from an earlier run, and signatures are HMACs
+// with PAYMENT_SANDBOX_SECRET, so flows can be replayed. There is no default
+// secret: paymentService refuses to enable the sandbox without one.
+// State lives in this process only and is lost on restart.
+const crypto = require('crypto');
+const { AppError } = require('../../middleware/errorHandler');
+
+const SANDBOX_SECRET = process.env.PAYMENT_SANDBOX_SECRET || '';
+
+const state = {
+    orders: new Map(),
+    payments: new Map()
+};
+
+function nextId(kind) {
+    const prefix = { order: 'order', payment: 'pay', refund: 'rfnd' }[kind];
+    return `${prefix}_sandbox_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function sign(body) {
+    if (!SANDBOX_SECRET) {
+        throw new AppError('The sandbox payment provider needs PAYMENT_SANDBOX_SECRET', 503);
+    }
+    return crypto.createHmac('sha256', SANDBOX_SECRET).update(body).digest('hex');
+}
+
+function isConfigured() {
+    return Boolean(SANDBOX_SECRET);
+}
+
+function publicConfig() {
+    return { keyId: 'sandbox' };
+}
+
+async function createOrder({ amount, currency, receipt, notes = {} }) {
+    const order = {
+        orderId: nextId('order'),
+        receipt,
+        amount,
+        currency,
+        notes,
+        status: 'created'
+    };
+    state.orders.set(order.orderId, order);
+
+    return {
+        orderId: order.orderId,
+        receipt: order.receipt,
+        amount: order.amount,
+        currency: order.currency
+    };
+}
+
+/**
+ * Simulate the customer paying an order in the checkout widget
+ * @returns {{orderId: string, paymentId: string, signature: string}} What the client sends to /verify
+ */
+function completePayment(orderId, { method = 'card' } = {}) {
+    const order = state.orders.get(orderId);
+    if (!order) {
+        throw new AppError(`Unknown sandbox order: ${orderId}`, 404);
+    }
+    if (order.status === 'paid') {
+        throw new AppError(`Sandbox order ${orderId} is already paid`, 400);
+    }
+
+    const paymentId = nextId('payment');
+    state.payments.set(paymentId, {
+        id: paymentId,
+        orderId,
+        amount: order.amount,
+        currency: order.currency,
+        status: 'captured',
+        method,
+        notes: order.notes,
+        refunded: 0,
+        createdAt: new Date().toISOString()
+    });
+    order.status = 'paid';
+
+    return { orderId, paymentId, signature: sign(`${orderId}|${paymentId}`) };
+}
+
+function verifyPayment({ orderId, paymentId, signature }) {
+    if (!SANDBOX_SECRET || !orderId || !paymentId || !signature) return false;
+    return sign(`${orderId}|${paymentId}`) === signature;
+}
+
+async function refund(paymentId, { amount = null } = {}) {
+    const payment = state.payments.get(paymentId);
+    if (!payment) {
+        throw new AppError(`Unknown sandbox payment: ${paymentId}`, 404);
+    }
+
+    const refundable = payment.amount - payment.refunded;
+    const refundAmount = amount || refundable;
+    if (refundAmount <= 0 || refundAmount > refundable) {
+        throw new AppError('Refund exceeds the refundable amount', 400);
+    }
+
+    payment.refunded += refundAmount;
+    payment.status = payment.refunded === payment.amount ? 'refunded' : 'captured';
+
+    return {
+        refundId: nextId('refund'),
+        paymentId,
+        amount: refundAmount,
+        status: 'processed'
+    };
+}
+
+async function fetchPayment(paymentId) {
+    const payment = state.payments.get(paymentId);
+    if (!payment) {
+        throw new AppError(`Unknown sandbox payment: ${paymentId}`, 404);
+    }
+
+    const { refunded, ...details } = payment;
+    return details;
+}
+
+/**
+ * Sign a webhook body for X-Sandbox-Signature
+ */
+function signWebhook(rawBody) {
+    return sign(rawBody);
+}
+
+/**
+ * Sandbox webhooks are already in the normalised shape:
+ * { id, type, data: { payment, refund, subscription } }
+ */
+function parseWebhook({ rawBody, body = {}, headers = {} }) {
+    const signature = headers['x-sandbox-signature'];
+    if (!SANDBOX_SECRET || !rawBody || !signature || sign(rawBody) !== signature) return { verified: false };
+
+    return {
+        verified: true,
+        eventId: body.id || null,
+        type: body.type,
+        data: {
+            payment: body.data?.payment || null,
+            refund: body.data?.refund || null,
+            subscription: body.data?.subscription || null
+        }
+    };
+}
+
+/**
+ * Forget all orders and payments
+ */
+function reset() {
+    state.orders.clear();
+    state.payments.clear();
+}
+
+module.exports = {
+    name: 'sandbox',
+    isConfigured,
+    publicConfig,
+    createOrder,
+    verifyPayment,
+    refund,
+    fetchPayment,
+    parseWebhook,
+
+    // Sandbox-only helpers
+    completePayment,
+    signWebhook,
+    reset
+};
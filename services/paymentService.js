@@ -1,125 +1,147 @@
-// Razorpay Payment Service
-const Razorpay = require('razorpay');
-const crypto = require('crypto');
-
-// Razorpay Keys
-const RAZORPAY_KEY_ID = process.env.RAZORPAY_KEY_ID || 'rzp_test_XXXXXXXXX';
-const RAZORPAY_KEY_SECRET = process.env.RAZORPAY_KEY_SECRET || 'XXXXXXXXXXXXXXXXXX';
-
-// Initialize Razorpay instance
-const razorpay = new Razorpay({
-    key_id: RAZORPAY_KEY_ID,
-    key_secret: RAZORPAY_KEY_SECRET
-});
-
-// Subscription Plans
-const PLANS = {
-    premium_bimonthly: {
-        id: 'premium_bimonthly',
-        name: 'Newslet Premium',
-        amount: 9900, // Amount in paise (₹99)
-        currency: 'INR',
-        period: 'bimonthly',
-        durationDays: 60,
-        description: 'Premium subscription - ₹99 for 2 months'
-    }
+// Payment Service
+// Provider-agnostic facade over the payment gateways in ./paymentProviders.
+// Every provider implements: createOrder, verifyPayment, refund, fetchPayment,
+// parseWebhook and publicConfig, with amounts in minor units (paise/cents).
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../middleware/logger');
+
+/**
+ * Payment providers keyed by Order.provider / Payment.provider
+ */
+const PROVIDERS = {
+    razorpay: require('./paymentProviders/razorpay'),
+    sandbox: require('./paymentProviders/sandbox')
 };
 
+// The sandbox grants premium without real money, so every environment must opt in
+const SANDBOX_ENABLED = process.env.PAYMENT_SANDBOX_ENABLED === 'true';
+
+if (SANDBOX_ENABLED && !PROVIDERS.sandbox.isConfigured()) {
+    throw new Error('PAYMENT_SANDBOX_ENABLED=true requires PAYMENT_SANDBOX_SECRET');
+}
+
+// Default provider: explicit setting, else Razorpay when keys exist, else the sandbox when enabled
+const DEFAULT_PROVIDER = process.env.PAYMENT_PROVIDER ||
+    (PROVIDERS.razorpay.isConfigured() || !SANDBOX_ENABLED ? 'razorpay' : 'sandbox');
+
+// Per-currency overrides, e.g. "USD:stripe,EUR:stripe"
+const CURRENCY_PROVIDERS = (process.env.PAYMENT_CURRENCY_PROVIDERS || '')
+    .split(',')
+    .map(entry => entry.trim().split(':'))
+    .filter(([currency, provider]) => currency && provider)
+    .reduce((acc, [currency, provider]) => {
+        acc[currency.toUpperCase()] = provider.trim();
+        return acc;
+    }, {});
+
 /**
- * Create a Razorpay order for subscription
+ * Look up a provider by name
  */
-async function createOrder(planId, userId = null) {
-    const plan = PLANS[planId];
-    if (!plan) {
-        throw new Error('Invalid plan ID');
+function getProvider(name = DEFAULT_PROVIDER) {
+    const provider = PROVIDERS[name];
+    if (!provider) {
+        throw new AppError(`Unknown payment provider: ${name}`, 400);
     }
+    if (name === 'sandbox' && !SANDBOX_ENABLED) {
+        throw new AppError('The sandbox payment provider is disabled', 403);
+    }
+    return provider;
+}
+
+/**
+ * Provider that takes payments in a currency
+ */
+function providerForCurrency(currency) {
+    return getProvider(CURRENCY_PROVIDERS[String(currency || '').toUpperCase()] || DEFAULT_PROVIDER);
+}
+
+/**
+ * Create a provider order for a priced plan
+ *
+ * @param {Object} quote - planCatalogService quote (amount in minor units)
+ * @param {string} [userId]
+ */
+async function createOrder(quote, userId = null) {
+    const provider = providerForCurrency(quote.currency);
 
-    const options = {
-        amount: plan.amount,
-        currency: plan.currency,
+    const order = await provider.createOrder({
+        amount: quote.amount,
+        currency: quote.currency,
         receipt: `receipt_${Date.now()}`,
         notes: {
-            plan_id: planId,
+            plan_id: quote.planId,
             user_id: userId,
-            plan_name: plan.name
+            plan_name: quote.name,
+            coupon: quote.coupon?.code || ''
         }
-    };
-
-    const order = await razorpay.orders.create(options);
-    console.log(`✅ Order created: ${order.id} for ₹${plan.amount / 100}`);
+    });
+    logger.info(`Order created via ${provider.name}: ${order.orderId} for ${order.currency} ${order.amount / 100}`);
 
     return {
-        orderId: order.id,
-        amount: order.amount,
-        currency: order.currency,
-        keyId: RAZORPAY_KEY_ID,
-        planName: plan.name,
-        planDescription: plan.description
+        provider: provider.name,
+        ...order,
+        ...provider.publicConfig(),
+        planName: quote.name,
+        planDescription: quote.description
     };
 }
 
 /**
- * Verify payment signature
+ * Verify the checkout signature the client received from the provider
  */
-function verifyPayment(orderId, paymentId, signature) {
-    const body = orderId + '|' + paymentId;
-    const expectedSignature = crypto
-        .createHmac('sha256', RAZORPAY_KEY_SECRET)
-        .update(body)
-        .digest('hex');
-
-    return expectedSignature === signature;
+function verifyPayment(providerName, { orderId, paymentId, signature }) {
+    return getProvider(providerName).verifyPayment({ orderId, paymentId, signature });
 }
 
 /**
- * Process refund request
+ * Refund a payment in full or in part
+ *
+ * @param {number|null} amount - Minor units; null refunds the remaining amount
+ * @returns {Promise<{refundId, paymentId, amount, status, message}>} Amount in minor units
  */
-async function processRefund(paymentId, amount = null, reason = 'Customer requested') {
-    const refundOptions = {
-        speed: 'normal',
-        notes: {
-            reason: reason,
-            requested_at: new Date().toISOString()
-        }
-    };
-
-    if (amount) {
-        refundOptions.amount = amount;
-    }
-
-    const refund = await razorpay.payments.refund(paymentId, refundOptions);
+async function processRefund(providerName, paymentId, amount = null, reason = 'Customer requested') {
+    const refund = await getProvider(providerName).refund(paymentId, { amount, reason });
 
     return {
-        refundId: refund.id,
-        paymentId: refund.payment_id,
-        amount: refund.amount / 100,
-        status: refund.status,
+        ...refund,
         message: 'Refund initiated. Will be processed in 5-7 business days.'
     };
 }
 
 /**
- * Get payment details
+ * Payment details straight from the provider (amount in major units)
  */
-async function getPaymentDetails(paymentId) {
-    const payment = await razorpay.payments.fetch(paymentId);
-    return {
-        id: payment.id,
-        amount: payment.amount / 100,
-        currency: payment.currency,
-        status: payment.status,
-        method: payment.method,
-        email: payment.email,
-        contact: payment.contact,
-        createdAt: new Date(payment.created_at * 1000).toISOString()
-    };
+async function getPaymentDetails(providerName, paymentId) {
+    const payment = await getProvider(providerName).fetchPayment(paymentId);
+    return { ...payment, provider: providerName, amount: payment.amount / 100 };
+}
+
+/**
+ * Verify and normalise a webhook delivery
+ *
+ * @param {Object} request - { rawBody, body, headers } (header names lower-cased)
+ * @returns {{verified: boolean, eventId?: string, type?: string, data?: {payment, refund, subscription}}}
+ */
+function parseWebhook(providerName, request) {
+    return getProvider(providerName).parseWebhook(request);
+}
+
+/**
+ * Client-side checkout settings for the default provider
+ */
+function publicConfig() {
+    return { provider: DEFAULT_PROVIDER, ...getProvider(DEFAULT_PROVIDER).publicConfig() };
 }
 
 module.exports = {
+    getProvider,
+    providerForCurrency,
     createOrder,
     verifyPayment,
     processRefund,
     getPaymentDetails,
-    PLANS,
-    RAZORPAY_KEY_ID
+    parseWebhook,
+    publicConfig,
+    DEFAULT_PROVIDER,
+    SANDBOX_ENABLED
 };
@@ -0,0 +1,226 @@
+// Payment Webhook Service
+// Applies provider webhook events (normalised by paymentService.parseWebhook)
+// to the payment ledger. Each (provider, event id) is recorded in WebhookEvent
+// so redeliveries are processed only once.
+const crypto = require('crypto');
+const WebhookEvent = require('../models/WebhookEvent');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const Subscription = require('../models/Subscription');
+const paymentLedgerService = require('./paymentLedgerService');
+const { logger } = require('../middleware/logger');
+
+// How long a delivery may stay 'processing' before a redelivery can reclaim it
+const LEASE_MS = parseInt(process.env.WEBHOOK_LEASE_MS) || 2 * 60 * 1000;
+
+/**
+ * Stable id for a delivery: the provider's event id when present,
+ * otherwise a hash of the raw body
+ */
+function resolveEventId(headerEventId, rawBody) {
+    if (headerEventId) return String(headerEventId);
+    return crypto.createHash('sha256').update(rawBody || '').digest('hex');
+}
+
+/**
+ * Claim an event for processing
+ * A failed attempt, or one whose lease ran out (the process died), may be retried.
+ * @returns {Promise<{record: Object|null, duplicate: boolean}>}
+ */
+async function claimEvent(provider, eventId, event, payload, now = new Date()) {
+    const lockedUntil = new Date(now.getTime() + LEASE_MS);
+
+    try {
+        const record = await WebhookEvent.create({ provider, eventId, event, payload, lockedUntil });
+        return { record, duplicate: false };
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+    }
+
+    const record = await WebhookEvent.findOneAndUpdate(
+        {
+            provider,
+            eventId,
+            $or: [
+                { status: 'failed' },
+                { status: 'processing', lockedUntil: { $lt: now } },
+                // Claimed before leases existed
+                { status: 'processing', lockedUntil: null }
+            ]
+        },
+        { $set: { status: 'processing', error: null, lockedUntil }, $inc: { attempts: 1 } },
+        { new: true }
+    );
+
+    if (record && record.attempts > 1) {
+        logger.warn(`Webhook ${provider} ${eventId} reclaimed (attempt ${record.attempts})`);
+    }
+
+    return { record, duplicate: !record };
+}
+
+/**
+ * payment.captured / subscription.charged: grant the entitlement
+ * (no-op when /api/payment/verify already recorded the payment)
+ */
+async function handlePaymentCaptured(provider, payment, providerSubscriptionId = null) {
+    const order = payment.orderId
+        ? await Order.findOne({ providerOrderId: payment.orderId })
+        : null;
+
+    const userId = order?.userId || payment.notes?.user_id;
+    const planId = order?.planId || payment.notes?.plan_id;
+
+    if (!userId || !planId) {
+        return { status: 'ignored', reason: 'Payment is not linked to a known user and plan' };
+    }
+
+    const { premiumExpiry } = await paymentLedgerService.recordPayment({
+        userId,
+        provider,
+        providerOrderId: payment.orderId || `sub_${providerSubscriptionId}_${payment.id}`,
+        providerPaymentId: payment.id,
+        planId,
+        method: payment.method || null,
+        providerSubscriptionId
+    });
+
+    return { status: 'processed', premiumExpiry };
+}
+
+/**
+ * payment.failed: note the failure on the order; it stays open for a retry
+ */
+async function handlePaymentFailed(payment) {
+    const order = payment.orderId ? await Order.findOne({ providerOrderId: payment.orderId }) : null;
+    if (!order) {
+        return { status: 'ignored', reason: 'Unknown order' };
+    }
+
+    order.statusHistory.push({
+        status: order.status,
+        at: new Date(),
+        note: `Payment ${payment.id} failed: ${payment.error || 'unknown reason'}`
+    });
+    await order.save();
+
+    return { status: 'processed' };
+}
+
+/**
+ * refund.processed: record the refund (or mark an already-recorded one processed)
+ */
+async function handleRefundProcessed(refund) {
+    const payment = await Payment.findOne({ providerPaymentId: refund.paymentId });
+    if (!payment) {
+        return { status: 'ignored', reason: 'Refund for a payment outside the ledger' };
+    }
+
+    await paymentLedgerService.recordRefund({
+        payment,
+        refund: {
+            refundId: refund.id,
+            amount: refund.amount,
+            status: refund.status || 'processed'
+        },
+        reason: refund.notes?.reason || 'Refund processed by provider'
+    });
+
+    return { status: 'processed' };
+}
+
+/**
+ * subscription.cancelled / halted / completed: end provider-billed entitlement
+ */
+async function handleSubscriptionEnded(providerSubscription, event) {
+    const subscriptions = await Subscription.find({
+        providerSubscriptionId: providerSubscription.id,
+        status: { $in: Subscription.ENTITLED_STATUSES }
+    });
+
+    if (subscriptions.length === 0) {
+        return { status: 'ignored', reason: 'No active subscription for this provider id' };
+    }
+
+    const status = event === 'subscription.completed' ? 'expired' : 'cancelled';
+    for (const subscription of subscriptions) {
+        subscription.setStatus(status, event);
+        await subscription.save();
+    }
+
+    await paymentLedgerService.syncUserPremium(subscriptions[0].userId);
+
+    return { status: 'processed' };
+}
+
+/**
+ * Route a normalised event to its handler
+ */
+async function applyEvent(provider, { type, data = {} }) {
+    switch (type) {
+        case 'payment.captured':
+            return handlePaymentCaptured(provider, data.payment || {});
+        case 'payment.failed':
+            return handlePaymentFailed(data.payment || {});
+        case 'refund.processed':
+            return handleRefundProcessed(data.refund || {});
+        case 'subscription.charged':
+            return handlePaymentCaptured(provider, data.payment || {}, data.subscription?.id);
+        case 'subscription.cancelled':
+        case 'subscription.halted':
+        case 'subscription.completed':
+            return handleSubscriptionEnded(data.subscription || {}, type);
+        default:
+            return { status: 'ignored', reason: `Unhandled event ${type}` };
+    }
+}
+
+/**
+ * Process one verified webhook delivery
+ *
+ * @param {string} provider - Provider that sent the delivery
+ * @param {Object} event - paymentService.parseWebhook() result ({ eventId, type, data })
+ * @param {Object} options
+ * @param {Object} [options.body] - Parsed request body, stored for audit
+ * @param {Buffer|string} [options.rawBody] - Raw request body (fallback id)
+ * @returns {Promise<{eventId: string, status: string, duplicate?: boolean}>}
+ */
+async function processEvent(provider, event, { body, rawBody } = {}) {
+    const id = resolveEventId(event.eventId, rawBody);
+    const label = `${provider} ${event.type}`;
+    const { record, duplicate } = await claimEvent(provider, id, event.type, body || event.data);
+
+    if (duplicate) {
+        logger.info(`Webhook ${label} ${id} already handled, skipping`);
+        return { eventId: id, status: 'duplicate', duplicate: true };
+    }
+
+    try {
+        const result = await applyEvent(provider, event);
+
+        record.status = result.status;
+        record.error = result.reason || null;
+        record.processedAt = new Date();
+        record.lockedUntil = null;
+        await record.save();
+
+        logger.info(`Webhook ${label} ${id}: ${result.status}${result.reason ? ` (${result.reason})` : ''}`);
+
+        return { eventId: id, status: result.status };
+    } catch (error) {
+        record.status = 'failed';
+        record.error = error.message;
+        record.lockedUntil = null;
+        await record.save();
+
+        logger.error(`Webhook ${label} ${id} failed: ${error.message}`);
+        throw error;
+    }
+}
+
+module.exports = {
+    processEvent,
+    resolveEventId,
+    claimEvent,
+    LEASE_MS
+};
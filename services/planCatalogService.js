@@ -0,0 +1,257 @@
+// Plan Catalog Service
+// DB-backed plans, regional prices, coupons, trial eligibility and
+// proration quotes for plan changes. Amounts are in minor units (paise/cents).
+const mongoose = require('mongoose');
+const Plan = require('../models/Plan');
+const Coupon = require('../models/Coupon');
+const Subscription = require('../models/Subscription');
+const Payment = require('../models/Payment');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../middleware/logger');
+
+// Country used when neither the user nor the edge has one
+const DEFAULT_COUNTRY = (process.env.DEFAULT_BILLING_COUNTRY || 'IN').toUpperCase();
+
+// Geo header set by the CDN/edge (which must drop any client-sent copy)
+const GEO_COUNTRY_HEADER = process.env.BILLING_GEO_HEADER || 'CF-IPCountry';
+
+const COUNTRY_CODE = /^[A-Z]{2}$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Seed the built-in plans on first use
+ */
+async function ensureCatalog() {
+    const seeded = await Plan.seedDefaults();
+    if (seeded > 0) logger.info(`Seeded ${seeded} premium plans`);
+}
+
+/**
+ * Active plans, in display order
+ */
+async function listPlans() {
+    await ensureCatalog();
+    return Plan.find({ active: true }).sort({ sortOrder: 1, durationDays: 1 });
+}
+
+/**
+ * Look up an active plan by id
+ */
+async function getPlan(planId) {
+    await ensureCatalog();
+    return Plan.findOne({ planId, active: true });
+}
+
+/**
+ * Billing country for a request: user profile → edge geo header → default
+ * Prices follow the country, so orders never take it from the client. Only
+ * price listings may pass allowOverride to preview another country (?country=).
+ */
+function resolveCountry(req, { allowOverride = false } = {}) {
+    const candidates = [
+        allowOverride && req.query?.country,
+        req.user?.billingCountry,
+        req.get?.(GEO_COUNTRY_HEADER)
+    ];
+
+    const country = candidates
+        .map(value => String(value || '').trim().toUpperCase())
+        .find(value => COUNTRY_CODE.test(value));
+
+    return country || DEFAULT_COUNTRY;
+}
+
+/**
+ * A user gets one trial, and only before their first subscription
+ * (a read for quotes; the unique trial index on Subscription is what enforces it)
+ */
+async function isTrialEligible(userId) {
+    if (!userId) return true;
+    return !(await Subscription.exists({ userId }));
+}
+
+/**
+ * Validate a coupon for a purchase
+ * @returns {Promise<{coupon: Object|null, error: string|null}>}
+ */
+async function findCoupon(code, { planId, currency, userId }) {
+    if (!code) return { coupon: null, error: null };
+
+    const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+    if (!coupon) return { coupon: null, error: 'Coupon not found' };
+
+    const error = coupon.getIneligibilityReason({ planId, currency, userId });
+    return error ? { coupon: null, error } : { coupon, error: null };
+}
+
+/**
+ * Price a plan for a user
+ *
+ * @returns {Promise<Object>} Quote: base, discount and payable amount plus trial info
+ */
+async function quote({ plan, userId = null, country = DEFAULT_COUNTRY, couponCode = null, currency = null }) {
+    const price = currency ? plan.priceInCurrency(currency) : plan.priceFor(country);
+    if (!price) {
+        throw new AppError(`Plan ${plan.planId} has no price${currency ? ` in ${currency}` : ''}`, 400);
+    }
+
+    const { coupon, error: couponError } = await findCoupon(couponCode, {
+        planId: plan.planId,
+        currency: price.currency,
+        userId
+    });
+    const discount = coupon ? coupon.discountFor(price.amount) : 0;
+
+    const trialAvailable = plan.trialDays > 0 && await isTrialEligible(userId);
+
+    return {
+        planId: plan.planId,
+        name: plan.name,
+        description: plan.description,
+        period: plan.period,
+        durationDays: plan.durationDays,
+        country,
+        currency: price.currency,
+        baseAmount: price.amount,
+        discount,
+        amount: price.amount - discount,
+        coupon: coupon ? { code: coupon.code, type: coupon.type, value: coupon.value } : null,
+        couponError,
+        trialDays: plan.trialDays,
+        trialAvailable
+    };
+}
+
+/**
+ * The paid subscription a plan change starts from
+ */
+async function getCurrentPaidSubscription(userId, now = new Date()) {
+    return Subscription.findOne({
+        userId,
+        status: { $in: ['active', 'expiring_soon'] },
+        isTrial: { $ne: true },
+        paymentId: { $ne: null },
+        startsAt: { $lte: now },
+        endsAt: { $gt: now }
+    }).sort({ endsAt: -1 });
+}
+
+/**
+ * Quote a switch to another plan, prorating what is left of the current one
+ *
+ * The unused share of the current payment becomes credit. Credit beyond the new
+ * plan's price is converted into extra days on the new plan.
+ */
+async function quotePlanChange({ userId, plan, couponCode = null, now = new Date() }) {
+    const current = await getCurrentPaidSubscription(userId, now);
+    if (!current) {
+        throw new AppError('No active paid subscription to change', 400);
+    }
+    if (current.planId === plan.planId) {
+        throw new AppError('Already subscribed to this plan', 400);
+    }
+
+    const payment = await Payment.findById(current.paymentId);
+    const paid = payment ? payment.amount - (payment.amountRefunded || 0) : 0;
+    const currency = payment?.currency;
+
+    // Later stacked renewals stay untouched; only the running period is prorated
+    const periodMs = current.endsAt - current.startsAt;
+    const remainingMs = Math.max(0, current.endsAt - now);
+    const credit = periodMs > 0 ? Math.floor(paid * remainingMs / periodMs) : 0;
+
+    const base = await quote({ plan, userId, couponCode, currency });
+    const price = base.amount;
+
+    const amountDue = Math.max(0, price - credit);
+    const leftoverCredit = Math.max(0, credit - price);
+    const dailyRate = plan.durationDays > 0 ? base.baseAmount / plan.durationDays : 0;
+    const extraDays = dailyRate > 0 ? Math.floor(leftoverCredit / dailyRate) : 0;
+
+    const currentDailyRate = periodMs > 0 ? paid / (periodMs / DAY_MS) : 0;
+
+    return {
+        ...base,
+        trialAvailable: false,
+        amount: amountDue,
+        direction: dailyRate >= currentDailyRate ? 'upgrade' : 'downgrade',
+        proration: {
+            fromSubscriptionId: current._id,
+            fromPlanId: current.planId,
+            remainingDays: Math.round(remainingMs / DAY_MS * 10) / 10,
+            credit,
+            extraDays
+        }
+    };
+}
+
+/**
+ * Reserve one redemption of a coupon for a user, atomically
+ * The limits are re-checked in the update filter, so concurrent checkouts with
+ * the same code cannot redeem it past maxRedemptions or perUserLimit.
+ *
+ * @param {Object} [options] - { orderId: the order the redemption pays for }
+ * @returns {Promise<Object>} The redemption id, for releaseCoupon()
+ * @throws {AppError} 409 when the coupon is used up (or unknown)
+ */
+async function reserveCoupon(code, userId, { orderId = null } = {}) {
+    const coupon = await Coupon.findOne({ code }).select('maxRedemptions perUserLimit').lean();
+    if (!coupon) {
+        throw new AppError('Coupon not found', 409);
+    }
+
+    const user = new mongoose.Types.ObjectId(String(userId));
+    const redemptionId = new mongoose.Types.ObjectId();
+
+    const reserved = await Coupon.findOneAndUpdate(
+        {
+            _id: coupon._id,
+            ...(coupon.maxRedemptions && { redemptionCount: { $lt: coupon.maxRedemptions } }),
+            $expr: {
+                $lt: [
+                    { $size: { $filter: { input: '$redemptions', cond: { $eq: ['$$this.userId', user] } } } },
+                    coupon.perUserLimit || 1
+                ]
+            }
+        },
+        {
+            $inc: { redemptionCount: 1 },
+            $push: { redemptions: { _id: redemptionId, userId: user, orderId, at: new Date() } }
+        },
+        { new: true }
+    );
+
+    if (!reserved) {
+        throw new AppError('Coupon has been fully redeemed or already used', 409);
+    }
+
+    return redemptionId;
+}
+
+/**
+ * Give back a reserved redemption (checkout failed, or the order expired unpaid)
+ *
+ * @param {Object} match - { _id: redemption id } or { orderId }
+ */
+async function releaseCoupon(code, match) {
+    const result = await Coupon.updateOne(
+        { code, redemptions: { $elemMatch: match } },
+        { $pull: { redemptions: match }, $inc: { redemptionCount: -1 } }
+    );
+    return result.modifiedCount > 0;
+}
+
+module.exports = {
+    listPlans,
+    getPlan,
+    resolveCountry,
+    isTrialEligible,
+    findCoupon,
+    quote,
+    quotePlanChange,
+    getCurrentPaidSubscription,
+    reserveCoupon,
+    releaseCoupon,
+    DEFAULT_COUNTRY
+};
@@ -0,0 +1,211 @@
+// Premium Lifecycle Service
+// Moves subscriptions through active → expiring_soon → grace → expired,
+// sends renewal reminders and records a PremiumLapse when grace runs out.
+// User premium fields are re-derived via paymentLedgerService.syncUserPremium.
+const Subscription = require('../models/Subscription');
+const Notification = require('../models/Notification');
+const PremiumLapse = require('../models/PremiumLapse');
+const User = require('../models/User');
+const paymentLedgerService = require('./paymentLedgerService');
+const { logger } = require('../middleware/logger');
+
+// Days before the last paid day at which a subscription becomes expiring_soon
+const EXPIRING_SOON_DAYS = parseInt(process.env.PREMIUM_EXPIRING_SOON_DAYS) || 7;
+
+// Days before the last paid day at which a renewal reminder is sent
+const REMINDER_OFFSETS_DAYS = (process.env.PREMIUM_REMINDER_OFFSETS_DAYS || '7,3,1')
+    .split(',')
+    .map(d => parseInt(d, 10))
+    .filter(d => d > 0)
+    .sort((a, b) => a - b);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Status a subscription should have at `now`
+ */
+function statusAt(subscription, now = new Date()) {
+    const endsAt = new Date(subscription.endsAt).getTime();
+    const graceEndsAt = endsAt + Subscription.GRACE_PERIOD_DAYS * DAY_MS;
+    const t = now.getTime();
+
+    if (t >= graceEndsAt) return 'expired';
+    if (t >= endsAt) return 'grace';
+    if (endsAt - t <= EXPIRING_SOON_DAYS * DAY_MS) return 'expiring_soon';
+    return 'active';
+}
+
+/**
+ * The reminder offset due at `now` (the smallest one not yet passed), or null
+ * Only one reminder is sent per run, so a late first run does not send several.
+ */
+function dueReminderOffset(subscription, now = new Date()) {
+    const remainingMs = new Date(subscription.endsAt).getTime() - now.getTime();
+    if (remainingMs <= 0) return null;
+
+    return REMINDER_OFFSETS_DAYS.find(days => remainingMs <= days * DAY_MS) ?? null;
+}
+
+/**
+ * Send the due renewal reminder for a user's last subscription
+ * Provider-billed subscriptions renew themselves and get no reminder.
+ * @returns {Promise<boolean>} Whether a reminder was created
+ */
+async function sendRenewalReminder(subscription, now = new Date()) {
+    if (subscription.providerSubscriptionId) return false;
+
+    const offset = dueReminderOffset(subscription, now);
+    if (offset === null) return false;
+
+    const daysLeft = Math.max(1, Math.ceil((subscription.endsAt - now) / DAY_MS));
+    const notification = await Notification.emitOnce({
+        userId: subscription.userId,
+        type: 'renewal_reminder',
+        title: subscription.isTrial ? 'Your free trial is ending' : 'Your premium is ending soon',
+        body: `Premium access ends in ${daysLeft} day${daysLeft === 1 ? '' : 's'}. Renew to keep reading without interruption.`,
+        data: { subscriptionId: subscription._id, planId: subscription.planId, endsAt: subscription.endsAt, offsetDays: offset },
+        dedupeKey: `renewal_reminder:${subscription._id}:${offset}`
+    });
+
+    return Boolean(notification);
+}
+
+/**
+ * Grace started: access continues, but the user is told it will stop
+ */
+async function notifyGraceStarted(subscription) {
+    const graceUntil = new Date(subscription.endsAt.getTime() + Subscription.GRACE_PERIOD_DAYS * DAY_MS);
+
+    await Notification.emitOnce({
+        userId: subscription.userId,
+        type: 'grace_started',
+        title: 'Your premium has ended',
+        body: `You keep premium access until ${graceUntil.toDateString()}. Renew before then to avoid losing it.`,
+        data: { subscriptionId: subscription._id, planId: subscription.planId, graceUntil },
+        dedupeKey: `grace_started:${subscription._id}`
+    });
+}
+
+/**
+ * Grace ran out: write the lapse record and tell the user
+ * @returns {Promise<boolean>} Whether a new lapse was recorded
+ */
+async function recordLapse(subscription, now = new Date()) {
+    const remindersSent = await Notification.countDocuments({
+        type: 'renewal_reminder',
+        'data.subscriptionId': subscription._id
+    });
+
+    let lapse = null;
+    try {
+        lapse = await PremiumLapse.create({
+            userId: subscription.userId,
+            subscriptionId: subscription._id,
+            planId: subscription.planId,
+            source: subscription.source,
+            expiredAt: subscription.endsAt,
+            lapsedAt: now,
+            graceDays: Subscription.GRACE_PERIOD_DAYS,
+            remindersSent
+        });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+    }
+
+    await Notification.emitOnce({
+        userId: subscription.userId,
+        type: 'premium_lapsed',
+        title: 'Premium access has ended',
+        body: 'Your premium subscription and grace period have ended. Subscribe again any time to restore access.',
+        data: { subscriptionId: subscription._id, planId: subscription.planId },
+        dedupeKey: `premium_lapsed:${subscription._id}`
+    });
+
+    return Boolean(lapse);
+}
+
+/**
+ * Advance one user's subscriptions and refresh their premium fields
+ *
+ * Only the last subscription (latest endsAt) drives reminders, grace and lapses;
+ * earlier stacked periods that have ended are expired quietly.
+ */
+async function processUser(userId, now = new Date(), stats) {
+    const subscriptions = await Subscription.find({
+        userId,
+        status: { $in: Subscription.ENTITLED_STATUSES }
+    }).sort({ endsAt: -1 });
+
+    if (subscriptions.length === 0) return;
+
+    const [tail, ...earlier] = subscriptions;
+
+    for (const subscription of earlier) {
+        if (subscription.endsAt <= now) {
+            subscription.setStatus('expired', 'Period ended');
+            await subscription.save();
+        }
+    }
+
+    const previousStatus = tail.status;
+    const status = statusAt(tail, now);
+
+    if (status !== previousStatus) {
+        tail.setStatus(status, 'Lifecycle job');
+        await tail.save();
+        stats.transitions[status] = (stats.transitions[status] || 0) + 1;
+    }
+
+    if (status === 'expiring_soon' && await sendRenewalReminder(tail, now)) {
+        stats.reminders++;
+    } else if (status === 'grace' && previousStatus !== 'grace') {
+        await notifyGraceStarted(tail);
+    } else if (status === 'expired' && await recordLapse(tail, now)) {
+        stats.lapses++;
+    }
+
+    await paymentLedgerService.syncUserPremium(userId, now);
+}
+
+/**
+ * Run the lifecycle for every user with an entitled subscription (hourly)
+ *
+ * Also clears isPremium on users whose premiumExpiry and grace ended without
+ * any ledger subscription behind them (grants made before the ledger existed).
+ */
+async function runLifecycle(now = new Date()) {
+    const stats = { users: 0, transitions: {}, reminders: 0, lapses: 0, clearedLegacy: 0 };
+
+    const userIds = await Subscription.distinct('userId', {
+        status: { $in: Subscription.ENTITLED_STATUSES }
+    });
+
+    for (const userId of userIds) {
+        try {
+            await processUser(userId, now, stats);
+            stats.users++;
+        } catch (error) {
+            logger.error(`Premium lifecycle failed for user ${userId}: ${error.message}`);
+        }
+    }
+
+    const graceCutoff = new Date(now.getTime() - Subscription.GRACE_PERIOD_DAYS * DAY_MS);
+    const legacy = await User.updateMany(
+        { isPremium: true, premiumExpiry: { $ne: null, $lte: graceCutoff }, _id: { $nin: userIds } },
+        { $set: { isPremium: false, premiumStatus: 'expired' } }
+    );
+    stats.clearedLegacy = legacy.modifiedCount || 0;
+
+    logger.info(`Premium lifecycle: ${stats.users} users, ${stats.reminders} reminders, ${stats.lapses} lapses, ${stats.clearedLegacy} legacy cleared`);
+
+    return stats;
+}
+
+module.exports = {
+    runLifecycle,
+    processUser,
+    statusAt,
+    dueReminderOffset,
+    EXPIRING_SOON_DAYS,
+    REMINDER_OFFSETS_DAYS
+};
@@ -0,0 +1,279 @@
+const Story = require('../models/Story');
+const StorySource = require('../models/StorySource');
+const RankingProfile = require('../models/RankingProfile');
+const calmRankingService = require('./calmRankingService');
+
+/**
+ * Ranking Evaluation Service
+ * Offline harness for ranking changes: snapshot Story/StorySource to JSON,
+ * replay the snapshot through two ranking profiles, and compare the orderings.
+ *
+ * Replays score recency against the snapshot's capture time, so the same
+ * fixture always produces the same ranking.
+ */
+
+const SNAPSHOT_VERSION = 1;
+
+const rankingEvaluationService = {
+    /**
+     * Capture the stories the feed would consider, with their source links
+     *
+     * @param {Object} options
+     * @param {number} [options.maxAgeHours=72] - Same window as the clustered feed
+     * @returns {Promise<Object>} JSON-serialisable snapshot
+     */
+    async createSnapshot({ maxAgeHours = 72 } = {}) {
+        const asOf = new Date();
+        const cutoff = new Date(asOf - maxAgeHours * 60 * 60 * 1000);
+
+        const stories = await Story.find({
+            firstSeen: { $gte: cutoff },
+            lifecycleState: { $ne: 'archived' }
+        })
+            .select('canonicalTitle category mood sourceCount sourceDiversity averageCredibility firstSeen lastUpdated lifecycleState importanceScore')
+            .lean();
+
+        const storySources = await StorySource.find({ storyId: { $in: stories.map(story => story._id) } })
+            .select('storyId sourceName credibilityScore publishedAt isPrimary')
+            .lean();
+
+        const profiles = await RankingProfile.find()
+            .select('name description weights recencyHorizonHours isDefault')
+            .lean();
+
+        return {
+            version: SNAPSHOT_VERSION,
+            asOf: asOf.toISOString(),
+            maxAgeHours,
+            stories: stories.map(story => ({ ...story, _id: String(story._id) })),
+            storySources: storySources.map(link => ({
+                ...link,
+                _id: String(link._id),
+                storyId: String(link.storyId)
+            })),
+            profiles: profiles.map(({ _id, ...profile }) => profile)
+        };
+    },
+
+    /**
+     * Check a parsed snapshot has the expected shape
+     */
+    validateSnapshot(snapshot) {
+        if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+            throw new Error(`Unsupported snapshot version: ${snapshot?.version}`);
+        }
+        if (!Array.isArray(snapshot.stories) || !Array.isArray(snapshot.storySources)) {
+            throw new Error('Snapshot must contain stories and storySources arrays');
+        }
+        return snapshot;
+    },
+
+    /**
+     * Find a profile by name: snapshot profiles first, then the built-in seeds
+     * Accepts an already-shaped profile object as well.
+     */
+    resolveProfile(nameOrProfile, snapshot = {}) {
+        if (typeof nameOrProfile === 'object' && nameOrProfile !== null) {
+            return nameOrProfile.weights?.SOURCE_COUNT !== undefined
+                ? nameOrProfile
+                : calmRankingService.toProfile({ isDefault: false, ...nameOrProfile });
+        }
+
+        const name = String(nameOrProfile).toLowerCase();
+        const doc = (snapshot.profiles || []).find(profile => profile.name === name) ||
+            RankingProfile.DEFAULT_PROFILES.find(profile => profile.name === name);
+
+        if (!doc) {
+            throw new Error(`Unknown ranking profile: ${nameOrProfile}`);
+        }
+
+        return calmRankingService.toProfile({ isDefault: false, ...doc });
+    },
+
+    /**
+     * Rank snapshot stories with a profile
+     *
+     * @returns {Array<{storyId: string, title: string, category: string, score: number, rank: number}>}
+     */
+    replay(snapshot, profile) {
+        const asOf = new Date(snapshot.asOf);
+
+        return snapshot.stories
+            .map(story => ({
+                storyId: story._id,
+                title: story.canonicalTitle,
+                category: story.category,
+                score: calmRankingService.calculateImportanceScore(story, profile, asOf),
+                lastUpdated: story.lastUpdated
+            }))
+            // Same tie-break as the feed query
+            .sort((a, b) => b.score - a.score || new Date(b.lastUpdated) - new Date(a.lastUpdated))
+            .map(({ lastUpdated, ...entry }, index) => ({ ...entry, rank: index + 1 }));
+    },
+
+    /**
+     * Distinct outlets represented in the top k stories
+     * ratio is relative to every outlet in the snapshot.
+     */
+    sourceDiversityAtK(ranking, snapshot, k) {
+        const top = new Set(ranking.slice(0, k).map(entry => entry.storyId));
+        const allOutlets = new Set(snapshot.storySources.map(link => link.sourceName));
+        const topOutlets = new Set(
+            snapshot.storySources
+                .filter(link => top.has(link.storyId))
+                .map(link => link.sourceName)
+        );
+
+        return {
+            outlets: topOutlets.size,
+            ratio: allOutlets.size ? round(topOutlets.size / allOutlets.size) : 0
+        };
+    },
+
+    /**
+     * Share of the snapshot's categories that appear in the top k
+     */
+    categoryCoverageAtK(ranking, k) {
+        const all = new Set(ranking.map(entry => entry.category));
+        const top = new Set(ranking.slice(0, k).map(entry => entry.category));
+
+        return {
+            categories: [...top].sort(),
+            ratio: all.size ? round(top.size / all.size) : 0
+        };
+    },
+
+    /**
+     * How much the top k moves between two rankings
+     * - overlap: share of baseline top-k still in the candidate top-k
+     * - meanAbsRankShift: average |rank change| over the baseline top k
+     * - entered / exited: stories crossing the top-k boundary
+     */
+    rankChurn(baseline, candidate, k) {
+        const candidateRanks = new Map(candidate.map(entry => [entry.storyId, entry.rank]));
+        const baselineTop = baseline.slice(0, k);
+        const candidateTop = candidate.slice(0, k);
+        const baselineTopIds = new Set(baselineTop.map(entry => entry.storyId));
+        const candidateTopIds = new Set(candidateTop.map(entry => entry.storyId));
+
+        const shifts = baselineTop.map(entry => Math.abs((candidateRanks.get(entry.storyId) || candidate.length + 1) - entry.rank));
+
+        return {
+            overlap: baselineTop.length ? round(baselineTop.filter(entry => candidateTopIds.has(entry.storyId)).length / baselineTop.length) : 1,
+            meanAbsRankShift: shifts.length ? round(shifts.reduce((sum, shift) => sum + shift, 0) / shifts.length) : 0,
+            entered: candidateTop.filter(entry => !baselineTopIds.has(entry.storyId)).map(entry => entry.storyId),
+            exited: baselineTop.filter(entry => !candidateTopIds.has(entry.storyId)).map(entry => entry.storyId)
+        };
+    },
+
+    /**
+     * Per-story ordering diff over the union of both top k lists
+     */
+    diffOrderings(baseline, candidate, k) {
+        const baselineById = new Map(baseline.map(entry => [entry.storyId, entry]));
+        const candidateById = new Map(candidate.map(entry => [entry.storyId, entry]));
+        const ids = new Set([...baseline.slice(0, k), ...candidate.slice(0, k)].map(entry => entry.storyId));
+
+        return [...ids]
+            .map(id => {
+                const before = baselineById.get(id);
+                const after = candidateById.get(id);
+                return {
+                    storyId: id,
+                    title: (before || after).title,
+                    category: (before || after).category,
+                    baselineRank: before?.rank ?? null,
+                    candidateRank: after?.rank ?? null,
+                    delta: before && after ? before.rank - after.rank : null,
+                    baselineScore: before?.score ?? null,
+                    candidateScore: after?.score ?? null
+                };
+            })
+            .sort((a, b) => (a.candidateRank ?? Infinity) - (b.candidateRank ?? Infinity));
+    },
+
+    /**
+     * Metrics for one ranking
+     */
+    evaluate(ranking, snapshot, k) {
+        return {
+            sourceDiversityAtK: this.sourceDiversityAtK(ranking, snapshot, k),
+            categoryCoverageAtK: this.categoryCoverageAtK(ranking, k),
+            meanScoreAtK: ranking.length ? round(ranking.slice(0, k).reduce((sum, entry) => sum + entry.score, 0) / Math.min(k, ranking.length)) : 0
+        };
+    },
+
+    /**
+     * Replay a snapshot through a baseline and a candidate profile and compare
+     *
+     * @param {Object} snapshot - Result of createSnapshot() (or its JSON)
+     * @param {string|Object} baselineProfile - Profile name or profile object
+     * @param {string|Object} candidateProfile - Profile name or profile object
+     * @param {Object} [options]
+     * @param {number} [options.k=10] - Cut-off for @k metrics
+     */
+    compare(snapshot, baselineProfile, candidateProfile, { k = 10 } = {}) {
+        this.validateSnapshot(snapshot);
+
+        const baseline = this.resolveProfile(baselineProfile, snapshot);
+        const candidate = this.resolveProfile(candidateProfile, snapshot);
+
+        const baselineRanking = this.replay(snapshot, baseline);
+        const candidateRanking = this.replay(snapshot, candidate);
+
+        return {
+            snapshot: { asOf: snapshot.asOf, stories: snapshot.stories.length, links: snapshot.storySources.length },
+            k,
+            baseline: { profile: describeProfile(baseline), metrics: this.evaluate(baselineRanking, snapshot, k) },
+            candidate: { profile: describeProfile(candidate), metrics: this.evaluate(candidateRanking, snapshot, k) },
+            churn: this.rankChurn(baselineRanking, candidateRanking, k),
+            diff: this.diffOrderings(baselineRanking, candidateRanking, k)
+        };
+    },
+
+    /**
+     * Render a comparison as Markdown (for pasting into a PR)
+     */
+    formatReport(result) {
+        const { baseline, candidate, churn, k } = result;
+        const metricRow = (label, a, b) => `| ${label} | ${a} | ${b} |`;
+        const arrow = (delta) => delta === null ? 'new' : delta > 0 ? `▲${delta}` : delta < 0 ? `▼${-delta}` : '=';
+
+        const lines = [
+            `## Ranking evaluation: \`${baseline.profile.name}\` → \`${candidate.profile.name}\``,
+            '',
+            `Snapshot ${result.snapshot.asOf}: ${result.snapshot.stories} stories, ${result.snapshot.links} source links. k = ${k}.`,
+            '',
+            '| Metric | Baseline | Candidate |',
+            '|--------|----------|-----------|',
+            metricRow(`Source diversity@${k} (outlets)`, `${baseline.metrics.sourceDiversityAtK.outlets} (${baseline.metrics.sourceDiversityAtK.ratio})`, `${candidate.metrics.sourceDiversityAtK.outlets} (${candidate.metrics.sourceDiversityAtK.ratio})`),
+            metricRow(`Category coverage@${k}`, baseline.metrics.categoryCoverageAtK.ratio, candidate.metrics.categoryCoverageAtK.ratio),
+            metricRow(`Mean score@${k}`, baseline.metrics.meanScoreAtK, candidate.metrics.meanScoreAtK),
+            '',
+            `**Churn@${k}:** overlap ${churn.overlap}, mean |rank shift| ${churn.meanAbsRankShift}, ${churn.entered.length} entered, ${churn.exited.length} exited.`,
+            '',
+            '| Rank | Was | Move | Score | Category | Story |',
+            '|------|-----|------|-------|----------|-------|'
+        ];
+
+        for (const row of result.diff) {
+            lines.push(`| ${row.candidateRank ?? '–'} | ${row.baselineRank ?? '–'} | ${arrow(row.delta)} | ${row.candidateScore ?? '–'} | ${row.category} | ${(row.title || '').replace(/\|/g, '\\|').substring(0, 80)} |`);
+        }
+
+        return lines.join('\n');
+    }
+};
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+function describeProfile(profile) {
+    return {
+        name: profile.name,
+        weights: profile.weights,
+        recencyHorizonHours: profile.recencyHorizonHours
+    };
+}
+
+module.exports = rankingEvaluationService;
@@ -0,0 +1,385 @@
+/**
+ * RSS Feed Service - RSS 2.0 / Atom ingestion adapter
+ *
+ * Polls any number of syndication feeds and normalizes their entries into
+ * the same article shape produced by fetchFromNewsAPI / fetchFromNYT, so
+ * newsFetchService.saveArticles can treat them identically.
+ *
+ * - Dependency-free XML extraction (feeds are shallow and well-known)
+ * - Conditional GET via ETag / Last-Modified (304 = nothing new)
+ * - file:// URLs are read from disk so fixture feeds work offline, but only
+ *   when the caller opts in (tests, scripts); registry feeds are http(s) only
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const { fileURLToPath } = require('url');
+const { logger } = require('../middleware/logger');
+
+// Request timeout for a single feed (default 10 seconds)
+const FEED_TIMEOUT = parseInt(process.env.RSS_FEED_TIMEOUT_MS) || 10000;
+
+// Maximum entries taken from a single feed per poll
+const MAX_ENTRIES_PER_FEED = parseInt(process.env.RSS_MAX_ENTRIES) || 30;
+
+// Conditional GET validators per feed URL (etag / lastModified)
+const validatorCache = new Map();
+
+// Feed <category> / section labels → our categories
+const CATEGORY_MAPPING = {
+    'business': 'business',
+    'economy': 'business',
+    'finance': 'business',
+    'markets': 'business',
+    'money': 'business',
+    'technology': 'technology',
+    'tech': 'technology',
+    'science': 'science',
+    'environment': 'science',
+    'climate': 'science',
+    'space': 'science',
+    'health': 'health',
+    'wellness': 'health',
+    'sport': 'sports',
+    'sports': 'sports',
+    'football': 'sports',
+    'cricket': 'sports',
+    'arts': 'entertainment',
+    'culture': 'entertainment',
+    'entertainment': 'entertainment',
+    'movies': 'entertainment',
+    'film': 'entertainment',
+    'music': 'entertainment',
+    'theater': 'entertainment',
+    'style': 'entertainment'
+};
+
+const XML_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' '
+};
+
+/**
+ * Decode XML/HTML character entities
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+        }
+        return XML_ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+/**
+ * Unwrap CDATA sections and decode entities for a raw element body
+ */
+function readText(raw) {
+    if (raw == null) return '';
+
+    const cdata = raw.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+    if (cdata) return cdata[1].trim();
+
+    return decodeEntities(raw.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')).trim();
+}
+
+/**
+ * Strip markup, leaving readable plain text
+ */
+function stripHtml(html) {
+    return decodeEntities(
+        (html || '')
+            .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+            .replace(/<br\s*\/?>|<\/p>/gi, '\n')
+            .replace(/<[^>]+>/g, ' ')
+    )
+        .replace(/[ \t]+/g, ' ')
+        .replace(/\s*\n\s*/g, '\n')
+        .trim();
+}
+
+/**
+ * Escape a (possibly namespaced) tag name for use in a RegExp
+ */
+function tagPattern(tag) {
+    return tag.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Get the body of every <tag>...</tag> occurrence
+ */
+function getElements(xml, tag) {
+    const pattern = new RegExp(`<${tagPattern(tag)}(?:\\s[^>]*)?>([\\s\\S]*?)<\\/${tagPattern(tag)}>`, 'gi');
+    return [...xml.matchAll(pattern)].map(match => match[1]);
+}
+
+/**
+ * Get the text of the first <tag>...</tag> occurrence
+ */
+function getElementText(xml, tag) {
+    const [body] = getElements(xml, tag);
+    return body === undefined ? '' : readText(body);
+}
+
+/**
+ * Get the attributes of every <tag ...> opening (or self-closing) tag
+ */
+function getTagAttributes(xml, tag) {
+    const pattern = new RegExp(`<${tagPattern(tag)}(\\s[^>]*?)?\\/?>`, 'gi');
+
+    return [...xml.matchAll(pattern)].map(match => {
+        const attributes = {};
+        for (const [, name, , value] of (match[1] || '').matchAll(/([\w:-]+)\s*=\s*(["'])([\s\S]*?)\2/g)) {
+            attributes[name.toLowerCase()] = decodeEntities(value);
+        }
+        return attributes;
+    });
+}
+
+/**
+ * Find the first image referenced by an entry
+ */
+function findImage(entryXml, html) {
+    const media = [
+        ...getTagAttributes(entryXml, 'media:content'),
+        ...getTagAttributes(entryXml, 'media:thumbnail')
+    ].find(attrs => attrs.url && (!attrs.medium || attrs.medium === 'image'));
+    if (media) return media.url;
+
+    const enclosure = getTagAttributes(entryXml, 'enclosure')
+        .find(attrs => attrs.url && (attrs.type || '').startsWith('image/'));
+    if (enclosure) return enclosure.url;
+
+    const inline = (html || '').match(/<img[^>]+src=["']([^"']+)["']/i);
+    return inline ? decodeEntities(inline[1]) : '';
+}
+
+/**
+ * Parse a date string, falling back to now when it is missing or invalid
+ */
+function parseDate(value) {
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date.getTime()) ? date : new Date();
+}
+
+const rssFeedService = {
+    /**
+     * Parse an RSS 2.0 or Atom document
+     *
+     * @param {string} xml - Raw feed document
+     * @returns {{title: string, format: 'rss'|'atom', entries: Object[]}}
+     */
+    parseFeed: (xml) => {
+        if (!xml || typeof xml !== 'string') {
+            throw new Error('Feed body is empty');
+        }
+
+        // Atom: <feed> root with <entry> children
+        if (/<feed[\s>]/i.test(xml) && /<entry[\s>]/i.test(xml)) {
+            const feedTitle = getElementText(xml.split(/<entry[\s>]/i)[0], 'title');
+
+            const entries = getElements(xml, 'entry').map(entryXml => {
+                const links = getTagAttributes(entryXml, 'link');
+                const link = links.find(attrs => !attrs.rel || attrs.rel === 'alternate') || links[0] || {};
+                const contentHtml = getElementText(entryXml, 'content');
+                const summaryHtml = getElementText(entryXml, 'summary');
+
+                return {
+                    title: stripHtml(getElementText(entryXml, 'title')),
+                    link: link.href || '',
+                    guid: getElementText(entryXml, 'id'),
+                    description: stripHtml(summaryHtml),
+                    content: stripHtml(contentHtml),
+                    author: getElementText(getElements(entryXml, 'author')[0] || '', 'name'),
+                    published: getElementText(entryXml, 'published') || getElementText(entryXml, 'updated'),
+                    categories: getTagAttributes(entryXml, 'category').map(attrs => attrs.term || attrs.label).filter(Boolean),
+                    imageUrl: findImage(entryXml, contentHtml || summaryHtml)
+                };
+            });
+
+            return { title: feedTitle, format: 'atom', entries };
+        }
+
+        // RSS 2.0: <rss><channel> with <item> children
+        if (/<(rss|rdf:RDF)[\s>]/i.test(xml) || /<channel[\s>]/i.test(xml)) {
+            const channelHead = xml.split(/<item[\s>]/i)[0];
+            const feedTitle = getElementText(channelHead, 'title');
+
+            const entries = getElements(xml, 'item').map(itemXml => {
+                const descriptionHtml = getElementText(itemXml, 'description');
+                const contentHtml = getElementText(itemXml, 'content:encoded');
+
+                return {
+                    title: stripHtml(getElementText(itemXml, 'title')),
+                    link: getElementText(itemXml, 'link'),
+                    guid: getElementText(itemXml, 'guid'),
+                    description: stripHtml(descriptionHtml),
+                    content: stripHtml(contentHtml),
+                    author: getElementText(itemXml, 'dc:creator') || getElementText(itemXml, 'author'),
+                    published: getElementText(itemXml, 'pubDate') || getElementText(itemXml, 'dc:date'),
+                    categories: getElements(itemXml, 'category').map(readText).filter(Boolean),
+                    imageUrl: findImage(itemXml, contentHtml || descriptionHtml)
+                };
+            });
+
+            return { title: feedTitle, format: 'rss', entries };
+        }
+
+        throw new Error('Unrecognized feed format (expected RSS 2.0 or Atom)');
+    },
+
+    /**
+     * Map feed categories to our category, like mapNYTSection
+     */
+    mapFeedCategory: (categories = [], defaultCategory = 'general') => {
+        for (const label of categories) {
+            const normalized = String(label).toLowerCase().trim();
+            if (CATEGORY_MAPPING[normalized]) return CATEGORY_MAPPING[normalized];
+
+            // Hierarchical labels such as "News/Technology" or "world > business"
+            const parts = normalized.split(/[/>|,]+/).map(p => p.trim());
+            const mapped = parts.map(p => CATEGORY_MAPPING[p]).find(Boolean);
+            if (mapped) return mapped;
+        }
+        return defaultCategory;
+    },
+
+    /**
+     * Normalize a parsed entry into the article shape saveArticles expects
+     */
+    normalizeEntry: (entry, feed) => {
+        const source = feed.sourceName || feed.title || 'RSS';
+        const description = (entry.description || entry.content || '').substring(0, 1000);
+
+        return {
+            id: crypto.createHash('md5').update(entry.title + source).digest('hex'),
+            title: entry.title,
+            description,
+            content: entry.content || entry.description || '',
+            imageUrl: entry.imageUrl || '',
+            source,
+            author: entry.author || 'Unknown',
+            publishedAt: parseDate(entry.published),
+            url: entry.link || (/^https?:\/\//.test(entry.guid) ? entry.guid : ''),
+            category: rssFeedService.mapFeedCategory(entry.categories, feed.defaultCategory || 'general')
+        };
+    },
+
+    /**
+     * Fetch a single feed with conditional GET
+     *
+     * @param {Object} feed - Feed definition
+     * @param {string} feed.url - http(s):// or file:// URL
+     * @param {string} [feed.sourceName] - Overrides the feed's own title
+     * @param {string} [feed.defaultCategory] - Category when entries carry none we know
+     * @param {Object} [validators] - { etag, lastModified } from a previous poll
+     * @param {Object} [options] - { allowFile: read file:// URLs from disk (tests and scripts only) }
+     * @returns {Promise<{articles: Object[], notModified: boolean, etag: string|null, lastModified: string|null}>}
+     */
+    fetchFeed: async (feed, validators = validatorCache.get(feed.url) || {}, { allowFile = false } = {}) => {
+        let body;
+        let etag = null;
+        let lastModified = null;
+
+        if (feed.url.startsWith('file://')) {
+            if (!allowFile) {
+                throw new Error(`file:// feeds are not allowed here: ${feed.url}`);
+            }
+            body = await fs.promises.readFile(fileURLToPath(feed.url), 'utf8');
+        } else if (!/^https?:\/\//i.test(feed.url)) {
+            throw new Error(`Unsupported feed URL (expected http(s)): ${feed.url}`);
+        } else {
+            const headers = {
+                'Accept': 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.8',
+                'User-Agent': 'NewslettBot/1.0 (+https://github.com/NexoraNext/newslett-server)'
+            };
+            if (validators.etag) headers['If-None-Match'] = validators.etag;
+            if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+
+            const response = await axios.get(feed.url, {
+                headers,
+                timeout: FEED_TIMEOUT,
+                responseType: 'text',
+                validateStatus: status => (status >= 200 && status < 300) || status === 304
+            });
+
+            etag = response.headers.etag || null;
+            lastModified = response.headers['last-modified'] || null;
+
+            if (response.status === 304) {
+                logger.debug(`Feed not modified: ${feed.url}`);
+                return { articles: [], notModified: true, etag: validators.etag || null, lastModified: validators.lastModified || null };
+            }
+
+            body = response.data;
+        }
+
+        const parsed = rssFeedService.parseFeed(body);
+
+        const articles = parsed.entries
+            .slice(0, MAX_ENTRIES_PER_FEED)
+            .map(entry => rssFeedService.normalizeEntry(entry, { ...feed, title: parsed.title }))
+            .filter(article => article.title && article.url);
+
+        if (etag || lastModified) {
+            validatorCache.set(feed.url, { etag, lastModified });
+        }
+
+        logger.info(`Fetched ${articles.length} articles from ${parsed.format.toUpperCase()} feed ${feed.sourceName || parsed.title || feed.url}`);
+
+        return { articles, notModified: false, etag, lastModified };
+    },
+
+    /**
+     * Parse the RSS_FEEDS environment variable
+     *
+     * Comma-separated entries of the form `url` or `Source Name|url|category`
+     */
+    getConfiguredFeeds: () => {
+        return (process.env.RSS_FEEDS || '')
+            .split(',')
+            .map(entry => entry.trim())
+            .filter(Boolean)
+            .map(entry => {
+                const parts = entry.split('|').map(p => p.trim());
+                if (parts.length === 1) return { url: parts[0] };
+
+                const [sourceName, url, defaultCategory] = parts;
+                return { url, sourceName: sourceName || undefined, defaultCategory: defaultCategory || undefined };
+            });
+    },
+
+    /**
+     * Fetch every configured feed, tolerating individual failures
+     * Feeds come from RSS_FEEDS or the caller, so file:// fixtures are allowed here
+     */
+    fetchAll: async (feeds = rssFeedService.getConfiguredFeeds()) => {
+        const results = await Promise.allSettled(feeds.map(feed =>
+            rssFeedService.fetchFeed(feed, validatorCache.get(feed.url) || {}, { allowFile: true })
+        ));
+
+        return results.flatMap((result, i) => {
+            if (result.status === 'fulfilled') return result.value.articles;
+
+            logger.error(`Failed to fetch feed ${feeds[i].url}`, result.reason);
+            return [];
+        });
+    },
+
+    /**
+     * Forget stored ETag / Last-Modified validators
+     */
+    clearValidators: () => {
+        validatorCache.clear();
+    }
+};
+
+module.exports = rssFeedService;
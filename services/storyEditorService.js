@@ -0,0 +1,263 @@
+const mongoose = require('mongoose');
+const Story = require('../models/Story');
+const StorySource = require('../models/StorySource');
+const StoryAuditLog = require('../models/StoryAuditLog');
+const News = require('../models/News');
+const clusteringService = require('./clusteringService');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../middleware/logger');
+const { storyProvenance } = require('../utils/provenance');
+
+/**
+ * Run the multi-document part of an edit in a transaction, so stories, links
+ * and the audit log change together or not at all (needs a replica set, as on
+ * Atlas). Derived stats are recalculated after commit; they can always be rebuilt.
+ */
+async function inTransaction(fn) {
+    let result;
+    await mongoose.connection.transaction(async (session) => {
+        result = await fn(session);
+    });
+    return result;
+}
+
+/**
+ * Story Editor Service
+ * Editorial corrections to clusters: merge, split and undo.
+ * Every operation is written to StoryAuditLog with the state needed to reverse it.
+ */
+const storyEditorService = {
+    /**
+     * Merge `sourceStoryId` into `targetStoryId`
+     * All source links move to the target and the source story is deleted.
+     */
+    async mergeStories(targetStoryId, sourceStoryId, { performedBy = null, reason = '' } = {}) {
+        if (String(targetStoryId) === String(sourceStoryId)) {
+            throw new AppError('Cannot merge a story into itself', 400);
+        }
+
+        const { target, source, links, audit } = await inTransaction(async (session) => {
+            // One operation at a time: a transaction's session is not for parallel use
+            const target = await Story.findById(targetStoryId).session(session);
+            const source = await Story.findById(sourceStoryId).select('+centroidEmbedding').session(session);
+
+            if (!target) throw new AppError('Target story not found', 404);
+            if (!source) throw new AppError('Source story not found', 404);
+
+            const links = await StorySource.find({ storyId: source._id }).session(session);
+
+            const [audit] = await StoryAuditLog.create([{
+                action: 'merge',
+                storyIds: [target._id, source._id],
+                performedBy,
+                reason,
+                before: {
+                    deletedStories: [source.toObject({ virtuals: false })],
+                    // Target fields the merge changes
+                    updatedStories: [{ storyId: target._id, fields: { firstSeen: target.firstSeen } }],
+                    links: links.map(link => ({
+                        storySourceId: link._id,
+                        storyId: link.storyId,
+                        isPrimary: link.isPrimary
+                    }))
+                }
+            }], { session });
+
+            await StorySource.updateMany(
+                { storyId: source._id },
+                { $set: { storyId: target._id, isPrimary: false } },
+                { session }
+            );
+
+            // The merged story covers the earliest coverage of either
+            if (source.firstSeen < target.firstSeen) {
+                target.firstSeen = source.firstSeen;
+                await target.save({ session });
+            }
+
+            await Story.deleteOne({ _id: source._id }, { session });
+
+            return { target, source, links, audit };
+        });
+
+        const merged = await clusteringService.recalculateStoryStats(target._id);
+
+        logger.info(`Merged story "${source.canonicalTitle}" into "${target.canonicalTitle}" (${links.length} sources moved)`);
+
+        return { story: merged, audit };
+    },
+
+    /**
+     * Split selected StorySource links out of a story into a new story
+     */
+    async splitStory(storyId, storySourceIds = [], { performedBy = null, reason = '' } = {}) {
+        if (!Array.isArray(storySourceIds) || storySourceIds.length === 0) {
+            throw new AppError('storySourceIds must be a non-empty array', 400);
+        }
+
+        const { story, newStory, selected, audit } = await inTransaction(async (session) => {
+            const story = await Story.findById(storyId).session(session);
+            if (!story) throw new AppError('Story not found', 404);
+
+            const allLinks = await StorySource.find({ storyId: story._id }).session(session);
+            const selected = allLinks.filter(link => storySourceIds.map(String).includes(String(link._id)));
+
+            if (selected.length !== storySourceIds.length) {
+                throw new AppError('Some storySourceIds do not belong to this story', 400);
+            }
+            if (selected.length === allLinks.length) {
+                throw new AppError('Cannot split out every source; at least one must remain', 400);
+            }
+
+            // The most credible (then earliest) selected source anchors the new story
+            const anchor = [...selected].sort((a, b) =>
+                b.credibilityScore - a.credibilityScore || new Date(a.publishedAt) - new Date(b.publishedAt)
+            )[0];
+            const anchorArticle = await News.findById(anchor.articleId).session(session).lean();
+
+            const [newStory] = await Story.create([{
+                canonicalTitle: anchor.originalHeadline || anchorArticle?.title || story.canonicalTitle,
+                summary: anchorArticle?.summary || '',
+                whyThisMatters: anchorArticle?.whyThisMatters || '',
+                mood: anchorArticle?.mood || story.mood,
+                aiProvenance: storyProvenance(anchorArticle),
+                category: anchorArticle?.category || story.category,
+                imageUrl: anchorArticle?.imageUrl || '',
+                contentType: story.contentType,
+                firstSeen: selected.reduce((min, link) => (link.publishedAt < min ? link.publishedAt : min), anchor.publishedAt),
+                lastUpdated: new Date()
+            }], { session });
+
+            const [audit] = await StoryAuditLog.create([{
+                action: 'split',
+                storyIds: [story._id, newStory._id],
+                performedBy,
+                reason,
+                before: {
+                    createdStoryId: newStory._id,
+                    links: selected.map(link => ({
+                        storySourceId: link._id,
+                        storyId: link.storyId,
+                        isPrimary: link.isPrimary
+                    }))
+                }
+            }], { session });
+
+            await StorySource.updateMany(
+                { _id: { $in: selected.map(link => link._id) } },
+                { $set: { storyId: newStory._id, isPrimary: false } },
+                { session }
+            );
+            await StorySource.updateOne({ _id: anchor._id }, { $set: { isPrimary: true } }, { session });
+
+            return { story, newStory, selected, audit };
+        });
+
+        const [original, created] = await Promise.all([
+            clusteringService.recalculateStoryStats(story._id),
+            clusteringService.recalculateStoryStats(newStory._id)
+        ]);
+
+        logger.info(`Split ${selected.length} sources out of "${story.canonicalTitle}" into "${newStory.canonicalTitle}"`);
+
+        return { story: original, newStory: created, audit };
+    },
+
+    /**
+     * Reverse a merge or split
+     * Refuses when a later, still-active operation touched the same stories.
+     */
+    async undo(auditId, { performedBy = null } = {}) {
+        const { entry, touchedStoryIds, undoEntry } = await inTransaction(async (session) => {
+            const entry = await StoryAuditLog.findById(auditId).session(session);
+
+            if (!entry) throw new AppError('Audit entry not found', 404);
+            if (entry.action === 'undo') throw new AppError('Undo entries cannot be undone', 400);
+            if (entry.undoneAt) throw new AppError('Operation has already been undone', 409);
+
+            const laterEdit = await StoryAuditLog.findOne({
+                _id: { $ne: entry._id },
+                action: { $ne: 'undo' },
+                storyIds: { $in: entry.storyIds },
+                createdAt: { $gt: entry.createdAt },
+                undoneAt: null
+            }).session(session);
+
+            if (laterEdit) {
+                throw new AppError('A later edit touched these stories; undo it first', 409, { auditId: laterEdit._id });
+            }
+
+            if (entry.action === 'merge') {
+                // Recreate the deleted story with its original _id
+                for (const snapshot of entry.before.deletedStories) {
+                    await Story.collection.insertOne(snapshot, { session });
+                }
+            }
+
+            // Put back fields the operation changed on surviving stories
+            for (const { storyId, fields } of entry.before.updatedStories || []) {
+                await Story.updateOne({ _id: storyId }, { $set: fields }, { session });
+            }
+
+            // Move every recorded link back where it was
+            for (const link of entry.before.links) {
+                await StorySource.updateOne(
+                    { _id: link.storySourceId },
+                    { $set: { storyId: link.storyId, isPrimary: link.isPrimary } },
+                    { session }
+                );
+            }
+
+            let touchedStoryIds = entry.storyIds;
+
+            if (entry.action === 'split' && entry.before.createdStoryId) {
+                // Links the split story picked up since then follow it back into the original
+                const originalId = entry.before.links[0]?.storyId;
+                await StorySource.updateMany(
+                    { storyId: entry.before.createdStoryId },
+                    { $set: { storyId: originalId, isPrimary: false } },
+                    { session }
+                );
+                await Story.deleteOne({ _id: entry.before.createdStoryId }, { session });
+                touchedStoryIds = [originalId];
+            }
+
+            entry.undoneAt = new Date();
+            entry.undoneBy = performedBy;
+            await entry.save({ session });
+
+            const [undoEntry] = await StoryAuditLog.create([{
+                action: 'undo',
+                storyIds: entry.storyIds,
+                performedBy,
+                undoOf: entry._id
+            }], { session });
+
+            return { entry, touchedStoryIds, undoEntry };
+        });
+
+        const stories = [];
+        for (const id of touchedStoryIds) {
+            stories.push(await clusteringService.recalculateStoryStats(id));
+        }
+
+        logger.info(`Undid story ${entry.action} ${entry._id}`);
+
+        return { stories: stories.filter(Boolean), audit: undoEntry };
+    },
+
+    /**
+     * List audit entries, newest first
+     */
+    async getAuditLog({ storyId, limit = 50 } = {}) {
+        const query = storyId ? { storyIds: storyId } : {};
+
+        return StoryAuditLog.find(query)
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .populate('performedBy', 'name email')
+            .lean();
+    }
+};
+
+module.exports = storyEditorService;
@@ -0,0 +1,209 @@
+const Story = require('../models/Story');
+const StorySource = require('../models/StorySource');
+const { logger } = require('../middleware/logger');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Story Lifecycle Service
+ * Moves stories through emerging → developing → mature → dormant → archived
+ * based on how fast new sources are joining them.
+ *
+ * - emerging:   young story, only a couple of sources so far
+ * - developing: sources still arriving quickly (INFLOW_WINDOW_HOURS)
+ * - mature:     coverage has slowed but not stopped
+ * - dormant:    no new source for DORMANT_AFTER_HOURS
+ * - archived:   dormant for ARCHIVE_AFTER_HOURS; out of the hot feed and matching
+ */
+const storyLifecycleService = {
+    // Window used to measure inflow rate
+    INFLOW_WINDOW_HOURS: parseInt(process.env.LIFECYCLE_INFLOW_WINDOW_HOURS) || 6,
+
+    // New links within the window that keep a story "developing"
+    DEVELOPING_MIN_INFLOW: 2,
+
+    // Stories younger than this with few sources are "emerging"
+    EMERGING_MAX_AGE_HOURS: 6,
+    EMERGING_MAX_SOURCES: 2,
+
+    // No new sources for this long → dormant
+    DORMANT_AFTER_HOURS: parseInt(process.env.LIFECYCLE_DORMANT_AFTER_HOURS) || 24,
+
+    // Dormant for this long → archived
+    ARCHIVE_AFTER_HOURS: parseInt(process.env.LIFECYCLE_ARCHIVE_AFTER_HOURS) || 48,
+
+    // Stories loaded per sweep batch
+    SWEEP_BATCH_SIZE: parseInt(process.env.LIFECYCLE_SWEEP_BATCH_SIZE) || 500,
+
+    /**
+     * Decide the lifecycle state for a story
+     *
+     * @param {Object} story - Story document (needs firstSeen, sourceCount, lifecycleState, lifecycleChangedAt)
+     * @param {Object} inflow
+     * @param {number} inflow.recent - Links added within INFLOW_WINDOW_HOURS
+     * @param {Date} [inflow.lastAddedAt] - When the newest link was added
+     * @param {Date} [now]
+     * @returns {string} Lifecycle state
+     */
+    classify(story, { recent = 0, lastAddedAt = null } = {}, now = new Date()) {
+        const hoursSince = (date) => (now - new Date(date)) / HOUR;
+
+        const lastActivity = lastAddedAt || story.lastUpdated || story.firstSeen;
+        const idleHours = hoursSince(lastActivity);
+
+        if (idleHours >= this.DORMANT_AFTER_HOURS) {
+            // Archive once a story has sat dormant long enough
+            if (story.lifecycleState === 'archived') return 'archived';
+            if (story.lifecycleState === 'dormant' &&
+                hoursSince(story.lifecycleChangedAt || lastActivity) >= this.ARCHIVE_AFTER_HOURS) {
+                return 'archived';
+            }
+            return 'dormant';
+        }
+
+        if (hoursSince(story.firstSeen) < this.EMERGING_MAX_AGE_HOURS &&
+            (story.sourceCount || 1) <= this.EMERGING_MAX_SOURCES) {
+            return 'emerging';
+        }
+
+        if (recent >= this.DEVELOPING_MIN_INFLOW) {
+            return 'developing';
+        }
+
+        return 'mature';
+    },
+
+    /**
+     * Inflow stats for a set of stories, keyed by story id
+     */
+    async getInflow(storyIds, now = new Date()) {
+        const windowStart = new Date(now - this.INFLOW_WINDOW_HOURS * HOUR);
+
+        const rows = await StorySource.aggregate([
+            { $match: { storyId: { $in: storyIds } } },
+            {
+                $group: {
+                    _id: '$storyId',
+                    recent: { $sum: { $cond: [{ $gte: ['$createdAt', windowStart] }, 1, 0] } },
+                    lastAddedAt: { $max: '$createdAt' }
+                }
+            }
+        ]);
+
+        return new Map(rows.map(row => [String(row._id), row]));
+    },
+
+    /**
+     * Apply a state to a story document if it changed
+     * @returns {boolean} Whether the story changed state
+     */
+    applyState(story, state, now = new Date()) {
+        if (story.lifecycleState === state) return false;
+
+        logger.debug(`Story "${story.canonicalTitle}" ${story.lifecycleState} → ${state}`);
+        story.lifecycleState = state;
+        story.lifecycleChangedAt = now;
+        return true;
+    },
+
+    /**
+     * Re-evaluate one story (called when sources join or move)
+     */
+    async evaluateStory(storyId, now = new Date()) {
+        const story = await Story.findById(storyId);
+        if (!story) return null;
+
+        const inflow = await this.getInflow([story._id], now);
+        const state = this.classify(story, inflow.get(String(story._id)), now);
+
+        if (this.applyState(story, state, now)) {
+            await story.save();
+        }
+
+        return story;
+    },
+
+    /**
+     * Re-evaluate every non-archived story
+     * Run periodically; this is what archives dormant stories.
+     * Stories are read in _id order, SWEEP_BATCH_SIZE at a time.
+     */
+    async runLifecycleSweep(now = new Date()) {
+        // Stories created before lifecycle tracking have no stored state
+        await this.backfillMissingStates(now);
+
+        const transitions = {};
+        let total = 0;
+        let updated = 0;
+        let lastId = null;
+
+        for (;;) {
+            const query = { lifecycleState: { $ne: 'archived' } };
+            if (lastId) query._id = { $gt: lastId };
+
+            const stories = await Story.find(query)
+                .sort({ _id: 1 })
+                .limit(this.SWEEP_BATCH_SIZE);
+            if (stories.length === 0) break;
+
+            const inflow = await this.getInflow(stories.map(story => story._id), now);
+
+            for (const story of stories) {
+                const previous = story.lifecycleState;
+                const state = this.classify(story, inflow.get(String(story._id)), now);
+
+                if (this.applyState(story, state, now)) {
+                    await story.save();
+                    updated++;
+
+                    const key = `${previous}→${state}`;
+                    transitions[key] = (transitions[key] || 0) + 1;
+                }
+            }
+
+            total += stories.length;
+            lastId = stories[stories.length - 1]._id;
+            if (stories.length < this.SWEEP_BATCH_SIZE) break;
+        }
+
+        const archived = Object.entries(transitions)
+            .filter(([key]) => key.endsWith('→archived'))
+            .reduce((sum, [, count]) => sum + count, 0);
+
+        logger.info(`Lifecycle sweep: ${updated} of ${total} stories changed state (${archived} archived)`);
+
+        return { total, updated, archived, transitions };
+    },
+
+    /**
+     * Store the default state on stories saved before lifecycle tracking
+     * @returns {number} Stories backfilled
+     */
+    async backfillMissingStates(now = new Date()) {
+        const result = await Story.updateMany(
+            { lifecycleState: { $exists: false } },
+            { $set: { lifecycleState: Story.DEFAULT_LIFECYCLE_STATE, lifecycleChangedAt: now } }
+        );
+
+        if (result.modifiedCount) {
+            logger.info(`Lifecycle sweep: backfilled state on ${result.modifiedCount} stories`);
+        }
+        return result.modifiedCount || 0;
+    },
+
+    /**
+     * Story counts per lifecycle state
+     */
+    async getStateCounts() {
+        const rows = await Story.aggregate([
+            { $group: { _id: '$lifecycleState', count: { $sum: 1 } } }
+        ]);
+
+        return Story.LIFECYCLE_STATES.reduce((acc, state) => {
+            acc[state] = rows.find(row => row._id === state)?.count || 0;
+            return acc;
+        }, {});
+    }
+};
+
+module.exports = storyLifecycleService;
@@ -0,0 +1,314 @@
+// Subscriber Service
+// Email-only newsletter subscriptions: double opt-in sign-up, signed links to
+// confirm, manage and unsubscribe, and the bounce/complaint suppression list.
+const crypto = require('crypto');
+const Subscriber = require('../models/Subscriber');
+const User = require('../models/User');
+const mailService = require('./mailService');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../middleware/logger');
+
+const TOKEN_SECRET = process.env.NEWSLETTER_TOKEN_SECRET || process.env.JWT_SECRET || 'newslett-secret-key-change-in-production';
+
+// One-click unsubscribe (RFC 8058) must POST to the API itself
+const API_URL = (process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+const APP_URL = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+// Confirmation links expire; manage/unsubscribe links in sent emails do not
+const CONFIRM_TOKEN_TTL_HOURS = 72;
+// A pending address gets at most one confirmation email in this window
+const CONFIRM_RESEND_MINUTES = 10;
+
+const EDITABLE_FIELDS = ['categories', 'frequency', 'timezone', 'deliveryHour'];
+
+// ======================
+// SIGNED TOKENS
+// ======================
+// <payload>.<signature>, both base64url. The payload names the recipient
+// (kind 's' = subscriber, 'u' = app user), the purpose and an optional expiry.
+
+const signature = (body) => crypto.createHmac('sha256', TOKEN_SECRET).update(body).digest('base64url');
+
+function createToken(kind, id, purpose, ttlHours = null) {
+    const payload = { k: kind, id: String(id), p: purpose };
+    if (ttlHours) payload.exp = Math.floor(Date.now() / 1000) + ttlHours * 3600;
+
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${body}.${signature(body)}`;
+}
+
+/**
+ * Check a token's signature, purpose and expiry
+ * @returns {{kind: string, id: string}}
+ */
+function verifyToken(token, purpose) {
+    const invalid = new AppError('This link is invalid or has expired', 400);
+    const [body, sig] = String(token || '').split('.');
+    if (!body || !sig) throw invalid;
+
+    const expected = Buffer.from(signature(body));
+    const received = Buffer.from(sig);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) throw invalid;
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw invalid;
+    }
+
+    if (payload.p !== purpose) throw invalid;
+    if (payload.exp && payload.exp < Date.now() / 1000) throw invalid;
+
+    return { kind: payload.k, id: payload.id };
+}
+
+/**
+ * Links placed in every newsletter for a recipient
+ * @param {'subscriber'|'user'} kind
+ */
+function linksFor(kind, id) {
+    const token = createToken(kind === 'user' ? 'u' : 's', id, 'manage');
+    return {
+        unsubscribe: `${API_URL}/api/newsletter/unsubscribe?token=${token}`,
+        manage: kind === 'user'
+            ? `${APP_URL}/settings/newsletter`
+            : `${APP_URL}/newsletter/manage?token=${token}`
+    };
+}
+
+/**
+ * RFC 2369 / RFC 8058 headers so mail clients can offer one-click unsubscribe
+ */
+function listUnsubscribeHeaders(links) {
+    return {
+        'List-Unsubscribe': `<${links.unsubscribe}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    };
+}
+
+// ======================
+// SUBSCRIPTIONS
+// ======================
+
+function applyPreferences(subscriber, input) {
+    for (const field of EDITABLE_FIELDS) {
+        if (input[field] !== undefined) subscriber[field] = input[field];
+    }
+}
+
+async function sendConfirmation(subscriber) {
+    const url = `${API_URL}/api/newsletter/confirm?token=${createToken('s', subscriber._id, 'confirm', CONFIRM_TOKEN_TTL_HOURS)}`;
+
+    await mailService.send({
+        to: subscriber.email,
+        subject: 'Confirm your Newslett subscription',
+        text: [
+            'Please confirm that you want to receive the Newslett brief:',
+            '',
+            url,
+            '',
+            `This link expires in ${CONFIRM_TOKEN_TTL_HOURS} hours. If you did not sign up, ignore this email and nothing will be sent.`
+        ].join('\n'),
+        html: `<div style="font-family:Georgia,'Times New Roman',serif;max-width:520px;margin:0 auto;padding:24px;color:#333">
+  <p style="font-size:16px">Please confirm that you want to receive the Newslett brief.</p>
+  <p><a href="${url}" style="display:inline-block;padding:10px 18px;background:#6b8f71;color:#ffffff;text-decoration:none;border-radius:4px">Confirm subscription</a></p>
+  <p style="font-size:13px;color:#7a7a7a">This link expires in ${CONFIRM_TOKEN_TTL_HOURS} hours. If you did not sign up, ignore this email and nothing will be sent.</p>
+</div>`
+    });
+}
+
+/**
+ * Start a subscription (double opt-in)
+ * The caller always gets the same answer, so the endpoint does not reveal
+ * which addresses are subscribed. Active and suppressed addresses are left
+ * untouched and are not mailed.
+ *
+ * @param {Object} input - { email, categories, frequency, timezone, deliveryHour, source }
+ * @returns {Promise<{subscriber: Object, confirmationSent: boolean}>}
+ */
+async function subscribe(input) {
+    const email = String(input.email || '').trim().toLowerCase();
+    if (!email) {
+        throw new AppError('Email is required', 400);
+    }
+
+    let subscriber = await Subscriber.findOne({ email });
+    if (subscriber && (subscriber.status === 'active' || subscriber.suppression?.reason)) {
+        return { subscriber, confirmationSent: false };
+    }
+
+    if (!subscriber) {
+        subscriber = new Subscriber({ email, source: input.source || null });
+    }
+    applyPreferences(subscriber, input);
+    subscriber.status = 'pending';
+
+    const now = new Date();
+    const recentlySent = subscriber.confirmationSentAt &&
+        now - subscriber.confirmationSentAt < CONFIRM_RESEND_MINUTES * 60 * 1000;
+
+    await subscriber.validate();
+    if (!recentlySent) {
+        await sendConfirmation(subscriber);
+        subscriber.confirmationSentAt = now;
+    }
+    await subscriber.save();
+
+    return { subscriber, confirmationSent: !recentlySent };
+}
+
+/**
+ * Follow a confirmation link
+ */
+async function confirm(token) {
+    const { kind, id } = verifyToken(token, 'confirm');
+    const subscriber = kind === 's' ? await Subscriber.findById(id) : null;
+
+    if (!subscriber || subscriber.status === 'unsubscribed') {
+        throw new AppError('This link is invalid or has expired', 400);
+    }
+
+    if (subscriber.status === 'pending') {
+        subscriber.status = 'active';
+        subscriber.confirmedAt = new Date();
+        await subscriber.save();
+        logger.info(`Newsletter subscriber confirmed: ${subscriber.email}`);
+    }
+
+    return subscriber;
+}
+
+async function subscriberFromManageToken(token) {
+    const { kind, id } = verifyToken(token, 'manage');
+    if (kind !== 's') {
+        throw new AppError('Newsletter settings for app accounts are managed in the app', 400);
+    }
+
+    const subscriber = await Subscriber.findById(id);
+    if (!subscriber) {
+        throw new AppError('Subscription not found', 404);
+    }
+    return subscriber;
+}
+
+/**
+ * Change categories, frequency or delivery time from a manage link
+ */
+async function updateSubscription(token, input) {
+    const subscriber = await subscriberFromManageToken(token);
+    applyPreferences(subscriber, input);
+    await subscriber.save();
+    return subscriber;
+}
+
+/**
+ * Unsubscribe from a newsletter link (subscriber or app user)
+ *
+ * @param {string} token - Manage token from the email
+ * @param {Object} [options]
+ * @param {string} [options.source] - 'one_click' (RFC 8058 POST) or 'link'
+ * @returns {Promise<{email: string}>}
+ */
+async function unsubscribe(token, { source = 'link' } = {}) {
+    const { kind, id } = verifyToken(token, 'manage');
+
+    if (kind === 'u') {
+        const user = await User.findByIdAndUpdate(id, { $set: { 'newsletter.enabled': false } }, { new: true });
+        if (!user) throw new AppError('Subscription not found', 404);
+        return { email: user.email };
+    }
+
+    const subscriber = await Subscriber.findById(id);
+    if (!subscriber) throw new AppError('Subscription not found', 404);
+
+    if (subscriber.status !== 'unsubscribed') {
+        subscriber.status = 'unsubscribed';
+        subscriber.unsubscribedAt = new Date();
+        subscriber.unsubscribeSource = source;
+        await subscriber.save();
+        logger.info(`Newsletter subscriber left (${source}): ${subscriber.email}`);
+    }
+
+    return { email: subscriber.email };
+}
+
+// ======================
+// SUPPRESSION LIST
+// ======================
+
+/**
+ * Stop all mail to an address after a hard bounce or spam complaint
+ * Addresses that never subscribed (e.g. app users) are recorded too, so
+ * every newsletter send can check one list.
+ *
+ * @param {string} email
+ * @param {'bounce'|'complaint'} reason
+ * @param {string} [detail] - Provider diagnostic
+ */
+async function suppress(email, reason, detail = null) {
+    if (!['bounce', 'complaint'].includes(reason)) {
+        throw new AppError('Reason must be bounce or complaint', 400);
+    }
+
+    const now = new Date();
+    const update = { $set: { suppression: { reason, detail, at: now } } };
+
+    // A complaint also ends the subscription; a bounce only pauses delivery
+    if (reason === 'complaint') {
+        Object.assign(update.$set, { status: 'unsubscribed', unsubscribedAt: now, unsubscribeSource: 'complaint' });
+    } else {
+        update.$setOnInsert = { status: 'unsubscribed' };
+    }
+
+    const subscriber = await Subscriber.findOneAndUpdate(
+        { email: String(email || '').trim().toLowerCase() },
+        update,
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    logger.warn(`Suppressed ${subscriber.email} (${reason})`);
+    return subscriber;
+}
+
+async function unsuppress(email) {
+    const subscriber = await Subscriber.findOneAndUpdate(
+        { email: String(email || '').trim().toLowerCase() },
+        { $set: { suppression: { reason: null, detail: null, at: null } } },
+        { new: true }
+    );
+    if (!subscriber) {
+        throw new AppError('Address not found', 404);
+    }
+    return subscriber;
+}
+
+/**
+ * Public view of a subscription (manage page)
+ */
+function toPublic(subscriber) {
+    return {
+        email: subscriber.email,
+        status: subscriber.status,
+        categories: subscriber.categories,
+        frequency: subscriber.frequency,
+        timezone: subscriber.timezone,
+        deliveryHour: subscriber.deliveryHour,
+        availableCategories: User.NEWS_CATEGORIES
+    };
+}
+
+module.exports = {
+    createToken,
+    verifyToken,
+    linksFor,
+    listUnsubscribeHeaders,
+    subscribe,
+    confirm,
+    getSubscription: subscriberFromManageToken,
+    updateSubscription,
+    unsubscribe,
+    suppress,
+    unsuppress,
+    toPublic
+};
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const articleExtractionService = require('../articleExtractionService');
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+const SNIPPET = 'Rivers across the region rose sharply on Monday… [+1843 chars]';
+
+describe('articleExtractionService', () => {
+    const savedSwitch = process.env.ENABLE_FULLTEXT_EXTRACTION;
+
+    beforeEach(() => {
+        process.env.ENABLE_FULLTEXT_EXTRACTION = 'true';
+    });
+
+    afterEach(() => {
+        process.env.ENABLE_FULLTEXT_EXTRACTION = savedSwitch;
+        jest.restoreAllMocks();
+    });
+
+    describe('extractFromHtml', () => {
+        it('keeps the article paragraphs and drops navigation, related links and bylines', () => {
+            const { text, method } = articleExtractionService.extractFromHtml(readFixture('sample-article.html'));
+
+            expect(method).toBe('readability');
+            expect(text.split('\n\n')).toEqual([
+                'Rivers across the region rose sharply on Monday, after the heaviest week of monsoon rain in forty years.',
+                'Officials opened the upstream dams in stages, and the water board said levels would peak by Wednesday evening.',
+                'Farmers in the low-lying districts moved livestock to higher ground, while schools stayed open & buses ran to schedule.'
+            ]);
+        });
+
+        it('prefers a JSON-LD articleBody', () => {
+            const body = 'The publisher supplied this body. '.repeat(10).trim();
+            const html = `<script type="application/ld+json">${JSON.stringify({ '@graph': [{ '@type': 'NewsArticle', articleBody: body }] })}</script>`
+                + readFixture('sample-article.html');
+
+            expect(articleExtractionService.extractFromHtml(html)).toEqual({ text: body, method: 'json-ld' });
+        });
+
+        it('falls back to the meta description, then to nothing', () => {
+            const html = '<html><head><meta property="og:description" content="Short &amp; sweet."></head><body><p>Too short.</p></body></html>';
+
+            expect(articleExtractionService.extractFromHtml(html)).toEqual({ text: 'Short & sweet.', method: 'meta-description' });
+            expect(articleExtractionService.extractFromHtml('<p>nothing here</p>')).toEqual({ text: null, method: 'none' });
+        });
+    });
+
+    describe('enrichArticle', () => {
+        it('does nothing when disabled globally or for the source', async () => {
+            const extract = jest.spyOn(articleExtractionService, 'extractFromUrl');
+
+            await expect(articleExtractionService.enrichArticle({ url: 'https://example.com/a', content: SNIPPET, extractFullText: false }))
+                .resolves.toEqual({ fullText: '', extractionMethod: 'disabled' });
+
+            process.env.ENABLE_FULLTEXT_EXTRACTION = 'false';
+            await expect(articleExtractionService.enrichArticle({ url: 'https://example.com/a', content: SNIPPET }))
+                .resolves.toEqual({ fullText: '', extractionMethod: 'disabled' });
+
+            expect(extract).not.toHaveBeenCalled();
+        });
+
+        it('keeps full feed content without fetching', async () => {
+            const content = 'A complete body from the feed. '.repeat(20);
+            const extract = jest.spyOn(articleExtractionService, 'extractFromUrl');
+
+            await expect(articleExtractionService.enrichArticle({ url: 'https://example.com/a', content }))
+                .resolves.toEqual({ fullText: content, extractionMethod: 'feed' });
+            expect(extract).not.toHaveBeenCalled();
+        });
+
+        it('replaces a truncated snippet with the extracted body', async () => {
+            jest.spyOn(articleExtractionService, 'extractFromUrl').mockResolvedValue({ text: 'Extracted body. '.repeat(30), method: 'readability' });
+
+            await expect(articleExtractionService.enrichArticle({ url: 'https://example.com/a', content: SNIPPET }))
+                .resolves.toMatchObject({ extractionMethod: 'readability' });
+        });
+
+        it('falls back to the snippet when extraction fails or finds less', async () => {
+            const extract = jest.spyOn(articleExtractionService, 'extractFromUrl')
+                .mockResolvedValueOnce({ text: null, method: 'none' })
+                .mockResolvedValueOnce({ text: 'Rivers rose.', method: 'meta-description' });
+
+            for (let i = 0; i < 2; i++) {
+                await expect(articleExtractionService.enrichArticle({ url: 'https://example.com/a', content: SNIPPET }))
+                    .resolves.toEqual({ fullText: '', extractionMethod: 'none' });
+            }
+            expect(extract).toHaveBeenCalledTimes(2);
+        });
+
+        it('falls back when the page may not be fetched', async () => {
+            const get = jest.spyOn(axios, 'get');
+
+            await expect(articleExtractionService.enrichArticle({ url: 'http://169.254.169.254/latest/meta-data/', content: SNIPPET }))
+                .resolves.toEqual({ fullText: '', extractionMethod: 'none' });
+            expect(get).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('fetchPage', () => {
+        it('only fetches http and https', async () => {
+            const get = jest.spyOn(axios, 'get');
+
+            await expect(articleExtractionService.fetchPage('file:///etc/passwd')).rejects.toThrow('Refusing file: URL');
+            await expect(articleExtractionService.fetchPage('ftp://example.com/a')).rejects.toThrow('Refusing ftp: URL');
+            expect(get).not.toHaveBeenCalled();
+        });
+
+        it('refuses loopback, private, link-local and metadata addresses', async () => {
+            const get = jest.spyOn(axios, 'get');
+
+            for (const url of ['http://127.0.0.1/', 'http://10.1.2.3/', 'http://192.168.0.1/', 'http://169.254.169.254/', 'http://[::1]/', 'http://[::ffff:127.0.0.1]/']) {
+                await expect(articleExtractionService.fetchPage(url)).rejects.toThrow('non-public address');
+            }
+            expect(get).not.toHaveBeenCalled();
+        });
+
+        it('refuses hostnames that resolve to a non-public address', async () => {
+            await expect(articleExtractionService.fetchPage('http://localhost:1/')).rejects.toThrow(/localhost resolves to non-public address/);
+        });
+
+        it('checks every redirect hop and caps the response size', async () => {
+            const get = jest.spyOn(axios, 'get').mockResolvedValue({
+                status: 302,
+                headers: { location: 'http://169.254.169.254/latest/meta-data/' }
+            });
+
+            await expect(articleExtractionService.fetchPage('https://example.com/a')).rejects.toThrow('non-public address 169.254.169.254');
+
+            expect(get).toHaveBeenCalledTimes(1);
+            expect(get.mock.calls[0][1]).toMatchObject({ maxRedirects: 0, maxContentLength: 5 * 1024 * 1024 });
+        });
+
+        it('follows public redirects up to a limit', async () => {
+            const get = jest.spyOn(axios, 'get')
+                .mockResolvedValueOnce({ status: 301, headers: { location: '/moved' } })
+                .mockResolvedValueOnce({ status: 200, headers: { 'content-type': 'text/html' }, data: '<p>ok</p>' });
+
+            await expect(articleExtractionService.fetchPage('https://example.com/a')).resolves.toMatchObject({ status: 200 });
+            expect(get.mock.calls[1][0]).toBe('https://example.com/moved');
+
+            get.mockResolvedValue({ status: 302, headers: { location: '/again' } });
+            await expect(articleExtractionService.fetchPage('https://example.com/a')).rejects.toThrow('More than 5 redirects');
+        });
+    });
+});
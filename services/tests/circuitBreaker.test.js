@@ -0,0 +1,80 @@
+const circuitBreaker = require('../llmProviders/circuitBreaker');
+
+const outage = (message = 'timeout') => Object.assign(new Error(message), { transient: true });
+
+describe('circuitBreaker', () => {
+    let breaker;
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+        breaker = circuitBreaker.create({ failureThreshold: 3, cooldownMs: 30000 });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('opens after consecutive outages and refuses calls', () => {
+        breaker.onFailure(outage());
+        breaker.onFailure(outage());
+        expect(breaker.allow()).toBe(true);
+
+        breaker.onFailure(outage('503 Service Unavailable'));
+
+        expect(breaker.allow()).toBe(false);
+        expect(breaker.getState()).toMatchObject({
+            state: 'open',
+            failures: 3,
+            trips: 1,
+            lastError: '503 Service Unavailable',
+            retryAt: new Date('2026-01-01T00:00:30Z')
+        });
+    });
+
+    it('resets the count on success and ignores errors that show the provider is up', () => {
+        breaker.onFailure(outage());
+        breaker.onFailure(outage());
+        breaker.onSuccess();
+        breaker.onFailure(outage());
+        breaker.onFailure(new Error('400 Bad Request'));
+        breaker.onFailure(outage());
+
+        expect(breaker.getState()).toMatchObject({ state: 'closed', failures: 1, trips: 0 });
+    });
+
+    it('lets a single probe through after the cooldown', () => {
+        for (let i = 0; i < 3; i++) breaker.onFailure(outage());
+
+        jest.advanceTimersByTime(29999);
+        expect(breaker.allow()).toBe(false);
+
+        jest.advanceTimersByTime(1);
+        expect(breaker.allow()).toBe(true);
+        expect(breaker.getState().state).toBe('half-open');
+        expect(breaker.allow()).toBe(false);
+
+        breaker.onSuccess();
+        expect(breaker.getState()).toMatchObject({ state: 'closed', failures: 0 });
+        expect(breaker.allow()).toBe(true);
+    });
+
+    it('reopens when the probe fails', () => {
+        for (let i = 0; i < 3; i++) breaker.onFailure(outage());
+        jest.advanceTimersByTime(30000);
+
+        expect(breaker.allow()).toBe(true);
+        breaker.onFailure(outage());
+
+        expect(breaker.getState()).toMatchObject({ state: 'open', trips: 2 });
+        expect(breaker.allow()).toBe(false);
+    });
+
+    it('hands back an unused probe with release()', () => {
+        for (let i = 0; i < 3; i++) breaker.onFailure(outage());
+        jest.advanceTimersByTime(30000);
+
+        expect(breaker.allow()).toBe(true);
+        breaker.release();
+        expect(breaker.allow()).toBe(true);
+    });
+});
@@ -0,0 +1,105 @@
+const News = require('../../models/News');
+const Story = require('../../models/Story');
+const clusteringService = require('../clusteringService');
+
+const normalize = (vector) => {
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return vector.map(value => value / norm);
+};
+
+/**
+ * Stub the Story.find(...).select(...).lean() chain
+ */
+function mockStories(stories) {
+    const chain = {
+        select: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue(stories)
+    };
+    jest.spyOn(Story, 'find').mockReturnValue(chain);
+    return chain;
+}
+
+describe('clusteringService embedding mode', () => {
+    const originalMode = process.env.CLUSTERING_MODE;
+
+    beforeEach(() => {
+        process.env.CLUSTERING_MODE = 'embedding';
+        clusteringService.setEmbeddingProvider(text => clusteringService.hashingEmbedding(text));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        if (originalMode === undefined) delete process.env.CLUSTERING_MODE;
+        else process.env.CLUSTERING_MODE = originalMode;
+    });
+
+    describe('hashingEmbedding', () => {
+        it('is deterministic and only uses significant words', () => {
+            const vector = clusteringService.hashingEmbedding('Parliament passes the climate bill');
+
+            expect(vector).toHaveLength(256);
+            expect(clusteringService.hashingEmbedding('parliament PASSES the climate bill!')).toEqual(vector);
+            expect(clusteringService.hashingEmbedding('a an the of').every(value => value === 0)).toBe(true);
+        });
+    });
+
+    describe('getArticleEmbedding', () => {
+        it('embeds with the injected provider and stores the vector', async () => {
+            const updateOne = jest.spyOn(News, 'updateOne').mockResolvedValue({});
+            const article = { _id: 'a1', title: 'Parliament passes the climate bill', description: 'After a long debate' };
+
+            const embedding = await clusteringService.getArticleEmbedding(article);
+
+            expect(embedding).toHaveLength(256);
+            expect(article.embedding).toBe(embedding);
+            expect(updateOne).toHaveBeenCalledWith({ _id: 'a1' }, { embedding });
+        });
+
+        it('reuses an existing embedding without calling the provider', async () => {
+            const provider = jest.fn();
+            clusteringService.setEmbeddingProvider(provider);
+
+            await expect(clusteringService.getArticleEmbedding({ embedding: [1, 0] })).resolves.toEqual([1, 0]);
+            expect(provider).not.toHaveBeenCalled();
+        });
+
+        it('returns null when the provider fails, so clustering falls back to titles', async () => {
+            clusteringService.setEmbeddingProvider(async () => {
+                throw new Error('provider down');
+            });
+
+            await expect(clusteringService.getArticleEmbedding({ title: 'Anything' })).resolves.toBeNull();
+        });
+    });
+
+    describe('findMatchingStory', () => {
+        it('matches on centroid cosine similarity', async () => {
+            const text = 'Parliament passes the landmark climate bill after marathon debate';
+            const embedding = normalize(clusteringService.hashingEmbedding(text));
+
+            mockStories([
+                { _id: 'unrelated', canonicalTitle: 'Football final', centroidEmbedding: normalize(clusteringService.hashingEmbedding('Football final goes to penalties in stadium')) },
+                { _id: 'climate', canonicalTitle: 'Climate vote', centroidEmbedding: embedding }
+            ]);
+
+            const match = await clusteringService.findMatchingStory({ title: 'Lawmakers approve bill', category: 'general', embedding });
+
+            expect(match.story._id).toBe('climate');
+            expect(match.score).toBeCloseTo(1);
+        });
+
+        it('falls back to title similarity for stories without a centroid', async () => {
+            mockStories([
+                { _id: 'legacy', canonicalTitle: 'Parliament passes landmark climate bill', centroidEmbedding: [] }
+            ]);
+
+            const match = await clusteringService.findMatchingStory({
+                title: 'Parliament passes landmark climate bill',
+                category: 'general',
+                embedding: [1, 0, 0]
+            });
+
+            expect(match.story._id).toBe('legacy');
+        });
+    });
+});
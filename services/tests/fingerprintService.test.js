@@ -0,0 +1,106 @@
+const News = require('../../models/News');
+const fingerprintService = require('../fingerprintService');
+
+const WIRE_COPY = 'The central bank held interest rates steady on Tuesday, citing cooling inflation ' +
+    'and a resilient labour market, while signalling that cuts could come later this year ' +
+    'if price growth continues to slow across housing, energy and services.';
+
+const REWRITTEN_COPY = 'Scientists announced the discovery of a new species of deep sea fish near the ' +
+    'Mariana Trench, describing translucent fins and an unusual bioluminescent lure that ' +
+    'helps it hunt in total darkness thousands of metres below the surface.';
+
+/**
+ * Stub the News.find(...).select(...).limit(...).lean() chain
+ */
+function mockCandidates(candidates) {
+    const chain = {
+        select: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue(candidates)
+    };
+    jest.spyOn(News, 'find').mockReturnValue(chain);
+    return chain;
+}
+
+describe('fingerprintService', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('shingle', () => {
+        it('builds lower-cased word shingles, ignoring punctuation and NewsAPI suffixes', () => {
+            const shingles = fingerprintService.shingle('One, two! Three four five six [+1234 chars]', 5);
+
+            expect([...shingles]).toEqual(['one two three four five', 'two three four five six']);
+        });
+    });
+
+    describe('fingerprint', () => {
+        it('returns null for text too short to fingerprint', () => {
+            expect(fingerprintService.fingerprint('Too short to matter')).toBeNull();
+        });
+
+        it('is deterministic and has 64 hashes in 16 bands', () => {
+            const a = fingerprintService.fingerprint(WIRE_COPY);
+            const b = fingerprintService.fingerprint(WIRE_COPY);
+
+            expect(a.signature).toHaveLength(64);
+            expect(a.bands).toHaveLength(16);
+            expect(b).toEqual(a);
+        });
+    });
+
+    describe('estimateSimilarity', () => {
+        it('scores syndicated copy high and unrelated text low', () => {
+            const original = fingerprintService.fingerprint(WIRE_COPY);
+            const syndicated = fingerprintService.fingerprint(`${WIRE_COPY} Reporting by Wire Staff.`);
+            const unrelated = fingerprintService.fingerprint(REWRITTEN_COPY);
+
+            expect(fingerprintService.estimateSimilarity(original.signature, syndicated.signature))
+                .toBeGreaterThanOrEqual(fingerprintService.NEAR_DUPLICATE_THRESHOLD);
+            expect(fingerprintService.estimateSimilarity(original.signature, unrelated.signature)).toBeLessThan(0.2);
+        });
+
+        it('returns 0 for missing or mismatched signatures', () => {
+            expect(fingerprintService.estimateSimilarity(null, [1, 2])).toBe(0);
+            expect(fingerprintService.estimateSimilarity([1, 2], [1])).toBe(0);
+        });
+    });
+
+    describe('findNearDuplicate', () => {
+        it('returns the most similar canonical candidate above the threshold', async () => {
+            const original = fingerprintService.fingerprint(WIRE_COPY);
+            const unrelated = fingerprintService.fingerprint(REWRITTEN_COPY);
+            const chain = mockCandidates([
+                { _id: 'other', title: 'Deep sea fish', minhashSignature: unrelated.signature },
+                { _id: 'canonical', title: 'Rates held', minhashSignature: original.signature }
+            ]);
+
+            const incoming = fingerprintService.fingerprint(`${WIRE_COPY} Reporting by Wire Staff.`);
+            const result = await fingerprintService.findNearDuplicate(incoming);
+
+            expect(result.article._id).toBe('canonical');
+            expect(result.similarity).toBeGreaterThanOrEqual(fingerprintService.NEAR_DUPLICATE_THRESHOLD);
+
+            const [query] = News.find.mock.calls[0];
+            expect(query.minhashBands).toEqual({ $in: incoming.bands });
+            expect(query.canonicalArticleId).toBeNull();
+            expect(chain.select).toHaveBeenCalledWith('+minhashSignature');
+        });
+
+        it('returns null when no candidate is similar enough', async () => {
+            mockCandidates([
+                { _id: 'other', title: 'Deep sea fish', minhashSignature: fingerprintService.fingerprint(REWRITTEN_COPY).signature }
+            ]);
+
+            await expect(fingerprintService.findNearDuplicate(fingerprintService.fingerprint(WIRE_COPY))).resolves.toBeNull();
+        });
+
+        it('does not query without a fingerprint', async () => {
+            const find = jest.spyOn(News, 'find');
+
+            await expect(fingerprintService.findNearDuplicate(null)).resolves.toBeNull();
+            expect(find).not.toHaveBeenCalled();
+        });
+    });
+});
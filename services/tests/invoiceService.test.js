@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const Invoice = require('../../models/Invoice');
+const Counter = require('../../models/Counter');
+const Order = require('../../models/Order');
+const Plan = require('../../models/Plan');
+const Subscription = require('../../models/Subscription');
+const User = require('../../models/User');
+const invoiceService = require('../invoiceService');
+
+const lean = (result) => ({ lean: jest.fn().mockResolvedValue(result) });
+
+/**
+ * In-memory Invoice collection behind findOne/findOneAndUpdate
+ * Supports the filters issueInvoice uses: equality, number: null and
+ * lockedUntil.$lt. Each call yields a tick first, so concurrent callers interleave.
+ */
+function invoiceStore() {
+    const documents = [];
+
+    const matches = (doc, filter) => Object.entries(filter).every(([field, expected]) => {
+        if (expected && expected.$lt) return doc[field] < expected.$lt;
+        return String(doc[field] ?? null) === String(expected ?? null);
+    });
+
+    jest.spyOn(Invoice, 'findOne').mockImplementation(async (filter) => documents.find(doc => matches(doc, filter)) || null);
+
+    jest.spyOn(Invoice, 'findOneAndUpdate').mockImplementation(async (filter, update, options = {}) => {
+        await new Promise(resolve => setImmediate(resolve));
+
+        let doc = documents.find(d => matches(d, filter));
+        const inserted = !doc && options.upsert;
+        if (inserted) {
+            doc = { _id: new mongoose.Types.ObjectId(), ...filter, ...update.$setOnInsert };
+            documents.push(doc);
+        } else if (doc) {
+            Object.assign(doc, update.$set);
+        }
+
+        return options.includeResultMetadata
+            ? { value: doc || null, lastErrorObject: { updatedExisting: Boolean(doc) && !inserted } }
+            : doc || null;
+    });
+
+    return documents;
+}
+
+/**
+ * Counter.next stub that hands out 1, 2, 3... per sequence
+ */
+function counterStub() {
+    const sequences = {};
+    return jest.spyOn(Counter, 'next').mockImplementation(async (name) => {
+        sequences[name] = (sequences[name] || 0) + 1;
+        return sequences[name];
+    });
+}
+
+const payment = {
+    _id: new mongoose.Types.ObjectId(),
+    orderId: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    provider: 'razorpay',
+    providerPaymentId: 'pay_1',
+    amount: 5900,
+    currency: 'INR',
+    paidAt: new Date('2026-05-10T06:00:00Z')
+};
+
+describe('invoiceService', () => {
+    beforeEach(() => {
+        jest.spyOn(Order, 'findById').mockReturnValue(lean({ planId: 'premium_monthly', country: 'IN', providerOrderId: 'order_1' }));
+        jest.spyOn(User, 'findById').mockReturnValue(lean({ name: 'Asha', email: 'asha@example.com' }));
+        jest.spyOn(Subscription, 'findOne').mockReturnValue(lean(null));
+        jest.spyOn(Plan, 'findOne').mockReturnValue(lean({ name: 'Premium Monthly', durationDays: 30 }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('financialYear', () => {
+        it('turns over on 1 April in India, not in the server time zone', () => {
+            // 19:00 UTC on 31 March is 00:30 IST on 1 April
+            expect(invoiceService.financialYear(new Date('2026-03-31T18:29:00Z'))).toBe('2025-26');
+            expect(invoiceService.financialYear(new Date('2026-03-31T19:00:00Z'))).toBe('2026-27');
+            expect(invoiceService.financialYear(new Date('2027-01-15T00:00:00Z'))).toBe('2026-27');
+        });
+    });
+
+    describe('issueInvoice', () => {
+        it('numbers the invoice once it holds the claim on its payment', async () => {
+            invoiceStore();
+            counterStub();
+
+            const invoice = await invoiceService.issueInvoice(payment);
+
+            expect(invoice).toMatchObject({ kind: 'invoice', number: 'INV/2026-27/000001', lockedUntil: null, total: 5900 });
+            expect(invoice.tax).toMatchObject({ type: 'igst', total: 900 });
+        });
+
+        it('takes one number for concurrent calls on the same payment', async () => {
+            const documents = invoiceStore();
+            const next = counterStub();
+
+            const results = await Promise.all([
+                invoiceService.issueInvoice(payment),
+                invoiceService.issueInvoice(payment)
+            ]);
+
+            expect(next).toHaveBeenCalledTimes(1);
+            expect(documents).toHaveLength(1);
+            expect(results.map(r => String(r._id))).toEqual([String(documents[0]._id), String(documents[0]._id)]);
+
+            // The next payment carries on from the same series, with no gap
+            const second = await invoiceService.issueInvoice({ ...payment, _id: new mongoose.Types.ObjectId() });
+            expect(second.number).toBe('INV/2026-27/000002');
+        });
+
+        it('finishes an invoice whose issuer stopped before numbering it', async () => {
+            const documents = invoiceStore();
+            counterStub();
+            documents.push({
+                _id: new mongoose.Types.ObjectId(),
+                paymentId: payment._id,
+                kind: 'invoice',
+                number: null,
+                lockedUntil: new Date(Date.now() - 1000)
+            });
+
+            const invoice = await invoiceService.issueInvoice(payment);
+
+            expect(invoice.number).toBe('INV/2026-27/000001');
+            expect(documents).toHaveLength(1);
+        });
+
+        it('leaves an invoice alone while another caller holds its lease', async () => {
+            const documents = invoiceStore();
+            const next = counterStub();
+            documents.push({
+                _id: new mongoose.Types.ObjectId(),
+                paymentId: payment._id,
+                kind: 'invoice',
+                number: null,
+                lockedUntil: new Date(Date.now() + 60000)
+            });
+
+            const invoice = await invoiceService.issueInvoice(payment);
+
+            expect(invoice.number).toBeNull();
+            expect(next).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('issueCreditNote', () => {
+        it('numbers credit notes in their own series against the original invoice', async () => {
+            invoiceStore();
+            counterStub();
+
+            const creditNote = await invoiceService.issueCreditNote(payment, { refundId: 'rfnd_1', amount: 2000, reason: 'Duplicate charge' });
+
+            expect(creditNote).toMatchObject({
+                kind: 'credit_note',
+                number: expect.stringMatching(/^CN\/\d{4}-\d{2}\/000001$/),
+                originalInvoiceNumber: 'INV/2026-27/000001',
+                total: 2000
+            });
+        });
+    });
+});
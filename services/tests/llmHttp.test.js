@@ -0,0 +1,66 @@
+const axios = require('axios');
+const { postJson } = require('../llmProviders/http');
+
+const httpError = (status, data = {}, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, data, headers }
+});
+
+describe('llmProviders/http postJson', () => {
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    it('retries retryable statuses and returns the body', async () => {
+        const post = jest.spyOn(axios, 'post')
+            .mockRejectedValueOnce(httpError(429, {}, { 'retry-after': '1' }))
+            .mockResolvedValueOnce({ data: { ok: true } });
+
+        const pending = postJson('http://llm.test/v1', {}, { retries: 3, label: 'Test' });
+        await jest.advanceTimersByTimeAsync(1000);
+
+        await expect(pending).resolves.toEqual({ ok: true });
+        expect(post).toHaveBeenCalledTimes(2);
+    });
+
+    it('throws client errors at once, marked as not transient', async () => {
+        const post = jest.spyOn(axios, 'post').mockRejectedValue(httpError(400, { error: { message: 'bad prompt' } }));
+
+        await expect(postJson('http://llm.test/v1', {}, { label: 'Test' })).rejects.toMatchObject({
+            message: 'Test failed (400): bad prompt',
+            status: 400,
+            transient: false
+        });
+        expect(post).toHaveBeenCalledTimes(1);
+    });
+
+    it('hands each failed attempt to retryIf and gives up when it says so', async () => {
+        const post = jest.spyOn(axios, 'post').mockRejectedValue(httpError(503));
+        const retryIf = jest.fn().mockReturnValueOnce(true).mockReturnValueOnce(false);
+
+        const pending = postJson('http://llm.test/v1', {}, { retries: 5, label: 'Test', retryIf });
+        const settled = expect(pending).rejects.toMatchObject({ status: 503, transient: true });
+        await jest.advanceTimersByTimeAsync(2000);
+        await settled;
+
+        expect(post).toHaveBeenCalledTimes(2);
+        expect(retryIf).toHaveBeenCalledTimes(2);
+        expect(retryIf.mock.calls[0][0]).toMatchObject({ status: 503, transient: true });
+    });
+
+    it('stops retrying when the next wait would pass the retry budget', async () => {
+        // A cold-starting model asking for 20 s each time: a third wait would end at 60 s, past 45 s
+        const post = jest.spyOn(axios, 'post').mockRejectedValue(httpError(503, { estimated_time: 20 }));
+
+        const pending = postJson('http://llm.test/v1', {}, { retries: 10, label: 'Test' });
+        const settled = expect(pending).rejects.toMatchObject({ status: 503 });
+        await jest.advanceTimersByTimeAsync(40000);
+        await settled;
+
+        expect(post).toHaveBeenCalledTimes(3);
+    });
+});
@@ -0,0 +1,169 @@
+const http = require('http');
+const AiProvenanceSchema = require('../../models/schemas/aiProvenance');
+
+/**
+ * Load llmService with the given environment
+ */
+function loadLlmService(env) {
+    const saved = { ...process.env };
+    Object.assign(process.env, env);
+
+    let loaded;
+    try {
+        jest.isolateModules(() => {
+            loaded = require('../llmService');
+        });
+    } finally {
+        process.env = saved;
+    }
+    return loaded;
+}
+
+/**
+ * Local OpenAI-compatible stub: answers /chat/completions with `reply(body)`
+ */
+function startStub() {
+    const stub = {
+        requests: [],
+        reply: () => ({ status: 200, content: '' })
+    };
+
+    stub.server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const body = JSON.parse(raw || '{}');
+            stub.requests.push({ url: req.url, body });
+
+            const { status, content, error } = stub.reply(body);
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(status === 200
+                ? { model: body.model, choices: [{ message: { content } }] }
+                : error || { error: { message: `stub error ${status}` } }));
+        });
+    });
+
+    return new Promise(resolve => {
+        stub.server.listen(0, '127.0.0.1', () => {
+            stub.baseUrl = `http://127.0.0.1:${stub.server.address().port}/v1`;
+            resolve(stub);
+        });
+    });
+}
+
+describe('llmService with the local provider', () => {
+    let stub;
+    let llmService;
+
+    beforeAll(async () => {
+        stub = await startStub();
+    });
+
+    afterAll(() => new Promise(resolve => stub.server.close(resolve)));
+
+    beforeEach(() => {
+        stub.requests = [];
+        llmService = loadLlmService({
+            LLM_ROUTES: '*:local',
+            LLM_LOCAL_BASE_URL: stub.baseUrl,
+            LLM_LOCAL_MODEL: 'stub-model',
+            LLM_MAX_RETRIES: '1',
+            LLM_BREAKER_FAILURE_THRESHOLD: '2',
+            LLM_BREAKER_COOLDOWN_MS: '60000'
+        });
+    });
+
+    it('routes tasks to the local server and records provenance', async () => {
+        stub.reply = () => ({ status: 200, content: 'Parliament passed the climate bill after a long debate.' });
+
+        const result = await llmService.run('summarize', { title: 'Climate bill', content: 'Parliament voted.' });
+
+        expect(result.value).toBe('Parliament passed the climate bill after a long debate.');
+        expect(result.provenance).toMatchObject({
+            provider: 'local',
+            model: 'stub-model',
+            promptVersion: 'summary-v1',
+            simulated: false
+        });
+        expect(result.provenance.inputHash).toMatch(/^[0-9a-f]{64}$/);
+
+        expect(stub.requests).toHaveLength(1);
+        expect(stub.requests[0].url).toBe('/v1/chat/completions');
+        expect(stub.requests[0].body.messages.at(-1).content).toContain('Title: Climate bill');
+    });
+
+    it('parses constrained answers', async () => {
+        stub.reply = () => ({ status: 200, content: 'Serious.' });
+
+        await expect(llmService.run('classifyMood', { title: 'Flood', content: 'Rivers rose.' }))
+            .resolves.toMatchObject({ value: 'serious' });
+    });
+
+    it('describes the provider that would run a task', () => {
+        expect(llmService.describe('summarize')).toEqual({
+            provider: 'local',
+            model: 'stub-model',
+            promptVersion: 'summary-v1'
+        });
+    });
+
+    it('treats unusable output as a failure, and tryRun resolves to null', async () => {
+        stub.reply = () => ({ status: 200, content: 'no idea' });
+
+        await expect(llmService.run('classifyMood', { title: 'x', content: 'y' })).rejects.toMatchObject({ statusCode: 503 });
+        await expect(llmService.tryRun('classifyMood', { title: 'x', content: 'y' })).resolves.toBeNull();
+    });
+
+    it('opens the breaker after repeated outages and stops calling the provider', async () => {
+        stub.reply = () => ({ status: 500 });
+
+        await expect(llmService.tryRun('summarize', { title: 'a', content: 'b' })).resolves.toBeNull();
+        await expect(llmService.tryRun('summarize', { title: 'a', content: 'b' })).resolves.toBeNull();
+        expect(stub.requests).toHaveLength(2);
+
+        await expect(llmService.run('summarize', { title: 'a', content: 'b' })).rejects.toThrow('local: circuit open');
+        expect(stub.requests).toHaveLength(2);
+        expect(llmService.getStatus().providers.local.breaker).toMatchObject({ state: 'open', trips: 1 });
+    });
+
+    it('counts every retried attempt toward the breaker and stops retrying once it opens', async () => {
+        const retrying = loadLlmService({
+            LLM_ROUTES: '*:local',
+            LLM_LOCAL_BASE_URL: stub.baseUrl,
+            LLM_MAX_RETRIES: '3',
+            LLM_BREAKER_FAILURE_THRESHOLD: '2',
+            LLM_BREAKER_COOLDOWN_MS: '60000'
+        });
+        // A cold start that asks for a 10 ms wait
+        stub.reply = () => ({ status: 503, error: { error: 'Model is loading', estimated_time: 0.01 } });
+
+        await expect(retrying.tryRun('summarize', { title: 'a', content: 'b' })).resolves.toBeNull();
+
+        expect(stub.requests).toHaveLength(2);
+        expect(retrying.getStatus().providers.local.breaker).toMatchObject({ state: 'open', failures: 2, trips: 1 });
+    });
+
+    it('does not trip the breaker on client errors', async () => {
+        stub.reply = () => ({ status: 400 });
+
+        for (let i = 0; i < 3; i++) {
+            await llmService.tryRun('summarize', { title: 'a', content: 'b' });
+        }
+
+        expect(stub.requests).toHaveLength(3);
+        expect(llmService.getStatus().providers.local.breaker.state).toBe('closed');
+    });
+
+    it('only records providers the provenance schema accepts', () => {
+        const allowed = AiProvenanceSchema.path('provider').enumValues;
+
+        expect(allowed).toContain('builtin');
+        for (const name of Object.keys(llmService.getStatus().providers)) {
+            expect(allowed).toContain(name);
+        }
+    });
+
+    it('rejects unknown providers in LLM_ROUTES at load', () => {
+        expect(() => loadLlmService({ LLM_ROUTES: 'summarize:nope' })).toThrow('Unknown provider "nope" in LLM_ROUTES');
+    });
+});
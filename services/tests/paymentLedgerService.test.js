@@ -0,0 +1,201 @@
+const Payment = require('../../models/Payment');
+const Order = require('../../models/Order');
+const Subscription = require('../../models/Subscription');
+const User = require('../../models/User');
+const PremiumLapse = require('../../models/PremiumLapse');
+const invoiceService = require('../invoiceService');
+const planCatalogService = require('../planCatalogService');
+const paymentLedgerService = require('../paymentLedgerService');
+
+const USER_ID = '64b000000000000000000001';
+
+/**
+ * Payment document as findOneAndUpdate returns it after the refund push
+ */
+function paymentDoc({ amount = 10000, refunds = [] } = {}) {
+    const payment = new Payment({
+        orderId: '64b0000000000000000000aa',
+        userId: USER_ID,
+        providerPaymentId: 'pay_1',
+        amount,
+        refunds,
+        amountRefunded: refunds.reduce((sum, r) => sum + r.amount, 0)
+    });
+    jest.spyOn(payment, 'save').mockResolvedValue(payment);
+    return payment;
+}
+
+/**
+ * Chainable query stub for find(...).sort(...).lean()
+ */
+const query = (result) => ({
+    sort: jest.fn().mockReturnThis(),
+    lean: jest.fn().mockResolvedValue(result)
+});
+
+describe('paymentLedgerService', () => {
+    beforeEach(() => {
+        jest.spyOn(Order, 'findById').mockResolvedValue(null);
+        jest.spyOn(invoiceService, 'issueCreditNote').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('recordRefund', () => {
+        it('records a partial refund and keeps access', async () => {
+            const updated = paymentDoc({ refunds: [{ providerRefundId: 'rfnd_1', amount: 4000, status: 'processed' }] });
+            const findOneAndUpdate = jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(updated);
+            const findSubscription = jest.spyOn(Subscription, 'findOne');
+
+            const result = await paymentLedgerService.recordRefund({
+                payment: { _id: updated._id },
+                refund: { refundId: 'rfnd_1', amount: 4000, status: 'processed' }
+            });
+
+            const [filter, update] = findOneAndUpdate.mock.calls[0];
+            expect(filter['refunds.providerRefundId']).toEqual({ $ne: 'rfnd_1' });
+            expect(update.$inc).toEqual({ amountRefunded: 4000 });
+
+            expect(result.duplicate).toBe(false);
+            expect(result.payment.status).toBe('partially_refunded');
+            expect(result.payment.amountRefunded).toBe(4000);
+            expect(result.payment.refundableAmount).toBe(6000);
+            expect(result.premium).toBeNull();
+            expect(findSubscription).not.toHaveBeenCalled();
+        });
+
+        it('revokes the subscription once the payment is fully refunded, capping the refunded amount', async () => {
+            const updated = paymentDoc({
+                refunds: [
+                    { providerRefundId: 'rfnd_1', amount: 4000, status: 'processed' },
+                    { providerRefundId: 'rfnd_2', amount: 7000, status: 'processed' }
+                ]
+            });
+            const subscription = new Subscription({
+                userId: USER_ID,
+                planId: 'premium_monthly',
+                startsAt: new Date(),
+                endsAt: new Date(Date.now() + 86400000)
+            });
+            jest.spyOn(subscription, 'save').mockResolvedValue(subscription);
+
+            jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(updated);
+            jest.spyOn(Subscription, 'findOne').mockResolvedValue(subscription);
+            jest.spyOn(Subscription, 'find').mockReturnValue(query([]));
+            jest.spyOn(Subscription, 'exists').mockResolvedValue(true);
+            jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({});
+
+            const result = await paymentLedgerService.recordRefund({
+                payment: { _id: updated._id },
+                refund: { refundId: 'rfnd_2', amount: 7000, status: 'processed' }
+            });
+
+            expect(result.payment.amountRefunded).toBe(10000);
+            expect(result.payment.status).toBe('refunded');
+            expect(subscription.status).toBe('refunded');
+            expect(result.premium).toMatchObject({ isPremium: false, premiumStatus: 'expired' });
+        });
+
+        it('does not count a refund id twice', async () => {
+            const stored = paymentDoc({ refunds: [{ providerRefundId: 'rfnd_1', amount: 4000, status: 'pending' }] });
+            jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(null);
+            jest.spyOn(Payment, 'findById').mockResolvedValue(stored);
+
+            const result = await paymentLedgerService.recordRefund({
+                payment: { _id: stored._id },
+                refund: { refundId: 'rfnd_1', amount: 4000, status: 'processed' }
+            });
+
+            expect(result.duplicate).toBe(true);
+            expect(result.payment.amountRefunded).toBe(4000);
+            expect(result.payment.refunds).toHaveLength(1);
+            expect(result.payment.refunds[0].status).toBe('processed');
+            expect(invoiceService.issueCreditNote).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('recordPayment', () => {
+        it('returns the stored payment when a concurrent write wins the unique index', async () => {
+            const order = new Order({
+                userId: USER_ID,
+                planId: 'premium_monthly',
+                providerOrderId: 'order_1',
+                amount: 10000
+            });
+            jest.spyOn(order, 'save').mockResolvedValue(order);
+
+            const stored = paymentDoc();
+            const subscription = { _id: 'sub_1', endsAt: new Date('2030-01-01') };
+
+            jest.spyOn(Payment, 'findOne')
+                .mockResolvedValueOnce(null)
+                .mockResolvedValueOnce(stored);
+            jest.spyOn(Payment, 'create').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+            jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+            jest.spyOn(planCatalogService, 'getPlan').mockResolvedValue({ planId: 'premium_monthly', durationDays: 30 });
+            jest.spyOn(Subscription, 'findOne').mockResolvedValue(subscription);
+            const grant = jest.spyOn(Subscription, 'create');
+
+            const result = await paymentLedgerService.recordPayment({
+                userId: USER_ID,
+                providerOrderId: 'order_1',
+                providerPaymentId: 'pay_1',
+                planId: 'premium_monthly'
+            });
+
+            expect(result.payment).toBe(stored);
+            expect(result.premiumExpiry).toEqual(subscription.endsAt);
+            expect(grant).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('grantWithoutPayment', () => {
+        const plan = { planId: 'premium_monthly', durationDays: 30, trialDays: 7 };
+
+        beforeEach(() => {
+            jest.spyOn(Subscription, 'findOne').mockReturnValue({ sort: jest.fn().mockResolvedValue(null) });
+            jest.spyOn(Subscription, 'find').mockResolvedValue([]);
+            jest.spyOn(PremiumLapse, 'updateMany').mockResolvedValue({});
+        });
+
+        it('grants nothing when the coupon is already used up', async () => {
+            jest.spyOn(planCatalogService, 'reserveCoupon').mockRejectedValue(Object.assign(new Error('Coupon has been fully redeemed or already used'), { statusCode: 409 }));
+            const grant = jest.spyOn(Subscription, 'create');
+
+            await expect(paymentLedgerService.grantWithoutPayment({
+                userId: USER_ID,
+                plan,
+                quote: { amount: 0, coupon: { code: 'SAVE100' } },
+                source: 'coupon'
+            })).rejects.toMatchObject({ statusCode: 409 });
+
+            expect(grant).not.toHaveBeenCalled();
+        });
+
+        it('gives the coupon back when the grant fails', async () => {
+            const redemptionId = 'redemption_1';
+            jest.spyOn(planCatalogService, 'reserveCoupon').mockResolvedValue(redemptionId);
+            const release = jest.spyOn(planCatalogService, 'releaseCoupon').mockResolvedValue(true);
+            jest.spyOn(Subscription, 'create').mockRejectedValue(new Error('not primary'));
+
+            await expect(paymentLedgerService.grantWithoutPayment({
+                userId: USER_ID,
+                plan,
+                quote: { amount: 0, coupon: { code: 'SAVE100' } },
+                source: 'coupon'
+            })).rejects.toThrow('not primary');
+
+            expect(release).toHaveBeenCalledWith('SAVE100', { _id: redemptionId });
+        });
+
+        it('refuses a second trial that loses the race for the unique trial index', async () => {
+            jest.spyOn(planCatalogService, 'isTrialEligible').mockResolvedValue(true);
+            jest.spyOn(Subscription, 'create').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+            await expect(paymentLedgerService.grantWithoutPayment({ userId: USER_ID, plan, source: 'trial' }))
+                .rejects.toMatchObject({ statusCode: 409, message: 'Trial not available' });
+        });
+    });
+});
@@ -0,0 +1,134 @@
+process.env.RAZORPAY_WEBHOOK_SECRET = 'whsec_test';
+
+const crypto = require('crypto');
+const WebhookEvent = require('../../models/WebhookEvent');
+const Payment = require('../../models/Payment');
+const razorpay = require('../paymentProviders/razorpay');
+const paymentWebhookService = require('../paymentWebhookService');
+
+const sign = (body) => crypto.createHmac('sha256', 'whsec_test').update(body).digest('hex');
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+/**
+ * WebhookEvent document with save() stubbed
+ */
+function eventRecord(fields = {}) {
+    const record = new WebhookEvent({ provider: 'razorpay', eventId: 'evt_1', event: 'payment.failed', ...fields });
+    jest.spyOn(record, 'save').mockResolvedValue(record);
+    return record;
+}
+
+describe('paymentWebhookService', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('razorpay signature', () => {
+        const body = {
+            event: 'refund.processed',
+            payload: { refund: { entity: { id: 'rfnd_1', payment_id: 'pay_1', amount: 500 } } }
+        };
+        const rawBody = JSON.stringify(body);
+
+        it('accepts an HMAC of the raw body and normalises the event', () => {
+            const event = razorpay.parseWebhook({
+                rawBody,
+                body,
+                headers: { 'x-razorpay-signature': sign(rawBody), 'x-razorpay-event-id': 'evt_1' }
+            });
+
+            expect(event).toMatchObject({
+                verified: true,
+                eventId: 'evt_1',
+                type: 'refund.processed',
+                data: { refund: { id: 'rfnd_1', paymentId: 'pay_1', amount: 500, status: 'processed' } }
+            });
+        });
+
+        it('rejects missing, wrong and tampered signatures', () => {
+            expect(razorpay.parseWebhook({ rawBody, body, headers: {} }).verified).toBe(false);
+            expect(razorpay.parseWebhook({ rawBody, body, headers: { 'x-razorpay-signature': sign('{}') } }).verified).toBe(false);
+            expect(razorpay.parseWebhook({
+                rawBody: rawBody.replace('500', '50000'),
+                body,
+                headers: { 'x-razorpay-signature': sign(rawBody) }
+            }).verified).toBe(false);
+        });
+    });
+
+    describe('resolveEventId', () => {
+        it('prefers the provider id and falls back to a body hash', () => {
+            expect(paymentWebhookService.resolveEventId('evt_1', '{}')).toBe('evt_1');
+            expect(paymentWebhookService.resolveEventId(null, '{"a":1}'))
+                .toBe(crypto.createHash('sha256').update('{"a":1}').digest('hex'));
+        });
+    });
+
+    describe('processEvent', () => {
+        const event = { eventId: 'evt_1', type: 'refund.processed', data: { refund: { id: 'rfnd_1', paymentId: 'pay_missing' } } };
+
+        it('processes a first delivery and releases its lease', async () => {
+            const record = eventRecord();
+            const create = jest.spyOn(WebhookEvent, 'create').mockResolvedValue(record);
+            jest.spyOn(Payment, 'findOne').mockResolvedValue(null);
+
+            const result = await paymentWebhookService.processEvent('razorpay', event);
+
+            expect(result).toEqual({ eventId: 'evt_1', status: 'ignored' });
+            expect(create.mock.calls[0][0].lockedUntil).toBeInstanceOf(Date);
+            expect(record.status).toBe('ignored');
+            expect(record.lockedUntil).toBeNull();
+        });
+
+        it('skips a redelivery of an event that is handled or still leased', async () => {
+            jest.spyOn(WebhookEvent, 'create').mockRejectedValue(duplicateKey());
+            jest.spyOn(WebhookEvent, 'findOneAndUpdate').mockResolvedValue(null);
+            const findPayment = jest.spyOn(Payment, 'findOne');
+
+            const result = await paymentWebhookService.processEvent('razorpay', event);
+
+            expect(result).toEqual({ eventId: 'evt_1', status: 'duplicate', duplicate: true });
+            expect(findPayment).not.toHaveBeenCalled();
+        });
+
+        it('marks a failed attempt so the next delivery retries it', async () => {
+            const record = eventRecord();
+            jest.spyOn(WebhookEvent, 'create').mockResolvedValue(record);
+            jest.spyOn(Payment, 'findOne').mockRejectedValue(new Error('connection reset'));
+
+            await expect(paymentWebhookService.processEvent('razorpay', event)).rejects.toThrow('connection reset');
+
+            expect(record.status).toBe('failed');
+            expect(record.error).toBe('connection reset');
+            expect(record.lockedUntil).toBeNull();
+        });
+    });
+
+    describe('claimEvent', () => {
+        it('reclaims failed events and processing events whose lease ran out', async () => {
+            const now = new Date('2026-01-01T12:00:00Z');
+            const reclaimed = eventRecord({ attempts: 2 });
+            jest.spyOn(WebhookEvent, 'create').mockRejectedValue(duplicateKey());
+            const findOneAndUpdate = jest.spyOn(WebhookEvent, 'findOneAndUpdate').mockResolvedValue(reclaimed);
+
+            const claim = await paymentWebhookService.claimEvent('razorpay', 'evt_1', 'payment.captured', {}, now);
+
+            expect(claim).toEqual({ record: reclaimed, duplicate: false });
+
+            const [filter, update] = findOneAndUpdate.mock.calls[0];
+            expect(filter.$or).toEqual(expect.arrayContaining([
+                { status: 'failed' },
+                { status: 'processing', lockedUntil: { $lt: now } }
+            ]));
+            expect(update.$set.lockedUntil).toEqual(new Date(now.getTime() + paymentWebhookService.LEASE_MS));
+            expect(update.$inc).toEqual({ attempts: 1 });
+        });
+
+        it('rethrows errors other than a duplicate key', async () => {
+            jest.spyOn(WebhookEvent, 'create').mockRejectedValue(new Error('not primary'));
+
+            await expect(paymentWebhookService.claimEvent('razorpay', 'evt_1', 'payment.captured', {})).rejects.toThrow('not primary');
+        });
+    });
+});
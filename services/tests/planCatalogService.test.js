@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const Coupon = require('../../models/Coupon');
+const planCatalogService = require('../planCatalogService');
+
+const USER_ID = '64b000000000000000000001';
+const OTHER_USER_ID = '64b000000000000000000002';
+
+/**
+ * In-memory coupon behind findOne/findOneAndUpdate/updateOne
+ * findOneAndUpdate applies the reservation filter (redemptionCount.$lt and the
+ * per-user $expr) and the update in one step, after a tick, like the database
+ * applying one atomic update per document.
+ */
+function couponStore(fields) {
+    const stored = {
+        _id: new mongoose.Types.ObjectId(),
+        code: 'SAVE100',
+        maxRedemptions: null,
+        perUserLimit: 1,
+        redemptionCount: 0,
+        redemptions: [],
+        ...fields
+    };
+
+    jest.spyOn(Coupon, 'findOne').mockImplementation(({ code }) => ({
+        select: () => ({
+            lean: async () => (code === stored.code ? { ...stored } : null)
+        })
+    }));
+
+    jest.spyOn(Coupon, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+        await new Promise(resolve => setImmediate(resolve));
+
+        const [{ $size: { $filter: { cond: { $eq: [, userId] } } } }, perUserLimit] = filter.$expr.$lt;
+        const used = stored.redemptions.filter(r => String(r.userId) === String(userId)).length;
+        const underTotal = !filter.redemptionCount || stored.redemptionCount < filter.redemptionCount.$lt;
+        if (String(filter._id) !== String(stored._id) || !underTotal || used >= perUserLimit) {
+            return null;
+        }
+
+        stored.redemptionCount += update.$inc.redemptionCount;
+        stored.redemptions.push(update.$push.redemptions);
+        return stored;
+    });
+
+    jest.spyOn(Coupon, 'updateOne').mockImplementation(async (filter, update) => {
+        const [key, value] = Object.entries(update.$pull.redemptions)[0];
+        const before = stored.redemptions.length;
+        stored.redemptions = stored.redemptions.filter(r => String(r[key]) !== String(value));
+        if (stored.redemptions.length === before) return { modifiedCount: 0 };
+
+        stored.redemptionCount += update.$inc.redemptionCount;
+        return { modifiedCount: 1 };
+    });
+
+    return stored;
+}
+
+/**
+ * Express-like request with the given headers
+ */
+const request = ({ query = {}, body = {}, user = null, headers = {} } = {}) => ({
+    query,
+    body,
+    user,
+    get: (name) => headers[name]
+});
+
+describe('planCatalogService', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('reserveCoupon', () => {
+        it('reserves a redemption and records the order it belongs to', async () => {
+            const coupon = couponStore({ maxRedemptions: 5 });
+            const orderId = new mongoose.Types.ObjectId();
+
+            const redemptionId = await planCatalogService.reserveCoupon('SAVE100', USER_ID, { orderId });
+
+            expect(coupon.redemptionCount).toBe(1);
+            expect(coupon.redemptions[0]).toMatchObject({ _id: redemptionId, orderId });
+            expect(String(coupon.redemptions[0].userId)).toBe(USER_ID);
+        });
+
+        it('refuses an exhausted coupon', async () => {
+            couponStore({ maxRedemptions: 1, redemptionCount: 1, redemptions: [{ userId: OTHER_USER_ID }] });
+
+            await expect(planCatalogService.reserveCoupon('SAVE100', USER_ID)).rejects.toMatchObject({ statusCode: 409 });
+        });
+
+        it('refuses a user past their own limit', async () => {
+            couponStore({ perUserLimit: 1 });
+
+            await planCatalogService.reserveCoupon('SAVE100', USER_ID);
+
+            await expect(planCatalogService.reserveCoupon('SAVE100', USER_ID)).rejects.toMatchObject({ statusCode: 409 });
+            await expect(planCatalogService.reserveCoupon('SAVE100', OTHER_USER_ID)).resolves.toBeDefined();
+        });
+
+        it('lets only one of several concurrent checkouts redeem the last use', async () => {
+            const coupon = couponStore({ maxRedemptions: 1, perUserLimit: 5 });
+
+            const results = await Promise.allSettled([
+                planCatalogService.reserveCoupon('SAVE100', USER_ID),
+                planCatalogService.reserveCoupon('SAVE100', USER_ID),
+                planCatalogService.reserveCoupon('SAVE100', OTHER_USER_ID)
+            ]);
+
+            expect(results.filter(r => r.status === 'fulfilled')).toHaveLength(1);
+            expect(coupon.redemptionCount).toBe(1);
+        });
+
+        it('frees the redemption again on release', async () => {
+            const coupon = couponStore({ maxRedemptions: 1 });
+            const orderId = new mongoose.Types.ObjectId();
+            await planCatalogService.reserveCoupon('SAVE100', USER_ID, { orderId });
+
+            await expect(planCatalogService.releaseCoupon('SAVE100', { orderId })).resolves.toBe(true);
+            await expect(planCatalogService.releaseCoupon('SAVE100', { orderId })).resolves.toBe(false);
+
+            expect(coupon.redemptionCount).toBe(0);
+            await expect(planCatalogService.reserveCoupon('SAVE100', OTHER_USER_ID)).resolves.toBeDefined();
+        });
+    });
+
+    describe('resolveCountry', () => {
+        it('ignores client-supplied countries when pricing orders', () => {
+            const req = request({
+                query: { country: 'US' },
+                body: { country: 'US' },
+                headers: { 'X-Country-Code': 'US' }
+            });
+
+            expect(planCatalogService.resolveCountry(req)).toBe(planCatalogService.DEFAULT_COUNTRY);
+        });
+
+        it('uses the stored billing country, then the edge geo header', () => {
+            expect(planCatalogService.resolveCountry(request({
+                user: { billingCountry: 'de' },
+                headers: { 'CF-IPCountry': 'US' }
+            }))).toBe('DE');
+            expect(planCatalogService.resolveCountry(request({ headers: { 'CF-IPCountry': 'US' } }))).toBe('US');
+        });
+
+        it('lets price listings preview another country, but only a valid code', () => {
+            const listing = { allowOverride: true };
+
+            expect(planCatalogService.resolveCountry(request({ query: { country: 'us' } }), listing)).toBe('US');
+            expect(planCatalogService.resolveCountry(request({ query: { country: 'XX1' } }), listing))
+                .toBe(planCatalogService.DEFAULT_COUNTRY);
+        });
+    });
+});
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const rssFeedService = require('../rssFeedService');
+
+const fixture = (name) => path.join(__dirname, 'fixtures', name);
+const readFixture = (name) => fs.readFileSync(fixture(name), 'utf8');
+
+describe('rssFeedService', () => {
+    afterEach(() => {
+        rssFeedService.clearValidators();
+    });
+
+    describe('parseFeed', () => {
+        it('parses RSS 2.0 items', () => {
+            const feed = rssFeedService.parseFeed(readFixture('sample-rss.xml'));
+
+            expect(feed.format).toBe('rss');
+            expect(feed.title).toBe('Example Wire');
+            expect(feed.entries).toHaveLength(3);
+
+            const [first, second] = feed.entries;
+            expect(first).toMatchObject({
+                title: 'Markets rally as rates hold',
+                link: 'https://example.com/markets-rally',
+                guid: 'example-1',
+                content: 'Stocks and bonds rose on Tuesday.\nAnalysts expect calm.',
+                author: 'Jane Reporter',
+                categories: ['Markets'],
+                imageUrl: 'https://example.com/img/markets.jpg'
+            });
+            // Entities are decoded and escaped markup is stripped
+            expect(first.description).toContain('Stocks & bonds rose on Tuesday');
+            expect(first.description).not.toContain('<b>');
+
+            // Image taken from inline <img> when there is no media element
+            expect(second.imageUrl).toBe('https://example.com/img/probe.jpg');
+            expect(second.description).toBe('The probe launches next week.');
+        });
+
+        it('parses Atom entries, preferring the alternate link', () => {
+            const feed = rssFeedService.parseFeed(readFixture('sample-atom.xml'));
+
+            expect(feed.format).toBe('atom');
+            expect(feed.title).toBe('Example Atom Journal');
+            expect(feed.entries).toEqual([
+                expect.objectContaining({
+                    title: 'New vaccine trial & results',
+                    link: 'https://example.org/vaccine-trial',
+                    guid: 'urn:example:entry:1',
+                    description: 'A short summary of the trial.',
+                    content: 'The full trial write-up.',
+                    author: 'Dr. Sam Writer',
+                    published: '2025-06-09T12:00:00Z',
+                    categories: ['health']
+                })
+            ]);
+        });
+
+        it('rejects empty and unknown documents', () => {
+            expect(() => rssFeedService.parseFeed('')).toThrow('Feed body is empty');
+            expect(() => rssFeedService.parseFeed('<html><body>hi</body></html>')).toThrow('Unrecognized feed format');
+        });
+    });
+
+    describe('mapFeedCategory', () => {
+        it('maps plain and hierarchical labels', () => {
+            expect(rssFeedService.mapFeedCategory(['Markets'])).toBe('business');
+            expect(rssFeedService.mapFeedCategory(['News/Space'])).toBe('science');
+            expect(rssFeedService.mapFeedCategory(['world > Football'])).toBe('sports');
+        });
+
+        it('falls back to the default category', () => {
+            expect(rssFeedService.mapFeedCategory(['Opinion'])).toBe('general');
+            expect(rssFeedService.mapFeedCategory([], 'technology')).toBe('technology');
+        });
+    });
+
+    describe('normalizeEntry', () => {
+        it('produces the saveArticles article shape', () => {
+            const [entry] = rssFeedService.parseFeed(readFixture('sample-rss.xml')).entries;
+            const article = rssFeedService.normalizeEntry(entry, { title: 'Example Wire' });
+
+            expect(article).toMatchObject({
+                title: 'Markets rally as rates hold',
+                source: 'Example Wire',
+                author: 'Jane Reporter',
+                url: 'https://example.com/markets-rally',
+                category: 'business',
+                imageUrl: 'https://example.com/img/markets.jpg'
+            });
+            expect(article.id).toMatch(/^[0-9a-f]{32}$/);
+            expect(article.publishedAt.toISOString()).toBe('2025-06-10T08:30:00.000Z');
+        });
+
+        it('uses the configured source name and now for invalid dates', () => {
+            const [, entry] = rssFeedService.parseFeed(readFixture('sample-rss.xml')).entries;
+            const before = Date.now();
+            const article = rssFeedService.normalizeEntry(entry, { title: 'Example Wire', sourceName: 'Wire Desk' });
+
+            expect(article.source).toBe('Wire Desk');
+            expect(article.author).toBe('Unknown');
+            expect(article.publishedAt.getTime()).toBeGreaterThanOrEqual(before);
+        });
+    });
+
+    describe('fetching file:// fixtures', () => {
+        const url = pathToFileURL(fixture('sample-rss.xml')).href;
+
+        it('reads fixtures when the caller opts in, dropping entries without a link', async () => {
+            const result = await rssFeedService.fetchFeed({ url }, {}, { allowFile: true });
+
+            expect(result.notModified).toBe(false);
+            expect(result.articles.map(article => article.url)).toEqual([
+                'https://example.com/markets-rally',
+                'https://example.com/lunar-probe'
+            ]);
+        });
+
+        it('refuses file:// URLs by default', async () => {
+            await expect(rssFeedService.fetchFeed({ url })).rejects.toThrow('file:// feeds are not allowed');
+        });
+
+        it('fetchAll reads fixtures and tolerates failing feeds', async () => {
+            const articles = await rssFeedService.fetchAll([
+                { url, sourceName: 'Wire Desk' },
+                { url: pathToFileURL(fixture('sample-atom.xml')).href },
+                { url: pathToFileURL(fixture('missing.xml')).href }
+            ]);
+
+            expect(articles.map(article => article.source)).toEqual(['Wire Desk', 'Wire Desk', 'Example Atom Journal']);
+        });
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * Load the sandbox provider (and paymentService) with the given environment
+ */
+function load(env, moduleName = '../paymentProviders/sandbox') {
+    const saved = { ...process.env };
+    Object.assign(process.env, env);
+
+    let loaded;
+    try {
+        jest.isolateModules(() => {
+            loaded = require(moduleName);
+        });
+    } finally {
+        process.env = saved;
+    }
+    return loaded;
+}
+
+describe('sandbox payment provider', () => {
+    const sandbox = load({ PAYMENT_SANDBOX_SECRET: 'sandbox_test_secret' });
+
+    afterEach(() => {
+        sandbox.reset();
+    });
+
+    it('issues random ids that do not repeat across restarts', async () => {
+        const first = await sandbox.createOrder({ amount: 9900, currency: 'INR', receipt: 'r1' });
+        sandbox.reset();
+        const second = await sandbox.createOrder({ amount: 9900, currency: 'INR', receipt: 'r2' });
+
+        expect(first.orderId).toMatch(/^order_sandbox_[0-9a-f]{24}$/);
+        expect(second.orderId).not.toBe(first.orderId);
+    });
+
+    it('signs completed payments so /verify accepts them', async () => {
+        const { orderId } = await sandbox.createOrder({ amount: 9900, currency: 'INR', receipt: 'r1', notes: { plan_id: 'premium_monthly' } });
+        const paid = sandbox.completePayment(orderId);
+
+        expect(paid.paymentId).toMatch(/^pay_sandbox_/);
+        expect(sandbox.verifyPayment(paid)).toBe(true);
+        expect(sandbox.verifyPayment({ ...paid, signature: 'forged' })).toBe(false);
+        await expect(sandbox.fetchPayment(paid.paymentId)).resolves.toMatchObject({ orderId, notes: { plan_id: 'premium_monthly' } });
+        expect(() => sandbox.completePayment(orderId)).toThrow('already paid');
+    });
+
+    it('refunds in part and then the remainder', async () => {
+        const { orderId } = await sandbox.createOrder({ amount: 10000, currency: 'INR', receipt: 'r1' });
+        const { paymentId } = sandbox.completePayment(orderId);
+
+        await expect(sandbox.refund(paymentId, { amount: 4000 })).resolves.toMatchObject({ amount: 4000, status: 'processed' });
+        await expect(sandbox.refund(paymentId, { amount: 7000 })).rejects.toThrow('exceeds the refundable amount');
+        await expect(sandbox.refund(paymentId)).resolves.toMatchObject({ amount: 6000 });
+    });
+
+    it('verifies webhook signatures', () => {
+        const rawBody = JSON.stringify({ id: 'evt_1', type: 'payment.captured', data: { payment: { id: 'pay_1' } } });
+        const body = JSON.parse(rawBody);
+
+        expect(sandbox.parseWebhook({ rawBody, body, headers: { 'x-sandbox-signature': sandbox.signWebhook(rawBody) } }))
+            .toMatchObject({ verified: true, eventId: 'evt_1', type: 'payment.captured' });
+        expect(sandbox.parseWebhook({ rawBody, body, headers: { 'x-sandbox-signature': 'forged' } }).verified).toBe(false);
+    });
+
+    it('accepts nothing without a secret', () => {
+        const unconfigured = load({ PAYMENT_SANDBOX_SECRET: '' });
+
+        expect(unconfigured.isConfigured()).toBe(false);
+        expect(unconfigured.verifyPayment({ orderId: 'o', paymentId: 'p', signature: 's' })).toBe(false);
+        expect(unconfigured.parseWebhook({ rawBody: '{}', headers: { 'x-sandbox-signature': 's' } }).verified).toBe(false);
+    });
+
+    describe('paymentService gating', () => {
+        it('keeps the sandbox off unless explicitly enabled', () => {
+            const paymentService = load({ PAYMENT_SANDBOX_ENABLED: '', NODE_ENV: 'development', PAYMENT_SANDBOX_SECRET: 'x' }, '../paymentService');
+
+            expect(paymentService.SANDBOX_ENABLED).toBe(false);
+            expect(() => paymentService.getProvider('sandbox')).toThrow('disabled');
+        });
+
+        it('refuses to start the sandbox without a secret', () => {
+            expect(() => load({ PAYMENT_SANDBOX_ENABLED: 'true', PAYMENT_SANDBOX_SECRET: '' }, '../paymentService'))
+                .toThrow('requires PAYMENT_SANDBOX_SECRET');
+        });
+
+        it('enables the sandbox with a secret', () => {
+            const paymentService = load({ PAYMENT_SANDBOX_ENABLED: 'true', PAYMENT_SANDBOX_SECRET: 'x' }, '../paymentService');
+
+            expect(paymentService.getProvider('sandbox').name).toBe('sandbox');
+        });
+    });
+});
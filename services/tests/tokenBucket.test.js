@@ -0,0 +1,74 @@
+const tokenBucket = require('../llmProviders/tokenBucket');
+
+describe('tokenBucket', () => {
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('starts full and hands out tokens without waiting', async () => {
+        const bucket = tokenBucket.create({ perMinute: 3 });
+
+        for (let i = 0; i < 3; i++) {
+            await expect(bucket.acquire(0)).resolves.toBe(true);
+        }
+        expect(bucket.getState()).toEqual({ perMinute: 3, available: 0, throttled: 0 });
+    });
+
+    it('gives up when the wait for a token would exceed maxWaitMs', async () => {
+        const bucket = tokenBucket.create({ perMinute: 60 });
+        for (let i = 0; i < 60; i++) await bucket.acquire(0);
+
+        // One token per second at 60/min
+        await expect(bucket.acquire(999)).resolves.toBe(false);
+        expect(bucket.getState().throttled).toBe(1);
+    });
+
+    it('waits for the next refill when allowed to', async () => {
+        const bucket = tokenBucket.create({ perMinute: 60 });
+        for (let i = 0; i < 60; i++) await bucket.acquire(0);
+
+        let acquired = false;
+        const pending = bucket.acquire(5000).then(result => { acquired = result; });
+
+        await jest.advanceTimersByTimeAsync(999);
+        expect(acquired).toBe(false);
+
+        await jest.advanceTimersByTimeAsync(1);
+        await pending;
+        expect(acquired).toBe(true);
+    });
+
+    it('reserves tokens so concurrent waiters queue up in order', async () => {
+        const bucket = tokenBucket.create({ perMinute: 60 });
+        for (let i = 0; i < 60; i++) await bucket.acquire(0);
+
+        const done = [];
+        const first = bucket.acquire(5000).then(() => done.push('first'));
+        const second = bucket.acquire(5000).then(() => done.push('second'));
+
+        // The third would have to wait 3 s, past its 2.5 s limit
+        await expect(bucket.acquire(2500)).resolves.toBe(false);
+
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(done).toEqual(['first']);
+
+        await jest.advanceTimersByTimeAsync(1000);
+        await Promise.all([first, second]);
+        expect(done).toEqual(['first', 'second']);
+    });
+
+    it('refills continuously up to capacity', async () => {
+        const bucket = tokenBucket.create({ perMinute: 6 });
+        for (let i = 0; i < 6; i++) await bucket.acquire(0);
+
+        jest.advanceTimersByTime(20000);
+        expect(bucket.getState().available).toBe(2);
+
+        jest.advanceTimersByTime(10 * 60000);
+        expect(bucket.getState().available).toBe(6);
+    });
+});
@@ -0,0 +1,235 @@
+const Story = require('../models/Story');
+const StorySource = require('../models/StorySource');
+const News = require('../models/News');
+const contextService = require('./contextService');
+const { logger } = require('../middleware/logger');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// The digest is the same for every reader, so it is built at most hourly
+const DIGEST_CACHE_TTL = 60 * 60 * 1000;
+let digestCache = { key: null, digest: null, builtAt: 0 };
+
+// Builds in flight, keyed by window end, shared by concurrent callers
+let pendingBuilds = new Map();
+
+/**
+ * Weekly Digest Service
+ * "What you missed" for readers who check in once a week: the most important
+ * stories of the past WINDOW_DAYS, each with its context timeline and what
+ * changed during the week, grouped by category.
+ *
+ * Stored importance scores decay with age, so a story that broke early in the
+ * week would lose to yesterday's news; the week score therefore also weighs
+ * how many sources covered the story.
+ */
+const weeklyDigestService = {
+    WINDOW_DAYS: 7,
+    DIGEST_SIZE: parseInt(process.env.WEEKLY_DIGEST_SIZE) || 10,
+    MAX_PER_CATEGORY: 3,
+    MAX_CANDIDATES: 300,
+
+    IMPORTANCE_WEIGHT: 0.6,
+    SOURCE_WEIGHT: 0.4,
+    // Source counts at or above this score the full SOURCE_WEIGHT
+    SOURCE_COUNT_CAP: 10,
+
+    MAX_TIMELINE_ENTRIES: 3,
+    MAX_CHANGES: 5,
+
+    /**
+     * Digest window ending at the start of the current UTC hour
+     */
+    windowFor(now = new Date()) {
+        const end = new Date(Math.floor(now.getTime() / (60 * 60 * 1000)) * 60 * 60 * 1000);
+        return { start: new Date(end - this.WINDOW_DAYS * DAY), end };
+    },
+
+    weekScore(story) {
+        const sources = Math.min((story.sourceCount || 1) / this.SOURCE_COUNT_CAP, 1);
+        const score = (story.importanceScore || 0) * this.IMPORTANCE_WEIGHT + sources * this.SOURCE_WEIGHT;
+        return Math.round(score * 1000) / 1000;
+    },
+
+    /**
+     * Stories active during the window, best first, at most MAX_PER_CATEGORY
+     * per category (the best remaining stories fill any shortfall)
+     */
+    async selectStories(start, end) {
+        const stories = await Story.find({
+            lastUpdated: { $gte: start },
+            firstSeen: { $lt: end }
+        })
+            .sort({ importanceScore: -1 })
+            .limit(this.MAX_CANDIDATES)
+            .select('-centroidEmbedding -timeline -relatedStories')
+            .lean();
+
+        const ranked = stories
+            .map(story => ({ ...story, weekScore: this.weekScore(story) }))
+            .sort((a, b) => b.weekScore - a.weekScore);
+
+        const picks = [];
+        const perCategory = new Map();
+        for (const story of ranked) {
+            if (picks.length >= this.DIGEST_SIZE) break;
+            const count = perCategory.get(story.category) || 0;
+            if (count >= this.MAX_PER_CATEGORY) continue;
+
+            picks.push(story);
+            perCategory.set(story.category, count + 1);
+        }
+        for (const story of ranked) {
+            if (picks.length >= this.DIGEST_SIZE) break;
+            if (!picks.includes(story)) picks.push(story);
+        }
+
+        return picks;
+    },
+
+    /**
+     * What happened to a story during the window: new sources, article content
+     * changes and where it sits in its lifecycle
+     */
+    async deltasFor(story, start) {
+        const links = await StorySource.find({ storyId: story._id })
+            .select('articleId sourceName createdAt')
+            .lean();
+
+        const newLinks = links.filter(link => link.createdAt >= start);
+        const articles = await News.find({
+            _id: { $in: links.map(link => link.articleId) },
+            'deltas.date': { $gte: start }
+        })
+            .select('deltas')
+            .lean();
+
+        const changes = articles
+            .flatMap(article => article.deltas.filter(delta => delta.date >= start))
+            .sort((a, b) => b.date - a.date)
+            .slice(0, this.MAX_CHANGES)
+            .map(delta => ({ date: delta.date, changes: delta.changes }));
+
+        return {
+            isNew: story.firstSeen >= start,
+            newSources: newLinks.length,
+            newSourceNames: [...new Set(newLinks.map(link => link.sourceName))].slice(0, 5),
+            changes,
+            lifecycleState: story.lifecycleState,
+            lifecycleChangedThisWeek: story.lifecycleChangedAt >= start
+        };
+    },
+
+    async buildItem(story, start) {
+        const [timeline, deltas] = await Promise.all([
+            contextService.buildTimeline(story._id),
+            this.deltasFor(story, start)
+        ]);
+
+        return {
+            storyId: story._id,
+            title: story.canonicalTitle,
+            summary: story.summary,
+            whyThisMatters: story.whyThisMatters,
+            imageUrl: story.imageUrl,
+            category: story.category,
+            sourceCount: story.sourceCount,
+            importanceScore: story.importanceScore,
+            weekScore: story.weekScore,
+            firstSeen: story.firstSeen,
+            lastUpdated: story.lastUpdated,
+            timeline: (timeline?.timeline || []).slice(0, this.MAX_TIMELINE_ENTRIES),
+            deltas
+        };
+    },
+
+    /**
+     * Build the digest for the week ending now
+     * @returns {Promise<Object>} { weekStart, weekEnd, sections: [{ category, stories }], totalStories, generatedAt }
+     */
+    async build(now = new Date()) {
+        const { start, end } = this.windowFor(now);
+        const stories = await this.selectStories(start, end);
+
+        const items = [];
+        for (const story of stories) {
+            items.push(await this.buildItem(story, start));
+        }
+
+        // Sections follow the rank of their best story
+        const sections = [];
+        for (const item of items) {
+            let section = sections.find(s => s.category === item.category);
+            if (!section) {
+                section = { category: item.category, stories: [] };
+                sections.push(section);
+            }
+            section.stories.push(item);
+        }
+
+        logger.info(`Built weekly digest: ${items.length} stories in ${sections.length} categories`);
+
+        return {
+            weekStart: start,
+            weekEnd: end,
+            sections,
+            totalStories: items.length,
+            generatedAt: new Date()
+        };
+    },
+
+    /**
+     * The current digest, rebuilt when the window moves or the cache expires
+     * Concurrent callers share one build instead of each running the aggregation.
+     */
+    async getDigest({ now = new Date(), refresh = false } = {}) {
+        const key = this.windowFor(now).end.toISOString();
+        const fresh = digestCache.key === key && Date.now() - digestCache.builtAt < DIGEST_CACHE_TTL;
+
+        if (!refresh && fresh) return digestCache.digest;
+        if (pendingBuilds.has(key)) return pendingBuilds.get(key);
+
+        const pending = this.build(now)
+            .then(digest => {
+                // Skip the write if clearCache() ran while building
+                if (pendingBuilds.get(key) === pending) {
+                    digestCache = { key, digest, builtAt: Date.now() };
+                }
+                return digest;
+            })
+            .finally(() => {
+                if (pendingBuilds.get(key) === pending) pendingBuilds.delete(key);
+            });
+
+        pendingBuilds.set(key, pending);
+        return pending;
+    },
+
+    /**
+     * Order a digest for a reader: their categories first, others after
+     * @param {Object} digest
+     * @param {string[]} [categories]
+     * @param {Object} [options]
+     * @param {boolean} [options.only] - Drop sections outside `categories`
+     */
+    forCategories(digest, categories = [], { only = false } = {}) {
+        if (!categories.length) return digest;
+
+        const preferred = digest.sections.filter(s => categories.includes(s.category));
+        const others = only ? [] : digest.sections.filter(s => !categories.includes(s.category));
+        const sections = [...preferred, ...others];
+
+        return {
+            ...digest,
+            sections,
+            totalStories: sections.reduce((sum, s) => sum + s.stories.length, 0)
+        };
+    },
+
+    clearCache() {
+        digestCache = { key: null, digest: null, builtAt: 0 };
+        pendingBuilds = new Map();
+    }
+};
+
+module.exports = weeklyDigestService;
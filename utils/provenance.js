@@ -0,0 +1,47 @@
+// AI provenance records
+// Builds the objects stored under News.aiProvenance / Story.aiProvenance
+// (see models/schemas/aiProvenance.js).
+const crypto = require('crypto');
+
+/**
+ * sha256 of the text a value was generated from
+ */
+function hashInput(...parts) {
+    return crypto.createHash('sha256').update(parts.map(part => part ?? '').join('|')).digest('hex');
+}
+
+/**
+ * Build a provenance record
+ * @param {Object} details - { provider, model, promptVersion, input: [title, content], startedAt, simulated, cached }
+ */
+function provenance({ provider, model, promptVersion = null, input = [], startedAt = null, simulated = false, cached = false }) {
+    return {
+        provider,
+        model,
+        promptVersion,
+        inputHash: input.length ? hashInput(...input) : null,
+        latencyMs: startedAt ? Date.now() - startedAt : null,
+        simulated,
+        cached,
+        translationModel: null,
+        generatedAt: new Date()
+    };
+}
+
+/**
+ * The provenance a story takes from the article its AI fields were copied from
+ */
+function storyProvenance(article) {
+    const source = article?.aiProvenance || {};
+    return {
+        summary: source.summary || null,
+        whyThisMatters: source.whyThisMatters || null,
+        mood: source.mood || null
+    };
+}
+
+module.exports = {
+    hashInput,
+    provenance,
+    storyProvenance
+};
@@ -0,0 +1,88 @@
+// Minimal single-page PDF writer
+// Enough for text documents such as invoices: Helvetica / Helvetica-Bold text
+// and straight rules on an A4 page, with no external dependencies.
+// Coordinates are in points from the top-left corner.
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+/**
+ * Escape a string for a PDF literal; characters outside Latin-1 become '?'
+ */
+function escapeText(text) {
+    return String(text)
+        .replace(/[^\x20-\xff]/g, '?')
+        .replace(/\\/g, '\\\\')
+        .replace(/\(/g, '\\(')
+        .replace(/\)/g, '\\)');
+}
+
+/**
+ * Approximate Helvetica width in points, for right-aligning text
+ * (average glyph widths per character class; bold is slightly wider)
+ */
+function textWidth(text, size, bold = false) {
+    const units = [...String(text)].reduce((sum, ch) => {
+        if (/[A-Z]/.test(ch)) return sum + 0.68;
+        if (/[0-9]/.test(ch)) return sum + 0.556;
+        if (/[mw]/.test(ch)) return sum + 0.83;
+        if (/[a-z]/.test(ch)) return sum + (/[ijlft]/.test(ch) ? 0.26 : 0.54);
+        if (ch === ' ') return sum + 0.278;
+        return sum + 0.33;
+    }, 0);
+    return units * size * (bold ? 1.03 : 1);
+}
+
+/**
+ * Render one page
+ *
+ * @param {Array<Object>} items - { text, x, y, size?, bold?, align? } or { rule: [x1, y1, x2, y2] }
+ * @param {Object} [info] - { title, author }
+ * @returns {Buffer}
+ */
+function renderPdf(items, info = {}) {
+    const ops = [];
+
+    for (const item of items) {
+        if (item.rule) {
+            const [x1, y1, x2, y2] = item.rule;
+            ops.push(`0.5 w ${x1} ${PAGE_HEIGHT - y1} m ${x2} ${PAGE_HEIGHT - y2} l S`);
+            continue;
+        }
+
+        const size = item.size || 10;
+        const x = item.align === 'right' ? item.x - textWidth(item.text, size, item.bold) : item.x;
+        ops.push(`BT /${item.bold ? 'F2' : 'F1'} ${size} Tf ${x.toFixed(2)} ${PAGE_HEIGHT - item.y} Td (${escapeText(item.text)}) Tj ET`);
+    }
+
+    const content = ops.join('\n');
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 5 0 R /F2 6 0 R >> >> /Contents 4 0 R >>`,
+        `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+        `<< /Title (${escapeText(info.title || '')}) /Author (${escapeText(info.author || '')}) /Producer (simplePdf) >>`
+    ];
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = [];
+    objects.forEach((body, i) => {
+        offsets.push(Buffer.byteLength(pdf, 'latin1'));
+        pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    });
+
+    const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(pdf, 'latin1');
+}
+
+module.exports = {
+    renderPdf,
+    PAGE_WIDTH,
+    PAGE_HEIGHT
+};